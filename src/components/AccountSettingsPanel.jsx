@@ -0,0 +1,202 @@
+/*
+AccountSettingsPanel lets signed-in users change their password or email, download everything stored
+for them (JSON) and delete their account. every change asks for the current password again,
+a new email only takes effect once the link sent to it is opened
+*/
+import React, { useState } from 'react';
+import { Download, KeyRound, Mail, Trash2 } from 'lucide-react';
+import { clientLogger } from '../services/clientLogger';
+import { validateEmail, validatePassword, PASSWORD_RULES } from '../services/validation'; // the same rules as the API
+
+const inputClass = 'w-full p-2 border border-gray-300 dark:border-gray-600 rounded-lg bg-white dark:bg-gray-700 text-gray-900 dark:text-gray-100';
+
+// State Management
+const AccountSettingsPanel = ({ user, onAccountDeleted }) => {
+  const [currentPassword, setCurrentPassword] = useState(''); // change password form
+  const [newPassword, setNewPassword] = useState('');
+  const [confirmPassword, setConfirmPassword] = useState('');
+  const [newEmail, setNewEmail] = useState(''); // change email form
+  const [emailPassword, setEmailPassword] = useState('');
+  const [deletePassword, setDeletePassword] = useState(''); // delete account form
+  const [busy, setBusy] = useState(null); // password | email | export | delete, the action in progress
+  const [message, setMessage] = useState(null);
+  const [error, setError] = useState(null);
+
+  const request = async (path, method, body) => {
+    const response = await fetch(`http://localhost:5000/api/account${path}`, {
+      method,
+      headers: {
+        'Content-Type': 'application/json',
+        'Authorization': `Bearer ${user.signed_session_id}`,
+      },
+      body: JSON.stringify(body),
+    });
+    const result = await response.json();
+    if (!response.ok || !result.success) throw new Error(result.error || 'Request failed');
+    return result;
+  };
+
+  // Runs one of the account actions, showing its message or error below the forms
+  const run = async (action, task) => {
+    setError(null);
+    setMessage(null);
+    setBusy(action);
+    try {
+      await task();
+    } catch (err) {
+      clientLogger.error('Account action error', { action, error: err });
+      setError(err.message);
+    } finally {
+      setBusy(null);
+    }
+  };
+
+  // Changing the password, other devices are signed out by the backend
+  const handleChangePassword = (e) => {
+    e.preventDefault();
+    if (!validatePassword(newPassword)) {
+      setError(PASSWORD_RULES);
+      return;
+    }
+    if (newPassword !== confirmPassword) {
+      setError('Passwords do not match');
+      return;
+    }
+    run('password', async () => {
+      const result = await request('/password', 'PUT', { currentPassword, newPassword });
+      setCurrentPassword('');
+      setNewPassword('');
+      setConfirmPassword('');
+      setMessage(result.message);
+    });
+  };
+
+  // Changing the email, the backend emails a confirmation link to the new address
+  const handleChangeEmail = (e) => {
+    e.preventDefault();
+    if (!validateEmail(newEmail)) {
+      setError('Please enter a valid email address');
+      return;
+    }
+    run('email', async () => {
+      const result = await request('/email', 'PUT', { newEmail, currentPassword: emailPassword });
+      setNewEmail('');
+      setEmailPassword('');
+      setMessage(result.message);
+    });
+  };
+
+  // Downloading all the account data as one JSON file
+  const handleExport = () => run('export', async () => {
+    const response = await fetch('http://localhost:5000/api/account/export', {
+      headers: { 'Authorization': `Bearer ${user.signed_session_id}` },
+    });
+    if (!response.ok) {
+      const result = await response.json().catch(() => ({}));
+      throw new Error(result.error || 'Failed to export your data');
+    }
+    const blob = await response.blob();
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `translationhub-data-${new Date().toISOString().slice(0, 10)}.json`;
+    link.click();
+    URL.revokeObjectURL(url);
+  });
+
+  // Deleting the account for good, then signing out on this device
+  const handleDeleteAccount = (e) => {
+    e.preventDefault();
+    if (!window.confirm('Delete your account and all its translations, glossary and translation memory? This cannot be undone.')) return;
+    run('delete', async () => {
+      await request('', 'DELETE', { password: deletePassword });
+      if (onAccountDeleted) onAccountDeleted();
+    });
+  };
+
+  return (
+    <div className="md:col-span-3 bg-white dark:bg-gray-800 rounded-xl shadow-lg p-6">
+      <div className="flex items-center justify-between mb-4">
+        <h2 className="text-xl font-semibold text-gray-900 dark:text-gray-100">Account Settings</h2>
+        <button
+          onClick={handleExport}
+          disabled={busy === 'export'}
+          className="flex items-center space-x-2 px-3 py-2 text-sm bg-gray-100 dark:bg-gray-700 text-gray-800 dark:text-gray-100 rounded-lg hover:bg-gray-200 dark:hover:bg-gray-600 disabled:opacity-50"
+        >
+          <Download className="w-4 h-4" />
+          <span>{busy === 'export' ? 'Preparing...' : 'Download my data'}</span>
+        </button>
+      </div>
+
+      <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
+        <form onSubmit={handleChangePassword} className="space-y-3">
+          <h3 className="flex items-center space-x-2 font-medium text-gray-900 dark:text-gray-100">
+            <KeyRound className="w-4 h-4" />
+            <span>Change password</span>
+          </h3>
+          <input type="password" value={currentPassword} onChange={(e) => setCurrentPassword(e.target.value)} placeholder="Current password" className={inputClass} required />
+          <input type="password" value={newPassword} onChange={(e) => setNewPassword(e.target.value)} placeholder="New password" className={inputClass} required />
+          <input type="password" value={confirmPassword} onChange={(e) => setConfirmPassword(e.target.value)} placeholder="Confirm new password" className={inputClass} required />
+          <button
+            type="submit"
+            disabled={busy === 'password'}
+            className="w-full py-2 px-4 bg-indigo-600 hover:bg-indigo-700 disabled:bg-gray-400 text-white rounded-lg font-medium"
+          >
+            {busy === 'password' ? 'Saving...' : 'Change password'}
+          </button>
+        </form>
+
+        <form onSubmit={handleChangeEmail} className="space-y-3">
+          <h3 className="flex items-center space-x-2 font-medium text-gray-900 dark:text-gray-100">
+            <Mail className="w-4 h-4" />
+            <span>Change email</span>
+          </h3>
+          <p className="text-sm text-gray-500 dark:text-gray-400">Currently {user.email}</p>
+          <input type="email" value={newEmail} onChange={(e) => setNewEmail(e.target.value)} placeholder="New email" className={inputClass} required />
+          <input type="password" value={emailPassword} onChange={(e) => setEmailPassword(e.target.value)} placeholder="Current password" className={inputClass} required />
+          <button
+            type="submit"
+            disabled={busy === 'email'}
+            className="w-full py-2 px-4 bg-indigo-600 hover:bg-indigo-700 disabled:bg-gray-400 text-white rounded-lg font-medium"
+          >
+            {busy === 'email' ? 'Sending...' : 'Send confirmation link'}
+          </button>
+        </form>
+      </div>
+
+      <form onSubmit={handleDeleteAccount} className="mt-6 p-4 border border-red-300 dark:border-red-800 rounded-lg space-y-3">
+        <h3 className="flex items-center space-x-2 font-medium text-red-600 dark:text-red-400">
+          <Trash2 className="w-4 h-4" />
+          <span>Delete account</span>
+        </h3>
+        <p className="text-sm text-gray-500 dark:text-gray-400">
+          Removes your account, translations, glossary, translation memory and sessions for good. Download your data first if you want to keep it.
+        </p>
+        <div className="flex flex-col md:flex-row gap-3">
+          <input type="password" value={deletePassword} onChange={(e) => setDeletePassword(e.target.value)} placeholder="Current password" className={inputClass} required />
+          <button
+            type="submit"
+            disabled={busy === 'delete'}
+            className="py-2 px-4 bg-red-600 hover:bg-red-700 disabled:bg-gray-400 text-white rounded-lg font-medium whitespace-nowrap"
+          >
+            {busy === 'delete' ? 'Deleting...' : 'Delete my account'}
+          </button>
+        </div>
+      </form>
+
+      {message && (
+        <div className="mt-4 p-3 bg-green-50 dark:bg-green-900/50 text-green-700 dark:text-green-200 rounded-lg">
+          {message}
+        </div>
+      )}
+
+      {error && (
+        <div className="mt-4 p-3 bg-red-50 dark:bg-red-900/50 text-red-600 dark:text-red-200 rounded-lg">
+          {error}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default AccountSettingsPanel;
@@ -0,0 +1,150 @@
+/*
+GlossaryPanel lets signed-in users manage their glossary (enforced terminology).
+each entry maps a source term to the target term that must be used for a language pair,
+the backend enforces them whenever the user translates that pair
+*/
+import React, { useState, useEffect } from 'react';
+import { Trash2, Plus } from 'lucide-react';
+import LanguageSearch from './LanguageSearch';
+import { clientLogger } from '../services/clientLogger';
+
+// State Management
+const GlossaryPanel = ({ user }) => {
+  const [entries, setEntries] = useState([]); // the user's glossary entries
+  const [sourceTerm, setSourceTerm] = useState('');
+  const [targetTerm, setTargetTerm] = useState('');
+  const [fromLang, setFromLang] = useState(user.defaultFromLang || '');
+  const [toLang, setToLang] = useState(user.defaultToLang || '');
+  const [caseSensitive, setCaseSensitive] = useState(false);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  // Loading the glossary once the panel mounts
+  useEffect(() => {
+    const loadGlossary = async () => {
+      try {
+        const response = await fetch(`http://localhost:5000/api/glossary/${user.id}`, {
+          headers: { 'Authorization': `Bearer ${user.signed_session_id}` },
+        });
+        const result = await response.json();
+        if (!response.ok || !result.success) throw new Error(result.error || 'Failed to load glossary');
+        setEntries(result.entries);
+      } catch (err) {
+        clientLogger.error('Error loading glossary', { error: err });
+        setError('Failed to load glossary.');
+      } finally {
+        setLoading(false);
+      }
+    };
+    loadGlossary();
+  }, [user.id, user.signed_session_id]);
+
+  // Adding an entry, keeps the list sorted by source term like the server does
+  const handleAdd = async (e) => {
+    e.preventDefault();
+    if (!sourceTerm.trim() || !targetTerm.trim() || !fromLang || !toLang) {
+      setError('Please fill in both terms and select both languages.');
+      return;
+    }
+    setError(null);
+    try {
+      const response = await fetch('http://localhost:5000/api/glossary', {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'Authorization': `Bearer ${user.signed_session_id}`,
+        },
+        body: JSON.stringify({ userId: user.id, sourceTerm, targetTerm, fromLang, toLang, caseSensitive }),
+      });
+      const result = await response.json();
+      if (!response.ok || !result.success) throw new Error(result.error || 'Failed to add glossary entry');
+      setEntries(prev => [...prev, result.entry].sort((a, b) => a.source_term.localeCompare(b.source_term)));
+      setSourceTerm('');
+      setTargetTerm('');
+    } catch (err) {
+      clientLogger.error('Error adding glossary entry', { error: err });
+      setError(err.message);
+    }
+  };
+
+  const handleDelete = async (entryId) => {
+    setError(null);
+    try {
+      const response = await fetch(`http://localhost:5000/api/glossary/${entryId}`, {
+        method: 'DELETE',
+        headers: {
+          'Content-Type': 'application/json',
+          'Authorization': `Bearer ${user.signed_session_id}`,
+        },
+        body: JSON.stringify({ userId: user.id }),
+      });
+      const result = await response.json();
+      if (!response.ok || !result.success) throw new Error(result.error || 'Failed to delete glossary entry');
+      setEntries(prev => prev.filter(entry => entry.id !== entryId));
+    } catch (err) {
+      clientLogger.error('Error deleting glossary entry', { error: err });
+      setError(err.message);
+    }
+  };
+
+  return (
+    <div className="md:col-span-3 bg-white dark:bg-gray-800 rounded-xl shadow-lg p-6">
+      <h2 className="text-xl font-semibold text-gray-900 dark:text-gray-100 mb-4">Glossary</h2>
+
+      <form onSubmit={handleAdd} className="grid grid-cols-1 md:grid-cols-6 gap-3 items-center mb-6">
+        <input
+          type="text"
+          value={sourceTerm}
+          onChange={(e) => setSourceTerm(e.target.value)}
+          placeholder="Source term"
+          className="rounded-lg border border-gray-300 dark:border-gray-600 px-3 py-2 bg-white dark:bg-gray-700 text-gray-900 dark:text-gray-100"
+        />
+        <input
+          type="text"
+          value={targetTerm}
+          onChange={(e) => setTargetTerm(e.target.value)}
+          placeholder="Target term"
+          className="rounded-lg border border-gray-300 dark:border-gray-600 px-3 py-2 bg-white dark:bg-gray-700 text-gray-900 dark:text-gray-100"
+        />
+        <LanguageSearch value={fromLang} onChange={setFromLang} placeholder="From" mode="source" pairWith={toLang} />
+        <LanguageSearch value={toLang} onChange={setToLang} placeholder="To" mode="target" pairWith={fromLang} />
+        <label className="flex items-center space-x-2 text-sm text-gray-700 dark:text-gray-300">
+          <input type="checkbox" checked={caseSensitive} onChange={(e) => setCaseSensitive(e.target.checked)} />
+          <span>Case sensitive</span>
+        </label>
+        <button type="submit" className="flex items-center justify-center space-x-2 py-2 px-4 bg-indigo-600 hover:bg-indigo-700 text-white rounded-lg font-medium">
+          <Plus className="w-4 h-4" />
+          <span>Add</span>
+        </button>
+      </form>
+
+      {loading ? (
+        <div className="text-center py-4 text-gray-500 dark:text-gray-400">Loading...</div>
+      ) : entries.length > 0 ? (
+        <div className="space-y-2">
+          {entries.map(entry => (
+            <div key={entry.id} className="flex items-center justify-between p-3 bg-gray-100 dark:bg-gray-700 rounded-lg">
+              <p className="text-sm text-gray-800 dark:text-gray-100">
+                <strong>{entry.from_lang} → {entry.to_lang}:</strong> {entry.source_term} → {entry.target_term}
+                {entry.case_sensitive && <span className="ml-2 text-xs text-gray-500 dark:text-gray-400">(case sensitive)</span>}
+              </p>
+              <button onClick={() => handleDelete(entry.id)} className="p-2 rounded-full hover:bg-gray-200 dark:hover:bg-gray-600">
+                <Trash2 className="w-4 h-4 text-red-600" />
+              </button>
+            </div>
+          ))}
+        </div>
+      ) : (
+        <div className="text-center py-4 text-gray-500 dark:text-gray-400">No glossary terms yet</div>
+      )}
+
+      {error && (
+        <div className="mt-4 p-3 bg-red-50 dark:bg-red-900/50 text-red-600 dark:text-red-200 rounded-lg">
+          {error}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default GlossaryPanel;
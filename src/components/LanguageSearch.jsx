@@ -1,8 +1,31 @@
 import React, { useState, useEffect, useRef } from 'react';
 import { Search } from 'lucide-react';
 import { fetchLanguages } from '../services/translationService';
+import { clientLogger } from '../services/clientLogger';
+/*
+Language Pair Filtering:
+mode = 'source' shows languages the provider can translate from,
+mode = 'target' shows languages the provider can translate into,
+pairWith = the language selected on the other side, only valid pairs with it are shown
+provider = optional provider name, defaults to the backend's provider
+without a mode every language is shown (e.g. for plain preferences)
+*/
+const isValidChoice = (lang, languages, mode, pairWith) => {
+  if (mode === 'source') {
+    return lang.source !== false && (!pairWith || !lang.targets || lang.targets.includes(pairWith));
+  }
+  if (mode === 'target') {
+    if (pairWith) {
+      const sourceLang = languages.find(other => other.code === pairWith);
+      return !sourceLang?.targets || sourceLang.targets.includes(lang.code);
+    }
+    return languages.some(other => !other.targets || other.targets.includes(lang.code));
+  }
+  return true;
+};
+
 // State Management
-const LanguageSearch = ({ value, onChange, placeholder = 'Search language...' }) => {
+const LanguageSearch = ({ value, onChange, placeholder = 'Search language...', mode, pairWith, provider }) => {
   const [isOpen, setIsOpen] = useState(false);
   const [search, setSearch] = useState(value || ''); // stores search input value, initially set from value prop
   const [languages, setLanguages] = useState([]); // list of languages
@@ -18,9 +41,8 @@ const LanguageSearch = ({ value, onChange, placeholder = 'Search language...' })
 */
   useEffect(() => {
     setLoading(true);
-    fetchLanguages()
+    fetchLanguages('', provider)
       .then(data => {
-        console.log('Fetched languages:', data);
         setLanguages(data);
         setFilteredLanguages(data);
         const selectedLang = data.find(lang => lang.code === value);
@@ -29,11 +51,11 @@ const LanguageSearch = ({ value, onChange, placeholder = 'Search language...' })
         }
       })
       .catch(err => { // handles errors and loading states
-        console.error('Error fetching languages:', err);
+        clientLogger.error('Error fetching languages', { error: err });
         setError('Failed to fetch languages');
       })
       .finally(() => setLoading(false));
-  }, [value]);
+  }, [value, provider]);
 
   /*
   Detecting clicks Outside the Dropdown by:
@@ -56,20 +78,20 @@ const LanguageSearch = ({ value, onChange, placeholder = 'Search language...' })
   filters languages based on search input.
   if search is empty, resets filteredLanguages to the full list.
   converts input and language names to lowercase for case-insensitive matching.
+  only keeps languages that form a valid pair (see isValidChoice).
   */
   useEffect(() => {
-    console.log('Search term:', search);
+    const validLanguages = languages.filter(lang => isValidChoice(lang, languages, mode, pairWith));
     if (!search.trim()) {
-      setFilteredLanguages(languages);
+      setFilteredLanguages(validLanguages);
       return;
     }
-    const filtered = languages.filter(lang =>
+    const filtered = validLanguages.filter(lang =>
       lang.name.toLowerCase().includes(search.toLowerCase()) ||
       lang.code.toLowerCase().includes(search.toLowerCase())
     );
-    console.log('Filtered languages:', filtered);
     setFilteredLanguages(filtered);
-  }, [search, languages]);
+  }, [search, languages, mode, pairWith]);
 
   /*
   Handling Language Selection:
@@ -0,0 +1,26 @@
+/*
+QuotaStatus shows what is left of the daily quota (characters, and files on the file screen),
+the quota comes from the backend (GET /api/quota and the `quota` of every translation).
+guests get a smaller quota than signed-in users
+*/
+import React from 'react';
+import { Gauge } from 'lucide-react';
+
+const QuotaStatus = ({ quota, showFiles = false }) => {
+  if (!quota) return null;
+  const { remaining, limits } = quota;
+  const exhausted = remaining.charactersPerDay === 0 || (showFiles && remaining.filesPerDay === 0);
+
+  return (
+    <div className={`mt-4 flex items-center space-x-2 text-sm ${exhausted ? 'text-red-600 dark:text-red-400' : 'text-gray-500 dark:text-gray-400'}`}>
+      <Gauge className="w-4 h-4" />
+      <span>
+        {remaining.charactersPerDay.toLocaleString()} of {limits.charactersPerDay.toLocaleString()} characters left today
+        {showFiles && ` · ${remaining.filesPerDay} of ${limits.filesPerDay} files`}
+        {quota.plan === 'guest' && ' · sign in for a higher limit'}
+      </span>
+    </div>
+  );
+};
+
+export default QuotaStatus;
@@ -0,0 +1,144 @@
+/*
+SessionsPanel lists the devices the signed-in user is signed in on (active sessions),
+lets them sign out a single device or sign out everywhere.
+sessions expire after being idle, "remember me" sessions stay active much longer
+*/
+import React, { useState, useEffect } from 'react';
+import { LogOut, Monitor, Smartphone } from 'lucide-react';
+import { clientLogger } from '../services/clientLogger';
+
+// short, readable device name from the user agent ("Chrome on Windows")
+const describeDevice = (userAgent) => {
+  if (!userAgent) return 'Unknown device';
+  const browser = [['Edg/', 'Edge'], ['OPR/', 'Opera'], ['Firefox/', 'Firefox'], ['Chrome/', 'Chrome'], ['Safari/', 'Safari']]
+    .find(([token]) => userAgent.includes(token))?.[1];
+  const system = [['Windows', 'Windows'], ['Android', 'Android'], ['iPhone', 'iOS'], ['iPad', 'iPadOS'], ['Mac OS', 'macOS'], ['Linux', 'Linux']]
+    .find(([token]) => userAgent.includes(token))?.[1];
+  if (!browser && !system) return userAgent.slice(0, 60);
+  return [browser || 'Browser', system].filter(Boolean).join(' on ');
+};
+
+const isMobile = (userAgent = '') => /Android|iPhone|iPad|Mobile/.test(userAgent || '');
+
+// State Management
+const SessionsPanel = ({ user, onSignedOutEverywhere }) => {
+  const [sessions, setSessions] = useState([]); // active sessions, the current one flagged with `current`
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  const loadSessions = async () => {
+    try {
+      const response = await fetch('http://localhost:5000/api/sessions', {
+        headers: { 'Authorization': `Bearer ${user.signed_session_id}` },
+      });
+      const result = await response.json();
+      if (!response.ok || !result.success) throw new Error(result.error || 'Failed to load sessions');
+      setSessions(result.sessions);
+    } catch (err) {
+      clientLogger.error('Error loading sessions', { error: err });
+      setError('Failed to load active sessions.');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  // Loading the sessions once the panel mounts
+  useEffect(() => {
+    loadSessions();
+  }, [user.id, user.signed_session_id]);
+
+  // Signing out one device, it is signed out on its next request
+  const handleRevoke = async (sessionId) => {
+    setError(null);
+    try {
+      const response = await fetch(`http://localhost:5000/api/sessions/${sessionId}`, {
+        method: 'DELETE',
+        headers: { 'Authorization': `Bearer ${user.signed_session_id}` },
+      });
+      const result = await response.json();
+      if (!response.ok || !result.success) throw new Error(result.error || 'Failed to sign out the device');
+      setSessions(prev => prev.filter(session => session.id !== sessionId));
+    } catch (err) {
+      clientLogger.error('Error revoking session', { error: err });
+      setError(err.message);
+    }
+  };
+
+  // Signing out everywhere, this device included
+  const handleSignOutEverywhere = async () => {
+    if (!window.confirm('Sign out on every device, including this one?')) return;
+    setError(null);
+    try {
+      const response = await fetch('http://localhost:5000/api/sessions', {
+        method: 'DELETE',
+        headers: { 'Authorization': `Bearer ${user.signed_session_id}` },
+      });
+      const result = await response.json();
+      if (!response.ok || !result.success) throw new Error(result.error || 'Failed to sign out everywhere');
+      if (onSignedOutEverywhere) onSignedOutEverywhere();
+    } catch (err) {
+      clientLogger.error('Error signing out everywhere', { error: err });
+      setError(err.message);
+    }
+  };
+
+  return (
+    <div className="md:col-span-3 bg-white dark:bg-gray-800 rounded-xl shadow-lg p-6">
+      <div className="flex items-center justify-between mb-4">
+        <h2 className="text-xl font-semibold text-gray-900 dark:text-gray-100">Active Sessions</h2>
+        <button
+          onClick={handleSignOutEverywhere}
+          className="flex items-center space-x-2 py-2 px-4 bg-red-600 hover:bg-red-700 text-white rounded-lg text-sm font-medium"
+        >
+          <LogOut className="w-4 h-4" />
+          <span>Sign out everywhere</span>
+        </button>
+      </div>
+
+      {loading ? (
+        <div className="text-center py-4 text-gray-500 dark:text-gray-400">Loading sessions...</div>
+      ) : (
+        <div className="space-y-2">
+          {sessions.map(session => {
+            const DeviceIcon = isMobile(session.user_agent) ? Smartphone : Monitor;
+            return (
+              <div key={session.id} className="flex items-center justify-between p-3 bg-gray-100 dark:bg-gray-700 rounded-lg">
+                <div className="flex items-center space-x-3">
+                  <DeviceIcon className="w-5 h-5 text-gray-500 dark:text-gray-300" />
+                  <div>
+                    <p className="text-gray-900 dark:text-gray-100">
+                      {describeDevice(session.user_agent)}
+                      {session.current && (
+                        <span className="ml-2 px-2 py-0.5 bg-indigo-100 dark:bg-indigo-900 text-indigo-700 dark:text-indigo-200 rounded-full text-xs">This device</span>
+                      )}
+                    </p>
+                    <p className="text-sm text-gray-500 dark:text-gray-400">
+                      {session.ip_address || 'Unknown IP'} · last active {new Date(session.last_seen_at).toLocaleString()}
+                      {session.remember_me && ' · remembered'}
+                    </p>
+                  </div>
+                </div>
+                {!session.current && (
+                  <button
+                    onClick={() => handleRevoke(session.id)}
+                    className="py-1 px-3 text-sm text-red-600 dark:text-red-400 hover:bg-gray-200 dark:hover:bg-gray-600 rounded-lg"
+                  >
+                    Sign out
+                  </button>
+                )}
+              </div>
+            );
+          })}
+        </div>
+      )}
+
+      {error && (
+        <div className="mt-4 p-3 bg-red-50 dark:bg-red-900/50 text-red-600 dark:text-red-200 rounded-lg">
+          {error}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default SessionsPanel;
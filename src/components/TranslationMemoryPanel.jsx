@@ -0,0 +1,145 @@
+/*
+TranslationMemoryPanel lets signed-in users import bilingual files (TMX, XLIFF, CSV) from other CAT tools
+into their translation memory, shows the import report and how many units each language pair holds.
+imported units are suggested by the backend whenever the user translates the same (or similar) text
+*/
+import React, { useState, useEffect, useRef } from 'react';
+import { Upload } from 'lucide-react';
+import LanguageSearch from './LanguageSearch';
+import { clientLogger } from '../services/clientLogger';
+
+// State Management
+const TranslationMemoryPanel = ({ user }) => {
+  const [stats, setStats] = useState(null); // { total, pairs: [{ source_lang, target_lang, units }] }
+  const [file, setFile] = useState(null);
+  const [sourceLang, setSourceLang] = useState(''); // only used when the file does not declare its languages
+  const [targetLang, setTargetLang] = useState('');
+  const [report, setReport] = useState(null); // report of the last import
+  const [importing, setImporting] = useState(false);
+  const [error, setError] = useState(null);
+  const fileInputRef = useRef(null);
+
+  const loadStats = async () => {
+    try {
+      const response = await fetch(`http://localhost:5000/api/translation-memory/${user.id}`, {
+        headers: { 'Authorization': `Bearer ${user.signed_session_id}` },
+      });
+      const result = await response.json();
+      if (!response.ok || !result.success) throw new Error(result.error || 'Failed to load translation memory');
+      setStats(result);
+    } catch (err) {
+      clientLogger.error('Error loading translation memory', { error: err });
+      setError('Failed to load translation memory.');
+    }
+  };
+
+  // Loading the summary once the panel mounts
+  useEffect(() => {
+    loadStats();
+  }, [user.id, user.signed_session_id]);
+
+  // Uploading the file, the report lists what was imported, skipped (and why) and the duplicates
+  const handleImport = async (e) => {
+    e.preventDefault();
+    if (!file) {
+      setError('Please choose a TMX, XLIFF or CSV file.');
+      return;
+    }
+    setError(null);
+    setReport(null);
+    setImporting(true);
+    try {
+      const formData = new FormData();
+      formData.append('userId', user.id);
+      if (sourceLang) formData.append('sourceLang', sourceLang);
+      if (targetLang) formData.append('targetLang', targetLang);
+      formData.append('file', file);
+      const response = await fetch('http://localhost:5000/api/translation-memory/import', {
+        method: 'POST',
+        headers: { 'Authorization': `Bearer ${user.signed_session_id}` },
+        body: formData,
+      });
+      const result = await response.json();
+      if (!response.ok || !result.success) throw new Error(result.error || 'Import failed');
+      setReport(result.report);
+      setFile(null);
+      if (fileInputRef.current) fileInputRef.current.value = '';
+      loadStats();
+    } catch (err) {
+      clientLogger.error('Error importing translation memory', { error: err });
+      setError(err.message);
+    } finally {
+      setImporting(false);
+    }
+  };
+
+  return (
+    <div className="md:col-span-3 bg-white dark:bg-gray-800 rounded-xl shadow-lg p-6">
+      <div className="flex items-center justify-between mb-4">
+        <h2 className="text-xl font-semibold text-gray-900 dark:text-gray-100">Translation Memory</h2>
+        {stats && <span className="text-sm text-gray-500 dark:text-gray-400">{stats.total} units</span>}
+      </div>
+
+      <form onSubmit={handleImport} className="grid grid-cols-1 md:grid-cols-4 gap-3 items-center mb-4">
+        <input
+          ref={fileInputRef}
+          type="file"
+          accept=".tmx,.xlf,.xliff,.csv"
+          onChange={(e) => setFile(e.target.files[0] || null)}
+          className="text-sm text-gray-700 dark:text-gray-300"
+        />
+        <LanguageSearch value={sourceLang} onChange={setSourceLang} placeholder="Source (if not in file)" mode="source" pairWith={targetLang} />
+        <LanguageSearch value={targetLang} onChange={setTargetLang} placeholder="Target (if not in file)" mode="target" pairWith={sourceLang} />
+        <button
+          type="submit"
+          disabled={importing}
+          className="flex items-center justify-center space-x-2 py-2 px-4 bg-indigo-600 hover:bg-indigo-700 disabled:bg-gray-400 text-white rounded-lg font-medium"
+        >
+          <Upload className="w-4 h-4" />
+          <span>{importing ? 'Importing...' : 'Import'}</span>
+        </button>
+      </form>
+
+      {report && (
+        <div className="mb-4 p-3 bg-gray-100 dark:bg-gray-700 rounded-lg text-sm text-gray-800 dark:text-gray-100">
+          <p>
+            <strong>{report.fileName}</strong> ({report.format.toUpperCase()}): {report.imported} imported,{' '}
+            {report.duplicates} duplicates, {report.skipped} skipped of {report.totalUnits} units
+          </p>
+          {Object.keys(report.languagePairs).length > 0 && (
+            <p className="mt-1 text-gray-600 dark:text-gray-300">
+              {Object.entries(report.languagePairs).map(([pair, units]) => `${pair}: ${units}`).join(', ')}
+            </p>
+          )}
+          {report.issues.length > 0 && (
+            <ul className="mt-2 list-disc list-inside text-red-600 dark:text-red-300">
+              {report.issues.map((issue, index) => (
+                <li key={index}>{issue.ref}: {issue.reason}</li>
+              ))}
+            </ul>
+          )}
+        </div>
+      )}
+
+      {stats && stats.pairs.length > 0 ? (
+        <div className="flex flex-wrap gap-2">
+          {stats.pairs.map(pair => (
+            <span key={`${pair.source_lang}-${pair.target_lang}`} className="px-3 py-1 bg-gray-100 dark:bg-gray-700 rounded-full text-sm text-gray-700 dark:text-gray-200">
+              {pair.source_lang} → {pair.target_lang}: {pair.units}
+            </span>
+          ))}
+        </div>
+      ) : (
+        <div className="text-center py-4 text-gray-500 dark:text-gray-400">No translation memory yet</div>
+      )}
+
+      {error && (
+        <div className="mt-4 p-3 bg-red-50 dark:bg-red-900/50 text-red-600 dark:text-red-200 rounded-lg">
+          {error}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default TranslationMemoryPanel;
@@ -2,59 +2,120 @@
 This file creates a React context for managing our users authentication state
 and provides functions for signing in, signing up, and signing out. 
 Also used across the app to share authentication data.
+Watches the session so an expired or revoked session signs the user out instead of making requests fail silently.
 */
 
 /*
 createContext = creates the AuthContext to share auth state
 useState = manages our user, sessionId and loading states
 useContext = provides the useAuth hook to access the context
-useEffect = loads user from sessionStorage when app mounts
+useEffect = loads user from storage when app mounts, watches the session expiry
 */
 import React, { createContext, useState, useContext, useEffect } from 'react';
+import { loadAuthUser, saveAuthSession, clearAuthSession } from '../services/authStorage';
+import { clientLogger } from '../services/clientLogger';
+
+const SESSION_CHECK_INTERVAL = 5 * 60 * 1000; // longest wait between two session checks (ms)
 
 const AuthContext = createContext({});
 
 // AuthProvider wraps the app providing the context value, (like user, sessionId...) Exports for components to access the context
 export const AuthProvider = ({ children }) => {
   const [user, setUser] = useState(null); // logged-in user's data (id, email, session_id, signed_session_id)
-  const [sessionId, setSessionId] = useState(sessionStorage.getItem('session_id')); // Raw session_id
-  const [signedSessionId, setSignedSessionId] = useState(sessionStorage.getItem('signed_session_id')); // Signed session_id
+  const [sessionId, setSessionId] = useState(() => loadAuthUser()?.session_id || null); // Raw session_id
+  const [signedSessionId, setSignedSessionId] = useState(() => loadAuthUser()?.signed_session_id || null); // Signed session_id
   const [loading, setLoading] = useState(true); // indicates if the app is still loading the user state
+  const [sessionExpired, setSessionExpired] = useState(false); // true after the server ended the session (expired or revoked)
 
   /*
   Loading User Session on App Start:
-  checks sessionStorage for saved authUser, parses it, sets the user state, then sets loading to false
+  checks localStorage ("remember me") and sessionStorage for saved authUser, sets the user state, then sets loading to false
   */
   useEffect(() => {
-    const savedUser = sessionStorage.getItem('authUser');
+    const savedUser = loadAuthUser();
     if (savedUser) {
-      const parsedUser = JSON.parse(savedUser);
-      setUser(parsedUser);
-      setSessionId(parsedUser.session_id);
-      setSignedSessionId(parsedUser.signed_session_id);
+      setUser(savedUser);
+      setSessionId(savedUser.session_id);
+      setSignedSessionId(savedUser.signed_session_id);
     }
     setLoading(false);
-  }, []); // Loads user from `sessionStorage` on mount to persist login. Key for seamless session continuity—ensure `authUser` format matches expected structure.
+  }, []); // Loads user from storage on mount to persist login. Key for seamless session continuity—ensure `authUser` format matches expected structure.
+
+  // clears the local login once the server no longer knows the session
+  const endExpiredSession = () => {
+    clearAuthSession();
+    setUser(null);
+    setSessionId(null);
+    setSignedSessionId(null);
+    setSessionExpired(true);
+  };
+
+  /*
+  Watching the Session:
+  sessions slide on the server (every request extends them) so only idle sessions expire.
+  asks /api/sessions/current (which does not extend the session) when the tab becomes visible again
+  and when the last known expiry passes, at least every SESSION_CHECK_INTERVAL.
+  a 401 means the session expired or was revoked ("sign out everywhere" on another device)
+  */
+  useEffect(() => {
+    if (!signedSessionId) return undefined;
+    let active = true;
+    let timer = null;
+
+    const checkSession = async () => {
+      clearTimeout(timer);
+      let nextCheck = SESSION_CHECK_INTERVAL;
+      try {
+        const response = await fetch('http://localhost:5000/api/sessions/current', {
+          headers: { 'Authorization': `Bearer ${signedSessionId}` },
+        });
+        if (!active) return;
+        if (response.status === 401) {
+          clientLogger.info('Session expired or revoked, signing out');
+          endExpiredSession();
+          return;
+        }
+        const result = await response.json();
+        if (result.success) {
+          const remaining = new Date(result.session.expires_at).getTime() - Date.now();
+          nextCheck = Math.min(Math.max(remaining + 1000, 1000), SESSION_CHECK_INTERVAL);
+        }
+      } catch (error) {
+        clientLogger.error('Session check failed', { error }); // offline or server down, the session may still be valid
+      }
+      if (active) timer = setTimeout(checkSession, nextCheck);
+    };
+
+    const handleVisibilityChange = () => {
+      if (document.visibilityState === 'visible') checkSession();
+    };
+
+    checkSession();
+    document.addEventListener('visibilitychange', handleVisibilityChange);
+    return () => {
+      active = false;
+      clearTimeout(timer);
+      document.removeEventListener('visibilitychange', handleVisibilityChange);
+    };
+  }, [signedSessionId]);
 
   /*
   User Login (sign-in): 
   sends a post login request to the backend through /api/login
   converts the response into JSON (result)
-  handles incorrect credentials
+  handles incorrect credentials, the thrown error keeps the backend's code (EMAIL_NOT_VERIFIED for unverified accounts)
+  rememberMe = long-lived session kept in localStorage (survives closing the browser)
   */
-  const signIn = async (email, password, callback) => {
+  const signIn = async (email, password, callback, { rememberMe = false } = {}) => {
     try {
-      console.log('Attempting sign-in for:', email);
       const response = await fetch('http://localhost:5000/api/login', {
         method: 'POST',
         headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({ email, password }),
+        body: JSON.stringify({ email, password, rememberMe }),
       });
       const result = await response.json();
-      console.log('Sign-in response:', result);
-      console.log('Response status:', response.status);
 
-      if (!result.success) throw new Error(result.error || 'Authentication failed');
+      if (!result.success) throw Object.assign(new Error(result.error || 'Authentication failed'), { code: result.code });
 
       /*
       Mapping User Data & Saving Session:
@@ -67,14 +128,12 @@ export const AuthProvider = ({ children }) => {
         signed_session_id: result.user.signed_session_id, // Include signed_session_id from response
       }; 
       
-      // saves user, session_id, and signed_session_id to session storage for persistence
-      sessionStorage.setItem('authUser', JSON.stringify(mappedUser));
-      sessionStorage.setItem('session_id', mappedUser.session_id);
-      sessionStorage.setItem('signed_session_id', mappedUser.signed_session_id);
+      // saves user, session_id, and signed_session_id for persistence (localStorage when remembered, otherwise sessionStorage)
+      saveAuthSession(mappedUser);
       setUser(mappedUser); // Update user state with mapped keys
       setSessionId(mappedUser.session_id);
       setSignedSessionId(mappedUser.signed_session_id);
-      console.log('User state updated in AuthContext:', mappedUser);
+      setSessionExpired(false);
       // runs callback if provided (redirect after login)
       if (typeof callback === 'function') {
         callback();
@@ -82,8 +141,8 @@ export const AuthProvider = ({ children }) => {
 
       return result;
     } catch (error) {
-      console.error('Sign-in error:', error.message);
-      throw new Error(error.message || 'Authentication failed');
+      clientLogger.error('Sign-in error', { error });
+      throw Object.assign(new Error(error.message || 'Authentication failed'), { code: error.code });
     }
   };
 
@@ -94,20 +153,18 @@ export const AuthProvider = ({ children }) => {
   */
   const signUp = async (email, password) => {
     try {
-      console.log('Attempting sign-up for:', email);
       const response = await fetch('http://localhost:5000/api/register', {
         method: 'POST',
         headers: { 'Content-Type': 'application/json' },
         body: JSON.stringify({ email, password }),
       });
       const result = await response.json();
-      console.log('Sign-up response:', result); // sign-up status for debugging
 
       if (!result.success) throw new Error(result.error);
 
       return result;
     } catch (error) {
-      console.error('Sign-up error:', error.message);
+      clientLogger.error('Sign-up error', { error });
       throw new Error(error.message || 'Registration failed');
     }
   };
@@ -116,12 +173,11 @@ export const AuthProvider = ({ children }) => {
   User Logout (sign-out):
   uses authorization header (Bearer ${signedSessionId}) for security
   post request to /api/logout
-  clears sessionStorage and resets the user and sessionId states
+  clears the stored login and resets the user and sessionId states
   */
   const signOut = async () => {
     try {
       if (signedSessionId) {
-        console.log('Attempting sign-out for signedSessionId:', signedSessionId);
         await fetch('http://localhost:5000/api/logout', {
           method: 'POST',
           headers: {
@@ -131,11 +187,9 @@ export const AuthProvider = ({ children }) => {
         });
       }
     } catch (error) {
-      console.error('Error during logout:', error);
+      clientLogger.error('Error during logout', { error });
     } finally { // ensure logout even on api failure
-      sessionStorage.removeItem('authUser');
-      sessionStorage.removeItem('session_id');
-      sessionStorage.removeItem('signed_session_id');
+      clearAuthSession();
       setUser(null);
       setSessionId(null);
       setSignedSessionId(null);
@@ -145,7 +199,7 @@ export const AuthProvider = ({ children }) => {
   // makes the auth functions available via the AuthContext.Provider
   // prevents rendering children until auth state is loaded (!loading)
   return (
-    <AuthContext.Provider value={{ user, sessionId, signedSessionId, loading, signIn, signUp, signOut, setUser }}>
+    <AuthContext.Provider value={{ user, sessionId, signedSessionId, loading, sessionExpired, signIn, signUp, signOut, setUser }}>
       {!loading && children}
     </AuthContext.Provider>
   );
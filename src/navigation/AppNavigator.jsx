@@ -1,13 +1,15 @@
 import React from 'react';
-import { Routes, Route, Navigate } from 'react-router-dom';
+import { Routes, Route, Navigate, useNavigate } from 'react-router-dom';
 import HomeScreen from '../screens/HomeScreen';
 import TextTranslationScreen from '../screens/TextTranslationScreen';
 import VoiceTranslationScreen from '../screens/VoiceTranslationScreen';
 import FileTranslationScreen from '../screens/FileTranslationScreen';
 import ASLTranslationScreen from '../screens/ASLTranslationScreen';
 import ProfileScreen from '../screens/ProfileScreen';
+import AuthScreen from '../screens/AuthScreen';
 
 const AppNavigator = () => {
+  const navigate = useNavigate();
   return (
     <Routes>
       <Route path="/" element={<HomeScreen />} />
@@ -17,6 +19,8 @@ const AppNavigator = () => {
       <Route path="/asl" element={<ASLTranslationScreen />} />
       <Route path="/profile" element={<ProfileScreen />} />
       <Route path="/auth" element={<ProfileScreen />} />
+      <Route path="/reset-password" element={<AuthScreen onCancel={() => navigate('/')} onSuccess={() => navigate('/profile')} />} />
+      <Route path="/verify-email" element={<AuthScreen onCancel={() => navigate('/')} onSuccess={() => navigate('/profile')} />} />
       <Route path="*" element={<Navigate to="/" replace />} />
     </Routes>
   );
@@ -1,5 +1,8 @@
 import React, { useState, useRef, useEffect } from 'react';
-import { Camera, RefreshCw, Download } from 'lucide-react';
+import { Camera, RefreshCw, Download, Save } from 'lucide-react';
+import { saveTranslationRecord } from '../services/historyService';
+import { useAuth } from '../context/AuthContext';
+import { clientLogger } from '../services/clientLogger';
 
 const ASLTranslationScreen = () => {
   const videoRef = useRef(null);
@@ -7,6 +10,9 @@ const ASLTranslationScreen = () => {
   const [isStreaming, setIsStreaming] = useState(false);
   const [translations, setTranslations] = useState([]);
   const [error, setError] = useState(null);
+  const [isSaved, setIsSaved] = useState(false);
+  const [frameCount, setFrameCount] = useState(0); // frames captured since the camera started
+  const { user } = useAuth();
 
   const startCamera = async () => {
     try {
@@ -17,11 +23,13 @@ const ASLTranslationScreen = () => {
       if (videoRef.current) {
         videoRef.current.srcObject = stream;
         setIsStreaming(true);
+        setIsSaved(false);
+        setFrameCount(0);
         setError(null);
       }
     } catch (err) {
       setError('Unable to access camera. Please ensure you have granted camera permissions.');
-      console.error('Camera error:', err);
+      clientLogger.error('Camera error', { error: err });
     }
   };
 
@@ -47,6 +55,7 @@ const ASLTranslationScreen = () => {
         context.drawImage(videoRef.current, 0, 0, 640, 480);
         const mockTranslation = 'Sample ASL translation';
         setTranslations(prev => [mockTranslation, ...prev].slice(0, 50));
+        setFrameCount(prev => prev + 1);
       }
     }
   };
@@ -61,6 +70,25 @@ const ASLTranslationScreen = () => {
     };
   }, [isStreaming]);
 
+  // Saves the session's translations to the profile history as an 'asl' record (ASL -> English)
+  const handleSaveToProfile = async () => {
+    if (translations.length === 0 || isSaved) return;
+    setError(null);
+    try {
+      await saveTranslationRecord(user, {
+        type: 'asl',
+        fromLang: 'ase',
+        toLang: 'en',
+        originalText: `ASL camera session (${frameCount} frames)`,
+        translatedText: [...translations].reverse().join('\n'),
+        sourceMeta: { frameCount },
+      });
+      setIsSaved(true);
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
   return (
     <div className="min-h-screen bg-gradient-to-br from-blue-50 to-indigo-50 dark:from-gray-900 dark:to-indigo-900 p-6">
       <div className="max-w-6xl mx-auto">
@@ -134,6 +162,14 @@ const ASLTranslationScreen = () => {
                 <Download className="w-4 h-4" />
                 <span>Save</span>
               </button>
+              <button
+                onClick={handleSaveToProfile}
+                disabled={isSaved || translations.length === 0}
+                className="flex items-center space-x-2 px-3 py-1 bg-gray-100 dark:bg-gray-700 rounded-lg hover:bg-gray-200 dark:hover:bg-gray-600 disabled:opacity-50"
+              >
+                <Save className="w-4 h-4" />
+                <span>{isSaved ? 'Saved' : 'Save to Profile'}</span>
+              </button>
             </div>
             <div className="h-[600px] overflow-y-auto">
               {translations.length > 0 ? (
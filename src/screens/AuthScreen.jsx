@@ -1,11 +1,17 @@
 /*
 This screen component serves as our login and registration for TranslationHub 
 it allows users to sign in, sign up or continue as a guest, with built-in validation, loading states and error handling
+also requests password reset links and sets the new password when opened from that link (/reset-password?token=...)
+and verifies new accounts (or a changed email) from the emailed verification link (/verify-email?token=...)
 */
 
 import React, { useState, useEffect } from 'react';
+import { useSearchParams, useLocation } from 'react-router-dom'; // reads the token of the emailed reset / verification links
 import { useAuth } from '../context/AuthContext'; // used to access auth functions like signIn, signUp, user
+import { clearAuthSession, saveAuthSession } from '../services/authStorage';
 import { ExternalLink, X } from 'lucide-react'; // used for the "continue as guest" button, X = close button
+import { clientLogger } from '../services/clientLogger';
+import { validateEmail, validatePassword, PASSWORD_RULES } from '../services/validation'; // the same rules as the API
 
 /*
 OnCancel = called when the user cancels the login/register
@@ -13,14 +19,24 @@ onSuccess = called after a successful login (to close modal and refresh profile)
 */
 // State Management
 const AuthScreen = ({ onCancel, onSuccess }) => {
+  const [searchParams] = useSearchParams();
+  const { pathname } = useLocation();
+  const linkToken = searchParams.get('token'); // token of the emailed link this screen was opened from
+  const [view, setView] = useState(() => { // auth (sign in / sign up) | forgot | reset | verify | checkInbox
+    if (linkToken && pathname === '/reset-password') return 'reset';
+    if (linkToken && pathname === '/verify-email') return 'verify';
+    return 'auth';
+  });
   const [isLogin, setIsLogin] = useState(true); // toggle between login and sign-up
   const [email, setEmail] = useState(''); 
   const [password, setPassword] = useState('');
+  const [confirmPassword, setConfirmPassword] = useState(''); // new password confirmation (reset)
+  const [rememberMe, setRememberMe] = useState(false); // keeps the user signed in after closing the browser
   const [loading, setLoading] = useState(false); // disable buttons during api calls
   const [error, setError] = useState(null); // to store/display auth errors
   const [successMessage, setSuccessMessage] = useState(null); // For registration success
   const [signInComplete, setSignInComplete] = useState(false); // Trigger modal close
-  const { signIn, signUp, user } = useAuth(); // tracks the authenticated user from AuthContext
+  const { signIn, signUp, user, setUser, sessionExpired } = useAuth(); // tracks the authenticated user from AuthContext
 
   /*
   Handling Login Completion:
@@ -28,21 +44,15 @@ const AuthScreen = ({ onCancel, onSuccess }) => {
   if user isnt updated immediately it retries after 1 sec
   */
   useEffect(() => {
-    console.log('useEffect triggered, signInComplete:', signInComplete, 'user:', user);
     if (signInComplete && user) {
-      console.log('User state updated, closing modal:', user);
       if (onSuccess) onSuccess(); // Close modal and re-render ProfileScreen
       setSignInComplete(false); // Reset after success
     } else if (signInComplete && !user) {
-      console.log('User state not yet updated, retrying...');
       setTimeout(() => {
-        console.log('Fallback check, user:', user);
         if (user) {
-          console.log('User state updated in fallback, closing modal:', user);
           if (onSuccess) onSuccess();
           setSignInComplete(false);
         } else {
-          console.log('User state still not updated after delay');
           setSignInComplete(false);
           setError('Authentication state not updated. Please try again.');
         }
@@ -50,17 +60,6 @@ const AuthScreen = ({ onCancel, onSuccess }) => {
     }
   }, [signInComplete, user, onSuccess]); // Closes modal when `signInComplete` and `user` are set, with a 1s delay for state propagation. Key for UX—adjust delay if state updates are slow.
 
-  // Email & Password Validation, using regex
-  const validateEmail = (email) => {
-    const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
-    return emailRegex.test(email);
-  };
-
-  const validatePassword = (password) => {
-    const passwordRegex = /^(?=.*[A-Z])(?=.*[!@#$%^&*])(?=.{8,})/;
-    return passwordRegex.test(password);
-  };
-
   /*
   Handling Login & Signup:
   prevents default form submission
@@ -73,7 +72,6 @@ const AuthScreen = ({ onCancel, onSuccess }) => {
     setError(null);
     setSuccessMessage(null);
     setSignInComplete(false);
-    console.log('handleSubmit started, isLogin:', isLogin, 'email:', email);
 
     // Input Validation, ensures fields are filled, format, stops if validation fails
     if (!email || !password) {
@@ -89,7 +87,7 @@ const AuthScreen = ({ onCancel, onSuccess }) => {
     }
 
     if (!isLogin && !validatePassword(password)) {
-      setError('Password must be at least 8 characters long, contain at least one uppercase letter, and one special character.');
+      setError(`${PASSWORD_RULES}.`);
       setLoading(false);
       return;
     } 
@@ -104,39 +102,169 @@ const AuthScreen = ({ onCancel, onSuccess }) => {
     try {
       let result;
       if (isLogin) {
-        console.log('Attempting sign-in with email:', email);
         result = await signIn(email, password, () => {
-          console.log('Sign-in callback triggered, user state:', user);
           setSignInComplete(true); // Set to true to trigger useEffect
-        });
-        console.log('Sign-in result:', result);
+        }, { rememberMe });
         if (!result || !result.success) {
           throw new Error(result?.error || 'Authentication failed');
         }
-        console.log('Sign-in successful, user state:', user);
       } else {
-        sessionStorage.removeItem('authUser');
-        sessionStorage.removeItem('session_id'); sessionStorage.removeItem('authUser');
-        sessionStorage.removeItem('session_id'); // Clears `sessionStorage` before sign-up to avoid stale preferences. Essential for new user setup
-        console.log('Attempting sign-up with email:', email);
+        clearAuthSession(); // Clears the stored login before sign-up to avoid stale preferences. Essential for new user setup
         result = await signUp(email, password);
         if (!result || !result.success) {
           throw new Error(result?.error || 'Authentication failed');
         }
-        setSuccessMessage('Registration successful! Please sign in to continue.');
+        // the account has to be verified first, the email is kept so the link can be resent
+        setView('checkInbox');
         setIsLogin(true);
-        setEmail('');
         setPassword('');
       }
     } catch (err) {
-      console.error('Error in handleSubmit:', err.message);
+      clientLogger.error('Error in handleSubmit', { error: err });
+      if (err.code === 'EMAIL_NOT_VERIFIED') setView('checkInbox');
+      setError(err.message);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  /*
+  Password Reset:
+  forgot = asks the backend to email a reset link, the answer is the same whether the email has an account or not
+  reset = sets the new password with the token from the link (same password rules as sign-up),
+  then returns to sign in, the backend signs out every other session
+  */
+  const handleForgotPassword = async (e) => {
+    e.preventDefault();
+    setError(null);
+    setSuccessMessage(null);
+    if (!validateEmail(email)) {
+      setError('Please enter a valid email address.');
+      return;
+    }
+    setLoading(true);
+    try {
+      const response = await fetch('http://localhost:5000/api/password/forgot', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ email }),
+      });
+      const result = await response.json();
+      if (!response.ok || !result.success) throw new Error(result.error || 'Failed to request a reset link');
+      setSuccessMessage('If an account exists for that email, we sent a link to reset your password. Check your inbox.');
+    } catch (err) {
+      clientLogger.error('Error requesting password reset', { error: err });
+      setError(err.message);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleResetPassword = async (e) => {
+    e.preventDefault();
+    setError(null);
+    setSuccessMessage(null);
+    if (!validatePassword(password)) {
+      setError(`${PASSWORD_RULES}.`);
+      return;
+    }
+    if (password !== confirmPassword) {
+      setError('Passwords do not match.');
+      return;
+    }
+    setLoading(true);
+    try {
+      const response = await fetch('http://localhost:5000/api/password/reset', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ token: linkToken, password }),
+      });
+      const result = await response.json();
+      if (!response.ok || !result.success) throw new Error(result.error || 'Failed to reset password');
+      setSuccessMessage('Your password has been reset. Please sign in with your new password.');
+      setView('auth');
+      setIsLogin(true);
+      setPassword('');
+      setConfirmPassword('');
+    } catch (err) {
+      clientLogger.error('Error resetting password', { error: err });
+      setError(err.message);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  /*
+  Email Verification:
+  verify = opened from the emailed link, verifies the account once on mount and continues to sign in,
+  links confirming a changed email also update the signed-in user on this device
+  checkInbox = shown after sign-up (and for unverified sign-ins), resends the link (rate limited by the backend)
+  */
+  useEffect(() => {
+    if (view !== 'verify') return;
+    const verify = async () => {
+      setLoading(true);
+      try {
+        const response = await fetch('http://localhost:5000/api/email/verify', {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify({ token: linkToken }),
+        });
+        const result = await response.json();
+        if (!response.ok || !result.success) throw new Error(result.error || 'Failed to verify your email');
+        if (result.emailChanged && user) {
+          const updatedUser = { ...user, email: result.email };
+          saveAuthSession(updatedUser);
+          setUser(updatedUser);
+        }
+        setEmail(result.email);
+        setSuccessMessage(result.message);
+        setView('auth');
+        setIsLogin(true);
+      } catch (err) {
+        clientLogger.error('Error verifying email', { error: err });
+        setError(err.message);
+        setView('checkInbox');
+      } finally {
+        setLoading(false);
+      }
+    };
+    verify();
+  }, []); // runs once, the token comes from the link the screen was opened with
+
+  const handleResendVerification = async (e) => {
+    e.preventDefault();
+    setError(null);
+    setSuccessMessage(null);
+    if (!validateEmail(email)) {
+      setError('Please enter a valid email address.');
+      return;
+    }
+    setLoading(true);
+    try {
+      const response = await fetch('http://localhost:5000/api/email/verification/resend', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ email }),
+      });
+      const result = await response.json();
+      if (!response.ok || !result.success) throw new Error(result.error || 'Failed to resend the verification email');
+      setSuccessMessage('A new verification link is on its way. Check your inbox.');
+    } catch (err) {
+      clientLogger.error('Error resending verification email', { error: err });
       setError(err.message);
     } finally {
-      console.log('handleSubmit finally block, loading set to false');
       setLoading(false);
     }
   };
 
+  // switches between sign in, forgot password and reset password, clearing the messages of the previous form
+  const showView = (nextView) => {
+    setView(nextView);
+    setError(null);
+    setSuccessMessage(null);
+  };
+
   const handleContinueAsGuest = () => {
     if (onCancel) {
       onCancel();
@@ -157,13 +285,25 @@ const AuthScreen = ({ onCancel, onSuccess }) => {
 
         <div className="text-center mb-8">
           <h1 className="text-2xl font-bold text-gray-900 dark:text-gray-100">
-            {isLogin ? 'Welcome back' : 'Create account'}
+            {{ forgot: 'Forgot password', reset: 'Choose a new password', verify: 'Verifying your email', checkInbox: 'Check your inbox' }[view]
+              || (isLogin ? 'Welcome back' : 'Create account')}
           </h1>
           <p className="mt-2 text-gray-600 dark:text-gray-400">
-            {isLogin ? 'Sign in to your account' : 'Join TranslationHub today'}
+            {{
+              forgot: "Enter your email and we'll send you a link to reset your password",
+              reset: 'Your new password replaces the old one on every device',
+              verify: 'Just a moment...',
+              checkInbox: 'Verify your email address to activate your account',
+            }[view] || (isLogin ? 'Sign in to your account' : 'Join TranslationHub today')}
           </p>
         </div>
 
+        {sessionExpired && view === 'auth' && isLogin && !error && !successMessage && (
+          <div className="mb-6 p-4 bg-yellow-50 dark:bg-yellow-900/50 text-yellow-700 dark:text-yellow-200 rounded-lg text-sm">
+            Your session has expired or was signed out. Please sign in again.
+          </div>
+        )}
+
         {successMessage && (
           <div className="mb-6 p-4 bg-green-50 dark:bg-green-900/50 text-green-600 dark:text-green-200 rounded-lg text-sm">
             {successMessage}
@@ -176,32 +316,44 @@ const AuthScreen = ({ onCancel, onSuccess }) => {
           </div>
         )}
 
-        <form onSubmit={handleSubmit} className="space-y-6">
-          <div>
-            <label className="block text-sm font-medium text-gray-700 dark:text-gray-300">
-              Email address
-            </label>
-            <input
-              type="email"
-              value={email}
-              onChange={(e) => setEmail(e.target.value)}
-              className="mt-1 block w-full rounded-lg border border-gray-300 dark:border-gray-600 px-3 py-2 bg-white dark:bg-gray-700 text-gray-900 dark:text-gray-100"
-              required
-            />
-          </div>
+        {view === 'forgot' && (
+          <form onSubmit={handleForgotPassword} className="space-y-6">
+            <div>
+              <label className="block text-sm font-medium text-gray-700 dark:text-gray-300">
+                Email address
+              </label>
+              <input
+                type="email"
+                value={email}
+                onChange={(e) => setEmail(e.target.value)}
+                className="mt-1 block w-full rounded-lg border border-gray-300 dark:border-gray-600 px-3 py-2 bg-white dark:bg-gray-700 text-gray-900 dark:text-gray-100"
+                required
+              />
+            </div>
 
-          <div>
-            <label className="block text-sm font-medium text-gray-700 dark:text-gray-300">
-              Password
-            </label>
-            <input
-              type="password"
-              value={password}
-              onChange={(e) => setPassword(e.target.value)}
-              className="mt-1 block w-full rounded-lg border border-gray-300 dark:border-gray-600 px-3 py-2 bg-white dark:bg-gray-700 text-gray-900 dark:text-gray-100"
-              required
-            />
-            {!isLogin && (
+            <button
+              type="submit"
+              disabled={loading}
+              className="w-full py-2 px-4 rounded-lg bg-indigo-600 hover:bg-indigo-700 text-white font-medium"
+            >
+              {loading ? 'Processing...' : 'Send reset link'}
+            </button>
+          </form>
+        )}
+
+        {view === 'reset' && (
+          <form onSubmit={handleResetPassword} className="space-y-6">
+            <div>
+              <label className="block text-sm font-medium text-gray-700 dark:text-gray-300">
+                New password
+              </label>
+              <input
+                type="password"
+                value={password}
+                onChange={(e) => setPassword(e.target.value)}
+                className="mt-1 block w-full rounded-lg border border-gray-300 dark:border-gray-600 px-3 py-2 bg-white dark:bg-gray-700 text-gray-900 dark:text-gray-100"
+                required
+              />
               <div className="mt-2 text-sm text-gray-500 dark:text-gray-400">
                 Password requirements:
                 <ul className="mt-1 list-disc list-inside">
@@ -210,45 +362,171 @@ const AuthScreen = ({ onCancel, onSuccess }) => {
                   <li>At least one special character</li>
                 </ul>
               </div>
-            )}
-          </div>
+            </div>
 
-          <button
-            type="submit"
-            disabled={loading}
-            className="w-full py-2 px-4 rounded-lg bg-indigo-600 hover:bg-indigo-700 text-white font-medium"
-          >
-            {loading ? 'Processing...' : isLogin ? 'Sign in' : 'Create account'}
-          </button>
-        </form>
+            <div>
+              <label className="block text-sm font-medium text-gray-700 dark:text-gray-300">
+                Confirm new password
+              </label>
+              <input
+                type="password"
+                value={confirmPassword}
+                onChange={(e) => setConfirmPassword(e.target.value)}
+                className="mt-1 block w-full rounded-lg border border-gray-300 dark:border-gray-600 px-3 py-2 bg-white dark:bg-gray-700 text-gray-900 dark:text-gray-100"
+                required
+              />
+            </div>
 
-        <div className="mt-6 text-center">
-          <button
-            onClick={() => setIsLogin(!isLogin)}
-            className="text-indigo-600 dark:text-indigo-400 hover:text-indigo-500 text-sm font-medium"
-          >
-            {isLogin ? "Don't have an account? Sign up" : 'Already have an account? Sign in'}
-          </button>
+            <button
+              type="submit"
+              disabled={loading}
+              className="w-full py-2 px-4 rounded-lg bg-indigo-600 hover:bg-indigo-700 text-white font-medium"
+            >
+              {loading ? 'Processing...' : 'Reset password'}
+            </button>
+          </form>
+        )}
 
-          <div className="mt-4 relative">
-            <div className="absolute inset-0 flex items-center">
-              <div className="w-full border-t border-gray-300 dark:border-gray-600" />
-            </div>
-            <div className="relative flex justify-center text-sm">
-              <span className="px-2 bg-white dark:bg-gray-800 text-gray-500">
-                or
-              </span>
+        {view === 'checkInbox' && (
+          <form onSubmit={handleResendVerification} className="space-y-6">
+            <p className="text-sm text-gray-700 dark:text-gray-300">
+              {email
+                ? <>We sent a verification link to <strong>{email}</strong>. Open it to activate your account, then sign in.</>
+                : 'Open the verification link we emailed you to activate your account, then sign in.'}
+              {' '}Didn't get it? Check your spam folder or send a new link.
+            </p>
+            <div>
+              <label className="block text-sm font-medium text-gray-700 dark:text-gray-300">
+                Email address
+              </label>
+              <input
+                type="email"
+                value={email}
+                onChange={(e) => setEmail(e.target.value)}
+                className="mt-1 block w-full rounded-lg border border-gray-300 dark:border-gray-600 px-3 py-2 bg-white dark:bg-gray-700 text-gray-900 dark:text-gray-100"
+                required
+              />
             </div>
+
+            <button
+              type="submit"
+              disabled={loading}
+              className="w-full py-2 px-4 rounded-lg bg-indigo-600 hover:bg-indigo-700 text-white font-medium"
+            >
+              {loading ? 'Processing...' : 'Resend verification email'}
+            </button>
+          </form>
+        )}
+
+        {view !== 'auth' && view !== 'verify' && (
+          <div className="mt-6 text-center">
+            <button
+              onClick={() => showView('auth')}
+              className="text-indigo-600 dark:text-indigo-400 hover:text-indigo-500 text-sm font-medium"
+            >
+              Back to sign in
+            </button>
           </div>
+        )}
 
-          <button
-            onClick={handleContinueAsGuest}
-            className="mt-4 w-full flex items-center justify-center space-x-2 px-4 py-2 border border-gray-300 dark:border-gray-600 rounded-lg text-gray-700 dark:text-gray-300 hover:bg-gray-50 dark:hover:bg-gray-700"
-          >
-            <ExternalLink className="w-4 h-4" />
-            <span>Continue as Guest</span>
-          </button>
-        </div>
+        {view === 'auth' && (
+          <>
+            <form onSubmit={handleSubmit} className="space-y-6">
+              <div>
+                <label className="block text-sm font-medium text-gray-700 dark:text-gray-300">
+                  Email address
+                </label>
+                <input
+                  type="email"
+                  value={email}
+                  onChange={(e) => setEmail(e.target.value)}
+                  className="mt-1 block w-full rounded-lg border border-gray-300 dark:border-gray-600 px-3 py-2 bg-white dark:bg-gray-700 text-gray-900 dark:text-gray-100"
+                  required
+                />
+              </div>
+
+              <div>
+                <label className="block text-sm font-medium text-gray-700 dark:text-gray-300">
+                  Password
+                </label>
+                <input
+                  type="password"
+                  value={password}
+                  onChange={(e) => setPassword(e.target.value)}
+                  className="mt-1 block w-full rounded-lg border border-gray-300 dark:border-gray-600 px-3 py-2 bg-white dark:bg-gray-700 text-gray-900 dark:text-gray-100"
+                  required
+                />
+                {!isLogin && (
+                  <div className="mt-2 text-sm text-gray-500 dark:text-gray-400">
+                    Password requirements:
+                    <ul className="mt-1 list-disc list-inside">
+                      <li>At least 8 characters</li>
+                      <li>At least one uppercase letter</li>
+                      <li>At least one special character</li>
+                    </ul>
+                  </div>
+                )}
+              </div>
+
+              {isLogin && (
+                <div className="flex items-center justify-between">
+                  <label className="flex items-center space-x-2 text-sm text-gray-700 dark:text-gray-300">
+                    <input
+                      type="checkbox"
+                      checked={rememberMe}
+                      onChange={(e) => setRememberMe(e.target.checked)}
+                      className="rounded border-gray-300 text-indigo-600"
+                    />
+                    <span>Remember me</span>
+                  </label>
+                  <button
+                    type="button"
+                    onClick={() => showView('forgot')}
+                    className="text-indigo-600 dark:text-indigo-400 hover:text-indigo-500 text-sm font-medium"
+                  >
+                    Forgot password?
+                  </button>
+                </div>
+              )}
+
+              <button
+                type="submit"
+                disabled={loading}
+                className="w-full py-2 px-4 rounded-lg bg-indigo-600 hover:bg-indigo-700 text-white font-medium"
+              >
+                {loading ? 'Processing...' : isLogin ? 'Sign in' : 'Create account'}
+              </button>
+            </form>
+
+            <div className="mt-6 text-center">
+              <button
+                onClick={() => setIsLogin(!isLogin)}
+                className="text-indigo-600 dark:text-indigo-400 hover:text-indigo-500 text-sm font-medium"
+              >
+                {isLogin ? "Don't have an account? Sign up" : 'Already have an account? Sign in'}
+              </button>
+
+              <div className="mt-4 relative">
+                <div className="absolute inset-0 flex items-center">
+                  <div className="w-full border-t border-gray-300 dark:border-gray-600" />
+                </div>
+                <div className="relative flex justify-center text-sm">
+                  <span className="px-2 bg-white dark:bg-gray-800 text-gray-500">
+                    or
+                  </span>
+                </div>
+              </div>
+
+              <button
+                onClick={handleContinueAsGuest}
+                className="mt-4 w-full flex items-center justify-center space-x-2 px-4 py-2 border border-gray-300 dark:border-gray-600 rounded-lg text-gray-700 dark:text-gray-300 hover:bg-gray-50 dark:hover:bg-gray-700"
+              >
+                <ExternalLink className="w-4 h-4" />
+                <span>Continue as Guest</span>
+              </button>
+            </div>
+          </>
+        )}
       </div>
     </div>
   );
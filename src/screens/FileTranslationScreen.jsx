@@ -1,42 +1,160 @@
 /*
 FileTranslationScreen is a react component that provides a file translation interface for users
-allowing them to upload a file .pdf, .doc, .docx, selecting a target language for translation,
-translating the files content using google api and downloading the translated file as .docx or .txt
-guest users are limited to 10 translations
+allowing them to upload a file .pdf, .docx or .txt, selecting a target language for translation,
+uploading it to our backend (/api/files) which extracts the text and translates it in a background job,
+following the job's progress (progress bar, cancel & retry) until the translated file can be downloaded
+(.docx for word documents, .txt otherwise) from the backend
+file translations count against the daily file & character quota enforced by the backend (guests get 10 files a day)
+recent jobs (the user's, or this device's for guests) are listed below, the backend keeps them for a day
 */
 
 // Imports & Dependencies
 import React, { useState, useCallback, useEffect } from 'react';
 import { useDropzone } from 'react-dropzone'; // handles drag & drop file uploads
-import { FileText, Upload, Download } from 'lucide-react';
+import { FileText, Upload, Download, Save, Trash2, XCircle, RotateCcw } from 'lucide-react';
 import LanguageSearch from '../components/LanguageSearch';
+import {
+  translateFile,
+  fetchFileContent,
+  downloadTranslatedFile,
+  deleteFile,
+  fetchJobs,
+  followJob,
+  cancelJob,
+  retryJob,
+  isFinishedJob,
+  fetchQuota,
+  DEFAULT_PROVIDER,
+} from '../services/translationService'; // file translation jobs on our backend, remaining quota
+import { saveTranslationRecord } from '../services/historyService'; // saves to the db for users, localStorage for guests
 import { useAuth } from '../context/AuthContext'; // for user status
-import { getDocument } from 'pdfjs-dist'; // Browser-compatible PDF parsing, extracts text from pdfs
-import { Document, Packer, Paragraph, TextRun } from 'docx'; // .docx generation for downloads
-import mammoth from 'mammoth'; // For DOC/DOCX files text extraction
+import QuotaStatus from '../components/QuotaStatus';
+import { clientLogger } from '../services/clientLogger';
+
+const RECENT_JOBS_REFRESH_MS = 3000; // while a listed job other than the followed one is still running
+
+const JOB_STATUS_LABELS = {
+  queued: 'Queued',
+  running: 'Translating',
+  completed: 'Completed',
+  failed: 'Failed',
+  cancelled: 'Cancelled',
+};
+
+// ProgressBar: the progress (0-100) of a job
+const ProgressBar = ({ value }) => (
+  <div className="w-full h-2 bg-gray-200 dark:bg-gray-600 rounded-full overflow-hidden">
+    <div className="h-full bg-indigo-600 transition-all duration-300" style={{ width: `${value}%` }} />
+  </div>
+);
 
 // State Management
 const FileTranslationScreen = () => {
-  const { user } = useAuth(); // track if a user is logged in or if its a guest user for limits
+  const { user } = useAuth(); // track if a user is logged in or if its a guest user
   const [file, setFile] = useState(null); // to store uploaded file
   const [translatedText, setTranslatedText] = useState(null); // holds translated content after processing
+  const [translatedFile, setTranslatedFile] = useState(null); // the backend's record of the translated file, used to download it
+  const [activeJob, setActiveJob] = useState(null); // the translation job followed on screen (progress bar)
+  const [recentJobs, setRecentJobs] = useState([]); // the user's (or this device's) jobs kept by the backend
   const [toLang, setToLang] = useState('');
-  const [loading, setLoading] = useState(false); // tracks translation process
+  const [loading, setLoading] = useState(false); // tracks the upload
   const [error, setError] = useState(null); 
+  const [appliedGlossaryTerms, setAppliedGlossaryTerms] = useState([]); // glossary terms enforced in the translation
+  const [translationDetails, setTranslationDetails] = useState(null); // original text, detected language, provider & page count of the last translation
+  const [isSaved, setIsSaved] = useState(false); // tracks if the translation has been saved
+  const [quota, setQuota] = useState(null); // remaining daily quota from the backend
 
   /*
-  Enforcing Guest Translation Limits:
-  loads and checks translated file count from localStorage for guests only
+  Loading the Remaining Quota:
+  the backend enforces the daily file & character quota (guests per device and IP),
+  reloaded when the user signs in or out
   */
   useEffect(() => {
-    if (!user) {
-      const translatedFiles = JSON.parse(localStorage.getItem('translatedFiles') || '[]');
-      if (translatedFiles.length > 10) {
-        setError('Guest limit reached: Maximum 10 file translations.');
+    fetchQuota()
+      .then(setQuota)
+      .catch(err => clientLogger.error('Error loading quota', { error: err }));
+  }, [user]);
+
+  // Loading the Recent Jobs, the backend lists the user's jobs, or this device's for guests
+  const loadRecentJobs = useCallback(() => {
+    fetchJobs()
+      .then(setRecentJobs)
+      .catch(err => clientLogger.error('Error loading jobs', { error: err }));
+  }, []);
+
+  useEffect(() => {
+    loadRecentJobs();
+  }, [loadRecentJobs, user]);
+
+  // refreshes the list while one of its jobs (not followed on screen) is still queued or running
+  const activeJobRunning = Boolean(activeJob) && !isFinishedJob(activeJob);
+  const hasOtherUnfinishedJobs = recentJobs.some(job => job.id !== activeJob?.id && !isFinishedJob(job));
+  useEffect(() => {
+    if (!hasOtherUnfinishedJobs) return undefined;
+    const timer = setInterval(loadRecentJobs, RECENT_JOBS_REFRESH_MS);
+    return () => clearInterval(timer);
+  }, [hasOtherUnfinishedJobs, loadRecentJobs]);
+
+  /*
+  Showing a Finished Job:
+  a completed job's texts come from the backend (for the preview, glossary notice and saving to the history),
+  a failed one shows its error, failed and cancelled jobs give their quota back so it is reloaded
+  */
+  const showJobResult = useCallback(async (job) => {
+    if (job.status === 'completed') {
+      try {
+        const content = await fetchFileContent(job.file_id);
+        setTranslatedText(content.translatedText);
+        setTranslatedFile(content.file);
+        setAppliedGlossaryTerms(content.appliedGlossaryTerms || []);
+        setTranslationDetails({
+          originalText: content.originalText,
+          fromLang: content.file.from_lang || 'auto',
+          provider: content.file.provider || null,
+          pageCount: content.file.page_count,
+        });
+      } catch (err) {
+        clientLogger.error('Error loading translated file', { error: err });
+        setError(`Failed to load the translation: ${err.response?.data?.error || err.message}`);
       }
+      return;
     }
-    // Registered users have unlimited translations, no limit check needed
-  }, [user]);
+    if (job.status === 'failed') setError(`Failed to translate file: ${job.error || 'Translation failed'}`);
+    fetchQuota()
+      .then(setQuota)
+      .catch(err => clientLogger.error('Error loading quota', { error: err }));
+  }, []);
+
+  /*
+  Following the Active Job:
+  progress arrives from the backend (Server-Sent Events, or polling as a fallback),
+  the job is updated in the recent list too, following stops once it is finished or the screen is left
+  */
+  const activeJobId = activeJob?.id;
+  useEffect(() => {
+    if (!activeJobId) return undefined;
+    return followJob(activeJobId, {
+      onUpdate: (job) => {
+        setActiveJob(job);
+        setRecentJobs(jobs => jobs.map(listed => (listed.id === job.id ? job : listed)));
+        if (isFinishedJob(job)) showJobResult(job);
+      },
+      onError: (err) => {
+        clientLogger.error('Error following job', { error: err });
+        setError(`Lost track of the translation: ${err.response?.data?.error || err.message}`);
+      },
+    });
+  }, [activeJobId, showJobResult]);
+
+  // clears the result of the previous translation
+  const resetResult = () => {
+    setTranslatedText(null);
+    setTranslatedFile(null);
+    setAppliedGlossaryTerms([]);
+    setTranslationDetails(null);
+    setIsSaved(false);
+    setError(null);
+  };
 
   /*
   Handling File Uploads:
@@ -46,66 +164,28 @@ const FileTranslationScreen = () => {
   const onDrop = useCallback((acceptedFiles) => {
     if (acceptedFiles.length > 0) {
       setFile(acceptedFiles[0]);
-      setTranslatedText(null);
-      setError(null);
+      setActiveJob(null);
+      resetResult();
     }
   }, []);
 
-  // Supports PDF/DOC/DOCX 
+  // Supports PDF/DOCX/TXT, the backend checks the file again (type, content and size)
   const { getRootProps, getInputProps, isDragActive } = useDropzone({
     onDrop,
+    onDropRejected: () => setError('Unsupported file, please upload a PDF, DOCX or TXT file (save .doc files as .docx).'),
     accept: {
       'application/pdf': ['.pdf'],
-      'application/msword': ['.doc'],
       'application/vnd.openxmlformats-officedocument.wordprocessingml.document': ['.docx'],
+      'text/plain': ['.txt'],
     },
     maxFiles: 1,
   });
 
-  // Extracting Text from Files using `pdfjs-dist` or `mammoth`.  currently Limits to first PDF page, for multi page support need to change code
-  const extractTextFromFile = async (file) => {
-    let fileType;
-    const extension = file.name.split('.').pop().toLowerCase();
-    const mimeType = file.type;
-    // Processing PDFs
-    if (mimeType === 'application/pdf' || extension === 'pdf') {
-      fileType = 'pdf';
-    } else if (
-      mimeType === 'application/msword' ||
-      mimeType === 'application/vnd.openxmlformats-officedocument.wordprocessingml.document' ||
-      extension === 'doc' ||
-      extension === 'docx'
-    ) {
-      fileType = extension === 'doc' ? 'doc' : 'docx';
-    } else {
-      throw new Error('Unsupported file format');
-    }
-
-    let text = '';
-
-    try {
-      const arrayBuffer = await file.arrayBuffer();
-      if (fileType === 'pdf') {
-        const pdf = await getDocument({ data: new Uint8Array(arrayBuffer) }).promise;
-        const page = await pdf.getPage(1); // get the first page for testing simplicity
-        const textContent = await page.getTextContent();
-        text = textContent.items.map(item => item.str).join(' ');
-      } else if (fileType === 'docx' || fileType === 'doc') { // uses mammoth to extract text from word docs
-        const docxData = await mammoth.extractRawText({ arrayBuffer });
-        text = docxData.value;
-      } else {
-        throw new Error('Unsupported file format');
-      }
-      return text.trim();
-    } catch (err) {
-      throw new Error(`Failed to extract text: ${err.message}`);
-    }
-  };
-
   /*
   Handling Translation:
-  ensures a file and target language are selected
-  checks guest user, enforcing 10-file translation limits
+  ensures a file and target language are selected, uploads the file to the backend
+  which extracts the text of every page and queues its translation, the job is then followed on screen.
+  the backend counts the file and its characters against the daily quota (429 once it is reached)
   */
   const handleTranslate = async () => {
     if (!file || !toLang) {
@@ -113,105 +193,116 @@ const FileTranslationScreen = () => {
       return;
     }
 
-    // Check limit only for guests
-    if (!user) {
-      const translatedFiles = JSON.parse(localStorage.getItem('translatedFiles') || '[]');
-      if (translatedFiles.length >= 10) {
-        setError('Guest limit reached: Maximum 10 file translations.');
-        return; 
+    setLoading(true);
+    resetResult();
+    try { // Uploading the file to our backend, omitting source to enable auto-detection
+      const result = await translateFile(file, toLang, 'auto', DEFAULT_PROVIDER);
+      setActiveJob(result.job);
+      setRecentJobs(jobs => [result.job, ...jobs]);
+      if (result.quota) setQuota(result.quota);
+    } catch (error) {
+      // Handling API errors, 429 is our quota (with its quota) or the provider's rate limit, the proxy forwards provider statuses like 409 conflict
+      clientLogger.error('Translation error', { error });
+      const status = error.response?.status;
+      if (error.response?.data?.quota) setQuota(error.response.data.quota);
+      if (status === 429 && error.response.data?.code) {
+        setError(`Failed to translate file: ${error.response.data.error}`);
+      } else if (status === 409) {
+        setError('Failed to translate file: Translation failed: API returned a 409 Conflict. Check API key, quota, or project configuration.');
+      } else if (status === 429) {
+        setError('Failed to translate file: Translation failed: Rate limit exceeded. Please try again later or check your API quota.');
+      } else {
+        setError(`Failed to translate file: ${error.response?.data?.error || error.message}`);
       }
+    } finally {
+      setLoading(false);
     }
+  };
 
-    setLoading(true);
+  // Cancelling a queued or running job, the backend gives its quota back
+  const handleCancelJob = async (job) => {
     setError(null);
-    try { // Sending the text to google translate api
-      const apiKey = import.meta.env.VITE_GOOGLE_TRANSLATE_API_KEY;
-      const originalText = await extractTextFromFile(file);
-
-      // Log the input for debugging
-      console.log('Original Text:', originalText);
-      console.log('Target Language:', toLang);
-
-      // Use query parameters for the v2 API, omitting source to enable auto-detection
-      const response = await fetch(
-        `https://translation.googleapis.com/language/translate/v2?key=${apiKey}&q=${encodeURIComponent(originalText)}&target=${toLang}`,
-        {
-          method: 'POST',
-          headers: {
-            'Content-Type': 'application/json',
-          },
-        }
-      );
-      // Handling API errors, common errors like 409 conflict, 429 rate limit, logs response for debugging
-      if (!response.ok) {
-        const errorText = await response.text();
-        console.error('API Response Error:', response.status, errorText);
-        if (response.status === 409) {
-          throw new Error('Translation failed: API returned a 409 Conflict. Check API key, quota, or project configuration.');
-        } else if (response.status === 429) {
-          throw new Error('Translation failed: Rate limit exceeded. Please try again later or check your API quota.');
-        }
-        throw new Error(`Translation failed: ${response.status} - ${errorText}`);
-      }
+    try {
+      const cancelled = await cancelJob(job.id);
+      setRecentJobs(jobs => jobs.map(listed => (listed.id === cancelled.id ? cancelled : listed)));
+      setQuota(await fetchQuota());
+    } catch (error) {
+      setError(`Failed to cancel the translation: ${error.response?.data?.error || error.message}`);
+    }
+  };
 
-      const result = await response.json();
-      if (!result.data || !result.data.translations || !result.data.translations[0]) {
-        throw new Error('Translation failed: Invalid response from API');
-      }
-      const translatedContent = result.data.translations[0].translatedText;
-      setTranslatedText(translatedContent);
-
-      // Save translation count for guest users
-      if (!user) {
-        const translatedFiles = JSON.parse(localStorage.getItem('translatedFiles') || '[]');
-        translatedFiles.push({ id: Date.now().toString(), fileName: file.name, timestamp: new Date() });
-        localStorage.setItem('translatedFiles', JSON.stringify(translatedFiles));
-      }
+  // Retrying a failed or cancelled job, it is followed on screen like a new upload
+  const handleRetryJob = async (job) => {
+    resetResult();
+    try {
+      const result = await retryJob(job.id);
+      setRecentJobs(jobs => jobs.map(listed => (listed.id === result.job.id ? result.job : listed)));
+      setActiveJob(result.job);
+      if (result.quota) setQuota(result.quota);
     } catch (error) {
-      console.error('Translation error:', error);
-      setError(`Failed to translate file: ${error.message}`);
-    } finally {
-      setLoading(false);
+      if (error.response?.data?.quota) setQuota(error.response.data.quota);
+      setError(`Failed to retry the translation: ${error.response?.data?.error || error.message}`);
     }
   };
 
-  // Downloading Translated Files, .docx with proper formatting, .txt for pdfs and unsupported formats
-  const handleDownload = () => {
-    if (!translatedText) return;
-
-    const extension = file.name.split('.').pop().toLowerCase();
-    if (extension === 'docx' || extension === 'doc') {
-      // Generate a .docx file with basic formatting
-      const paragraphs = translatedText.split('\n').map(line => new Paragraph({
-        children: [new TextRun(line || ' ')], // Ensure empty lines are handled
-      }));
-      const doc = new Document({
-        sections: [{
-          properties: {},
-          children: paragraphs,
-        }],
+  /*
+  Saving Translations:
+  saves the file translation to the profile history (db for logged-in users, localStorage for guests)
+  together with the details of the translated file (name, size, type, page count)
+  */
+  const handleSaveTranslation = async () => {
+    if (!translatedText || !translationDetails || !translatedFile || isSaved) return;
+    setError(null);
+    try {
+      await saveTranslationRecord(user, {
+        type: 'file',
+        fromLang: translationDetails.fromLang,
+        toLang: translatedFile.to_lang,
+        originalText: translationDetails.originalText,
+        translatedText,
+        sourceMeta: {
+          fileName: translatedFile.original_name,
+          fileSize: translatedFile.size_bytes,
+          mimeType: translatedFile.mime_type,
+          pageCount: translationDetails.pageCount,
+        },
+        provider: translationDetails.provider,
       });
+      setIsSaved(true);
+      alert('Translation saved successfully!');
+    } catch (err) {
+      setError(err.message);
+    }
+  };
 
-      Packer.toBlob(doc).then(blob => {
-        const url = URL.createObjectURL(blob);
-        const link = document.createElement('a');
-        link.href = url;
-        link.download = `translated_${file.name.split('.').slice(0, -1).join('.')}.docx`;
-        link.click();
-        URL.revokeObjectURL(url);
-      }).catch(error => {
-        console.error('Error generating .docx:', error);
-        setError(`Failed to generate .docx file: ${error.message}`);
-      });
-    } else {
-      // Default to .txt for PDF and other unsupported formats
-      const blob = new Blob([translatedText], { type: 'text/plain' });
-      const url = URL.createObjectURL(blob);
-      const link = document.createElement('a');
-      link.href = url;
-      link.download = `translated_${file.name.split('.').slice(0, -1).join('.')}.txt`;
-      link.click();
-      URL.revokeObjectURL(url);
+  // Downloading Translated Files from the backend, .docx for word documents, .txt for pdfs and text files
+  const handleDownload = async (record = translatedFile) => {
+    if (!record) return;
+    setError(null);
+    try {
+      await downloadTranslatedFile(record);
+    } catch (error) {
+      clientLogger.error('Error downloading file', { error });
+      const status = error.response?.status;
+      setError(status === 404 || status === 410
+        ? 'Failed to download file: it is no longer available, please translate it again.'
+        : `Failed to download file: ${error.message}`);
+    }
+  };
+
+  // the download of a completed job from the recent list
+  const jobDownload = (job) => ({ id: job.file_id, output_name: job.payload.outputName });
+
+  // Deleting a recent job removes its upload and translation from the backend
+  const handleDeleteJob = async (job) => {
+    setError(null);
+    try {
+      await deleteFile(job.file_id);
+      if (translatedFile?.id === job.file_id) setTranslatedFile(null);
+      if (activeJob?.id === job.id) setActiveJob(null);
+      setRecentJobs(jobs => jobs.filter(listed => listed.id !== job.id));
+    } catch (error) {
+      setError(`Failed to delete file: ${error.response?.data?.error || error.message}`);
     }
   };
 
@@ -225,6 +316,7 @@ const FileTranslationScreen = () => {
                 value={toLang}
                 onChange={setToLang}
                 placeholder="Select target language"
+                mode="target"
               />
             </div>
           </div>
@@ -245,7 +337,7 @@ const FileTranslationScreen = () => {
                 : 'Drag & drop a file here, or click to select'}
             </p>
             <p className="text-sm text-gray-500 dark:text-gray-400 mt-2">
-              Supported formats: PDF, DOC, DOCX
+              Supported formats: PDF, DOCX, TXT
             </p>
           </div>
 
@@ -258,33 +350,144 @@ const FileTranslationScreen = () => {
                 </div>
                 <button
                   onClick={handleTranslate}
-                  disabled={loading}
+                  disabled={loading || activeJobRunning}
                   className={`flex items-center space-x-2 px-4 py-2 rounded-lg text-white ${
-                    loading ? 'bg-gray-400 cursor-not-allowed' : 'bg-indigo-600 hover:bg-indigo-700'
+                    loading || activeJobRunning ? 'bg-gray-400 cursor-not-allowed' : 'bg-indigo-600 hover:bg-indigo-700'
                   }`}
                 >
                   <Upload className="w-4 h-4" />
-                  <span>{loading ? 'Translating...' : 'Translate'}</span>
+                  <span>{loading ? 'Uploading...' : 'Translate'}</span>
                 </button>
               </div>
             </div>
           )}
 
+          {activeJob && (
+            <div className="mt-4 p-4 bg-gray-50 dark:bg-gray-700 rounded-lg">
+              <div className="flex items-center justify-between mb-2 text-sm text-gray-700 dark:text-gray-300">
+                <span>
+                  {JOB_STATUS_LABELS[activeJob.status]} {activeJob.payload.originalName}
+                  {activeJob.status === 'running' && activeJob.progress_total
+                    && ` (part ${Math.min(activeJob.progress_done + 1, activeJob.progress_total)} of ${activeJob.progress_total})`}
+                </span>
+                <div className="flex items-center space-x-2">
+                  <span>{activeJob.progress}%</span>
+                  {activeJobRunning && (
+                    <button
+                      onClick={() => handleCancelJob(activeJob)}
+                      className="p-1 hover:bg-gray-200 dark:hover:bg-gray-600 rounded-lg"
+                      title="Cancel"
+                    >
+                      <XCircle className="w-4 h-4 text-red-600" />
+                    </button>
+                  )}
+                </div>
+              </div>
+              <ProgressBar value={activeJob.progress} />
+            </div>
+          )}
+
+          <QuotaStatus quota={quota} showFiles />
+
           {error && (
             <div className="mt-4 p-3 bg-red-50 dark:bg-red-900/50 text-red-600 dark:text-red-200 rounded-lg">
               {error}
             </div>
           )}
 
+          {appliedGlossaryTerms.length > 0 && (
+            <div className="mt-4 p-3 bg-indigo-50 dark:bg-indigo-900/50 text-indigo-700 dark:text-indigo-200 rounded-lg text-sm">
+              <strong>Glossary terms applied:</strong>{' '}
+              {appliedGlossaryTerms.map(term => `${term.sourceTerm} → ${term.targetTerm}`).join(', ')}
+            </div>
+          )}
+
           {translatedText && (
-            <div className="mt-6">
+            <div className="mt-6 flex justify-center space-x-4">
               <button
-                onClick={handleDownload}
-                className="flex items-center space-x-2 px-4 py-2 bg-green-600 text-white rounded-lg hover:bg-green-700 mx-auto"
+                onClick={() => handleDownload()}
+                disabled={!translatedFile}
+                className="flex items-center space-x-2 px-4 py-2 bg-green-600 text-white rounded-lg hover:bg-green-700"
               >
                 <Download className="w-4 h-4" />
                 <span>Download Translated File</span>
               </button>
+              <button
+                onClick={handleSaveTranslation}
+                disabled={isSaved}
+                className={`flex items-center space-x-2 px-4 py-2 rounded-lg text-white ${
+                  isSaved ? 'bg-gray-400 cursor-not-allowed' : 'bg-indigo-600 hover:bg-indigo-700'
+                }`}
+              >
+                <Save className="w-4 h-4" />
+                <span>{isSaved ? 'Saved' : 'Save Translation'}</span>
+              </button>
+            </div>
+          )}
+
+          {recentJobs.length > 0 && (
+            <div className="mt-8">
+              <h3 className="text-lg font-semibold text-gray-900 dark:text-gray-100 mb-3">Recent jobs</h3>
+              <div className="space-y-2">
+                {recentJobs.map(job => (
+                  <div key={job.id} className="p-3 bg-gray-100 dark:bg-gray-700 rounded-lg">
+                    <div className="flex items-center justify-between">
+                      <div className="flex items-center space-x-3">
+                        <FileText className="w-5 h-5 text-gray-500 dark:text-gray-300" />
+                        <div>
+                          <p className="text-gray-900 dark:text-gray-100">{job.payload.originalName}</p>
+                          <p className="text-sm text-gray-500 dark:text-gray-400">
+                            → {job.payload.targetLang} · {new Date(job.created_at).toLocaleString()} · {JOB_STATUS_LABELS[job.status]}
+                            {job.status === 'running' && ` ${job.progress}%`}
+                            {job.status === 'failed' && job.error && `: ${job.error}`}
+                          </p>
+                        </div>
+                      </div>
+                      <div className="flex items-center space-x-2">
+                        {job.status === 'completed' && (
+                          <button
+                            onClick={() => handleDownload(jobDownload(job))}
+                            className="p-2 hover:bg-gray-200 dark:hover:bg-gray-600 rounded-lg"
+                            title="Download"
+                          >
+                            <Download className="w-4 h-4 text-green-600" />
+                          </button>
+                        )}
+                        {!isFinishedJob(job) && (
+                          <button
+                            onClick={() => handleCancelJob(job)}
+                            className="p-2 hover:bg-gray-200 dark:hover:bg-gray-600 rounded-lg"
+                            title="Cancel"
+                          >
+                            <XCircle className="w-4 h-4 text-red-600" />
+                          </button>
+                        )}
+                        {(job.status === 'failed' || job.status === 'cancelled') && (
+                          <button
+                            onClick={() => handleRetryJob(job)}
+                            className="p-2 hover:bg-gray-200 dark:hover:bg-gray-600 rounded-lg"
+                            title="Retry"
+                          >
+                            <RotateCcw className="w-4 h-4 text-indigo-600" />
+                          </button>
+                        )}
+                        <button
+                          onClick={() => handleDeleteJob(job)}
+                          className="p-2 hover:bg-gray-200 dark:hover:bg-gray-600 rounded-lg"
+                          title="Delete"
+                        >
+                          <Trash2 className="w-4 h-4 text-red-600" />
+                        </button>
+                      </div>
+                    </div>
+                    {!isFinishedJob(job) && (
+                      <div className="mt-2">
+                        <ProgressBar value={job.progress} />
+                      </div>
+                    )}
+                  </div>
+                ))}
+              </div>
             </div>
           )}
         </div>
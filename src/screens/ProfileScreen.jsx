@@ -1,15 +1,41 @@
 /*
 This screen component serves as the user profile screen (both logged in and guests)
 it allows the users to view profile details, set & save default language preferences for future translations
-view translation history
+view translation history (edit, favorite, trash & restore entries), manage their glossary, import translation memory and manage their account (signed-in users)
 register, sign-in through AuthScreen and sign out in profile
 */
 
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useRef } from 'react';
 import { useNavigate } from 'react-router-dom'; // handles redirection after logout
 import { useAuth } from '../context/AuthContext'; // for user, signOut, sessionId, setUser
 import AuthScreen from './AuthScreen'; // accessing our register/sign-in screen, only available in profile page
 import LanguageSearch from '../components/LanguageSearch';
+import { Star, Pencil, Trash2, RotateCcw, Check, X, Download } from 'lucide-react'; // history card actions
+import { EXPORT_FORMATS, exportTranslations, exportFileName } from '../services/translationExport'; // CSV, JSON, TMX & XLIFF files
+import GlossaryPanel from '../components/GlossaryPanel'; // glossary management, signed-in users only
+import TranslationMemoryPanel from '../components/TranslationMemoryPanel'; // TMX / XLIFF / CSV imports, signed-in users only
+import SessionsPanel from '../components/SessionsPanel'; // active devices & sign out everywhere, signed-in users only
+import AccountSettingsPanel from '../components/AccountSettingsPanel'; // password, email, data export & account deletion, signed-in users only
+import { saveAuthSession } from '../services/authStorage'; // keeps preference updates in the storage of the login
+import { clientLogger } from '../services/clientLogger';
+
+const HISTORY_PAGE_SIZE = 20; // translations fetched per page (infinite scroll)
+const HISTORY_TABS = [ // history tabs, 'all' shows every translation type
+  { type: 'all', label: 'All' },
+  { type: 'text', label: 'Text' },
+  { type: 'voice', label: 'Voice' },
+  { type: 'file', label: 'File' },
+  { type: 'asl', label: 'ASL' },
+];
+
+// Short description of a record's source details (file name & pages, recording length, ASL frames)
+const describeSourceMeta = (type, meta) => {
+  if (!meta) return null;
+  if (type === 'file' && meta.fileName) return meta.pageCount ? `${meta.fileName} (${meta.pageCount} pages)` : meta.fileName;
+  if (type === 'voice' && meta.audioDuration) return `${meta.audioDuration}s recording`;
+  if (type === 'asl' && meta.frameCount) return `${meta.frameCount} frames`;
+  return null;
+};
 
 // State Management
 const ProfileScreen = () => {
@@ -22,9 +48,28 @@ const ProfileScreen = () => {
   const [defaultToLang, setDefaultToLang] = useState(
     user?.defaultToLang !== undefined ? user.defaultToLang : ''
   );
-  const [activeTab, setActiveTab] = useState('text'); // switches between text & voice translation history
-  const [translations, setTranslations] = useState(null); // users translation history
+  const [activeTab, setActiveTab] = useState('all'); // switches between the translation types (HISTORY_TABS)
+  const [translations, setTranslations] = useState(null); // users translation history (pages loaded so far)
+  const [totalTranslations, setTotalTranslations] = useState(0); // total matching the filters
+  const [nextCursor, setNextCursor] = useState(null); // cursor of the next history page, null when there is none
   const [loading, setLoading] = useState(!!user); // tracks the api requests for fetching data
+  const [loadingMore, setLoadingMore] = useState(false); // tracks the infinite scroll requests
+  const [searchText, setSearchText] = useState(''); // history filters
+  const [debouncedSearch, setDebouncedSearch] = useState('');
+  const [filterFromLang, setFilterFromLang] = useState('');
+  const [filterToLang, setFilterToLang] = useState('');
+  const [dateFrom, setDateFrom] = useState('');
+  const [dateTo, setDateTo] = useState('');
+  const [filterKey, setFilterKey] = useState(0); // remounts the language filters on clear
+  const [favoritesOnly, setFavoritesOnly] = useState(false); // shows starred translations only
+  const [showTrash, setShowTrash] = useState(false); // shows deleted translations (restorable) instead of the history
+  const [editingId, setEditingId] = useState(null); // id of the history card being edited
+  const [editOriginalText, setEditOriginalText] = useState('');
+  const [editTranslatedText, setEditTranslatedText] = useState('');
+  const loadMoreRef = useRef(null); // sentinel observed for infinite scroll
+  const historyRequestRef = useRef(null); // AbortController of the history request in flight, only its response is used
+  const [exportFormat, setExportFormat] = useState('tmx'); // csv | json | tmx | xliff
+  const [exporting, setExporting] = useState(false);
   const [error, setError] = useState(null); 
   const [renderKey, setRenderKey] = useState(0); // forces re-render after auth success
 
@@ -32,14 +77,13 @@ const ProfileScreen = () => {
   Fetching & Updating Preferences (Logged-In Users):
   runs once on mount
   fetches the user preferences from the api
-  updates the AuthContext state and sessionStorage
+  updates the AuthContext state and the stored login
   if server returns empty preferences it resets them to '' for new users
   */
   useEffect(() => {
     if (user) {
       const fetchPreferences = async () => {
         try {
-          console.log('Fetching preferences for user:', user.id);
           const response = await fetch(`http://localhost:5000/api/user/preferences/${user.id}`, {
             headers: { 'Authorization': `Bearer ${user.signed_session_id}` },
           });
@@ -47,10 +91,10 @@ const ProfileScreen = () => {
           if (response.ok && preferencesResult.success) {
             const newDefaultFromLang = preferencesResult.preferences.default_from_lang || '';
             const newDefaultToLang = preferencesResult.preferences.default_to_lang || '';
-            // Clear preferences in sessionStorage and user state if they are empty from the server
+            // Clear preferences in the stored login and user state if they are empty from the server
             if (!newDefaultFromLang && !newDefaultToLang) {
               const clearedUser = { ...user, defaultFromLang: '', defaultToLang: '' };
-              sessionStorage.setItem('authUser', JSON.stringify(clearedUser));
+              saveAuthSession(clearedUser);
               setUser(clearedUser);
               setDefaultFromLang('');
               setDefaultToLang('');
@@ -62,90 +106,312 @@ const ProfileScreen = () => {
                 defaultFromLang: newDefaultFromLang, 
                 defaultToLang: newDefaultToLang 
               };
-              sessionStorage.setItem('authUser', JSON.stringify(updatedUser));
+              saveAuthSession(updatedUser);
               setUser(updatedUser); // Update AuthContext
-              console.log('Preferences updated:', { defaultFromLang: newDefaultFromLang, defaultToLang: newDefaultToLang });
             }
           }
         } catch (err) {
-          console.error('Error fetching preferences:', err);
+          clientLogger.error('Error fetching preferences', { error: err });
         }
       };
       fetchPreferences();
     } 
   }, []); 
 
-  // Handle translation history and state updates
+  // Handle preference state updates
   useEffect(() => {
-    console.log('useEffect triggered - user:', user, 'activeTab:', activeTab); // Debug log
     if (user) {
-      console.log('User object on load or update:', user); // Log to verify state update
       setDefaultFromLang(user.defaultFromLang !== undefined ? user.defaultFromLang : '');
       setDefaultToLang(user.defaultToLang !== undefined ? user.defaultToLang : '');
-      loadTranslationHistory();
     } else {
       setDefaultFromLang(localStorage.getItem('guestDefaultFromLang') || '');
       setDefaultToLang(localStorage.getItem('guestDefaultToLang') || '');
+    }
+  }, [user]);
+
+  // Debouncing the search box, so typing doesn't fire a request per keystroke
+  useEffect(() => {
+    const timeout = setTimeout(() => setDebouncedSearch(searchText.trim()), 300);
+    return () => clearTimeout(timeout);
+  }, [searchText]);
+
+  // Reloading the first page of history whenever the tab or a filter changes
+  useEffect(() => {
+    if (user) {
+      loadTranslationHistory();
+    } else {
       loadGuestHistory();
     }
-  }, [user, activeTab]); // Dependencies for translation history updates
+  }, [user, activeTab, debouncedSearch, filterFromLang, filterToLang, dateFrom, dateTo, favoritesOnly, showTrash]); // Dependencies for translation history updates
+
+  // Cancelling the history request in flight when leaving the screen
+  useEffect(() => () => historyRequestRef.current?.abort(), []);
+
+  /*
+  Infinite Scroll:
+  observes a sentinel below the history list, loads the next page (cursor) when it scrolls into view
+  */
+  useEffect(() => {
+    const sentinel = loadMoreRef.current;
+    if (!sentinel || !user || !nextCursor) return undefined;
+    const observer = new IntersectionObserver((observed) => {
+      if (observed[0].isIntersecting && !loading && !loadingMore) {
+        loadTranslationHistory(nextCursor);
+      }
+    });
+    observer.observe(sentinel);
+    return () => observer.disconnect();
+  }, [nextCursor, loading, loadingMore, user]);
+
+  // History entries missing languages or text are not displayed
+  const isValidTranslation = (fromLang, toLang, originalText, translatedText) =>
+    [fromLang, toLang, originalText, translatedText].every(value => typeof value === 'string' && value.trim() !== '');
+
+  // the active tab and filters as query parameters, shared by the history and the export
+  const historyParams = () => {
+    const params = new URLSearchParams({ userId: String(user.id), type: activeTab });
+    if (debouncedSearch) params.set('search', debouncedSearch);
+    if (filterFromLang) params.set('fromLang', filterFromLang);
+    if (filterToLang) params.set('toLang', filterToLang);
+    if (dateFrom) params.set('dateFrom', dateFrom);
+    if (dateTo) params.set('dateTo', dateTo);
+    if (favoritesOnly) params.set('favorite', 'true');
+    if (showTrash) params.set('trash', 'true');
+    return params;
+  };
 
   /*
   Managing Translation History:
-  fetching translation history for logged in users from api
-  handles both text and voice translations dynamically
+  fetching translation history for logged in users from api, one page at a time
+  handles every translation type (text, voice, file, asl) through the tab, 'all' for no type filter
+  sends the search, language pair and date range filters to the server
+  cursor = nextCursor of the previous page to append, empty to start over
+  starting over cancels the request in flight (its page belongs to the previous filters),
+  a next page waits for the request in flight, only the latest request updates the list
   ensures only valid translation data is stored
   */
-  const loadTranslationHistory = async () => {
+  const loadTranslationHistory = async (cursor) => {
     if (!user) return;
-    setLoading(true);
+    if (cursor && historyRequestRef.current) return;
+    historyRequestRef.current?.abort();
+    const controller = new AbortController();
+    historyRequestRef.current = controller;
+    if (cursor) {
+      setLoadingMore(true);
+    } else {
+      setLoading(true);
+      setLoadingMore(false);
+      setNextCursor(null); // the cursor of the previous filters
+    }
     setError(null);
 
     try {
-      let data = [];
-      if (activeTab === 'text') {
-        const response = await fetch(`http://localhost:5000/api/translation/text/${user.id}`, {
-          headers: { 'Authorization': `Bearer ${user.signed_session_id}` },
-        });
-        if (!response.ok) throw new Error('Failed to fetch text translations');
-        data = await response.json();
-      } else if (activeTab === 'voice') {
-        const response = await fetch(`http://localhost:5000/api/translation/voice/${user.id}`, {
-          headers: { 'Authorization': `Bearer ${user.signed_session_id}` },
-        });
-        if (!response.ok) throw new Error('Failed to fetch voice translations');
-        data = await response.json();
-      }
-      console.log('Fetched translations (logged-in user):', data); // Debug log
-      const validData = data.filter(t =>
-        t.from_lang && t.to_lang && t.original_text && t.translated_text &&
-        typeof t.from_lang === 'string' && t.from_lang.trim() !== '' &&
-        typeof t.to_lang === 'string' && t.to_lang.trim() !== '' &&
-        typeof t.original_text === 'string' && t.original_text.trim() !== '' &&
-        typeof t.translated_text === 'string' && t.translated_text.trim() !== ''
-      );
-      setTranslations(validData.length > 0 ? validData : null);
+      const params = historyParams();
+      params.set('pageSize', String(HISTORY_PAGE_SIZE));
+      if (cursor) params.set('cursor', cursor);
+
+      const response = await fetch(`http://localhost:5000/api/translations?${params}`, {
+        headers: { 'Authorization': `Bearer ${user.signed_session_id}` },
+        signal: controller.signal,
+      });
+      if (!response.ok) throw new Error(`Failed to fetch ${activeTab} translations`);
+      const data = await response.json();
+      if (controller.signal.aborted) return;
+      const validData = data.items.filter(t => isValidTranslation(t.from_lang, t.to_lang, t.original_text, t.translated_text));
+      setTranslations(prev => {
+        const merged = cursor ? [...(prev || []), ...validData] : validData;
+        return merged.length > 0 ? merged : null;
+      });
+      setTotalTranslations(data.total);
+      setNextCursor(data.hasMore ? data.nextCursor : null);
     } catch (err) {
-      console.error('Error loading history:', err);
+      if (controller.signal.aborted) return;
+      clientLogger.error('Error loading history', { error: err });
       setError('Failed to load translation history.');
     } finally {
-      setLoading(false);
+      if (historyRequestRef.current === controller) {
+        historyRequestRef.current = null;
+        setLoading(false);
+        setLoadingMore(false);
+      }
     }
   }; 
-  // Fetching Guest Translation History, loads translation history from localStorage limits to 20, for guest users
-  const loadGuestHistory = () => {
+  /*
+  Fetching Guest Translation History:
+  loads translation history from localStorage limits to 20, for guest users
+  applies the same tab and filters as the server does for signed-in users
+  */
+  const filterGuestTranslations = () => {
     const savedTranslations = JSON.parse(localStorage.getItem('guestTranslations') || '[]');
-    console.log('Guest translations from localStorage:', savedTranslations); // Debug log
-    const validTranslations = savedTranslations.filter(t =>
-      t.fromLang && t.toLang && t.originalText && t.translatedText &&
-      typeof t.fromLang === 'string' && t.fromLang.trim() !== '' &&
-      typeof t.toLang === 'string' && t.toLang.trim() !== '' &&
-      typeof t.originalText === 'string' && t.originalText.trim() !== '' &&
-      typeof t.translatedText === 'string' && t.translatedText.trim() !== ''
-    );
-    console.log('Valid guest translations after filter:', validTranslations); // Debug log
+    const search = debouncedSearch.toLowerCase();
+    const dateToEnd = dateTo ? new Date(new Date(dateTo).getTime() + 24 * 60 * 60 * 1000) : null; // includes that day
+    return savedTranslations
+      .filter(t => isValidTranslation(t.fromLang, t.toLang, t.originalText, t.translatedText))
+      .filter(t => (showTrash ? Boolean(t.deletedAt) : !t.deletedAt))
+      .filter(t => !favoritesOnly || t.favorite)
+      .filter(t => activeTab === 'all' || (t.type || 'text') === activeTab)
+      .filter(t => !filterFromLang || t.fromLang === filterFromLang)
+      .filter(t => !filterToLang || t.toLang === filterToLang)
+      .filter(t => !dateFrom || new Date(t.timestamp) >= new Date(dateFrom))
+      .filter(t => !dateToEnd || new Date(t.timestamp) < dateToEnd)
+      .filter(t => !search || t.originalText.toLowerCase().includes(search) || t.translatedText.toLowerCase().includes(search));
+  };
+
+  const loadGuestHistory = () => {
+    historyRequestRef.current?.abort(); // a request still in flight from before signing out
+    historyRequestRef.current = null;
+    const validTranslations = filterGuestTranslations();
     setTranslations(validTranslations.length > 0 ? validTranslations.slice(0, 20) : null);
+    setTotalTranslations(Math.min(validTranslations.length, 20));
+    setNextCursor(null);
     setLoading(false);
+    setLoadingMore(false);
+  };
+
+  /*
+  Managing Saved Translations:
+  edit, favorite, delete (to trash), restore and delete forever.
+  signed-in users go through the /api/translations/:id endpoints,
+  guests update their entries in localStorage.guestTranslations the same way.
+  */
+  const updateGuestTranslation = (translationId, update) => {
+    const savedTranslations = JSON.parse(localStorage.getItem('guestTranslations') || '[]');
+    const updatedTranslations = update
+      ? savedTranslations.map(t => (t.id === translationId ? { ...t, ...update } : t))
+      : savedTranslations.filter(t => t.id !== translationId); // null update = delete forever
+    localStorage.setItem('guestTranslations', JSON.stringify(updatedTranslations));
+    loadGuestHistory();
+  };
+
+  const sendTranslationAction = async (translationId, method, body, query = '') => {
+    const response = await fetch(`http://localhost:5000/api/translations/${translationId}${query}`, {
+      method,
+      headers: {
+        'Content-Type': 'application/json',
+        'Authorization': `Bearer ${user.signed_session_id}`,
+      },
+      body: JSON.stringify({ userId: user.id, ...body }),
+    });
+    const result = await response.json();
+    if (!response.ok || !result.success) throw new Error(result.error || 'Failed to update translation');
+    return result;
+  };
+
+  const runTranslationAction = async (action) => {
+    setError(null);
+    try {
+      await action();
+    } catch (err) {
+      clientLogger.error('Error updating translation', { error: err });
+      setError(`Failed to update translation. ${err.message}`);
+    }
+  };
+
+  // items leaving the current view (trashed, restored, deleted forever) are dropped from the list
+  const removeFromList = (translationId) => {
+    setTranslations(prev => {
+      const remaining = (prev || []).filter(t => t.id !== translationId);
+      return remaining.length > 0 ? remaining : null;
+    });
+    setTotalTranslations(prev => Math.max(prev - 1, 0));
+  };
+
+  const handleToggleFavorite = (t) => runTranslationAction(async () => {
+    if (!user) return updateGuestTranslation(t.id, { favorite: !t.favorite });
+    await sendTranslationAction(t.id, 'PATCH', { favorite: !t.is_favorite });
+    if (favoritesOnly && t.is_favorite) return removeFromList(t.id);
+    setTranslations(prev => prev.map(item => (item.id === t.id ? { ...item, is_favorite: !t.is_favorite } : item)));
+  });
+
+  const handleDelete = (t) => runTranslationAction(async () => {
+    if (!user) return updateGuestTranslation(t.id, { deletedAt: new Date() });
+    await sendTranslationAction(t.id, 'DELETE', {});
+    removeFromList(t.id);
+  });
+
+  const handleRestore = (t) => runTranslationAction(async () => {
+    if (!user) return updateGuestTranslation(t.id, { deletedAt: null });
+    await sendTranslationAction(t.id, 'PATCH', { restore: true });
+    removeFromList(t.id);
+  });
+
+  const handleDeleteForever = (t) => runTranslationAction(async () => {
+    if (!window.confirm('Delete this translation permanently? This cannot be undone.')) return;
+    if (!user) return updateGuestTranslation(t.id, null);
+    await sendTranslationAction(t.id, 'DELETE', {}, '?permanent=true');
+    removeFromList(t.id);
+  });
+
+  const handleStartEdit = (t, originalText, translatedText) => {
+    setEditingId(t.id);
+    setEditOriginalText(originalText);
+    setEditTranslatedText(translatedText);
+  };
+
+  const handleSaveEdit = (t) => runTranslationAction(async () => {
+    if (!editOriginalText.trim() || !editTranslatedText.trim()) {
+      throw new Error('Both texts are required.');
+    }
+    if (user) {
+      await sendTranslationAction(t.id, 'PUT', { originalText: editOriginalText, translatedText: editTranslatedText });
+      setTranslations(prev => prev.map(item => (
+        item.id === t.id ? { ...item, original_text: editOriginalText, translated_text: editTranslatedText } : item
+      )));
+    } else {
+      updateGuestTranslation(t.id, { originalText: editOriginalText, translatedText: editTranslatedText });
+    }
+    setEditingId(null);
+  });
+
+  /*
+  Exporting Translation History:
+  downloads the filtered history as CSV, JSON, TMX or XLIFF.
+  signed-in users get the file streamed from /api/translations/export (every page, not only the loaded ones),
+  guest files are built in the browser from localStorage
+  */
+  const handleExport = async () => {
+    setError(null);
+    setExporting(true);
+    try {
+      let blob;
+      if (user) {
+        const params = historyParams();
+        params.set('format', exportFormat);
+        const response = await fetch(`http://localhost:5000/api/translations/export?${params}`, {
+          headers: { 'Authorization': `Bearer ${user.signed_session_id}` },
+        });
+        if (!response.ok) {
+          const result = await response.json().catch(() => ({}));
+          throw new Error(result.error || 'Failed to export translations');
+        }
+        blob = await response.blob();
+      } else {
+        const content = exportTranslations(filterGuestTranslations(), exportFormat, { srcLang: filterFromLang, trgLang: filterToLang });
+        blob = new Blob([content], { type: EXPORT_FORMATS[exportFormat].mimeType });
+      }
+      const url = URL.createObjectURL(blob);
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = exportFileName(exportFormat);
+      link.click();
+      URL.revokeObjectURL(url);
+    } catch (err) {
+      clientLogger.error('Error exporting history', { error: err });
+      setError(`Export failed. ${err.message}`);
+    } finally {
+      setExporting(false);
+    }
+  };
+
+  const clearFilters = () => {
+    setSearchText('');
+    setDebouncedSearch('');
+    setFilterFromLang('');
+    setFilterToLang('');
+    setDateFrom('');
+    setDateTo('');
+    setFavoritesOnly(false);
+    setFilterKey(prev => prev + 1); // remounts the language filters so their inputs are cleared too
   };
 
   /*
@@ -161,7 +427,6 @@ const ProfileScreen = () => {
           default_from_lang: defaultFromLang,
           default_to_lang: defaultToLang,
         };
-        console.log('Sending preferences POST request to:', 'http://localhost:5000/api/user/preferences', 'with body:', requestBody);
         const response = await fetch('http://localhost:5000/api/user/preferences', {
           method: 'POST',
           headers: {
@@ -175,39 +440,36 @@ const ProfileScreen = () => {
         try {
           result = JSON.parse(responseText);
         } catch (parseError) {
-          console.error('Failed to parse POST response as JSON:', responseText);
+          clientLogger.error('Failed to parse POST response as JSON', { status: response.status });
           throw new Error(`Invalid POST response: ${responseText}`);
         }
-        console.log('Save preferences response:', result, 'Status:', response.status);
         if (!response.ok) throw new Error(result.error || `Failed to save preferences (Status: ${response.status})`);
 
         alert('Preferences saved successfully!');
 
         // Fetch updated preferences
-        console.log('Sending preferences GET request to:', `http://localhost:5000/api/user/preferences/${user.id}`);
         const preferencesResponse = await fetch(`http://localhost:5000/api/user/preferences/${user.id}`, {
           headers: { 'Authorization': `Bearer ${user.signed_session_id}` },
         });
-        console.log('GET preferences response status:', preferencesResponse.status);
         const preferencesResponseText = await preferencesResponse.text();
         let preferencesResult;
         try {
           preferencesResult = JSON.parse(preferencesResponseText);
         } catch (parseError) {
-          console.error('Failed to parse GET response as JSON:', preferencesResponseText);
+          clientLogger.error('Failed to parse GET response as JSON', { status: preferencesResponse.status });
           throw new Error(`Failed to fetch updated preferences: ${preferencesResponseText}`);
         }
         if (preferencesResponse.ok && preferencesResult.success) {
           setDefaultFromLang(preferencesResult.preferences.default_from_lang);
           setDefaultToLang(preferencesResult.preferences.default_to_lang);
           const updatedUser = { ...user, defaultFromLang: preferencesResult.preferences.default_from_lang, defaultToLang: preferencesResult.preferences.default_to_lang };
-          sessionStorage.setItem('authUser', JSON.stringify(updatedUser));
+          saveAuthSession(updatedUser);
           setUser(updatedUser); // Update AuthContext user state
         } else {
           throw new Error(preferencesResult.error || `Failed to fetch updated preferences (Status: ${preferencesResponse.status})`);
         }
       } catch (err) {
-        console.error('Error saving preferences:', err);
+        clientLogger.error('Error saving preferences', { error: err });
         setError(`Failed to save preferences. ${err.message}`);
       }
     } else {
@@ -223,13 +485,12 @@ const ProfileScreen = () => {
       await signOut();
       navigate('/');
     } catch (err) {
-      console.error('Error during sign out:', err);
+      clientLogger.error('Error during sign out', { error: err });
       setError('Failed to sign out.');
     }
   };
   // Closes AuthScreen and forces a re-render on auth success
   const handleAuthSuccess = () => {
-    console.log('Auth success callback triggered, user:', user);
     setShowAuth(false);
     setRenderKey(prev => prev + 1);
   };
@@ -261,13 +522,13 @@ const ProfileScreen = () => {
                 <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">
                   Default Source Language
                 </label>
-                <LanguageSearch value={defaultFromLang} onChange={setDefaultFromLang} placeholder="Select language" />
+                <LanguageSearch value={defaultFromLang} onChange={setDefaultFromLang} placeholder="Select language" mode="source" pairWith={defaultToLang} />
               </div>
               <div>
                 <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">
                   Default Target Language
                 </label>
-                <LanguageSearch value={defaultToLang} onChange={setDefaultToLang} placeholder="Select language" />
+                <LanguageSearch value={defaultToLang} onChange={setDefaultToLang} placeholder="Select language" mode="target" pairWith={defaultFromLang} />
               </div>
               <button onClick={savePreferences} className="w-full py-2 px-4 bg-indigo-600 hover:bg-indigo-700 text-white rounded-lg font-medium">
                 Save Preferences
@@ -289,21 +550,75 @@ const ProfileScreen = () => {
         <div className="md:col-span-2 bg-white dark:bg-gray-800 rounded-xl shadow-lg p-6">
           <div className="flex items-center justify-between mb-6">
             <h2 className="text-xl font-semibold text-gray-900 dark:text-gray-100">Translation History</h2>
+            {!loading && (
+              <span className="text-sm text-gray-500 dark:text-gray-400">{totalTranslations} translations</span>
+            )}
           </div>
 
           <div className="flex space-x-2 mb-6">
-            <button onClick={() => setActiveTab('text')} className={`px-4 py-2 rounded-lg text-sm font-medium ${
-              activeTab === 'text' ? 'bg-indigo-100 dark:bg-indigo-900 text-indigo-700 dark:text-indigo-300' : 'text-gray-600 dark:text-gray-400 hover:bg-gray-100 dark:hover:bg-gray-700'
-            }`}>
-              Text
-            </button>
-            {user && (
-              <button onClick={() => setActiveTab('voice')} className={`px-4 py-2 rounded-lg text-sm font-medium ${
-                activeTab === 'voice' ? 'bg-indigo-100 dark:bg-indigo-900 text-indigo-700 dark:text-indigo-300' : 'text-gray-600 dark:text-gray-400 hover:bg-gray-100 dark:hover:bg-gray-700'
+            {HISTORY_TABS.map(tab => (
+              <button key={tab.type} onClick={() => setActiveTab(tab.type)} className={`px-4 py-2 rounded-lg text-sm font-medium ${
+                activeTab === tab.type ? 'bg-indigo-100 dark:bg-indigo-900 text-indigo-700 dark:text-indigo-300' : 'text-gray-600 dark:text-gray-400 hover:bg-gray-100 dark:hover:bg-gray-700'
               }`}>
-                Voice
+                {tab.label}
               </button>
-            )}
+            ))}
+          </div>
+
+          {/* History Filters */}
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-3 mb-6">
+            <input
+              type="text"
+              value={searchText}
+              onChange={(e) => setSearchText(e.target.value)}
+              placeholder="Search original or translated text..."
+              className="md:col-span-2 rounded-lg border border-gray-300 dark:border-gray-600 px-3 py-2 bg-white dark:bg-gray-700 text-gray-900 dark:text-gray-100"
+            />
+            <LanguageSearch key={`from-${filterKey}`} value={filterFromLang} onChange={setFilterFromLang} placeholder="Any source language" />
+            <LanguageSearch key={`to-${filterKey}`} value={filterToLang} onChange={setFilterToLang} placeholder="Any target language" />
+            <label className="flex items-center space-x-2 text-sm text-gray-700 dark:text-gray-300">
+              <span>From</span>
+              <input type="date" value={dateFrom} onChange={(e) => setDateFrom(e.target.value)} className="flex-1 rounded-lg border border-gray-300 dark:border-gray-600 px-3 py-2 bg-white dark:bg-gray-700 text-gray-900 dark:text-gray-100" />
+            </label>
+            <label className="flex items-center space-x-2 text-sm text-gray-700 dark:text-gray-300">
+              <span>To</span>
+              <input type="date" value={dateTo} onChange={(e) => setDateTo(e.target.value)} className="flex-1 rounded-lg border border-gray-300 dark:border-gray-600 px-3 py-2 bg-white dark:bg-gray-700 text-gray-900 dark:text-gray-100" />
+            </label>
+            <div className="md:col-span-2 flex items-center justify-between">
+              <div className="flex items-center space-x-4 text-sm text-gray-700 dark:text-gray-300">
+                <label className="flex items-center space-x-2">
+                  <input type="checkbox" checked={favoritesOnly} onChange={(e) => setFavoritesOnly(e.target.checked)} />
+                  <span>Favorites only</span>
+                </label>
+                <label className="flex items-center space-x-2">
+                  <input type="checkbox" checked={showTrash} onChange={(e) => setShowTrash(e.target.checked)} />
+                  <span>Trash</span>
+                </label>
+              </div>
+              <button onClick={clearFilters} className="text-sm text-indigo-600 dark:text-indigo-400 hover:text-indigo-500 font-medium">
+                Clear filters
+              </button>
+            </div>
+            <div className="md:col-span-2 flex items-center justify-end space-x-2">
+              <select
+                value={exportFormat}
+                onChange={(e) => setExportFormat(e.target.value)}
+                className="rounded-lg border border-gray-300 dark:border-gray-600 px-3 py-2 text-sm bg-white dark:bg-gray-700 text-gray-900 dark:text-gray-100"
+              >
+                <option value="csv">CSV</option>
+                <option value="json">JSON</option>
+                <option value="tmx">TMX 1.4</option>
+                <option value="xliff">XLIFF 2.0 (one language pair)</option>
+              </select>
+              <button
+                onClick={handleExport}
+                disabled={exporting}
+                className="flex items-center space-x-2 px-3 py-2 text-sm bg-gray-100 dark:bg-gray-700 text-gray-800 dark:text-gray-100 rounded-lg hover:bg-gray-200 dark:hover:bg-gray-600 disabled:opacity-50"
+              >
+                <Download className="w-4 h-4" />
+                <span>{exporting ? 'Exporting...' : 'Export'}</span>
+              </button>
+            </div>
           </div>
 
           {loading ? (
@@ -316,6 +631,9 @@ const ProfileScreen = () => {
                 const toLang = user ? t.to_lang : t.toLang;
                 const originalText = user ? t.original_text : t.originalText;
                 const translatedText = user ? t.translated_text : t.translatedText;
+                const isFavorite = user ? t.is_favorite : t.favorite;
+                const type = t.type || 'text';
+                const sourceDetails = describeSourceMeta(type, user ? t.source_meta : t.sourceMeta);
 
                 if (
                   !fromLang || !toLang || !originalText || !translatedText ||
@@ -327,12 +645,70 @@ const ProfileScreen = () => {
                   return null;
                 }
                 return (
-                  <div key={index} className="p-4 bg-gray-100 dark:bg-gray-700 rounded-lg mb-4">
-                    <p className="text-sm text-gray-800 dark:text-gray-100"><strong>{fromLang} → {toLang}:</strong> {originalText}</p>
-                    <p className="text-sm text-gray-600 dark:text-gray-300 mt-1">{translatedText}</p>
+                  <div key={t.id || index} className="p-4 bg-gray-100 dark:bg-gray-700 rounded-lg mb-4">
+                    {editingId === t.id ? (
+                      <div className="space-y-2">
+                        <p className="text-sm text-gray-800 dark:text-gray-100"><strong>{fromLang} → {toLang}</strong></p>
+                        <textarea value={editOriginalText} onChange={(e) => setEditOriginalText(e.target.value)} className="w-full p-2 rounded-lg border border-gray-300 dark:border-gray-600 bg-white dark:bg-gray-800 text-sm text-gray-900 dark:text-gray-100" />
+                        <textarea value={editTranslatedText} onChange={(e) => setEditTranslatedText(e.target.value)} className="w-full p-2 rounded-lg border border-gray-300 dark:border-gray-600 bg-white dark:bg-gray-800 text-sm text-gray-900 dark:text-gray-100" />
+                        <div className="flex justify-end space-x-2">
+                          <button onClick={() => setEditingId(null)} title="Cancel" className="p-2 rounded-full hover:bg-gray-200 dark:hover:bg-gray-600">
+                            <X className="w-4 h-4 text-gray-600 dark:text-gray-300" />
+                          </button>
+                          <button onClick={() => handleSaveEdit(t)} title="Save" className="p-2 rounded-full hover:bg-gray-200 dark:hover:bg-gray-600">
+                            <Check className="w-4 h-4 text-green-600" />
+                          </button>
+                        </div>
+                      </div>
+                    ) : (
+                      <div className="flex items-start justify-between">
+                        <div>
+                          {activeTab === 'all' || sourceDetails ? (
+                            <p className="text-xs uppercase tracking-wide text-gray-500 dark:text-gray-400 mb-1">
+                              {activeTab === 'all' && HISTORY_TABS.find(tab => tab.type === type)?.label}
+                              {activeTab === 'all' && sourceDetails && ' · '}
+                              {sourceDetails}
+                            </p>
+                          ) : null}
+                          <p className="text-sm text-gray-800 dark:text-gray-100"><strong>{fromLang} → {toLang}:</strong> {originalText}</p>
+                          <p className="text-sm text-gray-600 dark:text-gray-300 mt-1">{translatedText}</p>
+                        </div>
+                        {t.id && (
+                          <div className="flex space-x-1 ml-4 shrink-0">
+                            {showTrash ? (
+                              <>
+                                <button onClick={() => handleRestore(t)} title="Restore" className="p-2 rounded-full hover:bg-gray-200 dark:hover:bg-gray-600">
+                                  <RotateCcw className="w-4 h-4 text-indigo-600" />
+                                </button>
+                                <button onClick={() => handleDeleteForever(t)} title="Delete forever" className="p-2 rounded-full hover:bg-gray-200 dark:hover:bg-gray-600">
+                                  <Trash2 className="w-4 h-4 text-red-600" />
+                                </button>
+                              </>
+                            ) : (
+                              <>
+                                <button onClick={() => handleToggleFavorite(t)} title={isFavorite ? 'Remove from favorites' : 'Add to favorites'} className="p-2 rounded-full hover:bg-gray-200 dark:hover:bg-gray-600">
+                                  <Star className={`w-4 h-4 ${isFavorite ? 'text-yellow-500 fill-yellow-500' : 'text-gray-500 dark:text-gray-400'}`} />
+                                </button>
+                                <button onClick={() => handleStartEdit(t, originalText, translatedText)} title="Edit" className="p-2 rounded-full hover:bg-gray-200 dark:hover:bg-gray-600">
+                                  <Pencil className="w-4 h-4 text-gray-600 dark:text-gray-300" />
+                                </button>
+                                <button onClick={() => handleDelete(t)} title="Move to trash" className="p-2 rounded-full hover:bg-gray-200 dark:hover:bg-gray-600">
+                                  <Trash2 className="w-4 h-4 text-gray-600 dark:text-gray-300" />
+                                </button>
+                              </>
+                            )}
+                          </div>
+                        )}
+                      </div>
+                    )}
                   </div>
                 );
               })}
+              {/* Infinite scroll sentinel, loads the next page when visible */}
+              <div ref={loadMoreRef} className="h-4" />
+              {loadingMore && (
+                <div className="text-center py-4 text-gray-500 dark:text-gray-400">Loading more...</div>
+              )}
             </div>
           ) : (
             <div className="text-center py-8 text-gray-500 dark:text-gray-400">No translations found</div>
@@ -343,6 +719,15 @@ const ProfileScreen = () => {
             </div>
           )}
         </div>
+
+        {/* Glossary (signed-in users) */}
+        {user && <GlossaryPanel user={user} />}
+
+        {user && <TranslationMemoryPanel user={user} />}
+
+        {user && <SessionsPanel user={user} onSignedOutEverywhere={handleSignOut} />}
+
+        {user && <AccountSettingsPanel user={user} onAccountDeleted={handleSignOut} />}
       </div>
     </div>
   );
@@ -3,14 +3,18 @@ This Text Translation screen component serves as the main interface for text tra
 Enabling the users to:
 enter text & select source / target languages from google api
 translate after processing using google api
-guest users have a 20 translation limit
+translations count against the daily quota enforced by the backend (shown below the text boxes),
+guests can keep up to 20 saved translations in their browser
 */
 import React, { useState, useEffect } from 'react';
 import { Repeat, Copy, History, Save } from 'lucide-react';
 import { useNavigate } from 'react-router-dom'; // handles redirection to profile page
 import LanguageSearch from '../components/LanguageSearch';
-import { translateText } from '../services/translationService'; // function to translate text via the API
+import { translateTextDetailed, fetchQuota } from '../services/translationService'; // function to translate text via the API, remaining quota
+import { saveTranslationRecord } from '../services/historyService'; // saves to the db for users, localStorage for guests
 import { useAuth } from '../context/AuthContext'; // fetches user state (user, sessionId)
+import QuotaStatus from '../components/QuotaStatus';
+import { clientLogger } from '../services/clientLogger';
 
 // State Management
 const TextTranslationScreen = () => {
@@ -27,6 +31,17 @@ const TextTranslationScreen = () => {
   const [loading, setLoading] = useState(false); // tracks translation status
   const [error, setError] = useState(null);
   const [isSaved, setIsSaved] = useState(false); // tracks if the translation has been saved
+  const [appliedGlossaryTerms, setAppliedGlossaryTerms] = useState([]); // glossary terms enforced in the last translation
+  const [translationProvider, setTranslationProvider] = useState(null); // provider that produced the last translation
+  const [memorySuggestions, setMemorySuggestions] = useState([]); // matches from the user's imported translation memory
+  const [quota, setQuota] = useState(null); // remaining daily quota from the backend
+
+  // Loading the remaining quota, again when the user signs in or out (guests have their own quota)
+  useEffect(() => {
+    fetchQuota()
+      .then(setQuota)
+      .catch(err => clientLogger.error('Error loading quota', { error: err }));
+  }, [user]);
 
   /*
   Syncing User Preferences on Login:
@@ -35,7 +50,6 @@ const TextTranslationScreen = () => {
   */
   useEffect(() => {
     if (user) {
-      console.log('TextTranslationScreen - User preferences:', user.defaultFromLang, user.defaultToLang); // Debug log
       // Only update if user preferences are explicitly set or empty
       setFromLang(user.defaultFromLang !== undefined ? user.defaultFromLang : '');
       setToLang(user.defaultToLang !== undefined ? user.defaultToLang : '');
@@ -52,13 +66,15 @@ const TextTranslationScreen = () => {
     setInputText(translatedText);
     setTranslatedText(inputText);
     setIsSaved(false);
+    setAppliedGlossaryTerms([]);
+    setMemorySuggestions([]);
   };
 
   /*
   Handling Translation:
   ensures both input text & languages are selected before making an API request
-  calls translateText function to fetch the translation
-  handles errors and updates UI state
+  calls translateTextDetailed to fetch the translation and the glossary terms that were enforced
+  handles errors (429 = quota reached or too many requests) and updates UI state and the remaining quota
   */
   const handleTranslate = async () => {
     if (!inputText.trim()) return;
@@ -72,11 +88,17 @@ const TextTranslationScreen = () => {
     setIsSaved(false);
 
     try {
-      const result = await translateText(inputText, toLang, fromLang);
-      setTranslatedText(result);
+      const result = await translateTextDetailed(inputText, toLang, fromLang);
+      setTranslatedText(result.translatedText);
+      setAppliedGlossaryTerms(result.appliedGlossaryTerms || []);
+      setTranslationProvider(result.provider || null);
+      setMemorySuggestions(result.memorySuggestions || []);
+      if (result.quota) setQuota(result.quota);
     } catch (err) {
-      setError('Translation failed. Please try again.');
-      console.error('Translation error:', err);
+      const data = err.response?.data;
+      if (data?.quota) setQuota(data.quota);
+      setError(err.response?.status === 429 && data?.error ? data.error : 'Translation failed. Please try again.');
+      clientLogger.error('Translation error', { error: err });
     } finally {
       setLoading(false);
     }
@@ -94,52 +116,24 @@ const TextTranslationScreen = () => {
   const handleSaveTranslation = async () => {
     if (!translatedText.trim()) return;
 
-    console.log('Saving translation - fromLang:', fromLang, 'toLang:', toLang);
     if (!fromLang || !toLang) {
       setError('Please select both source and target languages.');
       return;
     }
 
-    if (user) {
-      const response = await fetch('http://localhost:5000/api/translation/text', {
-        method: 'POST',
-        headers: { 
-          'Content-Type': 'application/json', 
-          Authorization: `Bearer ${user.signed_session_id}` // Use signed_session_id for authentication
-        },
-        body: JSON.stringify({
-          userId: user.id,
-          fromLang,
-          toLang,
-          originalText: inputText,
-          translatedText: translatedText,
-        }),
-      });
-      const saveResult = await response.json();
-      if (saveResult.success) {
-        setIsSaved(true);
-        alert('Translation saved successfully!'); // Add confirmation message
-      } else {
-        setError(saveResult.error || 'Failed to save translation');
-      }
-    } else {
-      const savedTranslations = JSON.parse(localStorage.getItem('guestTranslations') || '[]');
-      if (savedTranslations.length >= 20) {
-        setError('Guest limit reached: Maximum 20 translations.');
-        return;
-      }
-      const newTranslation = {
-        id: Date.now().toString(),
+    try {
+      await saveTranslationRecord(user, {
+        type: 'text',
         fromLang,
         toLang,
         originalText: inputText,
         translatedText: translatedText,
-        timestamp: new Date(),
-      };
-      savedTranslations.push(newTranslation);
-      localStorage.setItem('guestTranslations', JSON.stringify(savedTranslations));
+        provider: translationProvider,
+      });
       setIsSaved(true);
-      alert('Translation saved successfully!'); // Add confirmation message for guest
+      alert('Translation saved successfully!'); // Add confirmation message
+    } catch (err) {
+      setError(err.message);
     }
   };
 
@@ -152,6 +146,8 @@ const TextTranslationScreen = () => {
               value={fromLang}
               onChange={setFromLang}
               placeholder="From language"
+              mode="source"
+              pairWith={toLang}
             />
           </div>
           <button
@@ -165,6 +161,8 @@ const TextTranslationScreen = () => {
               value={toLang}
               onChange={setToLang}
               placeholder="To language"
+              mode="target"
+              pairWith={fromLang}
             />
           </div>
         </div>
@@ -198,6 +196,34 @@ const TextTranslationScreen = () => {
             </button>
           </div>
         </div>
+        {appliedGlossaryTerms.length > 0 && (
+          <div className="mt-4 p-3 bg-indigo-50 dark:bg-indigo-900/50 text-indigo-700 dark:text-indigo-200 rounded-lg text-sm">
+            <strong>Glossary terms applied:</strong>{' '}
+            {appliedGlossaryTerms.map(term => `${term.sourceTerm} → ${term.targetTerm}`).join(', ')}
+          </div>
+        )}
+        {memorySuggestions.length > 0 && (
+          <div className="mt-4 p-3 bg-green-50 dark:bg-green-900/40 rounded-lg text-sm">
+            <strong className="text-green-800 dark:text-green-200">From your translation memory:</strong>
+            {memorySuggestions.map(suggestion => (
+              <div key={suggestion.targetText} className="flex items-center justify-between mt-2 text-gray-800 dark:text-gray-100">
+                <span>
+                  {suggestion.targetText}
+                  <span className="ml-2 text-xs text-gray-500 dark:text-gray-400">
+                    {Math.round(suggestion.score * 100)}% match · {suggestion.sourceText}
+                  </span>
+                </span>
+                <button
+                  onClick={() => { setTranslatedText(suggestion.targetText); setIsSaved(false); }}
+                  className="ml-4 px-3 py-1 text-xs font-medium text-white bg-green-600 hover:bg-green-700 rounded-lg"
+                >
+                  Use
+                </button>
+              </div>
+            ))}
+          </div>
+        )}
+        <QuotaStatus quota={quota} />
         {error && (
           <div className="mt-4 p-3 bg-red-50 dark:bg-red-900/50 text-red-600 dark:text-red-200 rounded-lg">
             {error}
@@ -1,7 +1,7 @@
 /*
 Voice Translation Screen component, enables voice-based translations in TranslationHub.
 provides mic recording & transcription to text via transcribeAudio function
-text translation via translateText
+text translation via translateTextDetailed
 saving translations to db for logged-in users, localStorage for guests
 limits guest users to 20 saved translations
 */
@@ -11,9 +11,11 @@ import React, { useState, useRef, useEffect } from 'react';
 import { Mic, Square, Save } from 'lucide-react';
 import LanguageSearch from '../components/LanguageSearch';
 import { transcribeAudio } from '../services/speechService'; // used to convert recorded audio into text
-import { translateText } from '../services/translationService';
+import { translateTextDetailed } from '../services/translationService';
+import { saveTranslationRecord } from '../services/historyService'; // saves to the db for users, localStorage for guests
 import { useAuth } from '../context/AuthContext'; // fetches the user state (user, sessionId)
 import { useTranslationStore } from '../store/translationStore'; // stores translation history
+import { clientLogger } from '../services/clientLogger';
 
 // State Management
 const VoiceTranslationScreen = () => {
@@ -29,11 +31,14 @@ const VoiceTranslationScreen = () => {
   const [loading, setLoading] = useState(false); // tracks api processing state
   const [error, setError] = useState(null);
   const [isSaved, setIsSaved] = useState(false); // tracks if the translation was saved
+  const [translationProvider, setTranslationProvider] = useState(null); // provider that produced the translation
 
   const mediaRecorderRef = useRef(null);
   const chunksRef = useRef([]);
   const audioContextRef = useRef(null);
   const audioSourceRef = useRef(null);
+  const recordingStartRef = useRef(null);
+  const audioDurationRef = useRef(null); // recording length in seconds, saved as source meta
 
   /*
   Syncing User Preferences on Login:
@@ -42,7 +47,6 @@ const VoiceTranslationScreen = () => {
   */
   useEffect(() => {
     if (user) {
-      console.log('VoiceTranslationScreen - User preferences:', user.defaultFromLang, user.defaultToLang); // Debug log
       setFromLang(user.defaultFromLang || ''); // Explicitly set to empty if undefined
       setToLang(user.defaultToLang || '');    // Explicitly set to empty if undefined
     } else {
@@ -85,15 +89,16 @@ const VoiceTranslationScreen = () => {
           await processAudio(blob);
         } catch (err) {
           setError('Failed to process audio. Please try again.');
-          console.error('Audio processing error:', err);
+          clientLogger.error('Audio processing error', { error: err });
         }
       };
 
       mediaRecorderRef.current.start(1000);
+      recordingStartRef.current = Date.now();
       setIsRecording(true);
     } catch (err) {
       setError('Microphone access denied. Please enable microphone permissions.');
-      console.error('Recording error:', err);
+      clientLogger.error('Recording error', { error: err });
     }
   };
 
@@ -106,6 +111,7 @@ const VoiceTranslationScreen = () => {
       if (audioSourceRef.current) audioSourceRef.current.disconnect();
       if (audioContextRef.current) audioContextRef.current.close();
 
+      audioDurationRef.current = Math.round((Date.now() - recordingStartRef.current) / 100) / 10;
       setIsRecording(false);
     }
   };
@@ -113,7 +119,7 @@ const VoiceTranslationScreen = () => {
   /*
   Transcribing & Translating Audio:
   calls transcribeAudio function to convert speech into text
-  calls translateText function to translate it
+  calls translateTextDetailed function to translate it
   saves translation for guests in localStorage
   */
   const processAudio = async (blob) => {
@@ -122,31 +128,29 @@ const VoiceTranslationScreen = () => {
       const text = await transcribeAudio(blob, fromLang);
       setTranscribedText(text);
 
-      const translated = await translateText(text, toLang.split('-')[0], fromLang.split('-')[0]);
-      setTranslatedText(translated);
+      const result = await translateTextDetailed(text, toLang.split('-')[0], fromLang.split('-')[0]);
+      setTranslatedText(result.translatedText);
+      setTranslationProvider(result.provider || null);
 
       if (!user) {
-        const savedTranslations = JSON.parse(localStorage.getItem('guestTranslations') || '[]');
-        if (savedTranslations.length >= 20) {
-          setError('Guest limit reached: Maximum 20 translations.');
-          return;
+        try {
+          const newTranslation = await saveTranslationRecord(null, {
+            type: 'voice',
+            fromLang,
+            toLang,
+            originalText: text,
+            translatedText: result.translatedText,
+            sourceMeta: { audioDuration: audioDurationRef.current },
+            provider: result.provider || null,
+          });
+          addTranslation(newTranslation);
+        } catch (saveError) {
+          setError(saveError.message); // guest limit reached
         }
-        const newTranslation = {
-          id: Date.now().toString(),
-          type: 'voice',
-          fromLang,
-          toLang,
-          originalText: text,
-          translatedText: translated,
-          timestamp: new Date(),
-        };
-        savedTranslations.push(newTranslation);
-        localStorage.setItem('guestTranslations', JSON.stringify(savedTranslations));
-        addTranslation(newTranslation);
       }
     } catch (err) {
       setError('Transcription or translation failed. Please try again.');
-      console.error('Transcription/translation error:', err);
+      clientLogger.error('Transcription/translation error', { error: err });
     } finally {
       setLoading(false);
     }
@@ -174,31 +178,21 @@ const VoiceTranslationScreen = () => {
 
     setLoading(true);
     try {
-      const response = await fetch('http://localhost:5000/api/translation/voice', {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-          'Authorization': `Bearer ${user.signed_session_id}`, // Use signed_session_id for authentication
-        },
-        body: JSON.stringify({
-          userId: user.id,
-          fromLang, // Match server expected key
-          toLang,   // Match server expected key
-          originalText: transcribedText,
-          translatedText: translatedText,
-        }),
+      await saveTranslationRecord(user, {
+        type: 'voice',
+        fromLang,
+        toLang,
+        originalText: transcribedText,
+        translatedText: translatedText,
+        sourceMeta: { audioDuration: audioDurationRef.current },
+        provider: translationProvider,
       });
 
-      const result = await response.json();
-      if (!response.ok) {
-        throw new Error(result.error || 'Failed to save translation to server');
-      }
-
       setIsSaved(true);
       alert('Translation saved successfully!');
     } catch (err) {
       setError('Failed to save translation. Please try again.');
-      console.error('Save translation error:', err);
+      clientLogger.error('Save translation error', { error: err });
     } finally {
       setLoading(false);
     }
@@ -214,6 +208,8 @@ const VoiceTranslationScreen = () => {
                 value={fromLang}
                 onChange={setFromLang}
                 placeholder="Source language"
+                mode="source"
+                pairWith={toLang}
               />
             </div>
             <div className="w-[45%]">
@@ -221,6 +217,8 @@ const VoiceTranslationScreen = () => {
                 value={toLang}
                 onChange={setToLang}
                 placeholder="Target language"
+                mode="target"
+                pairWith={fromLang}
               />
             </div>
           </div>
@@ -0,0 +1,50 @@
+// apiValidation.js against the OpenAPI document: the API accepts what the client forms accept (validation.js)
+import { describe, it, expect, beforeAll, afterAll } from 'vitest';
+import express from 'express';
+import { installRequestValidation } from '../apiValidation.js';
+import { OPENAPI_DOCUMENT } from '../openapi.js';
+import { validateEmail, validatePassword } from '../validation.js';
+
+describe('request validation', () => {
+  let server;
+  let baseUrl;
+
+  beforeAll(async () => {
+    const app = express();
+    app.use(express.json());
+    installRequestValidation(app, OPENAPI_DOCUMENT);
+    app.post('/api/register', (req, res) => res.json({ success: true }));
+    await new Promise((resolve) => {
+      server = app.listen(0, '127.0.0.1', resolve);
+    });
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  afterAll(() => new Promise(resolve => server.close(resolve)));
+
+  const register = async (email, password) => {
+    const response = await fetch(`${baseUrl}/api/register`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ email, password }),
+    });
+    return { status: response.status, body: await response.json() };
+  };
+
+  it('accepts every email and password the sign-up form accepts', async () => {
+    const password = 'Correct-horse-1!';
+    expect(validatePassword(password)).toBe(true);
+    for (const email of ['ü@x.de', 'a..b@x.com', 'name@example.test']) {
+      expect(validateEmail(email)).toBe(true);
+      expect(await register(email, password)).toEqual({ status: 200, body: { success: true } });
+    }
+  });
+
+  it('refuses what the sign-up form refuses with the same rules', async () => {
+    expect(validateEmail('no-at-sign.example')).toBe(false);
+    expect(await register('no-at-sign.example', 'Correct-horse-1!')).toMatchObject({
+      status: 400,
+      body: { success: false, code: 'VALIDATION_ERROR', error: 'Invalid email format' },
+    });
+  });
+});
@@ -0,0 +1,79 @@
+// splitIntoChunks and the chunked translation of documentTranslation.js, the provider replaced by a stand-in
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+
+vi.mock('../translationProxy.js', () => ({ translate: vi.fn() }));
+
+process.env.USE_MOCK_DB = 'true';
+process.env.MOCK_DB_FILE = ':memory:';
+const { translate } = await import('../translationProxy.js');
+const { splitIntoChunks, translateDocumentText } = await import('../documentTranslation.js');
+
+const PAGE_BREAK = '\n\f\n';
+const join = chunks => chunks.map(chunk => chunk.text + chunk.separator).join('');
+
+describe('splitIntoChunks', () => {
+  it('gives the text back unchanged when the chunks are joined', () => {
+    const text = [
+      'Title\n\nFirst paragraph, one line.\nSecond line of it.',
+      '',
+      'Page three.\n\n\nAfter three breaks.',
+    ].join(PAGE_BREAK);
+    for (const maxLength of [10, 25, 4500]) {
+      const chunks = splitIntoChunks(text, maxLength);
+      expect(join(chunks)).toBe(text);
+      chunks.forEach(chunk => expect(chunk.text.length).toBeLessThanOrEqual(maxLength));
+    }
+  });
+
+  it('keeps paragraphs together and ends a chunk at every page break', () => {
+    const chunks = splitIntoChunks(`One.\n\nTwo.${PAGE_BREAK}Three.\n\nFour.`);
+    expect(chunks).toEqual([
+      { text: 'One.\n\nTwo.', separator: PAGE_BREAK },
+      { text: 'Three.\n\nFour.', separator: '' },
+    ]);
+    chunks.forEach(chunk => expect(chunk.text).not.toContain('\f'));
+  });
+
+  it('cuts a paragraph longer than maxLength at sentence ends, spaces or anywhere', () => {
+    const sentences = 'A first sentence here. Then the second one. End.';
+    const atSentences = splitIntoChunks(sentences, 30);
+    expect(atSentences.map(chunk => chunk.text)).toEqual(['A first sentence here.', 'Then the second one. End.']);
+    expect(atSentences.map(chunk => chunk.text).join(' ')).toBe(sentences);
+
+    const words = 'alpha beta gamma delta epsilon zeta eta theta';
+    const atSpaces = splitIntoChunks(words, 20);
+    atSpaces.forEach(chunk => expect(chunk.text.length).toBeLessThanOrEqual(20));
+    expect(join(atSpaces)).toBe(words);
+
+    const word = 'x'.repeat(25);
+    expect(splitIntoChunks(word, 10)).toEqual([
+      { text: 'x'.repeat(10), separator: '' },
+      { text: 'x'.repeat(10), separator: '' },
+      { text: 'x'.repeat(5), separator: '' },
+    ]);
+  });
+});
+
+describe('translateDocumentText', () => {
+  beforeEach(() => {
+    translate.mockReset();
+  });
+
+  const upperCase = async text => ({ translatedText: text.toUpperCase(), detectedSourceLanguage: 'en', provider: 'stand-in' });
+
+  it('keeps the line, paragraph and page breaks of the text', async () => {
+    translate.mockImplementation(upperCase);
+    const text = `One.\nTwo.\n\nThree.${PAGE_BREAK}${PAGE_BREAK}Four.`;
+    const result = await translateDocumentText(text, 'fr');
+    expect(result).toMatchObject({ translatedText: text.toUpperCase(), detectedSourceLanguage: 'en', provider: 'stand-in' });
+    translate.mock.calls.forEach(([sent]) => expect(sent).not.toContain('\f'));
+  });
+
+  it('translates a chunk line by line when the provider drops its line breaks', async () => {
+    translate.mockImplementation(async (text, ...rest) => upperCase(text.replace(/\s*\n+\s*/g, ' '), ...rest));
+    const text = 'First paragraph.\n\nSecond paragraph.\nA line of it.';
+    const result = await translateDocumentText(text, 'fr');
+    expect(result.translatedText).toBe(text.toUpperCase());
+    expect(translate.mock.calls.map(([sent]) => sent)).toEqual([text, 'First paragraph.', 'Second paragraph.', 'A line of it.']);
+  });
+});
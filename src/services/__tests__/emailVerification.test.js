@@ -0,0 +1,66 @@
+// emailVerification.js links on the mock database, the emails caught instead of sent
+import { describe, it, expect, vi, beforeAll, beforeEach, afterEach } from 'vitest';
+
+const sendMail = vi.fn(async () => {});
+vi.mock('../mail/index.js', () => ({ sendMail }));
+
+process.env.USE_MOCK_DB = 'true';
+process.env.MOCK_DB_FILE = ':memory:';
+const { registerUser, loginUser } = await import('../database.js');
+const { sendVerificationEmail, verifyEmail, checkEmailVerificationConfig } = await import('../emailVerification.js');
+
+const secrets = { EMAIL_VERIFICATION_SECRET: process.env.EMAIL_VERIFICATION_SECRET, SESSION_SECRET: process.env.SESSION_SECRET };
+const mailedToken = () => new URL(sendMail.mock.calls[sendMail.mock.calls.length - 1][0].text.match(/http\S+/)[0]).searchParams.get('token');
+
+describe('email verification', () => {
+  let ip = 0;
+  const nextIp = () => `203.0.113.${(ip += 1)}`;
+
+  beforeAll(async () => {
+    await registerUser('verify@example.test', 'Correct-horse-1');
+    await registerUser('no-secret@example.test', 'Correct-horse-1');
+  });
+
+  beforeEach(() => {
+    sendMail.mockClear();
+    process.env.EMAIL_VERIFICATION_SECRET = 'test-secret';
+  });
+
+  afterEach(() => {
+    Object.entries(secrets).forEach(([name, value]) => {
+      if (value === undefined) delete process.env[name];
+      else process.env[name] = value;
+    });
+  });
+
+  it('verifies the account with the emailed link and refuses tampered ones', async () => {
+    await sendVerificationEmail('verify@example.test', { ipAddress: nextIp() });
+    const token = mailedToken();
+    await expect(verifyEmail(`${token.slice(0, -2)}xx`)).rejects.toMatchObject({ status: 400 });
+
+    process.env.EMAIL_VERIFICATION_SECRET = 'another-secret';
+    await expect(verifyEmail(token)).rejects.toMatchObject({ status: 400 });
+
+    process.env.EMAIL_VERIFICATION_SECRET = 'test-secret';
+    expect(await verifyEmail(token)).toMatchObject({ success: true, email: 'verify@example.test' });
+    expect(await loginUser('verify@example.test', 'Correct-horse-1')).toMatchObject({ success: true });
+  });
+
+  it('neither sends nor accepts links without a signing secret', async () => {
+    await sendVerificationEmail('no-secret@example.test', { ipAddress: nextIp() });
+    const token = mailedToken();
+    sendMail.mockClear();
+
+    delete process.env.EMAIL_VERIFICATION_SECRET;
+    delete process.env.SESSION_SECRET;
+    expect(checkEmailVerificationConfig()).toBe(false);
+    await expect(sendVerificationEmail('no-secret@example.test', { ipAddress: nextIp() }))
+      .rejects.toMatchObject({ status: 503, code: 'EMAIL_VERIFICATION_UNAVAILABLE' });
+    await expect(verifyEmail(token)).rejects.toMatchObject({ status: 503 });
+    expect(sendMail).not.toHaveBeenCalled();
+
+    process.env.SESSION_SECRET = 'test-secret';
+    expect(checkEmailVerificationConfig()).toBe(true);
+    expect(await verifyEmail(token)).toMatchObject({ success: true });
+  });
+});
@@ -0,0 +1,67 @@
+// glossary.js term selection and placeholders, and the glossary of an 'auto' source in translationProxy.js
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import { selectGlossaryEntries, protectTerms, restoreTerms } from '../glossary.js';
+
+const provider = {
+  name: 'stand-in',
+  translate: vi.fn(async text => ({ translatedText: text, detectedSourceLanguage: 'de' })),
+  detect: vi.fn(async () => 'de'),
+};
+vi.mock('../providers/index.js', () => ({ getProvider: () => provider }));
+vi.mock('../translationCache.js', () => ({ lookupTranslation: async () => null, storeTranslation: async () => {} }));
+
+const { translate } = await import('../translationProxy.js');
+
+const entry = (id, fromLang, toLang, sourceTerm, targetTerm) => ({
+  id, from_lang: fromLang, to_lang: toLang, source_term: sourceTerm, target_term: targetTerm, case_sensitive: false,
+});
+
+const entries = [
+  entry(1, 'en', 'fr', 'Gift', 'Cadeau'),
+  entry(2, 'de', 'fr', 'Gift', 'Poison'),
+  entry(3, 'en', 'es', 'Gift', 'Regalo'),
+];
+
+describe('selectGlossaryEntries', () => {
+  it('keeps the entries of the language pair', () => {
+    expect(selectGlossaryEntries(entries, 'en', 'fr').map(item => item.id)).toEqual([1]);
+    expect(selectGlossaryEntries(entries, 'de', 'fr').map(item => item.id)).toEqual([2]);
+  });
+
+  it('applies no entry to an undetected source', () => {
+    expect(selectGlossaryEntries(entries, 'auto', 'fr')).toEqual([]);
+    expect(selectGlossaryEntries(entries, '', 'fr')).toEqual([]);
+  });
+});
+
+describe('protectTerms and restoreTerms', () => {
+  it('swaps whole words for placeholders and back to the target terms', () => {
+    const { protectedText, placeholders } = protectTerms('A gift, not a giftbox.', [entries[0]]);
+    expect(protectedText).toBe('A ⟦0⟧, not a giftbox.');
+    expect(restoreTerms('Un ⟦ 0 ⟧, pas une boîte.', placeholders)).toEqual({
+      text: 'Un Cadeau, pas une boîte.',
+      appliedTerms: [{ id: 1, sourceTerm: 'Gift', targetTerm: 'Cadeau' }],
+    });
+  });
+});
+
+describe('translate with an auto source', () => {
+  beforeEach(() => {
+    provider.translate.mockClear();
+    provider.detect.mockClear();
+  });
+
+  it('applies only the entries of the detected language', async () => {
+    const result = await translate('Das Gift', 'fr', 'auto', undefined, entries);
+    expect(provider.detect).toHaveBeenCalledWith('Das Gift');
+    expect(provider.translate).toHaveBeenCalledWith('Das ⟦0⟧', 'fr', 'auto');
+    expect(result.translatedText).toBe('Das Poison');
+    expect(result.appliedGlossaryTerms).toEqual([{ id: 2, sourceTerm: 'Gift', targetTerm: 'Poison' }]);
+  });
+
+  it('detects nothing without entries for the target language', async () => {
+    await translate('Das Gift', 'it', 'auto', undefined, entries);
+    expect(provider.detect).not.toHaveBeenCalled();
+    expect(provider.translate).toHaveBeenCalledWith('Das Gift', 'it', 'auto');
+  });
+});
@@ -0,0 +1,143 @@
+// jobQueue.js against the mock database: leases and requeues, cancel, retry and jobs whose progress or end cannot be saved
+import { describe, it, expect, vi, beforeAll } from 'vitest';
+
+const failingProgressSaves = new Set(); // job ids whose progress updates fail like a database error
+const failingEndSaves = new Map(); // job id -> how many saves of its end (completed, failed) fail
+const failedSave = { success: false, error: 'Database unavailable' };
+vi.mock('../database.js', async (importOriginal) => {
+  const database = await importOriginal();
+  return {
+    ...database,
+    updateJob: async (jobId, fields, options) => {
+      if (failingProgressSaves.has(jobId) && fields.progressDone !== undefined) return failedSave;
+      if (failingEndSaves.get(jobId) > 0 && ['completed', 'failed'].includes(fields.status)) {
+        failingEndSaves.set(jobId, failingEndSaves.get(jobId) - 1);
+        return failedSave;
+      }
+      return database.updateJob(jobId, fields, options);
+    },
+  };
+});
+
+process.env.USE_MOCK_DB = 'true';
+process.env.MOCK_DB_FILE = ':memory:';
+process.env.JOB_POLL_INTERVAL_MS = '20';
+process.env.JOB_LEASE_MS = '1000'; // the shortest lease, a heartbeat every 333 ms
+
+const { createJob, claimNextJob, requeueInterruptedJobs } = await import('../database.js');
+const { registerJobHandler, startJobWorkers, enqueueJob, getJobStatus, cancelJob, retryJob } = await import('../jobQueue.js');
+const { serviceError } = await import('../serviceHelpers.js');
+
+const owner = { guestKey: 'job-queue-tests' };
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+const hoursFromNow = (hours) => new Date(Date.now() + hours * 60 * 60 * 1000);
+const waitForStatus = (jobId, status) => vi.waitFor(async () => {
+  expect((await getJobStatus(owner, jobId)).status).toBe(status);
+}, { timeout: 2000, interval: 10 });
+
+/*
+the test handler, payload.mode:
+complete = reports one piece and ends, fail-once = fails its first attempt,
+until-aborted = reports progress until its signal is aborted
+*/
+const stoppedRuns = new Map(); // job id -> the signal was aborted when the handler returned
+const runCounts = new Map(); // job id -> how often the handler started
+registerJobHandler('test', async (job, { signal, reportProgress }) => {
+  runCounts.set(job.id, (runCounts.get(job.id) || 0) + 1);
+  try {
+    if (job.payload.mode === 'fail-once' && job.attempts === 1) throw serviceError('The first attempt fails', 422);
+    if (job.payload.mode === 'until-aborted') {
+      while (!signal.aborted) {
+        await reportProgress(1, 2);
+        await sleep(10);
+      }
+      return;
+    }
+    await reportProgress(1, 1);
+  } finally {
+    stoppedRuns.set(job.id, signal.aborted);
+  }
+});
+
+const enqueue = async (mode) => (await enqueueJob(owner, { type: 'test', payload: { mode }, expiresAt: hoursFromNow(1) })).id;
+
+describe('jobQueue', () => {
+  let liveJobId;
+  let staleJobId;
+
+  beforeAll(async () => {
+    // jobs left running by two other processes, one stopped (its lease expired), one alive
+    staleJobId = (await createJob({ ...owner, type: 'test', payload: { mode: 'complete' }, expiresAt: hoursFromNow(1) })).job.id;
+    await claimNextJob(new Date(), { leaseOwner: 'stopped-worker', leaseExpiresAt: hoursFromNow(-1) });
+    liveJobId = (await createJob({ ...owner, type: 'test', payload: { mode: 'complete' }, expiresAt: hoursFromNow(1) })).job.id;
+    await claimNextJob(new Date(), { leaseOwner: 'live-worker', leaseExpiresAt: hoursFromNow(1) });
+    startJobWorkers();
+  });
+
+  it('runs again the jobs whose lease expired and leaves leased jobs to their worker', async () => {
+    await waitForStatus(staleJobId, 'completed');
+    expect(await getJobStatus(owner, staleJobId)).toMatchObject({ attempts: 2, progress: 100 });
+    expect(await getJobStatus(owner, liveJobId)).toMatchObject({ status: 'running', lease_owner: 'live-worker', attempts: 1 });
+  });
+
+  it('cancels a running job and stops its handler', async () => {
+    const jobId = await enqueue('until-aborted');
+    await waitForStatus(jobId, 'running');
+
+    expect(await cancelJob(owner, jobId)).toMatchObject({ status: 'cancelled' });
+    await vi.waitFor(() => expect(stoppedRuns.get(jobId)).toBe(true), { timeout: 2000, interval: 10 });
+    expect(await getJobStatus(owner, jobId)).toMatchObject({ status: 'cancelled' });
+  });
+
+  it('refuses to cancel a finished job', async () => {
+    const jobId = await enqueue('complete');
+    await waitForStatus(jobId, 'completed');
+
+    await expect(cancelJob(owner, jobId)).rejects.toMatchObject({ status: 409, code: 'JOB_FINISHED' });
+  });
+
+  it('retries a failed job and refuses to retry a completed one', async () => {
+    const jobId = await enqueue('fail-once');
+    await waitForStatus(jobId, 'failed');
+    expect(await getJobStatus(owner, jobId)).toMatchObject({ error: 'The first attempt fails' });
+
+    expect(await retryJob(owner, jobId)).toMatchObject({ status: 'queued', error: null });
+    await waitForStatus(jobId, 'completed');
+    expect(await getJobStatus(owner, jobId)).toMatchObject({ attempts: 2 });
+
+    await expect(retryJob(owner, jobId)).rejects.toMatchObject({ status: 409, code: 'JOB_NOT_RETRYABLE' });
+  });
+
+  it('stops a job whose lease went to another worker without saving how it ended', async () => {
+    const jobId = await enqueue('until-aborted');
+    await waitForStatus(jobId, 'running');
+
+    // the lease looks expired to another process, which requeues the job and claims it
+    await requeueInterruptedJobs(new Date(Date.now() + 10 * 60 * 1000));
+    expect(await claimNextJob(new Date(), { leaseOwner: 'other-worker', leaseExpiresAt: hoursFromNow(1) })).toMatchObject({ id: jobId });
+
+    await vi.waitFor(() => expect(stoppedRuns.get(jobId)).toBe(true), { timeout: 2000, interval: 10 });
+    expect(await getJobStatus(owner, jobId)).toMatchObject({ status: 'running', lease_owner: 'other-worker', attempts: 2 });
+  });
+
+  it('fails a job whose progress cannot be saved', async () => {
+    const jobId = await enqueue('complete');
+    failingProgressSaves.add(jobId); // before the workers start it, they are woken once enqueueJob returned
+
+    await waitForStatus(jobId, 'failed');
+    expect(await getJobStatus(owner, jobId)).toMatchObject({ error: 'The job failed' });
+    expect(stoppedRuns.get(jobId)).toBe(false);
+  });
+
+  it('keeps the lease of a finished job until its end is saved, so it never runs twice', async () => {
+    const jobId = await enqueue('complete');
+    failingEndSaves.set(jobId, 4); // the saves fail for longer than the lease lasts (1000 ms)
+
+    await vi.waitFor(async () => {
+      expect((await getJobStatus(owner, jobId)).status).toBe('completed');
+    }, { timeout: 5000, interval: 50 });
+    expect(failingEndSaves.get(jobId)).toBe(0);
+    expect(runCounts.get(jobId)).toBe(1);
+    expect(await getJobStatus(owner, jobId)).toMatchObject({ attempts: 1 });
+  });
+});
@@ -0,0 +1,66 @@
+// the sqlite migrations applied, rolled back and applied again on a fresh SQLite file
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { describe, it, expect, beforeAll, afterAll } from 'vitest';
+import { createSqliteClient } from '../storage/sqliteClient.js';
+import { loadMigrations, getMigrationStatus, migrateUp, migrateDown } from '../migrations/index.js';
+
+describe('sqlite migrations', () => {
+  const migrations = loadMigrations('sqlite');
+  let dir;
+  let client;
+
+  beforeAll(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'translationhub-'));
+    client = createSqliteClient({ filePath: path.join(dir, 'migrations.db') });
+  });
+
+  afterAll(async () => {
+    await client.close();
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  const recordedChecksums = async () => (await client.query('SELECT version, checksum FROM SchemaMigrations ORDER BY version')).rows
+    .map(row => ({ version: row.version, checksum: row.checksum.trim() }));
+  const scriptChecksums = migrations.map(migration => ({ version: migration.version, checksum: migration.checksum }));
+
+  const tables = async () => (await client.query("SELECT name FROM sqlite_master WHERE type = 'table' AND name NOT LIKE 'sqlite_%' ORDER BY name")).rows
+    .map(row => row.name);
+
+  it('keeps versions unique and in order', () => {
+    expect(migrations.length).toBeGreaterThan(0);
+    migrations.forEach((migration, index) => {
+      if (index > 0) expect(migration.version).toBeGreaterThan(migrations[index - 1].version);
+      expect(migration.checksum).toMatch(/^[0-9a-f]{64}$/);
+    });
+  });
+
+  it('applies, rolls back and applies again every migration with the checksums of the scripts', async () => {
+    expect((await migrateUp(client)).map(migration => migration.version)).toEqual(migrations.map(migration => migration.version));
+    expect((await getMigrationStatus(client)).every(entry => entry.state === 'applied')).toBe(true);
+    expect(await recordedChecksums()).toEqual(scriptChecksums);
+    const schema = await tables();
+    expect(await migrateUp(client)).toEqual([]);
+
+    const reverted = await migrateDown(client, { steps: migrations.length });
+    expect(reverted.map(migration => migration.version)).toEqual(migrations.map(migration => migration.version).reverse());
+    expect((await getMigrationStatus(client)).every(entry => entry.state === 'pending')).toBe(true);
+    expect(await recordedChecksums()).toEqual([]);
+    expect(await tables()).toEqual(['SchemaMigrations']);
+
+    expect(await migrateUp(client)).toHaveLength(migrations.length);
+    expect((await getMigrationStatus(client)).every(entry => entry.state === 'applied')).toBe(true);
+    expect(await recordedChecksums()).toEqual(scriptChecksums);
+    expect(await tables()).toEqual(schema);
+  });
+
+  it('reports an applied script that was edited since and refuses to migrate', async () => {
+    const edited = migrations.map((migration, index) => (index === migrations.length - 1
+      ? { ...migration, checksum: '0'.repeat(64) }
+      : migration));
+    const status = await getMigrationStatus(client, edited);
+    expect(status[status.length - 1].state).toBe('changed');
+    await expect(migrateDown(client, { migrations: edited })).rejects.toThrow(/no longer match/);
+  });
+});
@@ -0,0 +1,67 @@
+// passwordReset.js on the mock database, the emails caught instead of sent
+import { describe, it, expect, vi, beforeAll, beforeEach } from 'vitest';
+
+const sendMail = vi.fn(async () => {});
+vi.mock('../mail/index.js', () => ({ sendMail }));
+
+process.env.USE_MOCK_DB = 'true';
+process.env.MOCK_DB_FILE = ':memory:';
+const { registerUser, markEmailVerified, getUserByEmail, loginUser } = await import('../database.js');
+const { requestPasswordReset, resetPassword } = await import('../passwordReset.js');
+
+const mailedToken = () => new URL(sendMail.mock.calls[sendMail.mock.calls.length - 1][0].text.match(/http\S+/)[0]).searchParams.get('token');
+
+describe('password reset', () => {
+  let ip = 0;
+  const nextIp = () => `198.51.100.${(ip += 1)}`;
+
+  beforeAll(async () => {
+    for (const email of ['reset@example.test', 'undelivered@example.test']) {
+      await registerUser(email, 'Correct-horse-1');
+      const user = await getUserByEmail(email);
+      await markEmailVerified(user.id, email);
+    }
+  });
+
+  beforeEach(() => {
+    sendMail.mockReset();
+  });
+
+  it('answers before the link is mailed and resets the password with it', async () => {
+    let deliver;
+    sendMail.mockImplementation(() => new Promise((resolve) => { deliver = resolve; }));
+    const { delivery } = await requestPasswordReset('reset@example.test', { ipAddress: nextIp() });
+    await vi.waitFor(() => expect(sendMail).toHaveBeenCalledTimes(1));
+    deliver();
+    await delivery;
+
+    expect(await resetPassword(mailedToken(), 'New-password-2')).toMatchObject({ success: true });
+    await expect(resetPassword(mailedToken(), 'Other-password-3')).rejects.toMatchObject({ status: 400 });
+    expect(await loginUser('reset@example.test', 'New-password-2')).toMatchObject({ success: true });
+  });
+
+  it('answers the same for unknown emails, without mailing anything', async () => {
+    const { delivery } = await requestPasswordReset('nobody@example.test', { ipAddress: nextIp() });
+    await delivery;
+    expect(sendMail).not.toHaveBeenCalled();
+  });
+
+  it('limits requests per email, known or not, and per IP', async () => {
+    await requestPasswordReset('limit@example.test', { ipAddress: nextIp() });
+    await expect(requestPasswordReset('LIMIT@example.test', { ipAddress: nextIp() }))
+      .rejects.toMatchObject({ status: 429, retryAfter: expect.any(Number) });
+
+    const ipAddress = nextIp();
+    for (let index = 0; index < 20; index += 1) {
+      await requestPasswordReset(`ip-${index}@example.test`, { ipAddress });
+    }
+    await expect(requestPasswordReset('ip-last@example.test', { ipAddress })).rejects.toMatchObject({ status: 429 });
+  });
+
+  it('logs a failed delivery instead of rejecting', async () => {
+    sendMail.mockRejectedValue(new Error('SMTP down'));
+    const { delivery } = await requestPasswordReset('undelivered@example.test', { ipAddress: nextIp() });
+    await expect(delivery).resolves.toBeUndefined();
+    expect(sendMail).toHaveBeenCalledTimes(1);
+  });
+});
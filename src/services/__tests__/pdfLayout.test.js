@@ -0,0 +1,75 @@
+// pdfLayout.js reading order of synthetic pages (the fragments readPdfPage returns, A4 in pt)
+import { describe, it, expect } from 'vitest';
+import { layoutPdfPages } from '../pdfLayout.js';
+
+const WIDTH = 595;
+const HEIGHT = 842;
+
+// a fragment starting at x0 on a baseline, about half the font size wide per character
+const line = (text, x0, baseline, fontSize = 10) => ({ text, x0, x1: x0 + text.length * fontSize * 0.5, baseline, fontSize });
+const page = (...fragments) => ({ width: WIDTH, height: HEIGHT, fragments });
+
+describe('layoutPdfPages', () => {
+  it('reads a title above two columns before the left and then the right column', () => {
+    const [text] = layoutPdfPages([page(
+      line('A Title That Spans Both Columns', 72, 100, 18),
+      line('The left column starts here and', 72, 140),
+      line('The right column is read after', 320, 140),
+      line('continues on a second line of', 72, 152),
+      line('the whole left column has been', 320, 152),
+      line('text until it ends.', 72, 164),
+      line('read to its end.', 320, 164),
+    )]);
+
+    expect(text).toBe([
+      'A Title That Spans Both Columns',
+      'The left column starts here and continues on a second line of text until it ends.',
+      'The right column is read after the whole left column has been read to its end.',
+    ].join('\n\n'));
+  });
+
+  it('removes a header and a footer with page numbers repeated on every page', () => {
+    const pages = [1, 2, 3].map(number => page(
+      line('Annual Report 2024', 72, 40),
+      ...(number === 1 ? [line('Introduction', 72, 90, 14)] : []),
+      line(`Body text of page ${number}.`, 72, 200),
+      line(`Page ${number} of 3`, 270, 800),
+    ));
+
+    expect(layoutPdfPages(pages)).toEqual([
+      'Introduction\n\nBody text of page 1.',
+      'Body text of page 2.',
+      'Body text of page 3.',
+    ]);
+  });
+
+  it('joins a word hyphenated at the end of a line', () => {
+    const [text] = layoutPdfPages([page(
+      line('The service keeps the trans-', 72, 140),
+      line('lation of every paragraph.', 72, 152),
+    )]);
+
+    expect(text).toBe('The service keeps the translation of every paragraph.');
+  });
+
+  it('starts a paragraph at every list item and keeps the wrapped lines of an item', () => {
+    const [text] = layoutPdfPages([page(
+      line('Bring the following:', 72, 140),
+      line('• a passport that is valid for', 72, 152),
+      line('six more months', 82, 164),
+      line('• two photos', 72, 176),
+      line('2. the signed form', 72, 188),
+    )]);
+
+    expect(text).toBe([
+      'Bring the following:',
+      '• a passport that is valid for six more months',
+      '• two photos',
+      '2. the signed form',
+    ].join('\n\n'));
+  });
+
+  it('returns an empty text for a page without text', () => {
+    expect(layoutPdfPages([page()])).toEqual(['']);
+  });
+});
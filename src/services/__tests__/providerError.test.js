@@ -0,0 +1,31 @@
+// providers/providerError.js: which provider statuses reach the client
+import { describe, it, expect } from 'vitest';
+import { toProviderError } from '../providers/providerError.js';
+
+// the shape of an axios error with a provider response
+const axiosError = (status, data = {}) => Object.assign(new Error(`Request failed with status code ${status}`), {
+  isAxiosError: true,
+  response: { status, data },
+});
+
+describe('toProviderError', () => {
+  it('forwards a 409 or 429 of the provider unchanged', () => {
+    expect(toProviderError(axiosError(429, { message: 'Too many requests' }), 'deepl')).toMatchObject({
+      status: 429,
+      message: 'Translation provider error (deepl): Too many requests',
+    });
+    expect(toProviderError(axiosError(409), 'google')).toMatchObject({ status: 409 });
+  });
+
+  it('answers a rejected API key of the server as 502 PROVIDER_AUTH_FAILED, not as a 401 or 403 of the user', () => {
+    [401, 403].forEach((status) => {
+      const error = toProviderError(axiosError(status, { message: 'Wrong auth key' }), 'deepl');
+      expect(error).toMatchObject({ status: 502, code: 'PROVIDER_AUTH_FAILED' });
+      expect(error.message).not.toContain('Wrong auth key');
+    });
+  });
+
+  it('reports network failures as 502', () => {
+    expect(toProviderError(Object.assign(new Error('socket hang up'), { isAxiosError: true }), 'libretranslate')).toMatchObject({ status: 502 });
+  });
+});
@@ -0,0 +1,8 @@
+// the conformance suite against the mock database of database.js (USE_MOCK_DB=true, kept in memory)
+import { describeRepositoryConformance } from './repositoryConformance.js';
+
+describeRepositoryConformance('mock', async () => {
+  process.env.USE_MOCK_DB = 'true';
+  process.env.MOCK_DB_FILE = ':memory:';
+  return { repository: await import('../database.js') };
+});
@@ -0,0 +1,19 @@
+// the conformance suite against the MSSQL implementation of database.js (DB_DRIVER=mssql),
+// skipped unless TEST_MSSQL_DATABASE names a test database: CI has no SQL Server. The connection uses
+// DB_SERVER, DB_PORT, DB_USER and DB_PASSWORD, the database is migrated and the suite adds users and jobs to it
+import { createMssqlClient } from '../storage/mssqlClient.js';
+import { migrateUp } from '../migrations/index.js';
+import { describeRepositoryConformance } from './repositoryConformance.js';
+
+const testDatabase = process.env.TEST_MSSQL_DATABASE;
+
+describeRepositoryConformance('mssql', async () => {
+  Object.assign(process.env, { USE_MOCK_DB: 'false', DB_DRIVER: 'mssql', DB_NAME: testDatabase }); // read by database.js
+  const repository = await import('../database.js');
+  const client = createMssqlClient(await repository.getPool());
+  await migrateUp(client);
+  return {
+    repository,
+    teardown: () => client.close(),
+  };
+}, { skip: !testDatabase });
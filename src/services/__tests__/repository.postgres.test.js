@@ -0,0 +1,18 @@
+// the conformance suite against storage/sqlRepository.js on PostgreSQL (DB_DRIVER=postgres),
+// skipped unless TEST_DATABASE_URL points at a test database: it is migrated and the suite adds users and jobs to it
+import { createPostgresClient } from '../storage/postgresClient.js';
+import { createSqlRepository } from '../storage/sqlRepository.js';
+import { migrateUp } from '../migrations/index.js';
+import { describeRepositoryConformance } from './repositoryConformance.js';
+
+const testDatabaseUrl = process.env.TEST_DATABASE_URL;
+
+describeRepositoryConformance('postgres', async () => {
+  process.env.DATABASE_URL = testDatabaseUrl; // read by createPostgresClient
+  const client = createPostgresClient();
+  await migrateUp(client);
+  return {
+    repository: createSqlRepository(client),
+    teardown: () => client.close(),
+  };
+}, { skip: !testDatabaseUrl });
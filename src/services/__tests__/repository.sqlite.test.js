@@ -0,0 +1,21 @@
+// the conformance suite against storage/sqlRepository.js on a fresh SQLite file (DB_DRIVER=sqlite)
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { createSqliteClient } from '../storage/sqliteClient.js';
+import { createSqlRepository } from '../storage/sqlRepository.js';
+import { migrateUp } from '../migrations/index.js';
+import { describeRepositoryConformance } from './repositoryConformance.js';
+
+describeRepositoryConformance('sqlite', async () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'translationhub-'));
+  const client = createSqliteClient({ filePath: path.join(dir, 'repository.db') });
+  await migrateUp(client);
+  return {
+    repository: createSqlRepository(client),
+    teardown: async () => {
+      await client.close();
+      fs.rmSync(dir, { recursive: true, force: true });
+    },
+  };
+});
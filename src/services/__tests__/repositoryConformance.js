@@ -0,0 +1,428 @@
+/*
+Repository Conformance Suite:
+the behaviour every implementation of the data access contract (dataContract.js) must share, run against
+each of them by its own test file (repository.<implementation>.test.js):
+describeRepositoryConformance(name, setup, { skip }), setup() resolves to { repository, teardown? },
+repository = an object with the REPOSITORY_FUNCTIONS of the implementation,
+skip = the implementation needs a database server that is not configured (postgres, mssql).
+Every case creates its own users, so the cases do not depend on each other or on their order.
+*/
+
+import crypto from 'crypto';
+import { describe, it, expect, beforeAll, afterAll } from 'vitest';
+import { REPOSITORY_FUNCTIONS, INVALID_CREDENTIALS } from '../dataContract.js';
+
+const PASSWORD = 'Correct-horse-1';
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+const uniqueEmail = (label) => `${label}-${crypto.randomUUID()}@example.test`;
+const hoursFromNow = (hours) => new Date(Date.now() + hours * 60 * 60 * 1000);
+
+export const describeRepositoryConformance = (name, setup, { skip = false } = {}) => {
+  describe.skipIf(skip)(`${name} repository`, () => {
+    let repo;
+    let teardown;
+
+    beforeAll(async () => {
+      ({ repository: repo, teardown } = await setup());
+    });
+
+    afterAll(async () => {
+      if (teardown) await teardown();
+    });
+
+    // a registered and verified user, signed in when login is set
+    const createUser = async (label, { login = false } = {}) => {
+      const email = uniqueEmail(label);
+      expect((await repo.registerUser(email, PASSWORD)).success).toBe(true);
+      const user = await repo.getUserByEmail(email);
+      await repo.markEmailVerified(user.id, email);
+      if (!login) return { ...user, email };
+      const session = await repo.loginUser(email, PASSWORD);
+      return { ...user, email, session: session.user };
+    };
+
+    it('offers every function of the contract', () => {
+      const missing = REPOSITORY_FUNCTIONS.filter(fn => typeof repo[fn] !== 'function');
+      expect(missing).toEqual([]);
+    });
+
+    describe('users', () => {
+      it('registers an email once', async () => {
+        const email = uniqueEmail('register');
+        expect(await repo.registerUser(email, PASSWORD)).toMatchObject({ success: true });
+        expect(await repo.registerUser(email, PASSWORD)).toMatchObject({ success: false, code: 'EMAIL_TAKEN' });
+        expect(await repo.getUserByEmail(email)).toEqual({ id: expect.any(String), email, email_verified: false });
+        expect(await repo.getUserByEmail(uniqueEmail('unknown'))).toBeNull();
+      });
+
+      it('signs in verified users only, with the same error for unknown emails and wrong passwords', async () => {
+        const email = uniqueEmail('login');
+        await repo.registerUser(email, PASSWORD);
+        const { id } = await repo.getUserByEmail(email);
+
+        expect(await repo.loginUser(email, PASSWORD)).toMatchObject({ success: false, code: 'EMAIL_NOT_VERIFIED' });
+        expect(await repo.markEmailVerified(id, email)).toEqual({ success: true, alreadyVerified: false });
+        expect(await repo.markEmailVerified(id, email)).toEqual({ success: true, alreadyVerified: true });
+
+        expect(await repo.loginUser(email, 'wrong password')).toEqual(INVALID_CREDENTIALS);
+        expect(await repo.loginUser(uniqueEmail('nobody'), PASSWORD)).toEqual(INVALID_CREDENTIALS);
+
+        const login = await repo.loginUser(email, PASSWORD, { rememberMe: true });
+        expect(login.success).toBe(true);
+        expect(login.user).toMatchObject({ id, email, remember_me: true, default_from_lang: '', default_to_lang: '' });
+        expect(login.user.expires_at.getTime()).toBeGreaterThan(Date.now());
+      });
+
+      it('resolves sessions to the user and the plan the quota is counted against', async () => {
+        const user = await createUser('session', { login: true });
+        const sessionUser = await repo.getSessionUser(user.session.signed_session_id, { renew: false });
+        expect(sessionUser).toMatchObject({
+          id: user.id,
+          email: user.email,
+          plan: 'free',
+          session: { id: user.session.session_id, remember_me: false },
+        });
+        expect(await repo.validateSession(user.session.session_id, user.session.signed_session_id)).toBe(true);
+
+        await repo.logoutUser(user.session.signed_session_id);
+        expect(await repo.getSessionUser(user.session.signed_session_id)).toBeNull();
+        expect(await repo.validateSession(user.session.session_id, user.session.signed_session_id)).toBe(false);
+      });
+
+      it('updates the password and the preferences', async () => {
+        const user = await createUser('update');
+        expect(await repo.updateUserPassword(user.id, 'New-password-2')).toMatchObject({ success: true });
+        expect(await repo.verifyUserPassword(user.id, PASSWORD)).toBe(false);
+        expect(await repo.verifyUserPassword(user.id, 'New-password-2')).toBe(true);
+
+        expect(await repo.getUserPreferences(user.id)).toEqual({ default_from_lang: '', default_to_lang: '' });
+        const updated = await repo.updateUserPreferences(user.id, 'en', 'de');
+        expect(updated).toMatchObject({ success: true, user: { default_from_lang: 'en', default_to_lang: 'de' } });
+        expect(await repo.getUserPreferences(user.id)).toEqual({ default_from_lang: 'en', default_to_lang: 'de' });
+      });
+
+      it('changes the email only once the pending change is confirmed', async () => {
+        const user = await createUser('change');
+        const taken = await createUser('taken');
+        const newEmail = uniqueEmail('changed');
+
+        expect(await repo.requestEmailChange(user.id, taken.email)).toMatchObject({ success: false, code: 'EMAIL_TAKEN' });
+        expect(await repo.confirmEmailChange(user.id, newEmail)).toMatchObject({ success: false });
+        expect(await repo.requestEmailChange(user.id, newEmail)).toMatchObject({ success: true });
+        expect(await repo.getUserByEmail(user.email)).toMatchObject({ id: user.id });
+
+        expect(await repo.confirmEmailChange(user.id, newEmail)).toMatchObject({ success: true });
+        expect(await repo.getUserByEmail(user.email)).toBeNull();
+        expect(await repo.getUserByEmail(newEmail)).toEqual({ id: user.id, email: newEmail, email_verified: true });
+      });
+
+      it('deletes an account with everything stored for it', async () => {
+        const user = await createUser('delete', { login: true });
+        await repo.saveTranslation(user.id, { type: 'text', fromLang: 'en', toLang: 'fr', originalText: 'a', translatedText: 'b' });
+        await repo.createGlossaryEntry(user.id, { sourceTerm: 'a', targetTerm: 'b', fromLang: 'en', toLang: 'fr' });
+        const { job } = await repo.createJob({ userId: user.id, type: 'file', expiresAt: hoursFromNow(1) });
+
+        expect(await repo.deleteUserAccount(user.id)).toMatchObject({ success: true });
+        expect(await repo.getUserByEmail(user.email)).toBeNull();
+        expect(await repo.getSessionUser(user.session.signed_session_id)).toBeNull();
+        expect(await repo.getGlossaryEntries(user.id)).toEqual([]);
+        expect(await repo.getJob({ userId: user.id }, job.id)).toBeNull();
+        expect(await repo.deleteUserAccount(user.id)).toMatchObject({ success: false });
+      });
+    });
+
+    describe('translation history', () => {
+      let user;
+      let saved; // newest first, like the history
+
+      beforeAll(async () => {
+        user = await createUser('history');
+        const records = [
+          { type: 'text', fromLang: 'en', toLang: 'fr', originalText: 'Good morning', translatedText: 'Bonjour' },
+          { type: 'voice', fromLang: 'en', toLang: 'de', originalText: 'Thank you', translatedText: 'Danke' },
+          { type: 'text', fromLang: 'es', toLang: 'fr', originalText: 'Buenas noches', translatedText: 'Bonne nuit' },
+          { type: 'file', fromLang: 'en', toLang: 'fr', originalText: 'Annual REPORT', translatedText: 'Rapport annuel' },
+          { type: 'text', fromLang: 'en', toLang: 'it', originalText: 'See you', translatedText: 'Ci vediamo' },
+        ];
+        saved = [];
+        for (const record of records) {
+          saved.unshift((await repo.saveTranslation(user.id, record)).translation);
+          await sleep(5); // distinct created_at, the order is checked
+        }
+      });
+
+      it('pages with a cursor through every record once, newest first', async () => {
+        const seen = [];
+        let cursor;
+        let pages = 0;
+        do {
+          const page = await repo.searchTranslationHistory(user.id, { pageSize: 2, cursor });
+          expect(page).toMatchObject({ success: true, total: 5, pageSize: 2 });
+          seen.push(...page.items.map(item => item.id));
+          cursor = page.nextCursor;
+          expect(page.hasMore).toBe(Boolean(cursor));
+          pages += 1;
+        } while (cursor);
+        expect(pages).toBe(3);
+        expect(seen).toEqual(saved.map(item => item.id));
+      });
+
+      it('keeps the cursor stable while new records are saved', async () => {
+        const other = await createUser('history-stable');
+        for (const text of ['one', 'two', 'three']) {
+          await repo.saveTranslation(other.id, { type: 'text', fromLang: 'en', toLang: 'fr', originalText: text, translatedText: text });
+          await sleep(5);
+        }
+        const first = await repo.searchTranslationHistory(other.id, { pageSize: 2 });
+        await repo.saveTranslation(other.id, { type: 'text', fromLang: 'en', toLang: 'fr', originalText: 'four', translatedText: 'four' });
+        const second = await repo.searchTranslationHistory(other.id, { pageSize: 2, cursor: first.nextCursor });
+        expect(second.items.map(item => item.original_text)).toEqual(['one']);
+        expect(second.nextCursor).toBeNull();
+      });
+
+      it('filters by type, language and search text (case insensitive)', async () => {
+        const ids = async (filters) => (await repo.searchTranslationHistory(user.id, filters)).items.map(item => item.original_text);
+        expect(await ids({ type: 'text' })).toEqual(['See you', 'Buenas noches', 'Good morning']);
+        expect(await ids({ fromLang: 'en', toLang: 'fr' })).toEqual(['Annual REPORT', 'Good morning']);
+        expect(await ids({ search: 'report' })).toEqual(['Annual REPORT']);
+        expect(await ids({ search: 'BONNE' })).toEqual(['Buenas noches']);
+        expect(await ids({ type: 'all', toLang: 'de' })).toEqual(['Thank you']);
+      });
+
+      it('returns records in the shared shape, with offset pages too', async () => {
+        const page = await repo.searchTranslationHistory(user.id, { page: 2, pageSize: 2 });
+        expect(page).toMatchObject({ page: 2, hasMore: true });
+        expect(page.items[0]).toEqual({
+          id: saved[2].id,
+          type: 'text',
+          from_lang: 'es',
+          to_lang: 'fr',
+          original_text: 'Buenas noches',
+          translated_text: 'Bonne nuit',
+          source_meta: null,
+          provider: null,
+          is_favorite: false,
+          deleted_at: null,
+          created_at: expect.any(Date),
+          updated_at: expect.any(Date),
+        });
+      });
+
+      it('filters favorites and keeps deleted records in the trash until restored', async () => {
+        const owner = await createUser('history-trash');
+        const { translation } = await repo.saveTranslation(owner.id, {
+          type: 'text', fromLang: 'en', toLang: 'fr', originalText: 'Hello', translatedText: 'Salut',
+        });
+        const texts = async (filters) => (await repo.searchTranslationHistory(owner.id, filters)).items.map(item => item.original_text);
+
+        expect(await texts({ favorite: 'true' })).toEqual([]);
+        expect(await repo.setTranslationFavorite(owner.id, translation.id, true)).toMatchObject({ success: true });
+        expect(await texts({ favorite: 'true' })).toEqual(['Hello']);
+
+        expect(await repo.deleteTranslation(user.id, translation.id)).toMatchObject({ success: false });
+        expect(await repo.deleteTranslation(owner.id, translation.id, { permanent: true })).toMatchObject({ success: false });
+        expect(await repo.deleteTranslation(owner.id, translation.id)).toMatchObject({ success: true });
+        expect(await texts({})).toEqual([]);
+        expect(await texts({ trash: 'true' })).toEqual(['Hello']);
+
+        expect(await repo.restoreTranslation(owner.id, translation.id)).toMatchObject({ success: true });
+        expect(await texts({})).toEqual(['Hello']);
+      });
+    });
+
+    describe('glossary', () => {
+      it('creates, filters, updates and deletes the entries of their owner only', async () => {
+        const user = await createUser('glossary');
+        const stranger = await createUser('glossary-stranger');
+        const created = await repo.createGlossaryEntry(user.id, {
+          sourceTerm: 'invoice', targetTerm: 'Rechnung', fromLang: 'en', toLang: 'de', caseSensitive: true,
+        });
+        expect(created).toMatchObject({
+          success: true,
+          entry: { user_id: user.id, source_term: 'invoice', target_term: 'Rechnung', from_lang: 'en', to_lang: 'de', case_sensitive: true },
+        });
+        await repo.createGlossaryEntry(user.id, { sourceTerm: 'account', targetTerm: 'compte', fromLang: 'en', toLang: 'fr' });
+
+        expect((await repo.getGlossaryEntries(user.id)).map(entry => entry.source_term)).toEqual(['account', 'invoice']);
+        expect((await repo.getGlossaryEntries(user.id, { fromLang: 'en', toLang: 'de' })).map(entry => entry.id)).toEqual([created.entry.id]);
+        expect(await repo.getGlossaryEntries(stranger.id)).toEqual([]);
+
+        const change = { sourceTerm: 'bill', targetTerm: 'Rechnung', fromLang: 'en', toLang: 'de', caseSensitive: false };
+        expect(await repo.updateGlossaryEntry(stranger.id, created.entry.id, change)).toMatchObject({ success: false });
+        expect(await repo.updateGlossaryEntry(user.id, created.entry.id, change))
+          .toMatchObject({ success: true, entry: { source_term: 'bill', case_sensitive: false } });
+
+        expect(await repo.deleteGlossaryEntry(stranger.id, created.entry.id)).toMatchObject({ success: false });
+        expect(await repo.deleteGlossaryEntry(user.id, created.entry.id)).toMatchObject({ success: true });
+        expect((await repo.getGlossaryEntries(user.id)).map(entry => entry.source_term)).toEqual(['account']);
+      });
+    });
+
+    describe('translation cache', () => {
+      const cacheEntry = (overrides = {}) => ({
+        cacheKey: crypto.randomUUID().replace(/-/g, '').repeat(2),
+        provider: 'mock',
+        fromLang: 'en',
+        toLang: 'fr',
+        sourceText: 'Hello',
+        translatedText: 'Bonjour',
+        detectedSourceLang: 'en',
+        ...overrides,
+      });
+
+      it('returns saved entries until they expire', async () => {
+        const entry = cacheEntry();
+        expect(await repo.getCachedTranslation(entry.cacheKey)).toBeNull();
+        expect(await repo.saveCachedTranslation(entry, 60, 1000)).toMatchObject({ success: true });
+        expect(await repo.getCachedTranslation(entry.cacheKey)).toEqual({ translated_text: 'Bonjour', detected_source_lang: 'en' });
+
+        const expired = cacheEntry();
+        await repo.saveCachedTranslation(expired, -1, 1000);
+        expect(await repo.getCachedTranslation(expired.cacheKey)).toBeNull();
+      });
+
+      it('purges by provider and language, or only the expired entries', async () => {
+        const provider = `provider-${crypto.randomUUID()}`;
+        const kept = cacheEntry({ provider, toLang: 'de' });
+        const purged = cacheEntry({ provider, toLang: 'fr' });
+        const expired = cacheEntry({ provider, toLang: 'de' });
+        await repo.saveCachedTranslation(kept, 60, 1000);
+        await repo.saveCachedTranslation(purged, 60, 1000);
+        await repo.saveCachedTranslation(expired, -1, 1000);
+
+        expect(await repo.purgeTranslationCache({ provider, toLang: 'fr' })).toEqual({ success: true, deleted: 1 });
+        // saving may already prune expired entries, so only the entries kept are compared
+        expect(await repo.purgeTranslationCache({ provider, expiredOnly: true })).toMatchObject({ success: true });
+        expect(await repo.getCachedTranslation(expired.cacheKey)).toBeNull();
+        expect(await repo.getCachedTranslation(purged.cacheKey)).toBeNull();
+        expect(await repo.getCachedTranslation(kept.cacheKey)).toMatchObject({ translated_text: 'Bonjour' });
+      });
+    });
+
+    describe('jobs', () => {
+      // claimNextJob takes the oldest queued job of every owner, so the queue is emptied first
+      const drainQueue = async () => {
+        while (await repo.claimNextJob(new Date()));
+      };
+
+      it('keeps jobs to their owner, newest first', async () => {
+        const user = await createUser('jobs');
+        const guestKey = crypto.createHash('sha256').update(crypto.randomUUID()).digest('hex');
+        const first = await repo.createJob({ userId: user.id, type: 'file', payload: { characters: 12 }, expiresAt: hoursFromNow(1) });
+        await sleep(5);
+        const second = await repo.createJob({ userId: user.id, type: 'file', expiresAt: hoursFromNow(1) });
+        const guestJob = await repo.createJob({ guestKey, type: 'file', expiresAt: hoursFromNow(1) });
+
+        expect(first.job).toMatchObject({
+          user_id: user.id,
+          type: 'file',
+          payload: { characters: 12 },
+          status: 'queued',
+          progress: 0,
+          attempts: 0,
+        });
+        expect((await repo.listJobs({ userId: user.id })).map(job => job.id)).toEqual([second.job.id, first.job.id]);
+        expect((await repo.listJobs({ guestKey })).map(job => job.id)).toEqual([guestJob.job.id]);
+        expect(await repo.getJob({ guestKey }, first.job.id)).toBeNull();
+        expect(await repo.getJob({ userId: user.id }, guestJob.job.id)).toBeNull();
+        expect(await repo.getJob({}, guestJob.job.id)).toBeNull();
+      });
+
+      it('claims the oldest queued job and moves it to running', async () => {
+        await drainQueue();
+        const user = await createUser('claim');
+        const older = await repo.createJob({ userId: user.id, type: 'file', expiresAt: hoursFromNow(1) });
+        await sleep(5);
+        const newer = await repo.createJob({ userId: user.id, type: 'file', expiresAt: hoursFromNow(1) });
+
+        const claimed = await repo.claimNextJob(new Date());
+        expect(claimed).toMatchObject({ id: older.job.id, status: 'running', attempts: 1, started_at: expect.any(Date) });
+        expect(await repo.claimNextJob(new Date())).toMatchObject({ id: newer.job.id });
+        expect(await repo.claimNextJob(new Date())).toBeNull();
+      });
+
+      it('updates a job only from the expected statuses', async () => {
+        await drainQueue();
+        const user = await createUser('update-job');
+        const { job } = await repo.createJob({ userId: user.id, type: 'file', expiresAt: hoursFromNow(1) });
+        await repo.claimNextJob(new Date());
+
+        const progress = await repo.updateJob(job.id, { progressDone: 1, progressTotal: 4 }, { fromStatuses: ['running'] });
+        expect(progress.job).toMatchObject({ progress_done: 1, progress_total: 4, progress: 25 });
+
+        const cancelled = await repo.updateJob(job.id, { status: 'cancelled', finishedAt: new Date() }, { fromStatuses: ['queued', 'running'] });
+        expect(cancelled.job).toMatchObject({ status: 'cancelled', finished_at: expect.any(Date) });
+        expect(await repo.updateJob(job.id, { status: 'completed' }, { fromStatuses: ['running'] })).toMatchObject({ success: false });
+        expect(await repo.getJob({ userId: user.id }, job.id)).toMatchObject({ status: 'cancelled' });
+        expect(await repo.updateJob(crypto.randomUUID(), { status: 'failed' })).toMatchObject({ success: false });
+      });
+
+      it('puts interrupted jobs back in the queue and removes expired ones', async () => {
+        await drainQueue();
+        const user = await createUser('requeue');
+        const { job } = await repo.createJob({ userId: user.id, type: 'file', expiresAt: hoursFromNow(1) });
+        const expired = await repo.createJob({ userId: user.id, type: 'file', expiresAt: hoursFromNow(-1) });
+        await drainQueue();
+
+        expect((await repo.requeueInterruptedJobs()).count).toBeGreaterThanOrEqual(2);
+        expect(await repo.getJob({ userId: user.id }, job.id)).toMatchObject({ status: 'queued', attempts: 1 });
+
+        expect((await repo.purgeExpiredJobs(new Date())).count).toBeGreaterThanOrEqual(1);
+        expect(await repo.getJob({ userId: user.id }, expired.job.id)).toBeNull();
+        expect(await repo.getJob({ userId: user.id }, job.id)).not.toBeNull();
+      });
+
+      it('leases a claimed job to its worker and saves it only for that worker', async () => {
+        await drainQueue();
+        const user = await createUser('lease');
+        const { job } = await repo.createJob({ userId: user.id, type: 'file', expiresAt: hoursFromNow(1) });
+        const leaseOwner = crypto.randomUUID();
+
+        const claimed = await repo.claimNextJob(new Date(), { leaseOwner, leaseExpiresAt: hoursFromNow(1) });
+        expect(claimed).toMatchObject({ id: job.id, lease_owner: leaseOwner, lease_expires_at: expect.any(Date) });
+
+        const renewed = await repo.renewJobLeases(leaseOwner, hoursFromNow(2));
+        expect(renewed).toMatchObject({ success: true, count: 1 });
+        expect((await repo.getJob({ userId: user.id }, job.id)).lease_expires_at.getTime()).toBeGreaterThan(hoursFromNow(1.5).getTime());
+        expect(await repo.renewJobLeases(crypto.randomUUID(), hoursFromNow(2))).toMatchObject({ success: true, count: 0 });
+
+        const otherWorker = await repo.updateJob(job.id, { progressDone: 1 }, { fromStatuses: ['running'], leaseOwner: crypto.randomUUID() });
+        expect(otherWorker).toMatchObject({ success: false, code: 'JOB_NOT_FOUND' });
+        const owner = await repo.updateJob(job.id, { progressDone: 1 }, { fromStatuses: ['running'], leaseOwner });
+        expect(owner.job).toMatchObject({ progress_done: 1 });
+      });
+
+      it('puts back in the queue only the running jobs whose lease expired', async () => {
+        await drainQueue();
+        const user = await createUser('lease-expiry');
+        const live = await repo.createJob({ userId: user.id, type: 'file', expiresAt: hoursFromNow(1) });
+        await sleep(5);
+        const stale = await repo.createJob({ userId: user.id, type: 'file', expiresAt: hoursFromNow(1) });
+        await repo.claimNextJob(new Date(), { leaseOwner: crypto.randomUUID(), leaseExpiresAt: hoursFromNow(1) });
+        await repo.claimNextJob(new Date(), { leaseOwner: crypto.randomUUID(), leaseExpiresAt: hoursFromNow(-1) });
+
+        expect((await repo.requeueInterruptedJobs(new Date())).count).toBeGreaterThanOrEqual(1);
+        expect(await repo.getJob({ userId: user.id }, live.job.id)).toMatchObject({ status: 'running' });
+        expect(await repo.getJob({ userId: user.id }, stale.job.id)).toMatchObject({ status: 'queued', lease_owner: null, lease_expires_at: null });
+      });
+
+      it('deletes the jobs of a deleted file record', async () => {
+        const user = await createUser('file-jobs');
+        const { file } = await repo.createFileRecord({
+          userId: user.id,
+          originalName: 'report.pdf',
+          mimeType: 'application/pdf',
+          format: 'pdf',
+          sizeBytes: 1024,
+          toLang: 'fr',
+          expiresAt: hoursFromNow(1),
+        });
+        const { job } = await repo.createJob({ userId: user.id, type: 'file', fileId: file.id, expiresAt: hoursFromNow(1) });
+
+        expect(await repo.deleteFileRecord({ userId: user.id }, file.id)).toMatchObject({ success: true });
+        expect(await repo.getJob({ userId: user.id }, job.id)).toBeNull();
+      });
+    });
+  });
+};
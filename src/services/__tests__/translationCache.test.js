@@ -0,0 +1,39 @@
+// translationCache.js keys: which texts share a cache entry
+import { describe, it, expect } from 'vitest';
+
+process.env.USE_MOCK_DB = 'true';
+process.env.MOCK_DB_FILE = ':memory:';
+const { normalizeSourceText, buildCacheKey } = await import('../translationCache.js');
+
+const key = text => buildCacheKey('google', 'en', 'fr', text);
+
+describe('translation cache keys', () => {
+  it('collapses spaces and tabs only', () => {
+    expect(normalizeSourceText('  Hello \t  world  ')).toBe('Hello world');
+    expect(normalizeSourceText('Hello\n\nworld\f\nagain')).toBe('Hello\n\nworld\f\nagain');
+    expect(normalizeSourceText('Line one\r\nLine two')).toBe('Line one\nLine two');
+    expect(normalizeSourceText('Cafe\u0301')).toBe('Café');
+  });
+
+  it('shares an entry between texts that differ in spaces only', () => {
+    expect(key('Hello   world')).toBe(key(' Hello\tworld '));
+    expect(key('Hello\r\nworld')).toBe(key('Hello\nworld'));
+  });
+
+  it('keeps line, paragraph and page breaks apart', () => {
+    const keys = ['Hello world', 'Hello\nworld', 'Hello\n\nworld', 'Hello\n\f\nworld'].map(key);
+    expect(new Set(keys).size).toBe(4);
+  });
+
+  it('keys by provider, language pair and case', () => {
+    expect(buildCacheKey('google', 'EN', 'FR', 'Hello')).toBe(key('Hello'));
+    expect(buildCacheKey('google', undefined, 'fr', 'Hello')).toBe(buildCacheKey('google', 'auto', 'fr', 'Hello'));
+    expect(new Set([
+      key('Hello'),
+      key('hello'),
+      buildCacheKey('deepl', 'en', 'fr', 'Hello'),
+      buildCacheKey('google', 'en', 'de', 'Hello'),
+      buildCacheKey('google', 'auto', 'fr', 'Hello'),
+    ]).size).toBe(5);
+  });
+});
@@ -0,0 +1,199 @@
+/*
+API Validation Overview:
+installRequestValidation registers a validator in front of every operation of the OpenAPI document (openapi.js),
+so each request is checked before authentication, quotas and the route itself run:
+path, query and header parameters and application/json bodies (multipart bodies are parsed by multer in their route).
+Invalid requests are refused with 400 and the error envelope
+{ success: false, error, code: 'VALIDATION_ERROR', details: [{ in, field, message }] }
+error = the first problem with an x-message (otherwise the first problem), details = every problem.
+x-message is either a whole message or { keyword: text } appended to the field name, e.g. { pattern: 'must not be blank' }.
+req.apiOperation = { method, path } of the matched operation (path as written in the document).
+
+Responses are checked too with validateResponses (API_VALIDATE_RESPONSES, server.js),
+a response that does not match its schema is only logged, it is still sent.
+
+apiErrorHandler and apiNotFound answer what Express would send as an HTML page
+(invalid JSON, body or file too large, unknown /api routes) with the same envelope,
+server errors include the requestId of their log entries.
+*/
+
+import Ajv from 'ajv';
+import addFormats from 'ajv-formats';
+import multer from 'multer';
+import { getRequestId, logger } from './logger.js';
+
+const HTTP_METHODS = ['get', 'post', 'put', 'patch', 'delete'];
+const PARAMETER_LOCATIONS = ['path', 'query', 'header'];
+const COMPONENTS_ID = 'openapi-components';
+
+const log = logger.child({ component: 'api' });
+
+export const errorEnvelope = (error, code, extra = {}) => ({ success: false, error, code, ...extra });
+
+/*
+Schemas:
+the component schemas are registered once as definitions of COMPONENTS_ID,
+#/components/schemas/ references are pointed there before a schema is compiled.
+parameters arrive as strings, so they are validated (and coerced) on a copy, the request keeps its own values.
+*/
+const withComponentRefs = (schema) =>
+  JSON.parse(JSON.stringify(schema).replaceAll('"#/components/schemas/', `"${COMPONENTS_ID}#/definitions/`));
+
+const createAjv = (document, options = {}) => {
+  const ajv = new Ajv({ allErrors: true, verbose: true, ...options });
+  addFormats(ajv);
+  ajv.addVocabulary(['example', 'x-message']); // OpenAPI annotations, no validation
+  ajv.addSchema({ $id: COMPONENTS_ID, definitions: withComponentRefs(document.components.schemas) });
+  return ajv;
+};
+
+const parameterName = (parameter) => (parameter.in === 'header' ? parameter.name.toLowerCase() : parameter.name);
+
+const parameterSchema = (parameters, location) => {
+  const selected = parameters.filter(parameter => parameter.in === location);
+  if (selected.length === 0) return null;
+  return {
+    type: 'object',
+    properties: Object.fromEntries(selected.map(parameter => [parameterName(parameter), parameter.schema])),
+    required: selected.filter(parameter => parameter.required).map(parameterName),
+  };
+};
+
+const REQUEST_VALUES = {
+  path: req => ({ ...req.params }),
+  query: req => ({ ...req.query }),
+  header: req => ({ ...req.headers }),
+  body: req => req.body,
+};
+
+/*
+Validation Errors:
+field = dotted path of the value (body fields, parameter names), message = x-message of its schema or Ajv's message
+*/
+const ajvMessage = (error) => {
+  if (error.keyword === 'required') return 'is required';
+  if (error.keyword === 'enum') return `must be one of: ${error.params.allowedValues.join(', ')}`;
+  return error.message;
+};
+
+const toFailure = (location) => (error) => {
+  const path = error.instancePath.split('/').slice(1);
+  if (error.keyword === 'required') path.push(error.params.missingProperty);
+  const field = path.join('.');
+  const subject = field || (location === 'body' ? 'Request body' : location);
+  const xMessage = error.keyword === 'required' ? null : error.parentSchema?.['x-message'];
+  const custom = xMessage && typeof xMessage === 'object' ? xMessage[error.keyword] && `${subject} ${xMessage[error.keyword]}` : xMessage;
+  return {
+    custom: Boolean(custom),
+    detail: { in: location, field, message: custom || `${subject} ${ajvMessage(error)}` },
+  };
+};
+
+const validationFailure = (failures) => errorEnvelope(
+  (failures.find(failure => failure.custom) || failures[0]).detail.message,
+  'VALIDATION_ERROR',
+  { details: failures.map(failure => failure.detail) },
+);
+
+const compileResponses = (ajv, responses = {}) => Object.fromEntries(
+  Object.entries(responses)
+    .filter(([, response]) => response.content?.['application/json']?.schema)
+    .map(([status, response]) => [status, ajv.compile(withComponentRefs(response.content['application/json'].schema))])
+);
+
+// logs responses that do not match their schema, res.json still sends them unchanged
+const watchResponses = (req, res, validators, ajv) => {
+  const json = res.json.bind(res);
+  res.json = (body) => {
+    const validate = validators[res.statusCode] || validators.default;
+    if (validate && !validate(JSON.parse(JSON.stringify(body ?? null)))) {
+      log.error('Response Validation Error', {
+        method: req.method,
+        route: req.apiOperation.path,
+        status: res.statusCode,
+        problems: ajv.errorsText(validate.errors),
+      });
+    }
+    return json(body);
+  };
+};
+
+const createOperationValidator = (method, path, operation, { parameterAjv, bodyAjv, validateResponses }) => {
+  const parameters = operation.parameters || [];
+  const checks = PARAMETER_LOCATIONS
+    .map(location => ({ location, schema: parameterSchema(parameters, location) }))
+    .filter(({ schema }) => schema)
+    .map(({ location, schema }) => ({ location, validate: parameterAjv.compile(withComponentRefs(schema)) }));
+  const bodySchema = operation.requestBody?.content?.['application/json']?.schema;
+  if (bodySchema) {
+    checks.push({ location: 'body', validate: bodyAjv.compile(withComponentRefs(bodySchema)) });
+  }
+  const responseValidators = validateResponses ? compileResponses(bodyAjv, operation.responses) : null;
+
+  return (req, res, next) => {
+    if (req.apiOperation) return next(); // a more specific path of the document matched first
+    req.apiOperation = { method: method.toUpperCase(), path };
+
+    const failures = checks.flatMap(({ location, validate }) =>
+      (validate(REQUEST_VALUES[location](req)) ? [] : validate.errors.map(toFailure(location))));
+    if (failures.length > 0) {
+      return res.status(400).json(validationFailure(failures));
+    }
+    if (responseValidators) watchResponses(req, res, responseValidators, bodyAjv);
+    next();
+  };
+};
+
+// InstallRequestValidation: call before the routes, paths without parameters are registered first so they win
+export const installRequestValidation = (app, document, { validateResponses = false } = {}) => {
+  const context = {
+    parameterAjv: createAjv(document, { coerceTypes: true }),
+    bodyAjv: createAjv(document),
+    validateResponses,
+  };
+  const paths = Object.entries(document.paths)
+    .sort(([a], [b]) => Number(a.includes('{')) - Number(b.includes('{')));
+
+  paths.forEach(([path, pathItem]) => {
+    const expressPath = path.replace(/\{(\w+)\}/g, ':$1');
+    HTTP_METHODS.filter(method => pathItem[method]).forEach((method) => {
+      app[method](expressPath, createOperationValidator(method, path, pathItem[method], context));
+    });
+  });
+};
+
+/*
+Error Handling Middleware:
+apiNotFound = unknown /api routes (404), apiErrorHandler = errors passed to next() or thrown by
+express.json (invalid JSON 400, body over the limit 413) and multer (file over the limit 413)
+*/
+const formatBytes = (bytes) => (bytes >= 1024 * 1024 ? `${Math.round(bytes / (1024 * 1024))} MB` : `${Math.round(bytes / 1024)} KB`);
+
+export const apiNotFound = (req, res) => {
+  res.status(404).json(errorEnvelope(`No such endpoint: ${req.method} ${req.originalUrl.split('?')[0]}`, 'NOT_FOUND'));
+};
+
+// four arguments, Express recognizes error handlers by their arity
+export const apiErrorHandler = (error, req, res, next) => {
+  if (res.headersSent) {
+    return next(error);
+  }
+  if (error.type === 'entity.too.large') {
+    return res.status(413).json(errorEnvelope(`Request body is too large, the limit is ${formatBytes(error.limit)}`, 'PAYLOAD_TOO_LARGE'));
+  }
+  if (error.type === 'entity.parse.failed') {
+    return res.status(400).json(errorEnvelope('Request body is not valid JSON', 'INVALID_JSON'));
+  }
+  if (error instanceof multer.MulterError) {
+    return error.code === 'LIMIT_FILE_SIZE'
+      ? res.status(413).json(errorEnvelope('The uploaded file is too large', 'PAYLOAD_TOO_LARGE'))
+      : res.status(400).json(errorEnvelope(error.message, 'UPLOAD_ERROR'));
+  }
+
+  const status = error.status || error.statusCode || 500;
+  if (status >= 500) {
+    log.error('Unhandled API Error', { error });
+    return res.status(status).json(errorEnvelope('Server error', 'SERVER_ERROR', { requestId: getRequestId() }));
+  }
+  res.status(status).json(errorEnvelope(error.expose ? error.message : 'Bad request', 'BAD_REQUEST'));
+};
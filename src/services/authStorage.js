@@ -0,0 +1,39 @@
+/**
+ * Auth Storage
+ *
+ * Where the signed-in user (authUser, session_id, signed_session_id) is kept in the browser:
+ * "remember me" logins are saved in localStorage so they survive closing the browser,
+ * other logins in sessionStorage so they end with the tab.
+ */
+
+const AUTH_KEYS = ['authUser', 'session_id', 'signed_session_id'];
+
+// the storage holding the current login, sessionStorage when nobody is signed in
+export const getAuthStorage = () => (localStorage.getItem('authUser') ? localStorage : sessionStorage);
+
+// signed-in user saved by saveAuthSession, null for guests
+export const loadAuthUser = () => {
+  const savedUser = getAuthStorage().getItem('authUser');
+  return savedUser ? JSON.parse(savedUser) : null;
+};
+
+/*
+SaveAuthSession:
+user = mapped user from signIn (remember_me decides the storage),
+updates of a signed-in user (e.g. preferences) stay in the storage the login is in
+*/
+export const saveAuthSession = (user) => {
+  const storage = user.remember_me ? localStorage : sessionStorage;
+  const otherStorage = storage === localStorage ? sessionStorage : localStorage;
+  AUTH_KEYS.forEach(key => otherStorage.removeItem(key));
+  storage.setItem('authUser', JSON.stringify(user));
+  storage.setItem('session_id', user.session_id);
+  storage.setItem('signed_session_id', user.signed_session_id);
+};
+
+export const clearAuthSession = () => {
+  AUTH_KEYS.forEach(key => {
+    localStorage.removeItem(key);
+    sessionStorage.removeItem(key);
+  });
+};
@@ -0,0 +1,25 @@
+/*
+Client Logger:
+debug / info / warn / error for the screens, components and client services.
+Silent in production builds (import.meta.env.PROD), during development entries go to the browser console
+after the redaction rules of the server logger (redact.js), so user objects, session ids, tokens
+and passwords never show up in the console.
+clientLogger.error('Error loading sessions', { error })
+*/
+
+import { redact, redactText } from './redact';
+
+const enabled = !import.meta.env.PROD;
+
+const write = (level) => (message, fields) => {
+  if (!enabled) return;
+  const args = fields === undefined ? [redactText(message)] : [redactText(message), redact(fields)];
+  console[level](...args);
+};
+
+export const clientLogger = {
+  debug: write('debug'),
+  info: write('info'),
+  warn: write('warn'),
+  error: write('error'),
+};
@@ -0,0 +1,309 @@
+/*
+Data Access Contract Overview:
+database.js has three implementations, the mock database (USE_MOCK_DB=true, mockStore.js), MSSQL
+and the SQL repository of the sqlite and postgres drivers (storage/sqlRepository.js).
+All of them must offer every function in REPOSITORY_FUNCTIONS and answer in the same shapes,
+so the routes and the client never see which one is running.
+
+The DTO helpers below build those shapes from a stored row (snake_case, like the SQL tables),
+every implementation returns its results through them. assertRepository() runs when database.js loads
+and refuses to start when an implementation misses a function.
+
+Shared result conventions:
+writes return { success: true, ... } or { success: false, error, code? }
+lookups that find nothing return null (getUserByEmail, getSessionUser, getCachedTranslation)
+*/
+
+export const REPOSITORY_FUNCTIONS = [
+  // users & sessions
+  'getPool', 'registerUser', 'loginUser', 'logoutUser', 'validateSession', 'getSessionUser',
+  'listSessions', 'revokeSession', 'revokeAllSessions',
+  // password reset, email verification & account settings
+  'getUserByEmail', 'updateUserPassword', 'createPasswordResetToken', 'consumePasswordResetToken', 'markEmailVerified',
+  'verifyUserPassword', 'requestEmailChange', 'confirmEmailChange', 'exportUserData', 'deleteUserAccount',
+  'updateUserPreferences', 'getUserPreferences',
+  // translations
+  'saveTranslation', 'searchTranslationHistory', 'updateTranslation', 'setTranslationFavorite', 'deleteTranslation', 'restoreTranslation',
+  // translation cache, glossary & translation memory
+  'getCachedTranslation', 'saveCachedTranslation', 'purgeTranslationCache',
+  'getGlossaryEntries', 'createGlossaryEntry', 'updateGlossaryEntry', 'deleteGlossaryEntry',
+  'addTranslationMemoryUnits', 'findTranslationMemoryUnits', 'getTranslationMemoryStats',
+  // translated documents (/api/files)
+  'createFileRecord', 'updateFileRecord', 'getFileRecord', 'listFileRecords', 'deleteFileRecord', 'purgeExpiredFileRecords',
+  // background jobs (/api/jobs)
+  'createJob', 'updateJob', 'getJob', 'listJobs', 'claimNextJob', 'renewJobLeases', 'requeueInterruptedJobs', 'purgeExpiredJobs',
+];
+
+// AssertRepository: throws when the implementation misses a function of the contract
+export const assertRepository = (repository, name) => {
+  const missing = REPOSITORY_FUNCTIONS.filter(fn => typeof repository[fn] !== 'function');
+  if (missing.length > 0) {
+    throw new Error(`The ${name} database is missing: ${missing.join(', ')}`);
+  }
+};
+
+// same error for an unknown email and a wrong password, so login does not reveal which emails are registered
+export const INVALID_CREDENTIALS = { success: false, error: 'Invalid email or password' };
+export const EMAIL_TAKEN = { success: false, error: 'An account with this email already exists', code: 'EMAIL_TAKEN' };
+// updateJob found no job to update: deleted, not in fromStatuses (cancelled) or leased by another worker
+export const JOB_NOT_FOUND = { success: false, error: 'Job not found', code: 'JOB_NOT_FOUND' };
+
+/*
+Login User (loginUser):
+user = { id, email, default_from_lang, default_to_lang }, session = { sessionId, signedSessionId, expiresAt, rememberMe }
+*/
+export const toLoginUserDto = (user, session) => ({
+  id: user.id,
+  email: user.email,
+  session_id: session.sessionId,
+  signed_session_id: session.signedSessionId,
+  expires_at: session.expiresAt,
+  remember_me: Boolean(session.rememberMe),
+  default_from_lang: user.default_from_lang || '',
+  default_to_lang: user.default_to_lang || '',
+});
+
+// getUserByEmail
+export const toEmailUserDto = (user) => ({
+  id: user.id,
+  email: user.email,
+  email_verified: Boolean(user.email_verified_at),
+});
+
+// getUserPreferences (and the preferences of updateUserPreferences / exportUserData)
+export const toPreferencesDto = (user) => ({
+  default_from_lang: user?.default_from_lang || '',
+  default_to_lang: user?.default_to_lang || '',
+});
+
+// getSessionUser, session = the Sessions row joined with the user's id, email and plan
+export const toSessionUserDto = (row) => ({
+  id: row.id,
+  email: row.email,
+  plan: row.plan || 'free',
+  session: { id: row.session_id, expires_at: row.expires_at, remember_me: Boolean(row.remember_me) },
+});
+
+// listSessions (and the sessions of exportUserData)
+export const toSessionDto = (row) => ({
+  id: row.session_id,
+  user_agent: row.user_agent || null,
+  ip_address: row.ip_address || null,
+  remember_me: Boolean(row.remember_me),
+  created_at: row.created_at,
+  last_seen_at: row.last_seen_at,
+  expires_at: row.expires_at,
+});
+
+/*
+Translations (saveTranslation, searchTranslationHistory, exportUserData):
+source_meta is stored as JSON text in SQL, unreadable metadata should not hide the translation itself
+*/
+export const toTranslationDto = (row) => {
+  let sourceMeta = row.source_meta || null;
+  if (typeof sourceMeta === 'string') {
+    try {
+      sourceMeta = JSON.parse(sourceMeta);
+    } catch {
+      sourceMeta = null;
+    }
+  }
+  return {
+    id: row.id,
+    type: row.type,
+    from_lang: row.from_lang,
+    to_lang: row.to_lang,
+    original_text: row.original_text,
+    translated_text: row.translated_text,
+    source_meta: sourceMeta,
+    provider: row.provider || null,
+    is_favorite: Boolean(row.is_favorite),
+    deleted_at: row.deleted_at || null,
+    created_at: row.created_at,
+    updated_at: row.updated_at || row.created_at,
+  };
+};
+
+// getGlossaryEntries, createGlossaryEntry, updateGlossaryEntry
+export const toGlossaryEntryDto = (row) => ({
+  id: row.id,
+  user_id: row.user_id,
+  source_term: row.source_term,
+  target_term: row.target_term,
+  from_lang: row.from_lang,
+  to_lang: row.to_lang,
+  case_sensitive: Boolean(row.case_sensitive),
+  created_at: row.created_at,
+  updated_at: row.updated_at,
+});
+
+// findTranslationMemoryUnits (and the translation memory of exportUserData)
+export const toMemoryUnitDto = (row) => ({
+  id: row.id,
+  source_lang: row.source_lang,
+  target_lang: row.target_lang,
+  source_text: row.source_text,
+  target_text: row.target_text,
+  origin: row.origin || null,
+  created_at: row.created_at,
+});
+
+/*
+Translated Files (createFileRecord, updateFileRecord, getFileRecord, listFileRecords, deleteFileRecord, purgeExpiredFileRecords):
+one row per uploaded document, owned by a user (user_id) or a guest device (guest_key = SHA-256 of the device token,
+never returned). status = processing | completed | failed | cancelled, the stored files are named after the id
+(documentTranslation.js). owner = { userId } or { guestKey }, a record of someone else is reported as not found.
+Deleting a record deletes the jobs of the file too.
+*/
+export const FILE_STATUSES = ['processing', 'completed', 'failed', 'cancelled'];
+
+export const FILE_UPDATE_COLUMNS = {
+  status: 'status',
+  fromLang: 'from_lang',
+  provider: 'provider',
+  pageCount: 'page_count',
+  characterCount: 'character_count',
+  outputName: 'output_name',
+  outputMime: 'output_mime',
+  error: 'error',
+  completedAt: 'completed_at',
+};
+
+export const toFileDto = (row) => ({
+  id: row.id,
+  user_id: row.user_id || null,
+  original_name: row.original_name,
+  mime_type: row.mime_type,
+  format: row.format,
+  size_bytes: Number(row.size_bytes),
+  status: row.status,
+  from_lang: row.from_lang || null,
+  to_lang: row.to_lang,
+  provider: row.provider || null,
+  page_count: row.page_count ?? null,
+  character_count: row.character_count ?? null,
+  output_name: row.output_name || null,
+  output_mime: row.output_mime || null,
+  error: row.error || null,
+  created_at: row.created_at,
+  completed_at: row.completed_at || null,
+  expires_at: row.expires_at,
+});
+
+/*
+Translation Jobs (createJob, updateJob, getJob, listJobs, claimNextJob, renewJobLeases, requeueInterruptedJobs, purgeExpiredJobs):
+one row per background job of jobQueue.js, owned like the translated files (user_id or guest_key, never returned).
+status = queued -> running -> completed | failed | cancelled, progress = progress_done of progress_total pieces.
+payload = the input of the job type as JSON (a file job: { originalName, outputName, format, targetLang, sourceLang, provider, characters }).
+updateJob(jobId, fields, { fromStatuses, leaseOwner }) only changes a job that is in one of fromStatuses (and leased
+by leaseOwner when given), so a cancel, the end of a job and a worker that lost its lease cannot overwrite each other.
+claimNextJob(now, { leaseOwner, leaseExpiresAt }) moves the oldest queued job to running (attempts + 1) leased
+by the worker, and returns it, null when none is queued. renewJobLeases(leaseOwner, leaseExpiresAt) extends the
+leases of the worker's running jobs (its heartbeat), requeueInterruptedJobs(now) puts the running jobs whose lease
+expired (or that have none) back in the queue. Both return { success, count }.
+*/
+export const JOB_STATUSES = ['queued', 'running', 'completed', 'failed', 'cancelled'];
+
+export const JOB_UPDATE_COLUMNS = {
+  status: 'status',
+  progressDone: 'progress_done',
+  progressTotal: 'progress_total',
+  error: 'error',
+  startedAt: 'started_at',
+  finishedAt: 'finished_at',
+};
+
+const parsePayload = (payload) => {
+  if (!payload) return {};
+  if (typeof payload !== 'string') return payload;
+  try {
+    return JSON.parse(payload);
+  } catch {
+    return {};
+  }
+};
+
+export const toJobDto = (row) => {
+  const done = row.progress_done || 0;
+  const total = row.progress_total ?? null;
+  return {
+    id: row.id,
+    type: row.type,
+    user_id: row.user_id || null,
+    file_id: row.file_id || null,
+    payload: parsePayload(row.payload),
+    status: row.status,
+    progress_done: done,
+    progress_total: total,
+    progress: row.status === 'completed' ? 100 : (total ? Math.min(99, Math.floor((done / total) * 100)) : 0),
+    attempts: row.attempts || 0,
+    error: row.error || null,
+    created_at: row.created_at,
+    started_at: row.started_at || null,
+    finished_at: row.finished_at || null,
+    updated_at: row.updated_at,
+    expires_at: row.expires_at,
+    lease_owner: row.lease_owner || null,
+    lease_expires_at: row.lease_expires_at || null,
+  };
+};
+
+/*
+Session Lifetime (shared by every implementation):
+sessions slide, every authenticated request moves expires_at forward by the session's lifetime.
+SESSION_EXPIRATION seconds (default 24 hours) for normal logins,
+SESSION_REMEMBER_EXPIRATION seconds (default 30 days) for "remember me" logins.
+*/
+export const sessionLifetimeSeconds = (rememberMe) => (rememberMe
+  ? parseInt(process.env.SESSION_REMEMBER_EXPIRATION, 10) || 30 * 24 * 60 * 60
+  : parseInt(process.env.SESSION_EXPIRATION, 10) || 24 * 60 * 60);
+
+/*
+Translation History Query Helpers (shared by every implementation):
+normalizeHistoryFilters cleans the query parameters of the history routes,
+pages are either page/pageSize (offset) or an opaque cursor (keyset on created_at + id)
+that keeps infinite scroll stable while new translations are saved.
+*/
+const HISTORY_DEFAULT_PAGE_SIZE = 20;
+export const TRANSLATION_TYPES = ['text', 'voice', 'file', 'asl'];
+const HISTORY_MAX_PAGE_SIZE = 100;
+
+export const encodeHistoryCursor = (item) =>
+  Buffer.from(JSON.stringify({ t: new Date(item.created_at).toISOString(), id: String(item.id) })).toString('base64url');
+
+const decodeHistoryCursor = (cursor) => {
+  try {
+    const { t, id } = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+    const createdAt = new Date(t);
+    if (Number.isNaN(createdAt.getTime()) || !id) return null;
+    return { createdAt, id };
+  } catch {
+    return null;
+  }
+};
+
+export const normalizeHistoryFilters = (filters = {}) => {
+  const pageSize = Math.min(Math.max(parseInt(filters.pageSize, 10) || HISTORY_DEFAULT_PAGE_SIZE, 1), HISTORY_MAX_PAGE_SIZE);
+  const page = Math.max(parseInt(filters.page, 10) || 1, 1);
+  const toDate = (value) => {
+    if (!value) return null;
+    const date = new Date(value);
+    return Number.isNaN(date.getTime()) ? null : date;
+  };
+  const dateTo = toDate(filters.dateTo);
+  // a plain date (YYYY-MM-DD) as upper bound includes that whole day
+  if (dateTo && /^\d{4}-\d{2}-\d{2}$/.test(filters.dateTo)) dateTo.setUTCDate(dateTo.getUTCDate() + 1);
+  return {
+    type: TRANSLATION_TYPES.includes(filters.type) ? filters.type : null, // 'all' or empty = every type
+    search: filters.search?.trim() || null,
+    fromLang: filters.fromLang || null,
+    toLang: filters.toLang || null,
+    dateFrom: toDate(filters.dateFrom),
+    dateTo, // exclusive
+    page,
+    pageSize,
+    cursor: filters.cursor ? decodeHistoryCursor(filters.cursor) : null,
+    favoritesOnly: filters.favorite === true || filters.favorite === 'true',
+    trash: filters.trash === true || filters.trash === 'true', // true = only soft-deleted items, otherwise they are hidden
+  };
+};
@@ -2,11 +2,21 @@
 The node.js database service handles user authentication (register/login/logout)
 Loads environment variables from .env, ensuring secure database credential access.
 Dynamically resolves the .env file path using path and fileURLToPath.
-session validation
-storing translations
-fetching translation history
+session validation and lifecycle (sliding expiry, remember me, listing and revoking sessions)
+password reset (hashed single-use reset tokens, password updates)
+email verification (unverified accounts cannot sign in)
+account settings (password check, email change, data export, account deletion)
+storing translations (one record model for text, voice, file and ASL)
+fetching translation history (paginated, searchable and filterable)
+editing, favoriting, soft deleting (trash) and restoring saved translations
 updating and retrieving user preferences
-mock database mode for development using USE_MOCK_DB toggle
+translation cache (exact-match translation memory shared by all users)
+user glossaries (enforced terminology per language pair)
+translated files (records of the documents uploaded to /api/files, owned by a user or a guest device)
+mock database mode for development using USE_MOCK_DB toggle (persisted to a local JSON file, mockStore.js)
+DB_DRIVER picks the database: mssql (default), sqlite or postgres (storage/)
+every implementation offers the same contract and returns the same shapes (dataContract.js)
+the tables (and the SQL Server stored procedures) are created by the migrations (migrations/<driver>/, npm run migrate up)
 */
 
 // Key Dependencies
@@ -16,6 +26,32 @@ import dotenv from 'dotenv'; // loads the db credentials from .env
 import path from 'path'; // dynamic file paths handling
 import { fileURLToPath } from 'url';
 import crypto from 'crypto'; // Added for session ID signing and UUID generation
+import { createMockStore } from './mockStore.js'; // file-backed tables of the mock database
+import { getDbDriver, createSqlClient } from './storage/index.js'; // DB_DRIVER: mssql, sqlite or postgres
+import { createSqlRepository } from './storage/sqlRepository.js'; // the sqlite and postgres implementation
+import {
+  assertRepository,
+  INVALID_CREDENTIALS,
+  EMAIL_TAKEN,
+  JOB_NOT_FOUND,
+  toLoginUserDto,
+  toEmailUserDto,
+  toPreferencesDto,
+  toSessionUserDto,
+  toSessionDto,
+  toTranslationDto,
+  toGlossaryEntryDto,
+  toMemoryUnitDto,
+  toFileDto,
+  FILE_UPDATE_COLUMNS,
+  toJobDto,
+  JOB_UPDATE_COLUMNS,
+  sessionLifetimeSeconds,
+  TRANSLATION_TYPES,
+  encodeHistoryCursor,
+  normalizeHistoryFilters,
+} from './dataContract.js'; // functions and result shapes every implementation shares
+import { logger } from './logger.js';
 
 // Get the directory name of the current module
 const __filename = fileURLToPath(import.meta.url);
@@ -23,127 +59,796 @@ const __dirname = path.dirname(__filename);
 
 // Construct the absolute path to the .env file (two levels up from src/services)
 const envPath = path.resolve(__dirname, '../../.env');
-console.log('Attempting to load .env file from:', envPath);
 
 // Load .env file
 dotenv.config({ path: envPath });
 
-console.log('Loaded environment variables:', {
-  DB_SERVER: process.env.DB_SERVER,
-  DB_NAME: process.env.DB_NAME,
-  USE_MOCK_DB: process.env.USE_MOCK_DB,
-  SESSION_SECRET: process.env.SESSION_SECRET,
-  SESSION_EXPIRATION: process.env.SESSION_EXPIRATION,
-});
+const log = logger.child({ component: 'database' });
 
 const USE_MOCK_DB = process.env.USE_MOCK_DB === 'true';
+const DB_DRIVER = USE_MOCK_DB ? 'mock' : getDbDriver(); // USE_MOCK_DB wins over DB_DRIVER
 
 // Declare pool at the top level
 let pool = null;
 
 // Declare function variables for conditional assignment
-let getPool, registerUser, loginUser, saveTextTranslation, getTextTranslationHistory, saveVoiceTranslation, getVoiceTranslationHistory, logoutUser, validateSession, updateUserPreferences, getUserPreferences;
+let getPool, registerUser, loginUser, saveTranslation, logoutUser, validateSession, getSessionUser, updateUserPreferences, getUserPreferences;
+let listSessions, revokeSession, revokeAllSessions;
+let getUserByEmail, updateUserPassword, createPasswordResetToken, consumePasswordResetToken, markEmailVerified;
+let getCachedTranslation, saveCachedTranslation, purgeTranslationCache;
+let getGlossaryEntries, createGlossaryEntry, updateGlossaryEntry, deleteGlossaryEntry;
+let searchTranslationHistory, updateTranslation, setTranslationFavorite, deleteTranslation, restoreTranslation;
+let addTranslationMemoryUnits, findTranslationMemoryUnits, getTranslationMemoryStats;
+let createFileRecord, updateFileRecord, getFileRecord, listFileRecords, deleteFileRecord, purgeExpiredFileRecords;
+let createJob, updateJob, getJob, listJobs, claimNextJob, renewJobLeases, requeueInterruptedJobs, purgeExpiredJobs;
+let verifyUserPassword, requestEmailChange, confirmEmailChange, exportUserData, deleteUserAccount;
 
 // ==================== MOCK IMPLEMENTATION ====================
 if (USE_MOCK_DB) {
-  console.warn('⚠️ Using mock database service');
+  /*
+  Mock Store:
+  the mock tables live in MOCK_DB_FILE (default mock-db.json in the project root, :memory: = not saved).
+  adding or removing entries saves the file, functions changing an entry in place call persistMock().
+  expired sessions and reset tokens are dropped when the file is loaded
+  */
+  const mockDbFile = process.env.MOCK_DB_FILE === ':memory:'
+    ? null
+    : path.resolve(__dirname, '../..', process.env.MOCK_DB_FILE || 'mock-db.json');
+  const mockStore = createMockStore(mockDbFile);
+  const persistMock = mockStore.persist;
+  log.warn('Using the mock database', { file: mockDbFile || ':memory:' });
 
-  const mockUsers = new Map();
-  const mockTranslations = new Map();
+  const mockUsers = mockStore.table('users'); // email -> { id, email, passwordHash, emailVerifiedAt, pendingEmail, plan, defaultFromLang, defaultToLang }
+  const mockTranslations = mockStore.table('translations');
+  const mockSessions = mockStore.table('sessions'); // signed_session_id -> { userId, sessionId, rememberMe, userAgent, ipAddress, createdAt, lastSeenAt, expiresAt }
+  const mockPasswordResetTokens = mockStore.table('passwordResetTokens'); // token hash -> { userId, expiresAt, usedAt }
+
+  const loadedAt = new Date();
+  mockSessions.forEach((session, signedSessionId) => {
+    if (session.expiresAt <= loadedAt) mockSessions.delete(signedSessionId);
+  });
+  mockPasswordResetTokens.forEach((token, tokenHash) => {
+    if (token.expiresAt <= loadedAt) mockPasswordResetTokens.delete(tokenHash);
+  });
 
   getPool = async () => null;
 
+  /*
+  Users (mock):
+  passwords are hashed with bcrypt like in production, an email can only be registered once
+  */
   registerUser = async (email, password) => {
-    console.warn('⚠️ Using mock registration');
-    const userId = crypto.randomUUID();
-    mockUsers.set(email, { id: userId, email, password });
-    return { success: true, user: { id: userId, email } };
+    log.debug('Mock registration');
+    if (mockUsers.has(email)) return EMAIL_TAKEN;
+    const passwordHash = await bcrypt.hash(password, await bcrypt.genSalt(10));
+    mockUsers.set(email, { id: crypto.randomUUID(), email, passwordHash, emailVerifiedAt: null, plan: 'free' });
+    return { success: true, message: 'Registration successful' };
   };
 
-  loginUser = async (email, password) => {
-    console.warn('⚠️ Using mock login');
+  loginUser = async (email, password, { rememberMe = false, userAgent = null, ipAddress = null } = {}) => {
+    log.debug('Mock login');
     const user = mockUsers.get(email);
-    if (!user) return { success: false, error: 'User not found' };
+    if (!user || !(await bcrypt.compare(String(password), user.passwordHash))) return INVALID_CREDENTIALS;
+    if (!user.emailVerifiedAt) {
+      return { success: false, error: 'Please verify your email address before signing in', code: 'EMAIL_NOT_VERIFIED' };
+    }
     const rawSessionId = crypto.randomUUID();
     const sessionId = rawSessionId; // Raw GUID for database
     const signedSessionId = crypto.createHmac('sha256', process.env.SESSION_SECRET || 'default-secret')
                                  .update(rawSessionId)
                                  .digest('hex'); // Signed session ID, (HMAC-SHA256 with SESSION_SECRET)
-    return { 
-      success: true, 
-      user: { 
-        id: user.id, 
-        email: user.email, 
-        session_id: sessionId,
-        signed_session_id: signedSessionId 
-      } 
+    const now = new Date();
+    const expiresAt = new Date(now.getTime() + sessionLifetimeSeconds(rememberMe) * 1000);
+    mockSessions.set(signedSessionId, {
+      userId: user.id,
+      sessionId,
+      rememberMe: Boolean(rememberMe),
+      userAgent,
+      ipAddress,
+      createdAt: now,
+      lastSeenAt: now,
+      expiresAt,
+    });
+    return {
+      success: true,
+      user: toLoginUserDto(
+        { id: user.id, email: user.email, default_from_lang: user.defaultFromLang, default_to_lang: user.defaultToLang },
+        { sessionId, signedSessionId, expiresAt, rememberMe },
+      ),
     };
   };
 
-  saveTextTranslation = async (userId, fromLang, toLang, originalText, translatedText) => {
-    console.warn('⚠️ Using mock text translation storage');
-    const id = crypto.randomUUID();
-    const newTranslation = { id, userId, fromLang, toLang, originalText, translatedText, createdAt: new Date(), type: 'text' };
-    mockTranslations.set(id, newTranslation);
-    return newTranslation;
-  };
-
-  getTextTranslationHistory = async (userId) => {
-    console.warn('⚠️ Using mock text translation history');
-    return Array.from(mockTranslations.values())
-      .filter(t => t.userId === userId && t.type === 'text')
-      .sort((a, b) => b.createdAt - a.createdAt);
-  };
+  /*
+  Saving Translations (mock):
+  one record model for every mode, type = text | voice | file | asl,
+  sourceMeta holds mode specific details (file name, audio duration, page count...)
+  records are returned in the database (snake_case) shape, toTranslationDto
+  */
+  const toTranslationRow = (t) => toTranslationDto({
+    id: t.id,
+    type: t.type,
+    from_lang: t.fromLang,
+    to_lang: t.toLang,
+    original_text: t.originalText,
+    translated_text: t.translatedText,
+    source_meta: t.sourceMeta,
+    provider: t.provider,
+    is_favorite: t.isFavorite,
+    deleted_at: t.deletedAt,
+    created_at: t.createdAt,
+    updated_at: t.updatedAt,
+  });
 
-  saveVoiceTranslation = async (userId, fromLang, toLang, originalText, translatedText) => {
-    console.warn('⚠️ Using mock voice translation storage');
+  saveTranslation = async (userId, { type, fromLang, toLang, originalText, translatedText, sourceMeta = null, provider = null }) => {
+    log.debug('Mock translation storage', { type });
     const id = crypto.randomUUID();
     const newTranslation = {
       id,
       userId,
+      type,
       fromLang,
       toLang,
       originalText,
       translatedText,
+      sourceMeta,
+      provider,
       createdAt: new Date(),
-      type: 'voice'
     };
     mockTranslations.set(id, newTranslation);
-    return { success: true, message: 'Voice translation saved', translation: newTranslation };
+    return { success: true, message: 'Translation saved', translation: toTranslationRow(newTranslation) };
+  };
+
+  /*
+  Searching Translation History (mock):
+  same filters and result shape as the production implementation.
+  */
+  searchTranslationHistory = async (userId, rawFilters) => {
+    const filters = normalizeHistoryFilters(rawFilters);
+    const search = filters.search?.toLowerCase();
+    const matches = Array.from(mockTranslations.values())
+      .filter(t => t.userId === userId)
+      .filter(t => (filters.trash ? Boolean(t.deletedAt) : !t.deletedAt))
+      .filter(t => !filters.favoritesOnly || t.isFavorite)
+      .filter(t => !filters.type || t.type === filters.type)
+      .filter(t => !filters.fromLang || t.fromLang === filters.fromLang)
+      .filter(t => !filters.toLang || t.toLang === filters.toLang)
+      .filter(t => !filters.dateFrom || t.createdAt >= filters.dateFrom)
+      .filter(t => !filters.dateTo || t.createdAt < filters.dateTo)
+      .filter(t => !search || t.originalText.toLowerCase().includes(search) || t.translatedText.toLowerCase().includes(search))
+      .sort((a, b) => b.createdAt - a.createdAt || (a.id < b.id ? 1 : -1))
+      .map(toTranslationRow);
+
+    const { cursor, pageSize } = filters;
+    const remaining = cursor
+      ? matches.filter(t => t.created_at < cursor.createdAt || (t.created_at.getTime() === cursor.createdAt.getTime() && t.id < cursor.id))
+      : matches.slice((filters.page - 1) * pageSize);
+    const items = remaining.slice(0, pageSize);
+    const hasMore = remaining.length > pageSize;
+    return {
+      success: true,
+      items,
+      total: matches.length,
+      page: cursor ? null : filters.page,
+      pageSize,
+      hasMore,
+      nextCursor: hasMore ? encodeHistoryCursor(items[items.length - 1]) : null,
+    };
+  };
+
+  /*
+  Editing, Favoriting, Deleting & Restoring (mock):
+  every action is scoped to the owner, deleting moves the item to the trash
+  (deletedAt), permanent deletion only removes items already in the trash.
+  */
+  const findOwnedTranslation = (userId, translationId) => {
+    const translation = mockTranslations.get(translationId);
+    return translation && translation.userId === userId ? translation : null;
+  };
+
+  updateTranslation = async (userId, translationId, { fromLang, toLang, originalText, translatedText }) => {
+    const translation = findOwnedTranslation(userId, translationId);
+    if (!translation || translation.deletedAt) return { success: false, error: 'Translation not found' };
+    Object.assign(translation, {
+      fromLang: fromLang || translation.fromLang,
+      toLang: toLang || translation.toLang,
+      originalText,
+      translatedText,
+      updatedAt: new Date(),
+    });
+    persistMock();
+    return { success: true, message: 'Translation updated' };
+  };
+
+  setTranslationFavorite = async (userId, translationId, favorite) => {
+    const translation = findOwnedTranslation(userId, translationId);
+    if (!translation || translation.deletedAt) return { success: false, error: 'Translation not found' };
+    translation.isFavorite = Boolean(favorite);
+    persistMock();
+    return { success: true, message: favorite ? 'Added to favorites' : 'Removed from favorites' };
+  };
+
+  deleteTranslation = async (userId, translationId, { permanent = false } = {}) => {
+    const translation = findOwnedTranslation(userId, translationId);
+    if (!translation || (permanent && !translation.deletedAt)) return { success: false, error: 'Translation not found' };
+    if (permanent) {
+      mockTranslations.delete(translationId);
+      return { success: true, message: 'Translation permanently deleted' };
+    }
+    translation.deletedAt = new Date();
+    persistMock();
+    return { success: true, message: 'Translation moved to trash' };
   };
 
-  getVoiceTranslationHistory = async (userId) => {
-    console.warn('⚠️ Using mock voice translation history');
-    return Array.from(mockTranslations.values())
-      .filter(t => t.userId === userId && t.type === 'voice')
-      .sort((a, b) => b.createdAt - a.createdAt);
+  restoreTranslation = async (userId, translationId) => {
+    const translation = findOwnedTranslation(userId, translationId);
+    if (!translation || !translation.deletedAt) return { success: false, error: 'Translation not found in trash' };
+    translation.deletedAt = null;
+    persistMock();
+    return { success: true, message: 'Translation restored' };
   };
 
   logoutUser = async (signedSessionId) => {
-    console.warn('⚠️ Using mock logout with signedSessionId:', signedSessionId);
+    log.debug('Mock logout');
+    mockSessions.delete(signedSessionId);
     return { success: true, message: 'Logged out successfully' };
   };
 
+  /*
+  Sessions (mock):
+  getSessionUser resolves the session to { id, email, plan, session: { id, expires_at, remember_me } },
+  null when unknown or expired. renew slides the expiry (every authenticated request),
+  renew: false only reads it (the client's session check, so checking does not keep an idle session alive)
+  */
+  const toSessionRow = (session) => toSessionDto({
+    session_id: session.sessionId,
+    user_agent: session.userAgent,
+    ip_address: session.ipAddress,
+    remember_me: session.rememberMe,
+    created_at: session.createdAt,
+    last_seen_at: session.lastSeenAt,
+    expires_at: session.expiresAt,
+  });
+
+  getSessionUser = async (signedSessionId, { renew = true } = {}) => {
+    const session = mockSessions.get(signedSessionId);
+    if (!session) return null;
+    const now = new Date();
+    if (session.expiresAt <= now) {
+      mockSessions.delete(signedSessionId);
+      return null;
+    }
+    const user = Array.from(mockUsers.values()).find(u => u.id === session.userId);
+    if (!user) return null;
+    if (renew) {
+      session.lastSeenAt = now;
+      session.expiresAt = new Date(now.getTime() + sessionLifetimeSeconds(session.rememberMe) * 1000);
+      persistMock();
+    }
+    return toSessionUserDto({
+      id: user.id,
+      email: user.email,
+      plan: user.plan,
+      session_id: session.sessionId,
+      expires_at: session.expiresAt,
+      remember_me: session.rememberMe,
+    });
+  };
+
+  // the user's active sessions (devices), most recently used first
+  listSessions = async (userId) => {
+    const now = new Date();
+    const sessions = Array.from(mockSessions.values())
+      .filter(session => session.userId === userId && session.expiresAt > now)
+      .sort((a, b) => b.lastSeenAt - a.lastSeenAt)
+      .map(toSessionRow);
+    return { success: true, sessions };
+  };
+
+  revokeSession = async (userId, sessionId) => {
+    const entry = Array.from(mockSessions.entries())
+      .find(([, session]) => session.userId === userId && session.sessionId === sessionId);
+    if (!entry) return { success: false, error: 'Session not found' };
+    mockSessions.delete(entry[0]);
+    return { success: true, message: 'Session revoked' };
+  };
+
+  // signs the user out everywhere, exceptSessionId keeps that one session (the current device)
+  revokeAllSessions = async (userId, { exceptSessionId = null } = {}) => {
+    let revoked = 0;
+    mockSessions.forEach((session, signedSessionId) => {
+      if (session.userId === userId && session.sessionId !== exceptSessionId) {
+        mockSessions.delete(signedSessionId);
+        revoked += 1;
+      }
+    });
+    return { success: true, revoked };
+  };
+
   validateSession = async (sessionId, signedSessionId) => {
-    console.warn('⚠️ Using mock session validation with sessionId:', sessionId, 'signedSessionId:', signedSessionId);
-    // Simulate validation by checking if signedSessionId matches the HMAC of sessionId
-    const expectedSignedSessionId = crypto.createHmac('sha256', process.env.SESSION_SECRET || 'default-secret')
-                                         .update(sessionId)
-                                         .digest('hex');
-    return signedSessionId === expectedSignedSessionId;
+    log.debug('Mock session validation');
+    return Boolean(await getSessionUser(signedSessionId, { renew: false }));
+  };
+
+  /*
+  Password Reset (mock):
+  only the SHA-256 hash of a reset token is stored, a new token replaces the user's previous ones,
+  consuming marks it used so it works once
+  */
+  getUserByEmail = async (email) => {
+    const user = mockUsers.get(email);
+    return user ? toEmailUserDto({ id: user.id, email: user.email, email_verified_at: user.emailVerifiedAt }) : null;
+  };
+
+  updateUserPassword = async (userId, newPassword) => {
+    const user = Array.from(mockUsers.values()).find(u => u.id === userId);
+    if (!user) return { success: false, error: 'User not found' };
+    user.passwordHash = await bcrypt.hash(newPassword, await bcrypt.genSalt(10));
+    persistMock();
+    return { success: true, message: 'Password updated' };
+  };
+
+  createPasswordResetToken = async (userId, tokenHash, expiresAt) => {
+    mockPasswordResetTokens.forEach((token, hash) => {
+      if (token.userId === userId) mockPasswordResetTokens.delete(hash);
+    });
+    mockPasswordResetTokens.set(tokenHash, { userId, expiresAt, usedAt: null });
+    return { success: true };
+  };
+
+  consumePasswordResetToken = async (tokenHash) => {
+    const token = mockPasswordResetTokens.get(tokenHash);
+    if (!token || token.usedAt || token.expiresAt <= new Date()) {
+      return { success: false, error: 'Invalid or expired reset token' };
+    }
+    token.usedAt = new Date();
+    persistMock();
+    return { success: true, userId: token.userId };
+  };
+
+  // verifies the account only while it still uses the email the link was sent to
+  markEmailVerified = async (userId, email) => {
+    const user = mockUsers.get(email);
+    if (!user || user.id !== userId) return { success: false, error: 'User not found' };
+    const alreadyVerified = Boolean(user.emailVerifiedAt);
+    if (!alreadyVerified) {
+      user.emailVerifiedAt = new Date();
+      persistMock();
+    }
+    return { success: true, alreadyVerified };
   };
 
   updateUserPreferences = async (userId, defaultFromLang, defaultToLang) => {
-    console.warn('⚠️ Using mock update user preferences');
-    return { success: true, message: 'Preferences updated' };
+    log.debug('Mock update user preferences');
+    const user = Array.from(mockUsers.values()).find(u => u.id === userId);
+    if (!user) return { success: false, error: 'User not found' };
+    Object.assign(user, { defaultFromLang: defaultFromLang || '', defaultToLang: defaultToLang || '' });
+    persistMock();
+    return { success: true, message: 'Preferences updated', user: await getUserPreferences(userId) };
   };
 
+  // throws when the user does not exist, like the production implementation
   getUserPreferences = async (userId) => {
-    console.warn('⚠️ Using mock get user preferences');
+    log.debug('Mock get user preferences');
     const user = Array.from(mockUsers.values()).find(u => u.id === userId);
-    return { default_from_lang: user?.defaultFromLang || '', default_to_lang: user?.defaultToLang || '' };
+    if (!user) throw new Error('User not found');
+    return toPreferencesDto({ default_from_lang: user.defaultFromLang, default_to_lang: user.defaultToLang });
   };
-} else {
+
+  /*
+  Translation Cache (mock):
+  Map keyed by cacheKey, entries carry their own expiry.
+  least recently hit entries are evicted once maxEntries is exceeded.
+  */
+  const mockTranslationCache = mockStore.table('translationCache');
+
+  getCachedTranslation = async (cacheKey) => {
+    const entry = mockTranslationCache.get(cacheKey);
+    if (!entry) return null;
+    if (entry.expires_at <= new Date()) {
+      mockTranslationCache.delete(cacheKey);
+      return null;
+    }
+    // a hit is a read, the counters are saved with the next write (or when the process stops)
+    entry.hit_count += 1;
+    entry.last_hit_at = new Date();
+    mockStore.touch();
+    return { translated_text: entry.translated_text, detected_source_lang: entry.detected_source_lang };
+  };
+
+  saveCachedTranslation = async (entry, ttlSeconds, maxEntries) => {
+    const now = new Date();
+    mockTranslationCache.set(entry.cacheKey, {
+      cache_key: entry.cacheKey,
+      provider: entry.provider,
+      from_lang: entry.fromLang,
+      to_lang: entry.toLang,
+      source_text: entry.sourceText,
+      translated_text: entry.translatedText,
+      detected_source_lang: entry.detectedSourceLang,
+      created_at: now,
+      expires_at: new Date(now.getTime() + ttlSeconds * 1000),
+      hit_count: 0,
+      last_hit_at: now,
+    });
+    if (mockTranslationCache.size > maxEntries) {
+      const byLastHit = Array.from(mockTranslationCache.values()).sort((a, b) => a.last_hit_at - b.last_hit_at);
+      byLastHit.slice(0, mockTranslationCache.size - maxEntries).forEach(e => mockTranslationCache.delete(e.cache_key));
+    }
+    return { success: true };
+  };
+
+  purgeTranslationCache = async ({ provider, fromLang, toLang, expiredOnly } = {}) => {
+    let deleted = 0;
+    const now = new Date();
+    for (const [key, entry] of mockTranslationCache) {
+      if (provider && entry.provider !== provider) continue;
+      if (fromLang && entry.from_lang !== fromLang) continue;
+      if (toLang && entry.to_lang !== toLang) continue;
+      if (expiredOnly && entry.expires_at > now) continue;
+      mockTranslationCache.delete(key);
+      deleted++;
+    }
+    return { success: true, deleted };
+  };
+
+  /*
+  Glossaries (mock):
+  Map of glossary entries, shaped like the Glossary table rows.
+  */
+  const mockGlossary = mockStore.table('glossary');
+
+  getGlossaryEntries = async (userId, { fromLang, toLang } = {}) => {
+    return Array.from(mockGlossary.values())
+      .filter(e => e.user_id === userId)
+      .filter(e => !fromLang || e.from_lang === fromLang)
+      .filter(e => !toLang || e.to_lang === toLang)
+      .sort((a, b) => a.source_term.localeCompare(b.source_term))
+      .map(toGlossaryEntryDto);
+  };
+
+  createGlossaryEntry = async (userId, { sourceTerm, targetTerm, fromLang, toLang, caseSensitive }) => {
+    const now = new Date();
+    const entry = {
+      id: crypto.randomUUID(),
+      user_id: userId,
+      source_term: sourceTerm,
+      target_term: targetTerm,
+      from_lang: fromLang,
+      to_lang: toLang,
+      case_sensitive: Boolean(caseSensitive),
+      created_at: now,
+      updated_at: now,
+    };
+    mockGlossary.set(entry.id, entry);
+    return { success: true, entry: toGlossaryEntryDto(entry) };
+  };
+
+  updateGlossaryEntry = async (userId, entryId, { sourceTerm, targetTerm, fromLang, toLang, caseSensitive }) => {
+    const entry = mockGlossary.get(entryId);
+    if (!entry || entry.user_id !== userId) return { success: false, error: 'Glossary entry not found' };
+    Object.assign(entry, {
+      source_term: sourceTerm,
+      target_term: targetTerm,
+      from_lang: fromLang,
+      to_lang: toLang,
+      case_sensitive: Boolean(caseSensitive),
+      updated_at: new Date(),
+    });
+    persistMock();
+    return { success: true, entry: toGlossaryEntryDto(entry) };
+  };
+
+  deleteGlossaryEntry = async (userId, entryId) => {
+    const entry = mockGlossary.get(entryId);
+    if (!entry || entry.user_id !== userId) return { success: false, error: 'Glossary entry not found' };
+    mockGlossary.delete(entryId);
+    return { success: true, message: 'Glossary entry deleted' };
+  };
+
+  /*
+  Translation Memory (mock):
+  Map keyed by user + unit hash, shaped like the TranslationMemory table rows.
+  */
+  const mockTranslationMemory = mockStore.table('translationMemory');
+
+  addTranslationMemoryUnits = async (userId, units) => {
+    let inserted = 0;
+    units.forEach(unit => {
+      const key = `${userId}:${unit.unitHash}`;
+      if (mockTranslationMemory.has(key)) return;
+      mockTranslationMemory.set(key, {
+        id: crypto.randomUUID(),
+        user_id: userId,
+        unit_hash: unit.unitHash,
+        source_lang: unit.sourceLang,
+        target_lang: unit.targetLang,
+        source_text: unit.sourceText,
+        target_text: unit.targetText,
+        origin: unit.origin,
+        created_at: new Date(),
+      });
+      inserted += 1;
+    });
+    return { success: true, inserted, duplicates: units.length - inserted };
+  };
+
+  findTranslationMemoryUnits = async (userId, { sourceLang, targetLang, minLength = 0, maxLength = Infinity, limit = 500 }) => {
+    const matchesLang = (stored, wanted) => stored === wanted || stored.startsWith(`${wanted}-`);
+    return Array.from(mockTranslationMemory.values())
+      .filter(u => u.user_id === userId && matchesLang(u.source_lang, sourceLang) && matchesLang(u.target_lang, targetLang))
+      .filter(u => u.source_text.length >= minLength && u.source_text.length <= maxLength)
+      .slice(0, limit)
+      .map(toMemoryUnitDto);
+  };
+
+  getTranslationMemoryStats = async (userId) => {
+    const pairs = new Map();
+    Array.from(mockTranslationMemory.values())
+      .filter(u => u.user_id === userId)
+      .forEach(u => {
+        const key = `${u.source_lang}|${u.target_lang}`;
+        const pair = pairs.get(key) || { source_lang: u.source_lang, target_lang: u.target_lang, units: 0 };
+        pair.units += 1;
+        pairs.set(key, pair);
+      });
+    const pairList = Array.from(pairs.values()).sort((a, b) => b.units - a.units);
+    return { success: true, total: pairList.reduce((sum, pair) => sum + pair.units, 0), pairs: pairList };
+  };
+
+  /*
+  Translated Files (mock):
+  Map of file records, shaped like the TranslatedFiles table rows.
+  owner = { userId } or { guestKey }, records of someone else are treated as missing
+  */
+  const mockFiles = mockStore.table('translatedFiles');
+  const ownsFile = (file, { userId = null, guestKey = null }) =>
+    Boolean(file) && (userId ? file.user_id === userId : Boolean(guestKey) && file.guest_key === guestKey);
+
+  createFileRecord = async ({ userId = null, guestKey = null, originalName, mimeType, format, sizeBytes, toLang, expiresAt }) => {
+    const file = {
+      id: crypto.randomUUID(),
+      user_id: userId,
+      guest_key: userId ? null : guestKey,
+      original_name: originalName,
+      mime_type: mimeType,
+      format,
+      size_bytes: sizeBytes,
+      status: 'processing',
+      from_lang: null,
+      to_lang: toLang,
+      provider: null,
+      page_count: null,
+      character_count: null,
+      output_name: null,
+      output_mime: null,
+      error: null,
+      created_at: new Date(),
+      completed_at: null,
+      expires_at: expiresAt,
+    };
+    mockFiles.set(file.id, file);
+    return { success: true, file: toFileDto(file) };
+  };
+
+  updateFileRecord = async (fileId, fields) => {
+    const file = mockFiles.get(fileId);
+    if (!file) return { success: false, error: 'File not found' };
+    Object.entries(FILE_UPDATE_COLUMNS).forEach(([field, column]) => {
+      if (fields[field] !== undefined) file[column] = fields[field];
+    });
+    persistMock();
+    return { success: true, file: toFileDto(file) };
+  };
+
+  getFileRecord = async (owner, fileId) => {
+    const file = mockFiles.get(fileId);
+    return ownsFile(file, owner) ? toFileDto(file) : null;
+  };
+
+  listFileRecords = async (userId, { limit = 50 } = {}) => {
+    return Array.from(mockFiles.values())
+      .filter(f => f.user_id === userId)
+      .sort((a, b) => b.created_at - a.created_at)
+      .slice(0, limit)
+      .map(toFileDto);
+  };
+
+  deleteFileRecord = async (owner, fileId) => {
+    if (!ownsFile(mockFiles.get(fileId), owner)) return { success: false, error: 'File not found' };
+    mockJobs.forEach((job, jobId) => {
+      if (job.file_id === fileId) mockJobs.delete(jobId);
+    });
+    mockFiles.delete(fileId);
+    return { success: true, message: 'File deleted' };
+  };
+
+  purgeExpiredFileRecords = async (now = new Date()) => {
+    const fileIds = [];
+    mockFiles.forEach((file, fileId) => {
+      if (file.expires_at <= now) fileIds.push(fileId);
+    });
+    fileIds.forEach(fileId => mockFiles.delete(fileId));
+    return { success: true, fileIds };
+  };
+
+  /*
+  Translation Jobs (mock):
+  Map of jobs, shaped like the TranslationJobs table rows (payload kept as a JSON string),
+  owned like the file records
+  */
+  const mockJobs = mockStore.table('translationJobs');
+
+  createJob = async ({ userId = null, guestKey = null, type, fileId = null, payload = {}, expiresAt }) => {
+    const now = new Date();
+    const job = {
+      id: crypto.randomUUID(),
+      type,
+      user_id: userId,
+      guest_key: userId ? null : guestKey,
+      file_id: fileId,
+      payload: JSON.stringify(payload),
+      status: 'queued',
+      progress_done: 0,
+      progress_total: null,
+      attempts: 0,
+      error: null,
+      created_at: now,
+      started_at: null,
+      finished_at: null,
+      updated_at: now,
+      expires_at: expiresAt,
+      lease_owner: null,
+      lease_expires_at: null,
+    };
+    mockJobs.set(job.id, job);
+    return { success: true, job: toJobDto(job) };
+  };
+
+  updateJob = async (jobId, fields, { fromStatuses = null, leaseOwner = null } = {}) => {
+    const job = mockJobs.get(jobId);
+    if (!job || (fromStatuses && !fromStatuses.includes(job.status)) || (leaseOwner && job.lease_owner !== leaseOwner)) {
+      return JOB_NOT_FOUND;
+    }
+    Object.entries(JOB_UPDATE_COLUMNS).forEach(([field, column]) => {
+      if (fields[field] !== undefined) job[column] = fields[field];
+    });
+    job.updated_at = new Date();
+    persistMock();
+    return { success: true, job: toJobDto(job) };
+  };
+
+  getJob = async (owner, jobId) => {
+    const job = mockJobs.get(jobId);
+    return ownsFile(job, owner) ? toJobDto(job) : null;
+  };
+
+  listJobs = async (owner, { limit = 20 } = {}) => {
+    return Array.from(mockJobs.values())
+      .filter(job => ownsFile(job, owner))
+      .sort((a, b) => b.created_at - a.created_at)
+      .slice(0, limit)
+      .map(toJobDto);
+  };
+
+  claimNextJob = async (now = new Date(), { leaseOwner = null, leaseExpiresAt = null } = {}) => {
+    const job = Array.from(mockJobs.values())
+      .filter(j => j.status === 'queued')
+      .sort((a, b) => a.created_at - b.created_at)[0];
+    if (!job) return null;
+    Object.assign(job, {
+      status: 'running',
+      attempts: job.attempts + 1,
+      started_at: now,
+      updated_at: now,
+      lease_owner: leaseOwner,
+      lease_expires_at: leaseExpiresAt,
+    });
+    persistMock();
+    return toJobDto(job);
+  };
+
+  renewJobLeases = async (leaseOwner, leaseExpiresAt) => {
+    let count = 0;
+    mockJobs.forEach((job) => {
+      if (job.status !== 'running' || job.lease_owner !== leaseOwner) return;
+      job.lease_expires_at = leaseExpiresAt;
+      count += 1;
+    });
+    if (count > 0) persistMock();
+    return { success: true, count };
+  };
+
+  requeueInterruptedJobs = async (now = new Date()) => {
+    let count = 0;
+    mockJobs.forEach((job) => {
+      if (job.status !== 'running' || (job.lease_expires_at && job.lease_expires_at > now)) return;
+      Object.assign(job, { status: 'queued', updated_at: new Date(), lease_owner: null, lease_expires_at: null });
+      count += 1;
+    });
+    persistMock();
+    return { success: true, count };
+  };
+
+  purgeExpiredJobs = async (now = new Date()) => {
+    let count = 0;
+    mockJobs.forEach((job, jobId) => {
+      if (job.expires_at > now) return;
+      mockJobs.delete(jobId);
+      count += 1;
+    });
+    return { success: true, count };
+  };
+
+  /*
+  Account Settings (mock):
+  a changed email waits in pendingEmail until the link sent to it is opened,
+  deleting an account removes everything stored for the user
+  */
+  const findMockUser = (userId) => Array.from(mockUsers.values()).find(u => u.id === userId);
+
+  verifyUserPassword = async (userId, password) => {
+    const user = findMockUser(userId);
+    return Boolean(user) && await bcrypt.compare(String(password), user.passwordHash);
+  };
+
+  requestEmailChange = async (userId, newEmail) => {
+    const user = findMockUser(userId);
+    if (!user) return { success: false, error: 'User not found' };
+    if (mockUsers.has(newEmail)) return { success: false, error: 'That email is already in use', code: 'EMAIL_TAKEN' };
+    user.pendingEmail = newEmail;
+    persistMock();
+    return { success: true };
+  };
+
+  confirmEmailChange = async (userId, newEmail) => {
+    const user = findMockUser(userId);
+    if (!user || user.pendingEmail !== newEmail) return { success: false, error: 'No pending change to that email' };
+    if (mockUsers.has(newEmail)) return { success: false, error: 'That email is already in use', code: 'EMAIL_TAKEN' };
+    mockUsers.delete(user.email);
+    Object.assign(user, { email: newEmail, pendingEmail: null, emailVerifiedAt: new Date() });
+    mockUsers.set(newEmail, user);
+    return { success: true };
+  };
+
+  exportUserData = async (userId) => {
+    const user = findMockUser(userId);
+    if (!user) return { success: false, error: 'User not found' };
+    const sessions = await listSessions(userId);
+    return {
+      success: true,
+      data: {
+        account: { id: user.id, email: user.email, email_verified_at: user.emailVerifiedAt || null, plan: user.plan || 'free' },
+        preferences: await getUserPreferences(userId),
+        translations: Array.from(mockTranslations.values())
+          .filter(t => t.userId === userId)
+          .sort((a, b) => b.createdAt - a.createdAt)
+          .map(toTranslationRow),
+        glossary: await getGlossaryEntries(userId),
+        translationMemory: Array.from(mockTranslationMemory.values()).filter(u => u.user_id === userId).map(toMemoryUnitDto),
+        files: await listFileRecords(userId, { limit: Infinity }),
+        jobs: await listJobs({ userId }, { limit: Infinity }),
+        sessions: sessions.sessions,
+      },
+    };
+  };
+
+  deleteUserAccount = async (userId) => {
+    const user = findMockUser(userId);
+    if (!user) return { success: false, error: 'User not found' };
+    const removeOwned = (store, isOwned) => store.forEach((value, key) => {
+      if (isOwned(value)) store.delete(key);
+    });
+    removeOwned(mockTranslations, t => t.userId === userId);
+    removeOwned(mockGlossary, e => e.user_id === userId);
+    removeOwned(mockTranslationMemory, u => u.user_id === userId);
+    removeOwned(mockFiles, f => f.user_id === userId);
+    removeOwned(mockJobs, j => j.user_id === userId);
+    removeOwned(mockPasswordResetTokens, token => token.userId === userId);
+    removeOwned(mockSessions, session => session.userId === userId);
+    mockUsers.delete(user.email);
+    return { success: true, message: 'Account deleted' };
+  };
+} else if (DB_DRIVER === 'mssql') {
   // ==================== PRODUCTION IMPLEMENTATION ====================
 
   /*
@@ -154,7 +859,7 @@ if (USE_MOCK_DB) {
   const dbConfig = {
     server: process.env.DB_SERVER,
     database: process.env.DB_NAME,
-    port: 1433,
+    port: parseInt(process.env.DB_PORT, 10) || 1433,
     user: process.env.DB_USER,
     password: process.env.DB_PASSWORD,
     options: {
@@ -165,21 +870,13 @@ if (USE_MOCK_DB) {
     },
   };
 
-  console.log('Database config:', dbConfig);
-
   getPool = async () => {
-    console.log('Attempting to connect to MSSQL Database with config:', dbConfig);
     if (!pool || !pool.connected) {
       try {
         pool = await sql.connect(dbConfig);
-        console.log('✅ Connected to MSSQL Database');
+        log.info('Connected to the MSSQL database', { server: dbConfig.server, database: dbConfig.database });
       } catch (error) {
-        console.error('❌ Database Connection Error:', {
-          message: error.message,
-          code: error.code,
-          stack: error.stack,
-          originalError: error.originalError,
-        });
+        log.error('Database Connection Error', { error, cause: error.originalError });
         pool = null;
         throw new Error('Failed to connect to the database: ' + error.message);
       }
@@ -211,7 +908,8 @@ if (USE_MOCK_DB) {
       await request.execute('spRegisterUser');
       return { success: true, message: 'Registration successful' };
     } catch (error) {
-      console.error('❌ Register Error:', error);
+      if (error.number === 2627 || error.number === 2601) return EMAIL_TAKEN; // unique key on Users.email
+      log.error('Register Error', { error });
       return { success: false, error: error.message };
     }
   };
@@ -220,14 +918,17 @@ if (USE_MOCK_DB) {
   Logging in Users (loginUser):
   retrieves hashed password from spLoginUser.
   uses bcrypt.compare() to verify the entered password.
+  refuses accounts whose email is not verified yet (code EMAIL_NOT_VERIFIED).
   generates a UUID session ID (crypto.randomUUID()).
   signs session ID using HMAC (crypto.createHmac) for security.
-  Stores session in spCreateSession along with:
+  Stores the session in the Sessions table along with:
   session_id
   signed_session_id
-  expires_at (calculated based on SESSION_EXPIRATION).
+  expires_at (sessionLifetimeSeconds, longer for "remember me" logins).
+  remember_me, user_agent, ip_address, created_at, last_seen_at (shown in the user's device list).
+  expired sessions of the user are cleaned up on every login.
   */
-  loginUser = async (email, password) => {
+  loginUser = async (email, password, { rememberMe = false, userAgent = null, ipAddress = null } = {}) => {
     try {
       const poolInstance = await getPool();
       if (!poolInstance) throw new Error('Database connection failed');
@@ -236,13 +937,20 @@ if (USE_MOCK_DB) {
 
       const result = await request.execute('spLoginUser');
       if (result.recordset.length === 0) {
-        return { success: false, error: 'Invalid email or password' };
+        return INVALID_CREDENTIALS;
       }
 
       const user = result.recordset[0];
-      const validPassword = await bcrypt.compare(password, user.password_hash);
+      const validPassword = await bcrypt.compare(String(password), user.password_hash);
       if (!validPassword) {
-        return { success: false, error: 'Invalid email or password' };
+        return INVALID_CREDENTIALS;
+      }
+
+      const verification = await poolInstance.request()
+        .input('UserId', sql.UniqueIdentifier, user.UserId)
+        .query('SELECT email_verified_at FROM Users WHERE id = @UserId');
+      if (!verification.recordset[0]?.email_verified_at) {
+        return { success: false, error: 'Please verify your email address before signing in', code: 'EMAIL_NOT_VERIFIED' };
       }
 
       const rawSessionId = crypto.randomUUID();
@@ -250,27 +958,30 @@ if (USE_MOCK_DB) {
       const signedSessionId = crypto.createHmac('sha256', process.env.SESSION_SECRET || 'default-secret')
                                    .update(rawSessionId)
                                    .digest('hex'); // Signed session ID
-      const expiresAt = new Date(Date.now() + (parseInt(process.env.SESSION_EXPIRATION, 10) * 1000));
+      const expiresAt = new Date(Date.now() + sessionLifetimeSeconds(rememberMe) * 1000);
       await poolInstance.request()
         .input('UserId', sql.UniqueIdentifier, user.UserId)
         .input('SessionId', sql.UniqueIdentifier, sessionId)
         .input('ExpiresAt', sql.DateTime, expiresAt)
         .input('SignedSessionId', sql.NVarChar(64), signedSessionId)
-        .execute('spCreateSession');
-
-      return { 
-        success: true, 
-        user: { 
-          id: user.UserId, 
-          email: user.email, 
-          session_id: sessionId,
-          signed_session_id: signedSessionId,
-          default_from_lang: user.default_from_lang,
-          default_to_lang: user.default_to_lang 
-        } 
+        .input('RememberMe', sql.Bit, Boolean(rememberMe))
+        .input('UserAgent', sql.NVarChar(256), userAgent ? userAgent.slice(0, 256) : null)
+        .input('IpAddress', sql.NVarChar(45), ipAddress)
+        .query(`
+          DELETE FROM Sessions WHERE user_id = @UserId AND expires_at <= GETUTCDATE();
+          INSERT INTO Sessions (session_id, user_id, signed_session_id, expires_at, remember_me, user_agent, ip_address, created_at, last_seen_at)
+          VALUES (@SessionId, @UserId, @SignedSessionId, @ExpiresAt, @RememberMe, @UserAgent, @IpAddress, GETUTCDATE(), GETUTCDATE())
+        `);
+
+      return {
+        success: true,
+        user: toLoginUserDto(
+          { id: user.UserId, email: user.email, default_from_lang: user.default_from_lang, default_to_lang: user.default_to_lang },
+          { sessionId, signedSessionId, expiresAt, rememberMe },
+        ),
       };
     } catch (error) {
-      console.error('❌ Login Error:', error);
+      log.error('Login Error', { error });
       return { success: false, error: error.message };
     }
   };
@@ -289,100 +1000,212 @@ if (USE_MOCK_DB) {
         .query('DELETE FROM Sessions WHERE signed_session_id = @SignedSessionId');
       return { success: true, message: 'Logged out successfully' };
     } catch (error) {
-      console.error('❌ Logout Error:', error);
+      log.error('Logout Error', { error });
       return { success: false, error: error.message };
     }
   };
 
   /*
-  Storing and Fetching Translations:
-  save Text Translation (saveTextTranslation)
-  stores original and translated text in the database.
-  calls spSaveTextTranslation.
+  Storing Translations (saveTranslation):
+  every mode (text, voice, file, asl) is stored in the Translations table
+  (id, user_id, type, from_lang, to_lang, original_text, translated_text, source_meta,
+  provider, is_favorite, deleted_at, created_at, updated_at).
+  source_meta is a JSON document with mode specific details
+  (file name/size/page count, audio duration, ASL frame count), parsed by toTranslationDto.
   */
-  saveTextTranslation = async (userId, fromLang, toLang, originalText, translatedText) => {
+
+  saveTranslation = async (userId, { type, fromLang, toLang, originalText, translatedText, sourceMeta = null, provider = null }) => {
     try {
       const poolInstance = await getPool();
       if (!poolInstance) throw new Error('Database connection failed');
-      
-      const request = poolInstance.request()
-        .input('UserId', sql.UniqueIdentifier, userId)
-        .input('FromLang', sql.NVarChar, fromLang)
-        .input('ToLang', sql.NVarChar, toLang)
-        .input('OriginalText', sql.NVarChar, originalText)
-        .input('TranslatedText', sql.NVarChar, translatedText);
 
-      await request.execute('spSaveTextTranslation');
-      return { success: true, message: 'Translation saved' };
+      const result = await poolInstance.request()
+        .input('Id', sql.UniqueIdentifier, crypto.randomUUID())
+        .input('UserId', sql.UniqueIdentifier, userId)
+        .input('Type', sql.NVarChar(10), type)
+        .input('FromLang', sql.NVarChar(20), fromLang)
+        .input('ToLang', sql.NVarChar(20), toLang)
+        .input('OriginalText', sql.NVarChar(sql.MAX), originalText)
+        .input('TranslatedText', sql.NVarChar(sql.MAX), translatedText)
+        .input('SourceMeta', sql.NVarChar(sql.MAX), sourceMeta ? JSON.stringify(sourceMeta) : null)
+        .input('Provider', sql.NVarChar(50), provider)
+        .query(`
+          INSERT INTO Translations (id, user_id, type, from_lang, to_lang, original_text, translated_text, source_meta,
+                                    provider, is_favorite, deleted_at, created_at, updated_at)
+          OUTPUT inserted.*
+          VALUES (@Id, @UserId, @Type, @FromLang, @ToLang, @OriginalText, @TranslatedText, @SourceMeta,
+                  @Provider, 0, NULL, GETUTCDATE(), GETUTCDATE())
+        `);
+      return { success: true, message: 'Translation saved', translation: toTranslationDto(result.recordset[0]) };
     } catch (error) {
-      console.error('❌ Save Text Translation Error:', error);
+      log.error('Save Translation Error', { type, error });
       return { success: false, error: error.message };
     }
   };
 
   /*
-  Fetching Translation History
-  get Text Translation History (getTextTranslationHistory)
-  retrieves text translations stored in the database.
+  Searching Translation History (searchTranslationHistory)
+  one query over the Translations table with:
+  type (text/voice/file/asl), favorites only, trash (soft-deleted items only, hidden otherwise),
+  free-text search over original and translated text,
+  language pair, date range (dateFrom inclusive, dateTo exclusive),
+  and page/pageSize or cursor pagination, newest first.
+  returns { success, items, total, page, pageSize, hasMore, nextCursor }
   */
-  getTextTranslationHistory = async (userId) => {
+  searchTranslationHistory = async (userId, rawFilters) => {
     try {
+      const filters = normalizeHistoryFilters(rawFilters);
       const poolInstance = await getPool();
       if (!poolInstance) throw new Error('Database connection failed');
-      
-      const request = poolInstance.request().input('UserId', sql.UniqueIdentifier, userId);
 
-      const result = await request.execute('spGetUserTextTranslations');
-      return result.recordset;
+      // LIKE wildcards in the user's search are matched literally
+      const searchPattern = filters.search ? `%${filters.search.replace(/[\\%_[]/g, '\\$&')}%` : null;
+      const bindFilters = (request) => request
+        .input('UserId', sql.UniqueIdentifier, userId)
+        .input('Type', sql.NVarChar(10), filters.type)
+        .input('Search', sql.NVarChar(4000), searchPattern)
+        .input('FromLang', sql.NVarChar(20), filters.fromLang)
+        .input('ToLang', sql.NVarChar(20), filters.toLang)
+        .input('DateFrom', sql.DateTime2, filters.dateFrom)
+        .input('DateTo', sql.DateTime2, filters.dateTo)
+        .input('Trash', sql.Bit, filters.trash ? 1 : 0)
+        .input('FavoritesOnly', sql.Bit, filters.favoritesOnly ? 1 : 0);
+
+      const historySource = `
+        SELECT * FROM Translations
+        WHERE user_id = @UserId
+          AND ((@Trash = 1 AND deleted_at IS NOT NULL) OR (@Trash = 0 AND deleted_at IS NULL))
+          AND (@FavoritesOnly = 0 OR is_favorite = 1)
+          AND (@Type IS NULL OR type = @Type)
+          AND (@Search IS NULL OR original_text LIKE @Search ESCAPE '\\' OR translated_text LIKE @Search ESCAPE '\\')
+          AND (@FromLang IS NULL OR from_lang = @FromLang)
+          AND (@ToLang IS NULL OR to_lang = @ToLang)
+          AND (@DateFrom IS NULL OR created_at >= @DateFrom)
+          AND (@DateTo IS NULL OR created_at < @DateTo)
+      `;
+
+      const countResult = await bindFilters(poolInstance.request())
+        .query(`SELECT COUNT(*) AS total FROM (${historySource}) AS filtered`);
+
+      const pageRequest = bindFilters(poolInstance.request())
+        .input('Limit', sql.Int, filters.pageSize + 1) // one extra row tells if there is a next page
+        .input('Offset', sql.Int, filters.cursor ? 0 : (filters.page - 1) * filters.pageSize)
+        .input('CursorCreatedAt', sql.DateTime2, filters.cursor?.createdAt || null)
+        .input('CursorId', sql.NVarChar(64), filters.cursor?.id || null);
+      const pageResult = await pageRequest.query(`
+        SELECT id, type, from_lang, to_lang, original_text, translated_text, source_meta, provider,
+               is_favorite, deleted_at, created_at, updated_at
+        FROM (${historySource}) AS filtered
+        WHERE @CursorCreatedAt IS NULL
+          OR created_at < @CursorCreatedAt
+          OR (created_at = @CursorCreatedAt AND CAST(id AS NVARCHAR(64)) < @CursorId)
+        ORDER BY created_at DESC, CAST(id AS NVARCHAR(64)) DESC
+        OFFSET @Offset ROWS FETCH NEXT @Limit ROWS ONLY
+      `);
+
+      const hasMore = pageResult.recordset.length > filters.pageSize;
+      const items = pageResult.recordset.slice(0, filters.pageSize).map(toTranslationDto);
+      return {
+        success: true,
+        items,
+        total: countResult.recordset[0].total,
+        page: filters.cursor ? null : filters.page,
+        pageSize: filters.pageSize,
+        hasMore,
+        nextCursor: hasMore ? encodeHistoryCursor(items[items.length - 1]) : null,
+      };
     } catch (error) {
-      console.error('❌ Get Text Translation History Error:', error);
+      log.error('Search Translation History Error', { error });
       return { success: false, error: error.message };
     }
   };
+
   /*
-  Storing and Fetching Translations:
-  save Voice Translation (saveVoiceTranslation)
-  stores translated text in the database.
-  calls spSaveVoiceTranslation.
+  Editing, Favoriting, Deleting & Restoring Translations:
+  every statement is scoped by user_id, deleting sets deleted_at (trash),
+  permanent deletion only removes rows already in the trash.
   */
-  saveVoiceTranslation = async (userId, fromLang, toLang, originalText, translatedText) => {
+  const runOnTranslations = async (buildRequest, statement) => {
+    const poolInstance = await getPool();
+    if (!poolInstance) throw new Error('Database connection failed');
+
+    const result = await buildRequest(poolInstance.request()).query(statement);
+    return result.rowsAffected[0];
+  };
+
+  updateTranslation = async (userId, translationId, { fromLang, toLang, originalText, translatedText }) => {
     try {
-      const poolInstance = await getPool();
-      if (!poolInstance) throw new Error('Database connection failed');
-      
-      const request = poolInstance.request()
-        .input('UserId', sql.UniqueIdentifier, userId)
-        .input('FromLang', sql.NVarChar, fromLang)
-        .input('ToLang', sql.NVarChar, toLang)
-        .input('OriginalText', sql.NVarChar, originalText)
-        .input('TranslatedText', sql.NVarChar, translatedText);
+      const rowsAffected = await runOnTranslations(
+        (request) => request
+          .input('Id', sql.UniqueIdentifier, translationId)
+          .input('UserId', sql.UniqueIdentifier, userId)
+          .input('FromLang', sql.NVarChar, fromLang || null)
+          .input('ToLang', sql.NVarChar, toLang || null)
+          .input('OriginalText', sql.NVarChar, originalText)
+          .input('TranslatedText', sql.NVarChar, translatedText),
+        `
+          UPDATE Translations
+          SET original_text = @OriginalText, translated_text = @TranslatedText,
+              from_lang = COALESCE(@FromLang, from_lang), to_lang = COALESCE(@ToLang, to_lang),
+              updated_at = GETUTCDATE()
+          WHERE id = @Id AND user_id = @UserId AND deleted_at IS NULL
+        `
+      );
+      if (rowsAffected === 0) return { success: false, error: 'Translation not found' };
+      return { success: true, message: 'Translation updated' };
+    } catch (error) {
+      log.error('Update Translation Error', { error });
+      return { success: false, error: error.message };
+    }
+  };
 
-      await request.execute('spSaveVoiceTranslation');
-      return { success: true, message: 'Voice translation saved' };
+  setTranslationFavorite = async (userId, translationId, favorite) => {
+    try {
+      const rowsAffected = await runOnTranslations(
+        (request) => request
+          .input('Id', sql.UniqueIdentifier, translationId)
+          .input('UserId', sql.UniqueIdentifier, userId)
+          .input('IsFavorite', sql.Bit, favorite ? 1 : 0),
+        'UPDATE Translations SET is_favorite = @IsFavorite WHERE id = @Id AND user_id = @UserId AND deleted_at IS NULL'
+      );
+      if (rowsAffected === 0) return { success: false, error: 'Translation not found' };
+      return { success: true, message: favorite ? 'Added to favorites' : 'Removed from favorites' };
     } catch (error) {
-      console.error('❌ Save Voice Translation Error:', error);
+      log.error('Set Translation Favorite Error', { error });
       return { success: false, error: error.message };
     }
   };
 
-  /*
-  Fetching Voice Translation History (getVoiceTranslationHistory)
-  retrieves all stored voice translations for a user.
-  calls stored procedure spGetUserVoiceTranslations.
-  ensures database connection before executing the query. 
-  returns list of previous voice translations.
-  */
-  getVoiceTranslationHistory = async (userId) => {
+  deleteTranslation = async (userId, translationId, { permanent = false } = {}) => {
     try {
-      const poolInstance = await getPool();
-      if (!poolInstance) throw new Error('Database connection failed');
-      
-      const request = poolInstance.request().input('UserId', sql.UniqueIdentifier, userId);
+      const rowsAffected = await runOnTranslations(
+        (request) => request
+          .input('Id', sql.UniqueIdentifier, translationId)
+          .input('UserId', sql.UniqueIdentifier, userId),
+        permanent
+          ? 'DELETE FROM Translations WHERE id = @Id AND user_id = @UserId AND deleted_at IS NOT NULL'
+          : 'UPDATE Translations SET deleted_at = GETUTCDATE() WHERE id = @Id AND user_id = @UserId AND deleted_at IS NULL'
+      );
+      if (rowsAffected === 0) return { success: false, error: 'Translation not found' };
+      return { success: true, message: permanent ? 'Translation permanently deleted' : 'Translation moved to trash' };
+    } catch (error) {
+      log.error('Delete Translation Error', { error });
+      return { success: false, error: error.message };
+    }
+  };
 
-      const result = await request.execute('spGetUserVoiceTranslations');
-      return result.recordset;
+  restoreTranslation = async (userId, translationId) => {
+    try {
+      const rowsAffected = await runOnTranslations(
+        (request) => request
+          .input('Id', sql.UniqueIdentifier, translationId)
+          .input('UserId', sql.UniqueIdentifier, userId),
+        'UPDATE Translations SET deleted_at = NULL WHERE id = @Id AND user_id = @UserId AND deleted_at IS NOT NULL'
+      );
+      if (rowsAffected === 0) return { success: false, error: 'Translation not found in trash' };
+      return { success: true, message: 'Translation restored' };
     } catch (error) {
-      console.error('❌ Get Voice Translation History Error:', error);
+      log.error('Restore Translation Error', { error });
       return { success: false, error: error.message };
     }
   };
@@ -403,105 +1226,1133 @@ if (USE_MOCK_DB) {
       
       const request = poolInstance.request()
         .input('SignedSessionId', sql.NVarChar(64), signedSessionId);
-      console.log(`Validating session with SignedSessionId: ${signedSessionId}`);
       const result = await request.execute('spValidateSession');
-      console.log('Validate session result:', result.recordset);
       return result.recordset.length > 0; // Checks expiration and signed_session_id via updated `spValidateSession`.
     } catch (error) {
-      console.error('❌ Validate Session Error:', {
-        message: error.message,
-        stack: error.stack,
-        originalError: error.originalError,
-      });
+      log.error('Validate Session Error', { error, cause: error.originalError });
       return false;
     }
   };
 
   /*
-  Updating User Preferences (updateUserPreferences)
-  updates user language preferences (default_from_lang, default_to_lang).
-  calls stored procedure spUpdateUserPreferences.
-  if no rows are affected, it means:
-  the user does not exist, OR
-  no actual changes were made to the preferences.
-  logs all update attempts.
+  Resolving Session Users (getSessionUser)
+  maps a signed session id to the user that owns it, so routes act on that user only.
+  same expiry rule as spValidateSession, returns { id, email, plan, session: { id, expires_at, remember_me } } or null (plan = the quota plan, quota.js).
+  renew (default) slides the session: last_seen_at = now, expires_at = now + its lifetime,
+  renew: false only reads it (the client's session check must not keep an idle session alive).
   */
-  updateUserPreferences = async (userId, defaultFromLang, defaultToLang) => {
+  getSessionUser = async (signedSessionId, { renew = true } = {}) => {
     try {
       const poolInstance = await getPool();
       if (!poolInstance) throw new Error('Database connection failed');
-      
+
       const request = poolInstance.request()
-        .input('UserId', sql.UniqueIdentifier, userId)
-        .input('DefaultFromLang', sql.NVarChar, defaultFromLang)
-        .input('DefaultToLang', sql.NVarChar, defaultToLang);
-  
-      console.log(`Executing spUpdateUserPreferences with UserId: ${userId}, DefaultFromLang: ${defaultFromLang}, DefaultToLang: ${defaultToLang}`);
-      const result = await request.execute('spUpdateUserPreferences');
-      console.log('spUpdateUserPreferences result:', result);
-      console.log('Rows affected:', result.rowsAffected);
-      if (result.rowsAffected[0] === 0) {
-        throw new Error('No rows updated - User not found or no change detected');
-      }
-      const updatedUser = await getUserPreferences(userId);
-      return { success: true, message: 'Preferences updated', user: updatedUser };
+        .input('SignedSessionId', sql.NVarChar(64), signedSessionId)
+        .input('Lifetime', sql.Int, sessionLifetimeSeconds(false))
+        .input('RememberLifetime', sql.Int, sessionLifetimeSeconds(true));
+      const result = await request.query(renew
+        ? `
+          UPDATE s
+          SET s.last_seen_at = GETUTCDATE(),
+              s.expires_at = DATEADD(SECOND, CASE WHEN s.remember_me = 1 THEN @RememberLifetime ELSE @Lifetime END, GETUTCDATE())
+          OUTPUT u.id, u.email, u.[plan], inserted.session_id, inserted.expires_at, inserted.remember_me
+          FROM Sessions s
+          JOIN Users u ON u.id = s.user_id
+          WHERE s.signed_session_id = @SignedSessionId AND s.expires_at > GETUTCDATE()
+        `
+        : `
+          SELECT u.id, u.email, u.[plan], s.session_id, s.expires_at, s.remember_me
+          FROM Sessions s
+          JOIN Users u ON u.id = s.user_id
+          WHERE s.signed_session_id = @SignedSessionId AND s.expires_at > GETUTCDATE()
+        `);
+      const row = result.recordset[0];
+      return row ? toSessionUserDto(row) : null;
     } catch (error) {
-      console.error('❌ Update User Preferences Error:', {
-        message: error.message,
-        stack: error.stack,
-        originalError: error.originalError,
-      });
-      return { success: false, error: error.message };
+      log.error('Get Session User Error', { error });
+      return null;
     }
   };
 
   /*
-  Retrieving User Preferences (getUserPreferences)
-  fetches stored language preferences (default_from_lang, default_to_lang).
-  retrieves directly from the Users table.
-  ensures user exists before returning preferences.
-  logs query execution and results.
+  Active Sessions (listSessions / revokeSession / revokeAllSessions)
+  the user's unexpired sessions (one per signed-in device), most recently used first.
+  revoking deletes the session row, the device is signed out on its next request.
+  revokeAllSessions signs the user out everywhere, exceptSessionId keeps the current device.
   */
-  getUserPreferences = async (userId) => {
+  listSessions = async (userId) => {
     try {
       const poolInstance = await getPool();
       if (!poolInstance) throw new Error('Database connection failed');
-      
-      const request = poolInstance.request()
-        .input('UserId', sql.UniqueIdentifier, userId);
-  
-      const result = await request.query(`
-        SELECT default_from_lang, default_to_lang 
-        FROM Users 
-        WHERE id = @UserId
-      `);
-      console.log('getUserPreferences result:', result.recordset);
-      if (result.recordset.length === 0) {
-        throw new Error('User not found');
-      }
-      return result.recordset[0];
+
+      const result = await poolInstance.request()
+        .input('UserId', sql.UniqueIdentifier, userId)
+        .query(`
+          SELECT session_id, user_agent, ip_address, remember_me, created_at, last_seen_at, expires_at
+          FROM Sessions
+          WHERE user_id = @UserId AND expires_at > GETUTCDATE()
+          ORDER BY last_seen_at DESC
+        `);
+      return { success: true, sessions: result.recordset.map(toSessionDto) };
     } catch (error) {
-      console.error('❌ Get User Preferences Error:', {
-        message: error.message,
-        stack: error.stack,
-        originalError: error.originalError,
-      });
-      throw error;
+      log.error('List Sessions Error', { error });
+      return { success: false, error: error.message };
     }
   };
-}
+
+  revokeSession = async (userId, sessionId) => {
+    try {
+      const poolInstance = await getPool();
+      if (!poolInstance) throw new Error('Database connection failed');
+
+      const result = await poolInstance.request()
+        .input('UserId', sql.UniqueIdentifier, userId)
+        .input('SessionId', sql.UniqueIdentifier, sessionId)
+        .query('DELETE FROM Sessions WHERE user_id = @UserId AND session_id = @SessionId');
+      if (result.rowsAffected[0] === 0) return { success: false, error: 'Session not found' };
+      return { success: true, message: 'Session revoked' };
+    } catch (error) {
+      log.error('Revoke Session Error', { error });
+      return { success: false, error: error.message };
+    }
+  };
+
+  revokeAllSessions = async (userId, { exceptSessionId = null } = {}) => {
+    try {
+      const poolInstance = await getPool();
+      if (!poolInstance) throw new Error('Database connection failed');
+
+      const result = await poolInstance.request()
+        .input('UserId', sql.UniqueIdentifier, userId)
+        .input('ExceptSessionId', sql.UniqueIdentifier, exceptSessionId)
+        .query('DELETE FROM Sessions WHERE user_id = @UserId AND (@ExceptSessionId IS NULL OR session_id <> @ExceptSessionId)');
+      return { success: true, revoked: result.rowsAffected[0] };
+    } catch (error) {
+      log.error('Revoke All Sessions Error', { error });
+      return { success: false, error: error.message };
+    }
+  };
+
+  /*
+  Password Reset (getUserByEmail / updateUserPassword / createPasswordResetToken / consumePasswordResetToken)
+  reset tokens live in the PasswordResetTokens table (id, user_id, token_hash, expires_at, used_at, created_at),
+  only the SHA-256 hash of a token is stored so a leaked table cannot be used to reset passwords.
+  a new token replaces the user's previous ones, consuming a token marks it used in the same
+  statement that checks it, so a token works exactly once.
+  updateUserPassword hashes the new password with bcrypt like registerUser.
+  */
+  getUserByEmail = async (email) => {
+    try {
+      const poolInstance = await getPool();
+      if (!poolInstance) throw new Error('Database connection failed');
+
+      const result = await poolInstance.request()
+        .input('Email', sql.NVarChar, email)
+        .query('SELECT id, email, email_verified_at FROM Users WHERE email = @Email');
+      const user = result.recordset[0];
+      return user ? toEmailUserDto(user) : null;
+    } catch (error) {
+      log.error('Get User By Email Error', { error });
+      return null;
+    }
+  };
+
+  updateUserPassword = async (userId, newPassword) => {
+    try {
+      const passwordHash = await bcrypt.hash(newPassword, await bcrypt.genSalt(10));
+      const poolInstance = await getPool();
+      if (!poolInstance) throw new Error('Database connection failed');
+
+      const result = await poolInstance.request()
+        .input('UserId', sql.UniqueIdentifier, userId)
+        .input('PasswordHash', sql.NVarChar, passwordHash)
+        .query('UPDATE Users SET password_hash = @PasswordHash WHERE id = @UserId');
+      if (result.rowsAffected[0] === 0) return { success: false, error: 'User not found' };
+      return { success: true, message: 'Password updated' };
+    } catch (error) {
+      log.error('Update Password Error', { error });
+      return { success: false, error: error.message };
+    }
+  };
+
+  createPasswordResetToken = async (userId, tokenHash, expiresAt) => {
+    try {
+      const poolInstance = await getPool();
+      if (!poolInstance) throw new Error('Database connection failed');
+
+      await poolInstance.request()
+        .input('Id', sql.UniqueIdentifier, crypto.randomUUID())
+        .input('UserId', sql.UniqueIdentifier, userId)
+        .input('TokenHash', sql.NVarChar(64), tokenHash)
+        .input('ExpiresAt', sql.DateTime, expiresAt)
+        .query(`
+          DELETE FROM PasswordResetTokens WHERE user_id = @UserId;
+          INSERT INTO PasswordResetTokens (id, user_id, token_hash, expires_at, created_at)
+          VALUES (@Id, @UserId, @TokenHash, @ExpiresAt, GETUTCDATE())
+        `);
+      return { success: true };
+    } catch (error) {
+      log.error('Create Password Reset Token Error', { error });
+      return { success: false, error: error.message };
+    }
+  };
+
+  consumePasswordResetToken = async (tokenHash) => {
+    try {
+      const poolInstance = await getPool();
+      if (!poolInstance) throw new Error('Database connection failed');
+
+      const result = await poolInstance.request()
+        .input('TokenHash', sql.NVarChar(64), tokenHash)
+        .query(`
+          UPDATE PasswordResetTokens
+          SET used_at = GETUTCDATE()
+          OUTPUT inserted.user_id
+          WHERE token_hash = @TokenHash AND used_at IS NULL AND expires_at > GETUTCDATE()
+        `);
+      if (result.recordset.length === 0) return { success: false, error: 'Invalid or expired reset token' };
+      return { success: true, userId: result.recordset[0].user_id };
+    } catch (error) {
+      log.error('Consume Password Reset Token Error', { error });
+      return { success: false, error: error.message };
+    }
+  };
+
+  /*
+  Email Verification (markEmailVerified)
+  Users.email_verified_at is NULL until the user opens the link emailed at registration
+  (accounts that existed before verification was introduced are backfilled as verified).
+  only verifies while the account still uses the email the link was sent to.
+  */
+  markEmailVerified = async (userId, email) => {
+    try {
+      const poolInstance = await getPool();
+      if (!poolInstance) throw new Error('Database connection failed');
+
+      const result = await poolInstance.request()
+        .input('UserId', sql.UniqueIdentifier, userId)
+        .input('Email', sql.NVarChar, email)
+        .query(`
+          SELECT email_verified_at FROM Users WHERE id = @UserId AND email = @Email;
+          UPDATE Users SET email_verified_at = GETUTCDATE()
+          WHERE id = @UserId AND email = @Email AND email_verified_at IS NULL;
+        `);
+      const user = result.recordsets[0][0];
+      if (!user) return { success: false, error: 'User not found' };
+      return { success: true, alreadyVerified: Boolean(user.email_verified_at) };
+    } catch (error) {
+      log.error('Mark Email Verified Error', { error });
+      return { success: false, error: error.message };
+    }
+  };
+
+  /*
+  Updating User Preferences (updateUserPreferences)
+  updates user language preferences (default_from_lang, default_to_lang).
+  calls stored procedure spUpdateUserPreferences.
+  if no rows are affected, it means:
+  the user does not exist, OR
+  no actual changes were made to the preferences.
+  logs all update attempts.
+  */
+  updateUserPreferences = async (userId, defaultFromLang, defaultToLang) => {
+    try {
+      const poolInstance = await getPool();
+      if (!poolInstance) throw new Error('Database connection failed');
+      
+      const request = poolInstance.request()
+        .input('UserId', sql.UniqueIdentifier, userId)
+        .input('DefaultFromLang', sql.NVarChar, defaultFromLang)
+        .input('DefaultToLang', sql.NVarChar, defaultToLang);
+  
+      const result = await request.execute('spUpdateUserPreferences');
+      if (result.rowsAffected[0] === 0) {
+        throw new Error('No rows updated - User not found or no change detected');
+      }
+      const updatedUser = await getUserPreferences(userId);
+      return { success: true, message: 'Preferences updated', user: updatedUser };
+    } catch (error) {
+      log.error('Update User Preferences Error', { error, cause: error.originalError });
+      return { success: false, error: error.message };
+    }
+  };
+
+  /*
+  Retrieving User Preferences (getUserPreferences)
+  fetches stored language preferences (default_from_lang, default_to_lang).
+  retrieves directly from the Users table.
+  ensures user exists before returning preferences.
+  */
+  getUserPreferences = async (userId) => {
+    try {
+      const poolInstance = await getPool();
+      if (!poolInstance) throw new Error('Database connection failed');
+      
+      const request = poolInstance.request()
+        .input('UserId', sql.UniqueIdentifier, userId);
+  
+      const result = await request.query(`
+        SELECT default_from_lang, default_to_lang 
+        FROM Users 
+        WHERE id = @UserId
+      `);
+      if (result.recordset.length === 0) {
+        throw new Error('User not found');
+      }
+      return toPreferencesDto(result.recordset[0]);
+    } catch (error) {
+      log.error('Get User Preferences Error', { error, cause: error.originalError });
+      throw error;
+    }
+  };
+
+  /*
+  Translation Cache (getCachedTranslation / saveCachedTranslation / purgeTranslationCache):
+  exact-match translation memory stored in the TranslationCache table
+  (cache_key, provider, from_lang, to_lang, source_text, translated_text, detected_source_lang,
+  created_at, expires_at, hit_count, last_hit_at).
+  cache_key is the SHA-256 of provider + language pair + normalized source text (see translationCache.js).
+  a lookup only returns rows that have not expired and bumps their hit counters.
+  */
+  getCachedTranslation = async (cacheKey) => {
+    try {
+      const poolInstance = await getPool();
+      if (!poolInstance) throw new Error('Database connection failed');
+
+      const result = await poolInstance.request()
+        .input('CacheKey', sql.NVarChar(64), cacheKey)
+        .query(`
+          UPDATE TranslationCache
+          SET hit_count = hit_count + 1, last_hit_at = GETUTCDATE()
+          OUTPUT inserted.translated_text, inserted.detected_source_lang
+          WHERE cache_key = @CacheKey AND expires_at > GETUTCDATE()
+        `);
+      return result.recordset[0] || null;
+    } catch (error) {
+      log.error('Get Cached Translation Error', { error });
+      return null; // a cache failure must never break translation
+    }
+  };
+
+  /*
+  saving upserts the entry, then drops expired rows and
+  the least recently hit rows beyond maxEntries.
+  */
+  saveCachedTranslation = async (entry, ttlSeconds, maxEntries) => {
+    try {
+      const poolInstance = await getPool();
+      if (!poolInstance) throw new Error('Database connection failed');
+
+      await poolInstance.request()
+        .input('CacheKey', sql.NVarChar(64), entry.cacheKey)
+        .input('Provider', sql.NVarChar(50), entry.provider)
+        .input('FromLang', sql.NVarChar(20), entry.fromLang)
+        .input('ToLang', sql.NVarChar(20), entry.toLang)
+        .input('SourceText', sql.NVarChar(sql.MAX), entry.sourceText)
+        .input('TranslatedText', sql.NVarChar(sql.MAX), entry.translatedText)
+        .input('DetectedSourceLang', sql.NVarChar(20), entry.detectedSourceLang)
+        .input('TtlSeconds', sql.Int, ttlSeconds)
+        .query(`
+          MERGE TranslationCache AS target
+          USING (SELECT @CacheKey AS cache_key) AS source
+          ON target.cache_key = source.cache_key
+          WHEN MATCHED THEN
+            UPDATE SET translated_text = @TranslatedText, detected_source_lang = @DetectedSourceLang,
+                       created_at = GETUTCDATE(), expires_at = DATEADD(SECOND, @TtlSeconds, GETUTCDATE())
+          WHEN NOT MATCHED THEN
+            INSERT (cache_key, provider, from_lang, to_lang, source_text, translated_text, detected_source_lang,
+                    created_at, expires_at, hit_count, last_hit_at)
+            VALUES (@CacheKey, @Provider, @FromLang, @ToLang, @SourceText, @TranslatedText, @DetectedSourceLang,
+                    GETUTCDATE(), DATEADD(SECOND, @TtlSeconds, GETUTCDATE()), 0, GETUTCDATE());
+        `);
+
+      await poolInstance.request()
+        .input('MaxEntries', sql.Int, maxEntries)
+        .query(`
+          DELETE FROM TranslationCache WHERE expires_at <= GETUTCDATE();
+          WITH ranked AS (
+            SELECT cache_key, ROW_NUMBER() OVER (ORDER BY last_hit_at DESC) AS rn FROM TranslationCache
+          )
+          DELETE FROM ranked WHERE rn > @MaxEntries;
+        `);
+      return { success: true };
+    } catch (error) {
+      log.error('Save Cached Translation Error', { error });
+      return { success: false, error: error.message };
+    }
+  };
+
+  purgeTranslationCache = async ({ provider, fromLang, toLang, expiredOnly } = {}) => {
+    try {
+      const poolInstance = await getPool();
+      if (!poolInstance) throw new Error('Database connection failed');
+
+      const result = await poolInstance.request()
+        .input('Provider', sql.NVarChar(50), provider || null)
+        .input('FromLang', sql.NVarChar(20), fromLang || null)
+        .input('ToLang', sql.NVarChar(20), toLang || null)
+        .input('ExpiredOnly', sql.Bit, expiredOnly ? 1 : 0)
+        .query(`
+          DELETE FROM TranslationCache
+          WHERE (@Provider IS NULL OR provider = @Provider)
+            AND (@FromLang IS NULL OR from_lang = @FromLang)
+            AND (@ToLang IS NULL OR to_lang = @ToLang)
+            AND (@ExpiredOnly = 0 OR expires_at <= GETUTCDATE())
+        `);
+      return { success: true, deleted: result.rowsAffected[0] };
+    } catch (error) {
+      log.error('Purge Translation Cache Error', { error });
+      return { success: false, error: error.message };
+    }
+  };
+
+  /*
+  User Glossaries (getGlossaryEntries / createGlossaryEntry / updateGlossaryEntry / deleteGlossaryEntry):
+  terminology entries stored in the Glossary table
+  (id, user_id, source_term, target_term, from_lang, to_lang, case_sensitive, created_at, updated_at).
+  every statement is scoped by user_id so users only ever touch their own entries.
+  */
+  getGlossaryEntries = async (userId, { fromLang, toLang } = {}) => {
+    try {
+      const poolInstance = await getPool();
+      if (!poolInstance) throw new Error('Database connection failed');
+
+      const result = await poolInstance.request()
+        .input('UserId', sql.UniqueIdentifier, userId)
+        .input('FromLang', sql.NVarChar(20), fromLang || null)
+        .input('ToLang', sql.NVarChar(20), toLang || null)
+        .query(`
+          SELECT id, user_id, source_term, target_term, from_lang, to_lang, case_sensitive, created_at, updated_at
+          FROM Glossary
+          WHERE user_id = @UserId
+            AND (@FromLang IS NULL OR from_lang = @FromLang)
+            AND (@ToLang IS NULL OR to_lang = @ToLang)
+          ORDER BY source_term
+        `);
+      return result.recordset.map(toGlossaryEntryDto);
+    } catch (error) {
+      log.error('Get Glossary Entries Error', { error });
+      return { success: false, error: error.message };
+    }
+  };
+
+  createGlossaryEntry = async (userId, { sourceTerm, targetTerm, fromLang, toLang, caseSensitive }) => {
+    try {
+      const poolInstance = await getPool();
+      if (!poolInstance) throw new Error('Database connection failed');
+
+      const result = await poolInstance.request()
+        .input('Id', sql.UniqueIdentifier, crypto.randomUUID())
+        .input('UserId', sql.UniqueIdentifier, userId)
+        .input('SourceTerm', sql.NVarChar(200), sourceTerm)
+        .input('TargetTerm', sql.NVarChar(200), targetTerm)
+        .input('FromLang', sql.NVarChar(20), fromLang)
+        .input('ToLang', sql.NVarChar(20), toLang)
+        .input('CaseSensitive', sql.Bit, caseSensitive ? 1 : 0)
+        .query(`
+          INSERT INTO Glossary (id, user_id, source_term, target_term, from_lang, to_lang, case_sensitive, created_at, updated_at)
+          OUTPUT inserted.*
+          VALUES (@Id, @UserId, @SourceTerm, @TargetTerm, @FromLang, @ToLang, @CaseSensitive, GETUTCDATE(), GETUTCDATE())
+        `);
+      return { success: true, entry: toGlossaryEntryDto(result.recordset[0]) };
+    } catch (error) {
+      log.error('Create Glossary Entry Error', { error });
+      return { success: false, error: error.message };
+    }
+  };
+
+  updateGlossaryEntry = async (userId, entryId, { sourceTerm, targetTerm, fromLang, toLang, caseSensitive }) => {
+    try {
+      const poolInstance = await getPool();
+      if (!poolInstance) throw new Error('Database connection failed');
+
+      const result = await poolInstance.request()
+        .input('Id', sql.UniqueIdentifier, entryId)
+        .input('UserId', sql.UniqueIdentifier, userId)
+        .input('SourceTerm', sql.NVarChar(200), sourceTerm)
+        .input('TargetTerm', sql.NVarChar(200), targetTerm)
+        .input('FromLang', sql.NVarChar(20), fromLang)
+        .input('ToLang', sql.NVarChar(20), toLang)
+        .input('CaseSensitive', sql.Bit, caseSensitive ? 1 : 0)
+        .query(`
+          UPDATE Glossary
+          SET source_term = @SourceTerm, target_term = @TargetTerm, from_lang = @FromLang, to_lang = @ToLang,
+              case_sensitive = @CaseSensitive, updated_at = GETUTCDATE()
+          OUTPUT inserted.*
+          WHERE id = @Id AND user_id = @UserId
+        `);
+      if (result.recordset.length === 0) return { success: false, error: 'Glossary entry not found' };
+      return { success: true, entry: toGlossaryEntryDto(result.recordset[0]) };
+    } catch (error) {
+      log.error('Update Glossary Entry Error', { error });
+      return { success: false, error: error.message };
+    }
+  };
+
+  deleteGlossaryEntry = async (userId, entryId) => {
+    try {
+      const poolInstance = await getPool();
+      if (!poolInstance) throw new Error('Database connection failed');
+
+      const result = await poolInstance.request()
+        .input('Id', sql.UniqueIdentifier, entryId)
+        .input('UserId', sql.UniqueIdentifier, userId)
+        .query('DELETE FROM Glossary WHERE id = @Id AND user_id = @UserId');
+      if (result.rowsAffected[0] === 0) return { success: false, error: 'Glossary entry not found' };
+      return { success: true, message: 'Glossary entry deleted' };
+    } catch (error) {
+      log.error('Delete Glossary Entry Error', { error });
+      return { success: false, error: error.message };
+    }
+  };
+
+  /*
+  Translation Memory (addTranslationMemoryUnits / findTranslationMemoryUnits / getTranslationMemoryStats):
+  imported bilingual units stored in the TranslationMemory table
+  (id, user_id, unit_hash, source_lang, target_lang, source_text, target_text, origin, created_at),
+  unique on (user_id, unit_hash) so re-importing a file never duplicates units.
+  units are inserted in batches through OPENJSON, skipping hashes the user already has.
+  */
+  const TM_INSERT_BATCH_SIZE = 1000;
+
+  addTranslationMemoryUnits = async (userId, units) => {
+    try {
+      const poolInstance = await getPool();
+      if (!poolInstance) throw new Error('Database connection failed');
+
+      let inserted = 0;
+      for (let start = 0; start < units.length; start += TM_INSERT_BATCH_SIZE) {
+        const batch = units.slice(start, start + TM_INSERT_BATCH_SIZE);
+        const result = await poolInstance.request()
+          .input('UserId', sql.UniqueIdentifier, userId)
+          .input('Units', sql.NVarChar(sql.MAX), JSON.stringify(batch))
+          .query(`
+            INSERT INTO TranslationMemory (id, user_id, unit_hash, source_lang, target_lang, source_text, target_text, origin, created_at)
+            SELECT NEWID(), @UserId, u.unitHash, u.sourceLang, u.targetLang, u.sourceText, u.targetText, u.origin, GETUTCDATE()
+            FROM OPENJSON(@Units) WITH (
+              unitHash CHAR(64), sourceLang NVARCHAR(35), targetLang NVARCHAR(35),
+              sourceText NVARCHAR(MAX), targetText NVARCHAR(MAX), origin NVARCHAR(260)
+            ) AS u
+            WHERE NOT EXISTS (SELECT 1 FROM TranslationMemory tm WHERE tm.user_id = @UserId AND tm.unit_hash = u.unitHash)
+          `);
+        inserted += result.rowsAffected[0];
+      }
+      return { success: true, inserted, duplicates: units.length - inserted };
+    } catch (error) {
+      log.error('Add Translation Memory Units Error', { error });
+      return { success: false, error: error.message };
+    }
+  };
+
+  findTranslationMemoryUnits = async (userId, { sourceLang, targetLang, minLength = 0, maxLength = 100000, limit = 500 }) => {
+    try {
+      const poolInstance = await getPool();
+      if (!poolInstance) throw new Error('Database connection failed');
+
+      const result = await poolInstance.request()
+        .input('UserId', sql.UniqueIdentifier, userId)
+        .input('SourceLang', sql.NVarChar(35), sourceLang)
+        .input('TargetLang', sql.NVarChar(35), targetLang)
+        .input('MinLength', sql.Int, minLength)
+        .input('MaxLength', sql.Int, Number.isFinite(maxLength) ? maxLength : 100000)
+        .input('Limit', sql.Int, limit)
+        .query(`
+          SELECT TOP (@Limit) id, source_lang, target_lang, source_text, target_text, origin, created_at
+          FROM TranslationMemory
+          WHERE user_id = @UserId
+            AND (source_lang = @SourceLang OR source_lang LIKE @SourceLang + '-%')
+            AND (target_lang = @TargetLang OR target_lang LIKE @TargetLang + '-%')
+            AND LEN(source_text) BETWEEN @MinLength AND @MaxLength
+          ORDER BY created_at DESC
+        `);
+      return result.recordset.map(toMemoryUnitDto);
+    } catch (error) {
+      log.error('Find Translation Memory Units Error', { error });
+      return [];
+    }
+  };
+
+  getTranslationMemoryStats = async (userId) => {
+    try {
+      const poolInstance = await getPool();
+      if (!poolInstance) throw new Error('Database connection failed');
+
+      const result = await poolInstance.request()
+        .input('UserId', sql.UniqueIdentifier, userId)
+        .query(`
+          SELECT source_lang, target_lang, COUNT(*) AS units
+          FROM TranslationMemory
+          WHERE user_id = @UserId
+          GROUP BY source_lang, target_lang
+          ORDER BY units DESC
+        `);
+      const pairs = result.recordset;
+      return { success: true, total: pairs.reduce((sum, pair) => sum + pair.units, 0), pairs };
+    } catch (error) {
+      log.error('Get Translation Memory Stats Error', { error });
+      return { success: false, error: error.message };
+    }
+  };
+
+  /*
+  Translated Files (createFileRecord / updateFileRecord / getFileRecord / listFileRecords / deleteFileRecord / purgeExpiredFileRecords):
+  one row per uploaded document in the TranslatedFiles table, owned by user_id or by guest_key (guests).
+  lookups and deletes are scoped by the owner, records of someone else are reported as not found.
+  purging returns the ids of the expired rows so their stored files can be removed too.
+  */
+  const FILE_COLUMN_TYPES = {
+    status: sql.NVarChar(20),
+    from_lang: sql.NVarChar(20),
+    provider: sql.NVarChar(50),
+    page_count: sql.Int,
+    character_count: sql.Int,
+    output_name: sql.NVarChar(260),
+    output_mime: sql.NVarChar(100),
+    error: sql.NVarChar(500),
+    completed_at: sql.DateTime,
+  };
+  const FILE_OWNER_CONDITION = `(
+    (@UserId IS NOT NULL AND user_id = @UserId)
+    OR (@UserId IS NULL AND @GuestKey IS NOT NULL AND guest_key = @GuestKey)
+  )`;
+  const ownerRequest = (poolInstance, { userId = null, guestKey = null }) => poolInstance.request()
+    .input('UserId', sql.UniqueIdentifier, userId)
+    .input('GuestKey', sql.Char(64), userId ? null : guestKey);
+
+  createFileRecord = async ({ userId = null, guestKey = null, originalName, mimeType, format, sizeBytes, toLang, expiresAt }) => {
+    try {
+      const poolInstance = await getPool();
+      if (!poolInstance) throw new Error('Database connection failed');
+
+      const result = await ownerRequest(poolInstance, { userId, guestKey })
+        .input('Id', sql.UniqueIdentifier, crypto.randomUUID())
+        .input('OriginalName', sql.NVarChar(260), originalName)
+        .input('MimeType', sql.NVarChar(100), mimeType)
+        .input('Format', sql.NVarChar(10), format)
+        .input('SizeBytes', sql.BigInt, sizeBytes)
+        .input('ToLang', sql.NVarChar(20), toLang)
+        .input('ExpiresAt', sql.DateTime, expiresAt)
+        .query(`
+          INSERT INTO TranslatedFiles (id, user_id, guest_key, original_name, mime_type, format, size_bytes, status, to_lang, created_at, expires_at)
+          OUTPUT inserted.*
+          VALUES (@Id, @UserId, @GuestKey, @OriginalName, @MimeType, @Format, @SizeBytes, 'processing', @ToLang, GETUTCDATE(), @ExpiresAt)
+        `);
+      return { success: true, file: toFileDto(result.recordset[0]) };
+    } catch (error) {
+      log.error('Create File Record Error', { error });
+      return { success: false, error: error.message };
+    }
+  };
+
+  updateFileRecord = async (fileId, fields) => {
+    try {
+      const poolInstance = await getPool();
+      if (!poolInstance) throw new Error('Database connection failed');
+
+      const request = poolInstance.request().input('Id', sql.UniqueIdentifier, fileId);
+      const assignments = [];
+      Object.entries(FILE_UPDATE_COLUMNS).forEach(([field, column]) => {
+        if (fields[field] === undefined) return;
+        request.input(field, FILE_COLUMN_TYPES[column], fields[field]);
+        assignments.push(`${column} = @${field}`);
+      });
+      if (assignments.length === 0) return { success: false, error: 'Nothing to update' };
+
+      const result = await request.query(`
+        UPDATE TranslatedFiles SET ${assignments.join(', ')}
+        OUTPUT inserted.*
+        WHERE id = @Id
+      `);
+      if (result.recordset.length === 0) return { success: false, error: 'File not found' };
+      return { success: true, file: toFileDto(result.recordset[0]) };
+    } catch (error) {
+      log.error('Update File Record Error', { error });
+      return { success: false, error: error.message };
+    }
+  };
+
+  getFileRecord = async (owner, fileId) => {
+    try {
+      const poolInstance = await getPool();
+      if (!poolInstance) throw new Error('Database connection failed');
+
+      const result = await ownerRequest(poolInstance, owner)
+        .input('Id', sql.UniqueIdentifier, fileId)
+        .query(`SELECT * FROM TranslatedFiles WHERE id = @Id AND ${FILE_OWNER_CONDITION}`);
+      return result.recordset[0] ? toFileDto(result.recordset[0]) : null;
+    } catch (error) {
+      log.error('Get File Record Error', { error });
+      return null;
+    }
+  };
+
+  listFileRecords = async (userId, { limit = 50 } = {}) => {
+    try {
+      const poolInstance = await getPool();
+      if (!poolInstance) throw new Error('Database connection failed');
+
+      const result = await poolInstance.request()
+        .input('UserId', sql.UniqueIdentifier, userId)
+        .input('Limit', sql.Int, limit)
+        .query(`
+          SELECT TOP (@Limit) * FROM TranslatedFiles
+          WHERE user_id = @UserId
+          ORDER BY created_at DESC
+        `);
+      return result.recordset.map(toFileDto);
+    } catch (error) {
+      log.error('List File Records Error', { error });
+      return { success: false, error: error.message };
+    }
+  };
+
+  deleteFileRecord = async (owner, fileId) => {
+    try {
+      const poolInstance = await getPool();
+      if (!poolInstance) throw new Error('Database connection failed');
+
+      const result = await ownerRequest(poolInstance, owner)
+        .input('Id', sql.UniqueIdentifier, fileId)
+        .query(`
+          DELETE FROM TranslationJobs WHERE file_id = @Id AND ${FILE_OWNER_CONDITION};
+          DELETE FROM TranslatedFiles WHERE id = @Id AND ${FILE_OWNER_CONDITION};
+        `);
+      if (result.rowsAffected[result.rowsAffected.length - 1] === 0) return { success: false, error: 'File not found' };
+      return { success: true, message: 'File deleted' };
+    } catch (error) {
+      log.error('Delete File Record Error', { error });
+      return { success: false, error: error.message };
+    }
+  };
+
+  purgeExpiredFileRecords = async (now = new Date()) => {
+    try {
+      const poolInstance = await getPool();
+      if (!poolInstance) throw new Error('Database connection failed');
+
+      const result = await poolInstance.request()
+        .input('Now', sql.DateTime, now)
+        .query('DELETE FROM TranslatedFiles OUTPUT deleted.id WHERE expires_at <= @Now');
+      return { success: true, fileIds: result.recordset.map(row => row.id) };
+    } catch (error) {
+      log.error('Purge File Records Error', { error });
+      return { success: false, error: error.message };
+    }
+  };
+
+  /*
+  Translation Jobs (createJob / updateJob / getJob / listJobs / claimNextJob / renewJobLeases / requeueInterruptedJobs / purgeExpiredJobs):
+  the queue of jobQueue.js in the TranslationJobs table, owned like TranslatedFiles (FILE_OWNER_CONDITION).
+  updateJob only touches a job in one of fromStatuses (and leased by leaseOwner when given). claimNextJob locks the
+  oldest queued row and skips rows another worker holds (UPDLOCK, READPAST), so two server processes never run the same job.
+  */
+  const JOB_COLUMN_TYPES = {
+    status: sql.NVarChar(20),
+    progress_done: sql.Int,
+    progress_total: sql.Int,
+    error: sql.NVarChar(500),
+    started_at: sql.DateTime,
+    finished_at: sql.DateTime,
+  };
+
+  createJob = async ({ userId = null, guestKey = null, type, fileId = null, payload = {}, expiresAt }) => {
+    try {
+      const poolInstance = await getPool();
+      if (!poolInstance) throw new Error('Database connection failed');
+
+      const result = await ownerRequest(poolInstance, { userId, guestKey })
+        .input('Id', sql.UniqueIdentifier, crypto.randomUUID())
+        .input('Type', sql.NVarChar(30), type)
+        .input('FileId', sql.UniqueIdentifier, fileId)
+        .input('Payload', sql.NVarChar(sql.MAX), JSON.stringify(payload))
+        .input('ExpiresAt', sql.DateTime, expiresAt)
+        .query(`
+          INSERT INTO TranslationJobs (id, type, user_id, guest_key, file_id, payload, status, created_at, updated_at, expires_at)
+          OUTPUT inserted.*
+          VALUES (@Id, @Type, @UserId, @GuestKey, @FileId, @Payload, 'queued', GETUTCDATE(), GETUTCDATE(), @ExpiresAt)
+        `);
+      return { success: true, job: toJobDto(result.recordset[0]) };
+    } catch (error) {
+      log.error('Create Job Error', { error });
+      return { success: false, error: error.message };
+    }
+  };
+
+  updateJob = async (jobId, fields, { fromStatuses = null, leaseOwner = null } = {}) => {
+    try {
+      const poolInstance = await getPool();
+      if (!poolInstance) throw new Error('Database connection failed');
+
+      const request = poolInstance.request().input('Id', sql.UniqueIdentifier, jobId);
+      const assignments = ['updated_at = GETUTCDATE()'];
+      Object.entries(JOB_UPDATE_COLUMNS).forEach(([field, column]) => {
+        if (fields[field] === undefined) return;
+        request.input(field, JOB_COLUMN_TYPES[column], fields[field]);
+        assignments.push(`${column} = @${field}`);
+      });
+      let statusCondition = '';
+      if (fromStatuses) {
+        fromStatuses.forEach((status, index) => request.input(`From${index}`, sql.NVarChar(20), status));
+        statusCondition = `AND status IN (${fromStatuses.map((_, index) => `@From${index}`).join(', ')})`;
+      }
+      if (leaseOwner) {
+        request.input('LeaseOwner', sql.NVarChar(100), leaseOwner);
+        statusCondition += ' AND lease_owner = @LeaseOwner';
+      }
+
+      const result = await request.query(`
+        UPDATE TranslationJobs SET ${assignments.join(', ')}
+        OUTPUT inserted.*
+        WHERE id = @Id ${statusCondition}
+      `);
+      if (result.recordset.length === 0) return JOB_NOT_FOUND;
+      return { success: true, job: toJobDto(result.recordset[0]) };
+    } catch (error) {
+      log.error('Update Job Error', { error });
+      return { success: false, error: error.message };
+    }
+  };
+
+  getJob = async (owner, jobId) => {
+    try {
+      const poolInstance = await getPool();
+      if (!poolInstance) throw new Error('Database connection failed');
+
+      const result = await ownerRequest(poolInstance, owner)
+        .input('Id', sql.UniqueIdentifier, jobId)
+        .query(`SELECT * FROM TranslationJobs WHERE id = @Id AND ${FILE_OWNER_CONDITION}`);
+      return result.recordset[0] ? toJobDto(result.recordset[0]) : null;
+    } catch (error) {
+      log.error('Get Job Error', { error });
+      return null;
+    }
+  };
+
+  listJobs = async (owner, { limit = 20 } = {}) => {
+    try {
+      const poolInstance = await getPool();
+      if (!poolInstance) throw new Error('Database connection failed');
+
+      const result = await ownerRequest(poolInstance, owner)
+        .input('Limit', sql.Int, limit)
+        .query(`
+          SELECT TOP (@Limit) * FROM TranslationJobs
+          WHERE ${FILE_OWNER_CONDITION}
+          ORDER BY created_at DESC
+        `);
+      return result.recordset.map(toJobDto);
+    } catch (error) {
+      log.error('List Jobs Error', { error });
+      return { success: false, error: error.message };
+    }
+  };
+
+  claimNextJob = async (now = new Date(), { leaseOwner = null, leaseExpiresAt = null } = {}) => {
+    try {
+      const poolInstance = await getPool();
+      if (!poolInstance) throw new Error('Database connection failed');
+
+      const result = await poolInstance.request()
+        .input('Now', sql.DateTime, now)
+        .input('LeaseOwner', sql.NVarChar(100), leaseOwner)
+        .input('LeaseExpiresAt', sql.DateTime, leaseExpiresAt)
+        .query(`
+          WITH next AS (
+            SELECT TOP (1) * FROM TranslationJobs WITH (UPDLOCK, READPAST, ROWLOCK)
+            WHERE status = 'queued'
+            ORDER BY created_at
+          )
+          UPDATE next SET status = 'running', attempts = attempts + 1, started_at = @Now, updated_at = @Now,
+                          lease_owner = @LeaseOwner, lease_expires_at = @LeaseExpiresAt
+          OUTPUT inserted.*
+        `);
+      return result.recordset[0] ? toJobDto(result.recordset[0]) : null;
+    } catch (error) {
+      log.error('Claim Job Error', { error });
+      return null;
+    }
+  };
+
+  renewJobLeases = async (leaseOwner, leaseExpiresAt) => {
+    try {
+      const poolInstance = await getPool();
+      if (!poolInstance) throw new Error('Database connection failed');
+
+      const result = await poolInstance.request()
+        .input('LeaseOwner', sql.NVarChar(100), leaseOwner)
+        .input('LeaseExpiresAt', sql.DateTime, leaseExpiresAt)
+        .query(`
+          UPDATE TranslationJobs SET lease_expires_at = @LeaseExpiresAt
+          WHERE status = 'running' AND lease_owner = @LeaseOwner
+        `);
+      return { success: true, count: result.rowsAffected[0] };
+    } catch (error) {
+      log.error('Renew Job Leases Error', { error });
+      return { success: false, error: error.message };
+    }
+  };
+
+  requeueInterruptedJobs = async (now = new Date()) => {
+    try {
+      const poolInstance = await getPool();
+      if (!poolInstance) throw new Error('Database connection failed');
+
+      const result = await poolInstance.request()
+        .input('Now', sql.DateTime, now)
+        .query(`
+          UPDATE TranslationJobs SET status = 'queued', updated_at = GETUTCDATE(), lease_owner = NULL, lease_expires_at = NULL
+          WHERE status = 'running' AND (lease_expires_at IS NULL OR lease_expires_at <= @Now)
+        `);
+      return { success: true, count: result.rowsAffected[0] };
+    } catch (error) {
+      log.error('Requeue Jobs Error', { error });
+      return { success: false, error: error.message };
+    }
+  };
+
+  purgeExpiredJobs = async (now = new Date()) => {
+    try {
+      const poolInstance = await getPool();
+      if (!poolInstance) throw new Error('Database connection failed');
+
+      const result = await poolInstance.request()
+        .input('Now', sql.DateTime, now)
+        .query('DELETE FROM TranslationJobs WHERE expires_at <= @Now');
+      return { success: true, count: result.rowsAffected[0] };
+    } catch (error) {
+      log.error('Purge Jobs Error', { error });
+      return { success: false, error: error.message };
+    }
+  };
+
+  /*
+  Account Settings (verifyUserPassword / requestEmailChange / confirmEmailChange / exportUserData / deleteUserAccount)
+  verifyUserPassword checks a password against Users.password_hash (required for sensitive changes).
+  a changed email is kept in Users.pending_email until the link sent to it is opened, confirming
+  moves it to email (verified) unless another account took it in the meantime.
+  exportUserData gathers everything stored for the user (the JSON archive of GET /api/account/export).
+  deleteUserAccount removes the user's translations, glossary, translation memory, file records, jobs, reset tokens,
+  sessions and the user row in one transaction (all or nothing).
+  */
+  verifyUserPassword = async (userId, password) => {
+    try {
+      const poolInstance = await getPool();
+      if (!poolInstance) throw new Error('Database connection failed');
+
+      const result = await poolInstance.request()
+        .input('UserId', sql.UniqueIdentifier, userId)
+        .query('SELECT password_hash FROM Users WHERE id = @UserId');
+      const user = result.recordset[0];
+      return Boolean(user) && await bcrypt.compare(password, user.password_hash);
+    } catch (error) {
+      log.error('Verify Password Error', { error });
+      return false;
+    }
+  };
+
+  requestEmailChange = async (userId, newEmail) => {
+    try {
+      const poolInstance = await getPool();
+      if (!poolInstance) throw new Error('Database connection failed');
+
+      const result = await poolInstance.request()
+        .input('UserId', sql.UniqueIdentifier, userId)
+        .input('Email', sql.NVarChar, newEmail)
+        .query(`
+          UPDATE Users SET pending_email = @Email
+          WHERE id = @UserId AND NOT EXISTS (SELECT 1 FROM Users WHERE email = @Email)
+        `);
+      if (result.rowsAffected[0] === 0) return { success: false, error: 'That email is already in use', code: 'EMAIL_TAKEN' };
+      return { success: true };
+    } catch (error) {
+      log.error('Request Email Change Error', { error });
+      return { success: false, error: error.message };
+    }
+  };
+
+  confirmEmailChange = async (userId, newEmail) => {
+    try {
+      const poolInstance = await getPool();
+      if (!poolInstance) throw new Error('Database connection failed');
+
+      const result = await poolInstance.request()
+        .input('UserId', sql.UniqueIdentifier, userId)
+        .input('Email', sql.NVarChar, newEmail)
+        .query(`
+          UPDATE Users
+          SET email = pending_email, pending_email = NULL, email_verified_at = GETUTCDATE()
+          WHERE id = @UserId AND pending_email = @Email
+            AND NOT EXISTS (SELECT 1 FROM Users WHERE email = @Email)
+        `);
+      if (result.rowsAffected[0] === 0) return { success: false, error: 'No pending change to that email, or it is already in use' };
+      return { success: true };
+    } catch (error) {
+      log.error('Confirm Email Change Error', { error });
+      return { success: false, error: error.message };
+    }
+  };
+
+  exportUserData = async (userId) => {
+    try {
+      const poolInstance = await getPool();
+      if (!poolInstance) throw new Error('Database connection failed');
+
+      const result = await poolInstance.request()
+        .input('UserId', sql.UniqueIdentifier, userId)
+        .query(`
+          SELECT id, email, email_verified_at, [plan], default_from_lang, default_to_lang FROM Users WHERE id = @UserId;
+          SELECT id, type, from_lang, to_lang, original_text, translated_text, source_meta, provider, is_favorite,
+                 deleted_at, created_at, updated_at
+          FROM Translations WHERE user_id = @UserId ORDER BY created_at DESC;
+          SELECT id, source_term, target_term, from_lang, to_lang, case_sensitive, created_at, updated_at
+          FROM Glossary WHERE user_id = @UserId ORDER BY source_term;
+          SELECT id, source_lang, target_lang, source_text, target_text, origin, created_at
+          FROM TranslationMemory WHERE user_id = @UserId ORDER BY created_at;
+          SELECT * FROM TranslatedFiles WHERE user_id = @UserId ORDER BY created_at DESC;
+          SELECT * FROM TranslationJobs WHERE user_id = @UserId ORDER BY created_at DESC;
+          SELECT session_id, user_agent, ip_address, remember_me, created_at, last_seen_at, expires_at
+          FROM Sessions WHERE user_id = @UserId AND expires_at > GETUTCDATE() ORDER BY last_seen_at DESC;
+        `);
+      const [users, translations, glossary, translationMemory, files, jobs, sessions] = result.recordsets;
+      const user = users[0];
+      if (!user) return { success: false, error: 'User not found' };
+      return {
+        success: true,
+        data: {
+          account: { id: user.id, email: user.email, email_verified_at: user.email_verified_at, plan: user.plan || 'free' },
+          preferences: toPreferencesDto(user),
+          translations: translations.map(toTranslationDto),
+          glossary: glossary.map(toGlossaryEntryDto),
+          translationMemory: translationMemory.map(toMemoryUnitDto),
+          files: files.map(toFileDto),
+          jobs: jobs.map(toJobDto),
+          sessions: sessions.map(toSessionDto),
+        },
+      };
+    } catch (error) {
+      log.error('Export User Data Error', { error });
+      return { success: false, error: error.message };
+    }
+  };
+
+  deleteUserAccount = async (userId) => {
+    try {
+      const poolInstance = await getPool();
+      if (!poolInstance) throw new Error('Database connection failed');
+
+      const result = await poolInstance.request()
+        .input('UserId', sql.UniqueIdentifier, userId)
+        .query(`
+          SET XACT_ABORT ON;
+          BEGIN TRANSACTION;
+          DELETE FROM Translations WHERE user_id = @UserId;
+          -- per-mode tables from before Translations (kept by migration 0003 when they existed)
+          IF OBJECT_ID('dbo.TextTranslations', 'U') IS NOT NULL DELETE FROM TextTranslations WHERE user_id = @UserId;
+          IF OBJECT_ID('dbo.VoiceTranslations', 'U') IS NOT NULL DELETE FROM VoiceTranslations WHERE user_id = @UserId;
+          DELETE FROM Glossary WHERE user_id = @UserId;
+          DELETE FROM TranslationMemory WHERE user_id = @UserId;
+          DELETE FROM TranslatedFiles WHERE user_id = @UserId;
+          DELETE FROM TranslationJobs WHERE user_id = @UserId;
+          DELETE FROM PasswordResetTokens WHERE user_id = @UserId;
+          DELETE FROM Sessions WHERE user_id = @UserId;
+          DELETE FROM Users WHERE id = @UserId;
+          COMMIT TRANSACTION;
+        `);
+      if (result.rowsAffected[result.rowsAffected.length - 1] === 0) return { success: false, error: 'User not found' };
+      return { success: true, message: 'Account deleted' };
+    } catch (error) {
+      log.error('Delete Account Error', { error });
+      return { success: false, error: error.message };
+    }
+  };
+} else {
+  // ==================== SQLITE / POSTGRESQL IMPLEMENTATION ====================
+  /*
+  DB_DRIVER=sqlite or postgres: the same functions written once in portable SQL (storage/sqlRepository.js),
+  the schema comes from migrations/sqlite or migrations/postgres (npm run migrate up).
+  */
+  log.info('Using the database driver', { driver: DB_DRIVER });
+  ({
+    getPool, registerUser, loginUser, logoutUser, saveTranslation, searchTranslationHistory, updateTranslation,
+    setTranslationFavorite, deleteTranslation, restoreTranslation, validateSession, getSessionUser,
+    listSessions, revokeSession, revokeAllSessions, getUserByEmail, updateUserPassword,
+    createPasswordResetToken, consumePasswordResetToken, markEmailVerified, updateUserPreferences,
+    getUserPreferences, getCachedTranslation, saveCachedTranslation, purgeTranslationCache, getGlossaryEntries,
+    createGlossaryEntry, updateGlossaryEntry, deleteGlossaryEntry, addTranslationMemoryUnits,
+    findTranslationMemoryUnits, getTranslationMemoryStats, createFileRecord, updateFileRecord, getFileRecord,
+    listFileRecords, deleteFileRecord, purgeExpiredFileRecords, createJob, updateJob, getJob, listJobs,
+    claimNextJob, renewJobLeases, requeueInterruptedJobs, purgeExpiredJobs, verifyUserPassword, requestEmailChange,
+    confirmEmailChange, exportUserData, deleteUserAccount,
+  } = createSqlRepository(createSqlClient(DB_DRIVER)));
+}
+
+// every implementation must offer the whole data access contract (dataContract.js)
+assertRepository({
+  getPool, registerUser, loginUser, logoutUser, saveTranslation, searchTranslationHistory, updateTranslation,
+  setTranslationFavorite, deleteTranslation, restoreTranslation, validateSession, getSessionUser,
+  listSessions, revokeSession, revokeAllSessions, getUserByEmail, updateUserPassword,
+  createPasswordResetToken, consumePasswordResetToken, markEmailVerified, updateUserPreferences,
+  getUserPreferences, getCachedTranslation, saveCachedTranslation, purgeTranslationCache, getGlossaryEntries,
+  createGlossaryEntry, updateGlossaryEntry, deleteGlossaryEntry, addTranslationMemoryUnits,
+  findTranslationMemoryUnits, getTranslationMemoryStats, createFileRecord, updateFileRecord, getFileRecord,
+  listFileRecords, deleteFileRecord, purgeExpiredFileRecords, createJob, updateJob, getJob, listJobs,
+  claimNextJob, renewJobLeases, requeueInterruptedJobs, purgeExpiredJobs, verifyUserPassword, requestEmailChange,
+  confirmEmailChange, exportUserData, deleteUserAccount,
+}, DB_DRIVER);
 
 // Export all functions
 export {
+  DB_DRIVER,
+  TRANSLATION_TYPES,
   getPool,
   registerUser,
   loginUser,
   logoutUser,
-  saveTextTranslation,
-  getTextTranslationHistory,
-  saveVoiceTranslation,
-  getVoiceTranslationHistory,
+  saveTranslation,
+  searchTranslationHistory,
+  updateTranslation,
+  setTranslationFavorite,
+  deleteTranslation,
+  restoreTranslation,
   validateSession,
+  getSessionUser,
+  listSessions,
+  revokeSession,
+  revokeAllSessions,
+  getUserByEmail,
+  updateUserPassword,
+  createPasswordResetToken,
+  consumePasswordResetToken,
+  markEmailVerified,
   updateUserPreferences,
   getUserPreferences,
+  getCachedTranslation,
+  saveCachedTranslation,
+  purgeTranslationCache,
+  getGlossaryEntries,
+  createGlossaryEntry,
+  updateGlossaryEntry,
+  deleteGlossaryEntry,
+  addTranslationMemoryUnits,
+  findTranslationMemoryUnits,
+  getTranslationMemoryStats,
+  createFileRecord,
+  updateFileRecord,
+  getFileRecord,
+  listFileRecords,
+  deleteFileRecord,
+  purgeExpiredFileRecords,
+  createJob,
+  updateJob,
+  getJob,
+  listJobs,
+  claimNextJob,
+  renewJobLeases,
+  requeueInterruptedJobs,
+  purgeExpiredJobs,
+  verifyUserPassword,
+  requestEmailChange,
+  confirmEmailChange,
+  exportUserData,
+  deleteUserAccount,
 };
\ No newline at end of file
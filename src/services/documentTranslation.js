@@ -0,0 +1,484 @@
+/*
+Document Translation Overview:
+POST /api/files (server.js) hands the uploaded document to queueDocumentTranslation, which stores it,
+extracts its text on the server and queues a background job (jobQueue.js). The job (runDocumentTranslation)
+translates the text chunk by chunk through translationProxy.js (cache, glossary, providers), reporting its
+progress, and writes the translated file that GET /api/files/{fileId}/download sends back.
+Every upload gets a record in the TranslatedFiles table (database.js) owned by the signed-in user,
+or by the guest's device (guest_key = SHA-256 of the X-Device-Token, the token itself is never stored).
+
+Supported formats, recognized by extension, MIME type and the first bytes of the file:
+pdf  = the text of every page (pdfjs-dist, reading order and paragraphs rebuilt by pdfLayout.js), translated into
+       a .txt file with the pages separated by form feeds
+docx = the paragraphs of the document (mammoth), translated into a .docx file
+txt  = UTF-8 text, translated into a .txt file
+legacy .doc files are refused, they have to be saved as .docx first (415 UNSUPPORTED_FILE_TYPE).
+
+Environment (.env):
+FILE_STORAGE_DIR = where uploads and translations are kept (default uploads/files in the project root)
+FILE_UPLOAD_MAX_BYTES = largest accepted upload in bytes (default 10 MB, 413 above it)
+FILE_RETENTION_HOURS = how long files and their records are kept (default 24),
+  startFileCleanup removes what expired every CLEANUP_INTERVAL_MS
+*/
+
+import fs from 'fs/promises';
+import path from 'path';
+import crypto from 'crypto';
+import { fileURLToPath } from 'url';
+import mammoth from 'mammoth';
+import { Document, Packer, Paragraph, TextRun } from 'docx';
+import {
+  createFileRecord,
+  updateFileRecord,
+  getFileRecord,
+  deleteFileRecord,
+  purgeExpiredFileRecords,
+  getGlossaryEntries,
+} from './database.js';
+import { translate } from './translationProxy.js';
+import { readPdfPage, layoutPdfPages } from './pdfLayout.js';
+import { enqueueJob } from './jobQueue.js';
+import { countTranslation } from './metrics.js';
+import { MAX_RECORD_LENGTH } from './openapi.js';
+import { logger } from './logger.js';
+import { readInt, serviceError } from './serviceHelpers.js';
+
+const log = logger.child({ component: 'documentTranslation' });
+
+const PROJECT_ROOT = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '../..');
+const CHUNK_LENGTH = 4500; // characters per provider call, below the request limits of the providers
+const CLEANUP_INTERVAL_MS = 15 * 60 * 1000;
+const MAX_ERROR_LENGTH = 500; // TranslatedFiles.error
+
+export const DOCUMENT_JOB_TYPE = 'file';
+
+// between the pages of a PDF text, splitIntoChunks ends a chunk at it so it is never sent to the provider
+const PAGE_BREAK = '\n\f\n';
+
+const DOCX_MIME = 'application/vnd.openxmlformats-officedocument.wordprocessingml.document';
+
+// format -> accepted MIME types, magic bytes (null = any), output MIME type and extension
+const FORMATS = {
+  pdf: { mimeTypes: ['application/pdf'], signature: Buffer.from('%PDF-'), outputMime: 'text/plain; charset=utf-8', outputExtension: 'txt' },
+  docx: { mimeTypes: [DOCX_MIME], signature: Buffer.from([0x50, 0x4b, 0x03, 0x04]), outputMime: DOCX_MIME, outputExtension: 'docx' },
+  txt: { mimeTypes: ['text/plain'], signature: null, outputMime: 'text/plain; charset=utf-8', outputExtension: 'txt' },
+};
+// browsers and tools that do not know the type send these, the extension and content decide
+const GENERIC_MIME_TYPES = ['', 'application/octet-stream', 'binary/octet-stream', 'application/zip'];
+
+export const SUPPORTED_FILE_FORMATS = Object.keys(FORMATS);
+
+// read on every call, .env is loaded by database.js. incomingDir = where multer receives uploads
+export const getFileConfig = () => {
+  const storageDir = path.resolve(PROJECT_ROOT, process.env.FILE_STORAGE_DIR || 'uploads/files');
+  return {
+    storageDir,
+    incomingDir: path.join(storageDir, 'incoming'),
+    maxBytes: readInt(process.env.FILE_UPLOAD_MAX_BYTES, 10 * 1024 * 1024),
+    retentionHours: readInt(process.env.FILE_RETENTION_HOURS, 24),
+  };
+};
+
+/*
+the stored files of a record, named after its id only: source = the upload, text = its extracted text,
+result = the translated text and applied glossary terms (JSON), translated = the translated file
+*/
+const STORED_KINDS = ['source', 'text', 'result', 'translated'];
+const storedFilePath = (fileId, kind) => path.join(getFileConfig().storageDir, `${fileId}.${kind}`);
+
+// GuestFileKey: the owner key of a guest's files, derived from their device token
+export const guestFileKey = (deviceToken) => crypto.createHash('sha256').update(deviceToken).digest('hex');
+
+/*
+detectDocumentFormat:
+the format of an upload ({ originalname, mimetype } from multer) with the given content,
+throws 415 UNSUPPORTED_FILE_TYPE when the extension, the MIME type or the content do not agree
+*/
+export const detectDocumentFormat = ({ originalname = '', mimetype = '' }, content) => {
+  const extension = path.extname(originalname).slice(1).toLowerCase();
+  if (extension === 'doc') {
+    throw serviceError('Legacy .doc files are not supported, save the document as .docx and upload it again', 415, { code: 'UNSUPPORTED_FILE_TYPE' });
+  }
+  const format = FORMATS[extension];
+  if (!format) {
+    throw serviceError(`Unsupported file type, upload a ${SUPPORTED_FILE_FORMATS.join(', ')} file`, 415, { code: 'UNSUPPORTED_FILE_TYPE' });
+  }
+  const mimeType = mimetype.split(';')[0].trim().toLowerCase();
+  if (!format.mimeTypes.includes(mimeType) && !GENERIC_MIME_TYPES.includes(mimeType)) {
+    throw serviceError(`The file type ${mimeType} does not match the .${extension} extension`, 415, { code: 'UNSUPPORTED_FILE_TYPE' });
+  }
+  if (format.signature && !content.subarray(0, format.signature.length).equals(format.signature)) {
+    throw serviceError(`The file is not a valid ${extension.toUpperCase()} document`, 415, { code: 'UNSUPPORTED_FILE_TYPE' });
+  }
+  if (extension === 'txt' && content.includes(0)) {
+    throw serviceError('The file is not a text file', 415, { code: 'UNSUPPORTED_FILE_TYPE' });
+  }
+  return extension;
+};
+
+/*
+extractDocumentText:
+returns { text, pageCount } of the document, pageCount is only known for PDFs.
+PDF pages are laid out by pdfLayout.js (reading order, paragraphs, no headers and footers) and joined
+by PAGE_BREAK, empty pages included so the translation keeps the pages of the document
+*/
+export const extractDocumentText = async (format, content) => {
+  if (format === 'pdf') {
+    // loaded on first use, the legacy build runs in Node without a DOM
+    const { getDocument } = await import('pdfjs-dist/legacy/build/pdf.mjs');
+    const pdf = await getDocument({ data: new Uint8Array(content), useSystemFonts: true }).promise;
+    try {
+      const pages = [];
+      for (let pageNumber = 1; pageNumber <= pdf.numPages; pageNumber += 1) {
+        const page = await pdf.getPage(pageNumber);
+        pages.push(await readPdfPage(page));
+        page.cleanup();
+      }
+      const texts = layoutPdfPages(pages);
+      return { text: texts.some(Boolean) ? texts.join(PAGE_BREAK) : '', pageCount: pdf.numPages };
+    } finally {
+      await pdf.destroy();
+    }
+  }
+  if (format === 'docx') {
+    const { value } = await mammoth.extractRawText({ buffer: content });
+    return { text: value.replace(/\n{3,}/g, '\n\n').trim(), pageCount: null };
+  }
+  return { text: content.toString('utf8').replace(/^\uFEFF/, '').replace(/\r\n?/g, '\n').trim(), pageCount: null };
+};
+
+/*
+splitIntoChunks:
+cuts the text into chunks of at most maxLength characters, whole paragraphs where possible,
+longer paragraphs at sentence ends, spaces or, without either, anywhere. The line and paragraph breaks
+inside a chunk are sent to the provider with its text (translateDocumentText checks they come back),
+the separator after a chunk is not, and a page break (form feed) always ends a chunk, so form feeds are never sent.
+returns [{ text, separator }], joining the text and separator of every chunk gives the text back
+(up to the spaces at the cuts), so the translated chunks keep the paragraph breaks of the document.
+*/
+export const splitIntoChunks = (text, maxLength = CHUNK_LENGTH) => {
+  const chunks = [];
+  let current = null;
+  const add = (piece, separator) => {
+    if (current && (current.separator.includes('\f') || current.text.length + current.separator.length + piece.length > maxLength)) {
+      chunks.push(current);
+      current = null;
+    }
+    current = current ? { text: current.text + current.separator + piece, separator } : { text: piece, separator };
+  };
+
+  const parts = text.split(/([\n\f]+)/); // paragraph, line and page breaks, paragraph, ...
+  for (let index = 0; index < parts.length; index += 2) {
+    let paragraph = parts[index];
+    while (paragraph.length > maxLength) {
+      const window = paragraph.slice(0, maxLength);
+      const sentenceEnd = Math.max(window.lastIndexOf('. '), window.lastIndexOf('! '), window.lastIndexOf('? '));
+      const space = window.lastIndexOf(' ');
+      if (sentenceEnd > maxLength / 2) {
+        add(paragraph.slice(0, sentenceEnd + 1), ' ');
+        paragraph = paragraph.slice(sentenceEnd + 2);
+      } else if (space > maxLength / 2) {
+        add(paragraph.slice(0, space), ' ');
+        paragraph = paragraph.slice(space + 1);
+      } else {
+        add(window, '');
+        paragraph = paragraph.slice(maxLength);
+      }
+    }
+    add(paragraph, parts[index + 1] || '');
+  }
+  if (current) chunks.push(current);
+  return chunks;
+};
+
+const lineBreaks = text => (text.match(/\n+/g) || []).join('|');
+
+/*
+translateDocumentText:
+translates the text chunk by chunk (splitIntoChunks), the language detected in the first chunk
+is used for the rest so a document is translated from one language. A chunk whose translation lost or
+added line breaks is translated again one line at a time, its breaks put back between the lines.
+onProgress(done, total) is awaited after every chunk, an aborted signal stops before the next one (409 JOB_CANCELLED).
+returns { translatedText, detectedSourceLanguage, provider, appliedGlossaryTerms }
+*/
+export const translateDocumentText = async (text, targetLang, { sourceLang = 'auto', provider, glossaryEntries = [], signal, onProgress } = {}) => {
+  let fromLang = sourceLang || 'auto';
+  let detectedSourceLanguage = null;
+  let providerName = provider;
+  const appliedTerms = new Map();
+  const translatedChunks = [];
+  const chunks = splitIntoChunks(text);
+  const throwIfCancelled = () => {
+    if (signal?.aborted) throw serviceError('The translation was cancelled', 409, { code: 'JOB_CANCELLED' });
+  };
+  const translatePiece = async (piece) => {
+    if (!piece.trim()) return piece;
+    const result = await translate(piece, targetLang, fromLang, providerName, glossaryEntries);
+    if (fromLang === 'auto' && result.detectedSourceLanguage) {
+      detectedSourceLanguage = result.detectedSourceLanguage;
+      fromLang = detectedSourceLanguage;
+    }
+    providerName = result.provider;
+    (result.appliedGlossaryTerms || []).forEach(term => appliedTerms.set(`${term.sourceTerm}\u0000${term.targetTerm}`, term));
+    return result.translatedText;
+  };
+  for (const chunk of chunks) {
+    throwIfCancelled();
+    let translatedText = await translatePiece(chunk.text);
+    if (lineBreaks(translatedText) !== lineBreaks(chunk.text)) {
+      log.warn('Line breaks lost in translation, translating the chunk line by line', { provider: providerName });
+      const parts = chunk.text.split(/(\n+)/);
+      for (let index = 0; index < parts.length; index += 2) {
+        throwIfCancelled();
+        parts[index] = await translatePiece(parts[index]);
+      }
+      translatedText = parts.join('');
+    }
+    translatedChunks.push(translatedText + chunk.separator);
+    if (onProgress) await onProgress(translatedChunks.length, chunks.length);
+  }
+  throwIfCancelled();
+  return {
+    translatedText: translatedChunks.join(''),
+    detectedSourceLanguage,
+    provider: providerName,
+    appliedGlossaryTerms: Array.from(appliedTerms.values()),
+  };
+};
+
+// BuildTranslatedFile: the content of the translated file, a .docx keeps one paragraph per paragraph of the text
+const buildTranslatedFile = async (format, translatedText) => {
+  if (FORMATS[format].outputExtension !== 'docx') return Buffer.from(translatedText, 'utf8');
+  const paragraphs = translatedText.split(/\n{2,}/).map(paragraph => new Paragraph({
+    children: paragraph.split('\n').map((line, index) => new TextRun({ text: line, break: index > 0 ? 1 : 0 })),
+  }));
+  return Packer.toBuffer(new Document({ sections: [{ properties: {}, children: paragraphs }] }));
+};
+
+const translatedFileName = (originalName, format) =>
+  `translated_${path.parse(originalName).name || 'document'}.${FORMATS[format].outputExtension}`;
+
+const removeStoredFiles = async (fileId) => {
+  await Promise.all(STORED_KINDS.map(kind => fs.rm(storedFilePath(fileId, kind), { force: true })));
+};
+
+const errorMessage = (error) => (error.status ? error.message : 'Translation failed').slice(0, MAX_ERROR_LENGTH);
+
+/*
+queueDocumentTranslation:
+owner = { userId } or { guestKey }, upload = the multer file ({ path, originalname, mimetype, size }),
+options = { targetLang, sourceLang, provider, beforeTranslate }.
+checks the upload, creates its record, moves the upload into FILE_STORAGE_DIR and extracts its text,
+then queues a DOCUMENT_JOB_TYPE job that translates it (runDocumentTranslation). beforeTranslate({ characters })
+runs once the text is known and may throw to stop (the character quota in server.js).
+A failure after the record exists marks it failed with the error, the error is rethrown.
+returns { file, job }
+*/
+export const queueDocumentTranslation = async (owner, upload, { targetLang, sourceLang, provider, beforeTranslate } = {}) => {
+  const content = await fs.readFile(upload.path);
+  const format = detectDocumentFormat(upload, content);
+  const { storageDir, retentionHours } = getFileConfig();
+  const expiresAt = new Date(Date.now() + retentionHours * 60 * 60 * 1000);
+
+  const created = await createFileRecord({
+    ...owner,
+    originalName: upload.originalname.slice(0, 260),
+    mimeType: FORMATS[format].mimeTypes[0],
+    format,
+    sizeBytes: upload.size,
+    toLang: targetLang,
+    expiresAt,
+  });
+  if (!created.success) throw new Error(created.error);
+  const fileId = created.file.id;
+
+  try {
+    await fs.mkdir(storageDir, { recursive: true });
+    await fs.rename(upload.path, storedFilePath(fileId, 'source'));
+
+    let extracted;
+    try {
+      extracted = await extractDocumentText(format, content);
+    } catch (error) {
+      log.warn('Text Extraction Error', { fileId, format, error });
+      throw serviceError(`The ${format.toUpperCase()} document could not be read, it may be damaged or password protected`, 422, { code: 'UNREADABLE_FILE' });
+    }
+    const { text, pageCount } = extracted;
+    if (!text) {
+      throw serviceError('No text found in the document (scanned pages are not supported)', 422, { code: 'NO_TEXT_FOUND' });
+    }
+    if (text.length > MAX_RECORD_LENGTH) { // the texts are saved to the history as one record
+      throw serviceError(`The document has ${text.length} characters, the limit is ${MAX_RECORD_LENGTH}`, 413, { code: 'DOCUMENT_TOO_LONG' });
+    }
+    if (beforeTranslate) await beforeTranslate({ characters: text.length });
+    await fs.writeFile(storedFilePath(fileId, 'text'), text);
+
+    const updated = await updateFileRecord(fileId, { pageCount, characterCount: text.length });
+    if (!updated.success) throw new Error(updated.error);
+    const job = await enqueueJob(owner, {
+      type: DOCUMENT_JOB_TYPE,
+      fileId,
+      payload: {
+        originalName: upload.originalname.slice(0, 260),
+        outputName: translatedFileName(upload.originalname, format),
+        format,
+        targetLang,
+        sourceLang: sourceLang || 'auto',
+        provider: provider || null,
+        characters: text.length,
+      },
+      expiresAt,
+    });
+    return { file: updated.file, job };
+  } catch (error) {
+    await updateFileRecord(fileId, { status: 'failed', error: errorMessage(error), completedAt: new Date() });
+    throw error;
+  }
+};
+
+/*
+runDocumentTranslation:
+the job handler of DOCUMENT_JOB_TYPE (registered in server.js), translates the extracted text of the job's file,
+one progress step per chunk, and stores the translated file and text. The file record follows the job:
+processing while it runs, then completed, failed or cancelled.
+*/
+export const runDocumentTranslation = async (job, { signal, reportProgress }) => {
+  const fileId = job.file_id;
+  const { format, outputName, targetLang, sourceLang, provider } = job.payload;
+  const started = await updateFileRecord(fileId, { status: 'processing', error: null, completedAt: null });
+  if (!started.success) throw serviceError('The file was deleted', 410, { code: 'FILE_EXPIRED' });
+
+  try {
+    let text;
+    try {
+      text = await fs.readFile(storedFilePath(fileId, 'text'), 'utf8');
+    } catch {
+      throw serviceError('The uploaded document is no longer available, upload it again', 410, { code: 'FILE_EXPIRED' });
+    }
+    let glossaryEntries = [];
+    if (job.user_id) {
+      const entries = await getGlossaryEntries(job.user_id, { toLang: targetLang });
+      glossaryEntries = Array.isArray(entries) ? entries : [];
+    }
+
+    const result = await translateDocumentText(text, targetLang, {
+      sourceLang,
+      provider: provider || undefined,
+      glossaryEntries,
+      signal,
+      onProgress: reportProgress,
+    });
+    const translation = { translatedText: result.translatedText, appliedGlossaryTerms: result.appliedGlossaryTerms };
+    await fs.writeFile(storedFilePath(fileId, 'result'), JSON.stringify(translation));
+    await fs.writeFile(storedFilePath(fileId, 'translated'), await buildTranslatedFile(format, result.translatedText));
+
+    const fromLang = sourceLang && sourceLang !== 'auto' ? sourceLang : result.detectedSourceLanguage;
+    const updated = await updateFileRecord(fileId, {
+      status: 'completed',
+      fromLang,
+      provider: result.provider,
+      outputName,
+      outputMime: FORMATS[format].outputMime,
+      completedAt: new Date(),
+    });
+    if (!updated.success) throw serviceError('The file was deleted', 410, { code: 'FILE_EXPIRED' });
+    countTranslation({ provider: result.provider, sourceLang: fromLang, targetLang, mode: 'file' });
+  } catch (error) {
+    await Promise.all(['result', 'translated'].map(kind => fs.rm(storedFilePath(fileId, kind), { force: true }))).catch(() => {});
+    await updateFileRecord(fileId, signal.aborted
+      ? { status: 'cancelled', completedAt: new Date() }
+      : { status: 'failed', error: errorMessage(error), completedAt: new Date() });
+    throw error;
+  }
+};
+
+// CancelDocumentTranslation: marks the file of a job cancelled before it started
+export const cancelDocumentTranslation = async (job) => {
+  await updateFileRecord(job.file_id, { status: 'cancelled', completedAt: new Date() });
+};
+
+/*
+openTranslatedFile:
+the record and the path of the translated file of a completed translation,
+throws 404 when the owner has no such file and 409 while it is not completed
+*/
+export const openTranslatedFile = async (owner, fileId) => {
+  const file = await getFileRecord(owner, fileId);
+  if (!file) throw serviceError('File not found', 404, { code: 'NOT_FOUND' });
+  if (file.status !== 'completed') throw serviceError(`The file translation is ${file.status}, there is nothing to download`, 409, { code: 'FILE_NOT_READY' });
+  const filePath = storedFilePath(file.id, 'translated');
+  try {
+    await fs.access(filePath);
+  } catch {
+    throw serviceError('The translated file is no longer available', 410, { code: 'FILE_EXPIRED' });
+  }
+  return { file, filePath };
+};
+
+/*
+readTranslatedText:
+the original and translated text of a completed translation (what the history saves),
+throws like openTranslatedFile. returns { file, originalText, translatedText, appliedGlossaryTerms }
+*/
+export const readTranslatedText = async (owner, fileId) => {
+  const { file } = await openTranslatedFile(owner, fileId);
+  try {
+    const [originalText, result] = await Promise.all([
+      fs.readFile(storedFilePath(file.id, 'text'), 'utf8'),
+      fs.readFile(storedFilePath(file.id, 'result'), 'utf8'),
+    ]);
+    return { file, originalText, ...JSON.parse(result) };
+  } catch {
+    throw serviceError('The translated text is no longer available', 410, { code: 'FILE_EXPIRED' });
+  }
+};
+
+// DeleteDocument: removes the owner's record, its jobs and the stored files
+export const deleteDocument = async (owner, fileId) => {
+  const result = await deleteFileRecord(owner, fileId);
+  if (result.success) await removeStoredFiles(fileId);
+  return result;
+};
+
+/*
+cleanupExpiredFiles:
+deletes the expired records with their files, then any stored file older than the retention
+(left behind by deleted accounts or a crash while uploading), the same as an expired record.
+returns { records, files } = how many of each were removed
+*/
+export const cleanupExpiredFiles = async (now = new Date()) => {
+  const { storageDir, incomingDir, retentionHours } = getFileConfig();
+  const purged = await purgeExpiredFileRecords(now);
+  const fileIds = purged.success ? purged.fileIds : [];
+  await Promise.all(fileIds.map(removeStoredFiles));
+
+  let files = 0;
+  const oldestKept = now.getTime() - retentionHours * 60 * 60 * 1000;
+  for (const dir of [storageDir, incomingDir]) {
+    const entries = await fs.readdir(dir, { withFileTypes: true }).catch(() => []);
+    for (const entry of entries.filter(item => item.isFile())) {
+      const entryPath = path.join(dir, entry.name);
+      const stats = await fs.stat(entryPath).catch(() => null);
+      if (stats && stats.mtimeMs < oldestKept) {
+        await fs.rm(entryPath, { force: true });
+        files += 1;
+      }
+    }
+  }
+  return { records: fileIds.length, files };
+};
+
+let cleanupTimer = null;
+
+// StartFileCleanup: runs cleanupExpiredFiles now and every CLEANUP_INTERVAL_MS, without keeping the process alive
+export const startFileCleanup = () => {
+  if (cleanupTimer) return;
+  const run = () => cleanupExpiredFiles()
+    .then(({ records, files }) => {
+      if (records > 0 || files > 0) log.info('Removed expired files', { records, files });
+    })
+    .catch(error => log.error('File Cleanup Error', { error }));
+  run();
+  cleanupTimer = setInterval(run, CLEANUP_INTERVAL_MS);
+  cleanupTimer.unref();
+};
@@ -0,0 +1,47 @@
+/*
+Email Rate Limit (in memory):
+limits the emails a public endpoint sends (verification links, password reset links), so it cannot be used
+to flood an inbox or to send mail in bulk. Every request counts, whether or not an account uses the email,
+so the limit reveals nothing about which emails are registered.
+createEmailRateLimit({ label }) returns limit(email, ipAddress, now): throws (status 429, retryAfter in seconds)
+when over the limit, otherwise records the send. Per email: one per COOLDOWN_MS and MAX_PER_ADDRESS per WINDOW_MS,
+per client IP: MAX_PER_IP per WINDOW_MS. Each limiter keeps its own counts.
+*/
+
+import { serviceError } from './serviceHelpers.js';
+
+const COOLDOWN_MS = 60 * 1000; // one email per address per minute
+const WINDOW_MS = 60 * 60 * 1000;
+const MAX_PER_ADDRESS = 5; // per WINDOW_MS
+const MAX_PER_IP = 20; // per WINDOW_MS
+
+const recentSends = (log, key, now) => {
+  const sends = (log.get(key) || []).filter(time => now - time < WINDOW_MS);
+  if (sends.length > 0) log.set(key, sends);
+  else log.delete(key);
+  return sends;
+};
+
+// label = what is sent, for the error message ('verification emails')
+export const createEmailRateLimit = ({ label }) => {
+  const sentByAddress = new Map(); // email -> send timestamps
+  const sentByIp = new Map(); // ip -> send timestamps
+
+  return (email, ipAddress, now = Date.now()) => {
+    const address = String(email).trim().toLowerCase();
+    const addressSends = recentSends(sentByAddress, address, now);
+    const ipSends = ipAddress ? recentSends(sentByIp, ipAddress, now) : [];
+    const lastSend = addressSends[addressSends.length - 1];
+    let retryAfterMs = 0;
+    if (lastSend && now - lastSend < COOLDOWN_MS) retryAfterMs = COOLDOWN_MS - (now - lastSend);
+    if (addressSends.length >= MAX_PER_ADDRESS) retryAfterMs = Math.max(retryAfterMs, WINDOW_MS - (now - addressSends[0]));
+    if (ipSends.length >= MAX_PER_IP) retryAfterMs = Math.max(retryAfterMs, WINDOW_MS - (now - ipSends[0]));
+    if (retryAfterMs > 0) {
+      const retryAfter = Math.ceil(retryAfterMs / 1000);
+      throw serviceError(`Too many ${label} requested, try again in ${retryAfter} seconds`, 429, { retryAfter });
+    }
+
+    sentByAddress.set(address, [...addressSends, now]);
+    if (ipAddress) sentByIp.set(ipAddress, [...ipSends, now]);
+  };
+};
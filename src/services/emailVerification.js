@@ -0,0 +1,165 @@
+/*
+Email Verification Overview:
+new accounts start unverified and cannot sign in until the user opens the link emailed at registration.
+POST /api/register sends the first link, POST /api/email/verification/resend sends a new one (rate limited),
+POST /api/email/verify verifies the account with the token from the link (verifyEmail).
+Changing the email (PUT /api/account/email) uses the same links, sent to the new address
+(sendEmailChangeConfirmation), the change only takes effect once that link is opened.
+
+Links are signed, not stored: the token carries the user id, email, expiry and purpose, signed with
+HMAC-SHA256 (EMAIL_VERIFICATION_SECRET, falls back to SESSION_SECRET). Without either secret no link is
+sent or accepted (503 EMAIL_VERIFICATION_UNAVAILABLE) and the server logs an error at startup. They expire after
+EMAIL_VERIFICATION_EXPIRATION seconds (default 24 hours) and stop working once the account's email changes.
+The link opens APP_URL/verify-email (APP_URL defaults to the Vite dev server, http://localhost:5173).
+*/
+
+import crypto from 'crypto';
+import { getUserByEmail, markEmailVerified, confirmEmailChange } from './database.js';
+import { sendMail } from './mail/index.js';
+import { logger } from './logger.js';
+import { getAppUrl, readInt, serviceError } from './serviceHelpers.js';
+import { createEmailRateLimit } from './emailRateLimit.js';
+
+const getSecret = () => {
+  const secret = process.env.EMAIL_VERIFICATION_SECRET || process.env.SESSION_SECRET;
+  if (!secret) {
+    throw serviceError('Email verification is not available right now, please try again later', 503, { code: 'EMAIL_VERIFICATION_UNAVAILABLE' });
+  }
+  return secret;
+};
+const getLifetimeSeconds = () => readInt(process.env.EMAIL_VERIFICATION_EXPIRATION, 24 * 60 * 60);
+
+const sign = (payload) => crypto.createHmac('sha256', getSecret()).update(payload).digest('base64url');
+
+// token = base64url({ uid, email, exp, purpose }).signature, purpose = verify (registration) | change (new email)
+const createVerificationToken = (userId, email, purpose = 'verify') => {
+  const payload = Buffer.from(JSON.stringify({
+    uid: userId,
+    email,
+    exp: Math.floor(Date.now() / 1000) + getLifetimeSeconds(),
+    purpose,
+  })).toString('base64url');
+  return `${payload}.${sign(payload)}`;
+};
+
+// the token's claims, null when it is malformed, tampered with or expired
+const readVerificationToken = (token) => {
+  const [payload, signature] = String(token).split('.');
+  if (!payload || !signature) return null;
+  const expected = Buffer.from(sign(payload));
+  const provided = Buffer.from(signature);
+  if (expected.length !== provided.length || !crypto.timingSafeEqual(expected, provided)) return null;
+  try {
+    const claims = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+    return claims.exp > Date.now() / 1000 ? claims : null;
+  } catch {
+    return null;
+  }
+};
+
+/*
+checkEmailVerificationConfig:
+called at startup, logs an error when no signing secret is set (new accounts cannot be verified until one is).
+returns whether verification links can be issued
+*/
+export const checkEmailVerificationConfig = () => {
+  if (process.env.EMAIL_VERIFICATION_SECRET || process.env.SESSION_SECRET) return true;
+  logger.error('Email verification is disabled, set EMAIL_VERIFICATION_SECRET or SESSION_SECRET');
+  return false;
+};
+
+// one count for the registration, resend and email change links
+const limitVerificationEmails = createEmailRateLimit({ label: 'verification emails' });
+
+const verificationEmail = (link, hours) => ({
+  subject: 'Verify your TranslationHub email address',
+  text: [
+    'Welcome to TranslationHub!',
+    '',
+    `Open this link to verify your email address and activate your account. It expires in ${hours} hours:`,
+    link,
+    '',
+    'If you did not create an account, you can ignore this email.',
+  ].join('\n'),
+  html: [
+    '<p>Welcome to TranslationHub!</p>',
+    `<p><a href="${link}">Verify your email address</a> to activate your account. The link expires in ${hours} hours.</p>`,
+    '<p>If you did not create an account, you can ignore this email.</p>',
+  ].join('\n'),
+});
+
+/*
+sendVerificationEmail:
+emails a new verification link to an unverified account, used after registration and by the resend endpoint.
+resolves the same way when there is no such account or it is already verified, so it does not reveal
+which emails are registered. throws (status 429, retryAfter in seconds) when the rate limit is reached,
+or with status 503 when no signing secret is set
+*/
+export const sendVerificationEmail = async (email, { ipAddress = null } = {}) => {
+  getSecret();
+  limitVerificationEmails(email, ipAddress);
+
+  const user = await getUserByEmail(email);
+  if (!user || user.email_verified) return;
+
+  const link = `${getAppUrl()}/verify-email?token=${encodeURIComponent(createVerificationToken(user.id, user.email))}`;
+  try {
+    await sendMail({ to: user.email, ...verificationEmail(link, Math.round(getLifetimeSeconds() / 3600)) });
+  } catch (error) {
+    logger.error('Verification Mail Error', { error });
+  }
+};
+
+const emailChangeEmail = (link, hours) => ({
+  subject: 'Confirm your new TranslationHub email address',
+  text: [
+    'You asked to use this address for your TranslationHub account.',
+    '',
+    `Open this link to confirm the change. It expires in ${hours} hours:`,
+    link,
+    '',
+    'If you did not ask for this, you can ignore this email, the account keeps its current address.',
+  ].join('\n'),
+  html: [
+    '<p>You asked to use this address for your TranslationHub account.</p>',
+    `<p><a href="${link}">Confirm the change</a>. The link expires in ${hours} hours.</p>`,
+    '<p>If you did not ask for this, you can ignore this email, the account keeps its current address.</p>',
+  ].join('\n'),
+});
+
+/*
+sendEmailChangeConfirmation:
+emails the confirmation link for a pending email change to the new address,
+rate limited like sendVerificationEmail (throws with status 429, or 503 without a signing secret)
+*/
+export const sendEmailChangeConfirmation = async (userId, newEmail, { ipAddress = null } = {}) => {
+  getSecret();
+  limitVerificationEmails(newEmail, ipAddress);
+
+  const link = `${getAppUrl()}/verify-email?token=${encodeURIComponent(createVerificationToken(userId, newEmail, 'change'))}`;
+  await sendMail({ to: newEmail, ...emailChangeEmail(link, Math.round(getLifetimeSeconds() / 3600)) });
+};
+
+/*
+verifyEmail:
+token = the token from the emailed link, opening a link again after verifying is fine.
+for email changes the account switches to the new (now verified) address, emailChanged tells the client
+throws (status 400) when the link is invalid, expired or for an email the account no longer uses,
+(status 503) when no signing secret is set
+*/
+export const verifyEmail = async (token) => {
+  const claims = readVerificationToken(token);
+  if (!claims) throw serviceError('This verification link is invalid or has expired, please request a new one');
+  if (claims.purpose === 'change') {
+    const changed = await confirmEmailChange(claims.uid, claims.email);
+    if (!changed.success) throw serviceError('This confirmation link is no longer valid, please change your email again');
+    return { success: true, email: claims.email, emailChanged: true, message: 'Your email address has been changed' };
+  }
+  const result = await markEmailVerified(claims.uid, claims.email);
+  if (!result.success) throw serviceError('This verification link is no longer valid, please request a new one');
+  return {
+    success: true,
+    email: claims.email,
+    message: result.alreadyVerified ? 'Your email is already verified' : 'Your email is verified, you can sign in now',
+  };
+};
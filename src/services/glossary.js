@@ -0,0 +1,89 @@
+/*
+Glossary Enforcement Overview:
+keeps product names and domain terms consistent across providers.
+Before translation every glossary term found in the text is replaced by a placeholder
+the providers leave alone (⟦0⟧, ⟦1⟧, ...), after translation the placeholders are
+restored with the user's target terms.
+Works with every provider, and the cache stores the placeholder form, so cached
+translations still pick up each user's own target terms.
+*/
+
+const escapeRegExp = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/*
+Term Matching:
+terms only match whole words, 'API' does not match inside 'RAPID'.
+case_sensitive entries match exactly, the others ignore case.
+*/
+const buildTermRegex = (entry) => {
+  const term = escapeRegExp(entry.source_term.trim());
+  const startsWithWord = /^[\p{L}\p{N}_]/u.test(entry.source_term.trim());
+  const endsWithWord = /[\p{L}\p{N}_]$/u.test(entry.source_term.trim());
+  const pattern = `${startsWithWord ? '(?<![\\p{L}\\p{N}_])' : ''}${term}${endsWithWord ? '(?![\\p{L}\\p{N}_])' : ''}`;
+  return new RegExp(pattern, entry.case_sensitive ? 'gu' : 'giu');
+};
+
+// Entries for the pair, none for an 'auto' source: translationProxy.js detects the language first
+export const selectGlossaryEntries = (entries, fromLang, toLang) =>
+  entries.filter(entry =>
+    entry.source_term?.trim() && entry.target_term?.trim() &&
+    entry.to_lang === toLang &&
+    Boolean(fromLang) && fromLang !== 'auto' && entry.from_lang === fromLang
+  );
+
+/*
+protectTerms:
+returns { protectedText, placeholders } where placeholders[i] is the entry behind ⟦i⟧.
+overlapping matches keep the earliest, then the longest term.
+*/
+export const protectTerms = (text, entries) => {
+  const matches = [];
+  entries.forEach((entry, entryIndex) => {
+    for (const match of text.matchAll(buildTermRegex(entry))) {
+      matches.push({ start: match.index, end: match.index + match[0].length, entryIndex });
+    }
+  });
+  matches.sort((a, b) => a.start - b.start || (b.end - b.start) - (a.end - a.start));
+
+  const placeholders = [];
+  const tokenByEntry = new Map();
+  let protectedText = '';
+  let cursor = 0;
+  for (const match of matches) {
+    if (match.start < cursor) continue; // overlaps an earlier match
+    if (!tokenByEntry.has(match.entryIndex)) {
+      tokenByEntry.set(match.entryIndex, placeholders.length);
+      placeholders.push(entries[match.entryIndex]);
+    }
+    protectedText += `${text.slice(cursor, match.start)}⟦${tokenByEntry.get(match.entryIndex)}⟧`;
+    cursor = match.end;
+  }
+  protectedText += text.slice(cursor);
+
+  return { protectedText, placeholders };
+};
+
+/*
+restoreTerms:
+swaps the placeholders in the translated text for the target terms
+(providers sometimes add spaces inside the brackets, so those are tolerated)
+returns { text, appliedTerms } with the entries whose placeholders survived translation
+*/
+export const restoreTerms = (translatedText, placeholders) => {
+  const applied = new Set();
+  const text = translatedText.replace(/⟦\s*(\d+)\s*⟧/g, (token, index) => {
+    const entry = placeholders[Number(index)];
+    if (!entry) return token;
+    applied.add(entry);
+    return entry.target_term;
+  });
+
+  return {
+    text,
+    appliedTerms: Array.from(applied).map(entry => ({
+      id: entry.id,
+      sourceTerm: entry.source_term,
+      targetTerm: entry.target_term,
+    })),
+  };
+};
@@ -0,0 +1,77 @@
+/*
+Health Checks Overview:
+GET /healthz and GET /readyz (server.js) probe the two things every translation depends on:
+database = getPool() of the configured driver and one SELECT 1 (the mock database always passes)
+provider = the deployment default translation provider (TRANSLATION_PROVIDER) is configured and lists its languages
+
+each probe gets HEALTH_CHECK_TIMEOUT_MS (default 3000) and its result is reused for HEALTH_CHECK_CACHE_MS
+(default 10000), so frequent probes from a load balancer do not hammer the database or the provider API.
+runHealthChecks returns { ok, checks: { database: { status }, provider: { status } } }, the probes are public,
+so why a check failed (the error, the driver or provider, the duration) is only logged
+*/
+
+import { getPool, DB_DRIVER } from './database.js';
+import { getProvider, getDefaultProviderName } from './providers/index.js';
+import { listLanguages } from './translationProxy.js';
+import { logger } from './logger.js';
+import { readInt } from './serviceHelpers.js';
+
+const log = logger.child({ component: 'health' });
+
+const getHealthConfig = () => ({
+  timeoutMs: readInt(process.env.HEALTH_CHECK_TIMEOUT_MS, 3000),
+  cacheMs: readInt(process.env.HEALTH_CHECK_CACHE_MS, 10000),
+});
+
+const withTimeout = (promise, timeoutMs) => {
+  let timer;
+  const timeout = new Promise((resolve, reject) => {
+    timer = setTimeout(() => reject(new Error(`Timed out after ${timeoutMs} ms`)), timeoutMs);
+  });
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+};
+
+// mssql pools answer request().query(), the sqlite and postgres clients query() directly, the mock has no pool
+const pingDatabase = async () => {
+  const pool = await getPool();
+  if (DB_DRIVER === 'mssql') await pool.request().query('SELECT 1');
+  else if (pool) await pool.query('SELECT 1');
+};
+
+const pingProvider = async () => {
+  const provider = getProvider();
+  await listLanguages('en', provider.name);
+};
+
+// describe = what the check is about, logged with a failure
+const PROBES = {
+  database: { describe: () => ({ driver: DB_DRIVER }), probe: pingDatabase },
+  provider: { describe: () => ({ provider: getDefaultProviderName() }), probe: pingProvider },
+};
+
+const lastResults = new Map(); // check name -> { result, checkedAt }
+
+const runCheck = async (name, { describe, probe }, config) => {
+  const last = lastResults.get(name);
+  if (last && Date.now() - last.checkedAt < config.cacheMs) return last.result;
+
+  const startedAt = Date.now();
+  let result;
+  try {
+    await withTimeout(probe(), config.timeoutMs);
+    result = { status: 'ok' };
+  } catch (error) {
+    log.warn('Health Check Failed', { check: name, ...describe(), durationMs: Date.now() - startedAt, error });
+    result = { status: 'error' };
+  }
+  lastResults.set(name, { result, checkedAt: Date.now() });
+  return result;
+};
+
+export const runHealthChecks = async () => {
+  const config = getHealthConfig();
+  const names = Object.keys(PROBES);
+  const results = await Promise.all(names.map(name => runCheck(name, PROBES[name], config)));
+  const checks = Object.fromEntries(names.map((name, index) => [name, results[index]]));
+  return { ok: results.every(result => result.status === 'ok'), checks };
+};
@@ -0,0 +1,54 @@
+/**
+ * History Service
+ *
+ * Saves translations of every mode (text, voice, file, asl) as one record:
+ * { type, fromLang, toLang, originalText, translatedText, sourceMeta, provider }
+ *
+ * Signed-in users are saved through our backend (POST /api/translations),
+ * guests are saved in localStorage.guestTranslations (limited to 20 translations).
+ */
+
+const API_BASE_URL = 'http://localhost:5000/api';
+export const GUEST_TRANSLATION_LIMIT = 20;
+
+/*
+SaveTranslationRecord:
+user = signed-in user from useAuth (null for guests)
+returns the saved translation, throws with a readable message on failure
+*/
+export const saveTranslationRecord = async (user, { type, fromLang, toLang, originalText, translatedText, sourceMeta = null, provider = null }) => {
+  if (user) {
+    const response = await fetch(`${API_BASE_URL}/translations`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'Authorization': `Bearer ${user.signed_session_id}`,
+      },
+      body: JSON.stringify({ userId: user.id, type, fromLang, toLang, originalText, translatedText, sourceMeta, provider }),
+    });
+    const result = await response.json();
+    if (!response.ok || !result.success) {
+      throw new Error(result.error || 'Failed to save translation');
+    }
+    return result.translation;
+  }
+
+  const savedTranslations = JSON.parse(localStorage.getItem('guestTranslations') || '[]');
+  if (savedTranslations.length >= GUEST_TRANSLATION_LIMIT) {
+    throw new Error(`Guest limit reached: Maximum ${GUEST_TRANSLATION_LIMIT} translations.`);
+  }
+  const newTranslation = {
+    id: Date.now().toString(),
+    type,
+    fromLang,
+    toLang,
+    originalText,
+    translatedText,
+    sourceMeta,
+    provider,
+    timestamp: new Date(),
+  };
+  savedTranslations.push(newTranslation);
+  localStorage.setItem('guestTranslations', JSON.stringify(savedTranslations));
+  return newTranslation;
+};
@@ -0,0 +1,288 @@
+/*
+Job Queue Overview:
+long work runs as a background job instead of inside the HTTP request (a document translation of POST /api/files).
+enqueueJob stores the job in the TranslationJobs table (database.js) and returns at once with its id,
+the workers of this process claim queued jobs (claimNextJob) and run the handler registered for the job type,
+server.js registers 'file' = runDocumentTranslation (documentTranslation.js).
+
+status = queued -> running -> completed | failed | cancelled, failed and cancelled jobs can be retried.
+Handlers work in pieces and call reportProgress(done, total) after each one, every change of a job is saved
+and sent to the subscribeToJob listeners (the Server-Sent Events of GET /api/jobs/{jobId}/events).
+Cancelling a running job aborts the signal of its handler, which stops before its next piece.
+
+The queue is the table, so jobs survive a restart. A claimed job is leased to the process that runs it
+(lease_owner = WORKER_ID, until lease_expires_at), the heartbeat of the workers renews the leases of its jobs
+every JOB_LEASE_MS / 3. Jobs whose lease expired (their process stopped or hangs) go back in the queue and their
+handler starts over (pieces translated before come from the cache), so several server processes can share the table.
+A process that lost the lease of a job stops it: its saves no longer match the job and its handler is aborted.
+When the end of a job (completed or failed) cannot be saved, the process keeps its lease and the heartbeat saves
+the end again until it is stored, so a finished job is never requeued and run a second time.
+
+Environment (.env):
+JOB_CONCURRENCY = jobs this process runs at the same time (default 2)
+JOB_POLL_INTERVAL_MS = how often idle workers look for queued jobs (default 5000), new jobs of this process
+  start right away, the poll picks up the rest (e.g. jobs requeued by a retry on another server process)
+JOB_LEASE_MS = how long a running job stays leased to its process without a heartbeat (default 60000)
+*/
+
+import crypto from 'crypto';
+import { EventEmitter } from 'events';
+import {
+  createJob,
+  updateJob,
+  getJob,
+  listJobs,
+  claimNextJob,
+  renewJobLeases,
+  requeueInterruptedJobs,
+  purgeExpiredJobs,
+} from './database.js';
+import { logger } from './logger.js';
+import { readInt, serviceError } from './serviceHelpers.js';
+
+const log = logger.child({ component: 'jobQueue' });
+
+const PURGE_INTERVAL_MS = 15 * 60 * 1000;
+const MAX_ERROR_LENGTH = 500; // TranslationJobs.error
+const FINISHED_STATUSES = ['completed', 'failed', 'cancelled'];
+const RETRYABLE_STATUSES = ['failed', 'cancelled'];
+const WORKER_ID = crypto.randomUUID(); // the lease owner of the jobs this process runs
+
+// read on every call, .env is loaded by database.js
+const getJobConfig = () => ({
+  concurrency: Math.max(1, readInt(process.env.JOB_CONCURRENCY, 2)),
+  pollIntervalMs: readInt(process.env.JOB_POLL_INTERVAL_MS, 5000),
+  leaseMs: Math.max(1000, readInt(process.env.JOB_LEASE_MS, 60000)),
+});
+
+const leaseUntil = () => new Date(Date.now() + getJobConfig().leaseMs);
+
+const handlers = new Map(); // job type -> { run(job, { signal, reportProgress }), onCancelled(job) }
+const running = new Map(); // job id -> AbortController of the jobs this process runs
+const unsavedEndings = new Map(); // job id -> the fields of its end, for the finished jobs whose end was not saved yet
+const updates = new EventEmitter();
+updates.setMaxListeners(0); // one listener per open event stream
+
+export const isFinishedJob = (job) => FINISHED_STATUSES.includes(job.status);
+
+/*
+registerJobHandler:
+run(job, { signal, reportProgress }) does the work of a job of the type, it throws to fail the job and stops
+once signal is aborted. onCancelled(job) runs when a job is cancelled before any worker started it.
+*/
+export const registerJobHandler = (type, run, { onCancelled } = {}) => {
+  handlers.set(type, { run, onCancelled });
+};
+
+// SubscribeToJob: listener(job) on every change of the job, returns the unsubscribe function
+export const subscribeToJob = (jobId, listener) => {
+  updates.on(jobId, listener);
+  return () => updates.off(jobId, listener);
+};
+
+// OnJobFinished: listener(job) once any job is completed, failed or cancelled (refunds the quota in server.js)
+export const onJobFinished = (listener) => {
+  updates.on('finished', listener);
+};
+
+const publish = (job) => {
+  updates.emit(job.id, job);
+  if (isFinishedJob(job)) updates.emit('finished', job);
+};
+
+// SaveJob: updates the job when it is in one of fromStatuses (and leased to leaseOwner) and publishes the change
+const saveJob = async (jobId, fields, { fromStatuses, leaseOwner } = {}) => {
+  const result = await updateJob(jobId, fields, { fromStatuses, leaseOwner });
+  if (result.success) publish(result.job);
+  return result;
+};
+
+/*
+FinishJob: saves how a job of this process ended, a failed save (other than JOB_NOT_FOUND, the job was cancelled,
+deleted or requeued meanwhile) is logged and kept in unsavedEndings for the heartbeat to retry
+*/
+const finishJob = async (jobId, fields) => {
+  const result = await saveJob(jobId, fields, { fromStatuses: ['running'], leaseOwner: WORKER_ID })
+    .catch(error => ({ success: false, error: error.message }));
+  if (result.success || result.code === 'JOB_NOT_FOUND') {
+    unsavedEndings.delete(jobId);
+    return;
+  }
+  if (!unsavedEndings.has(jobId)) log.error('Job Save Error', { jobId, status: fields.status, error: result.error });
+  unsavedEndings.set(jobId, fields);
+};
+
+/*
+runJob:
+runs the handler of a claimed job, then saves how it ended (finishJob). The status and lease conditions keep a cancel or
+a requeue that happened meanwhile: such a job is not marked completed or failed afterwards.
+*/
+const runJob = async (job) => {
+  const controller = new AbortController();
+  running.set(job.id, controller);
+  publish(job);
+
+  // JOB_NOT_FOUND = the job was cancelled, deleted or requeued meanwhile (possibly through another server process),
+  // the handler stops, any other error fails the job
+  const reportProgress = async (done, total) => {
+    const result = await saveJob(job.id, { progressDone: done, progressTotal: total }, { fromStatuses: ['running'], leaseOwner: WORKER_ID });
+    if (result.success) return;
+    if (result.code === 'JOB_NOT_FOUND') controller.abort();
+    else throw new Error(`Saving the job progress failed: ${result.error}`);
+  };
+
+  try {
+    const handler = handlers.get(job.type);
+    if (!handler) throw serviceError(`No handler for ${job.type} jobs`, 500, { code: 'UNKNOWN_JOB_TYPE' });
+    await handler.run(job, { signal: controller.signal, reportProgress });
+    if (!controller.signal.aborted) {
+      await finishJob(job.id, { status: 'completed', error: null, finishedAt: new Date() });
+    }
+  } catch (error) {
+    if (!controller.signal.aborted) {
+      if (!error.status) log.error('Job Error', { jobId: job.id, type: job.type, error });
+      await finishJob(job.id, {
+        status: 'failed',
+        error: (error.status ? error.message : 'The job failed').slice(0, MAX_ERROR_LENGTH),
+        finishedAt: new Date(),
+      });
+    }
+  } finally {
+    running.delete(job.id);
+    schedule();
+  }
+};
+
+let workersStarted = false;
+let scheduling = false;
+let scheduleAgain = false;
+
+// Schedule: claims queued jobs while this process has free workers
+const schedule = async () => {
+  if (!workersStarted) return;
+  if (scheduling) {
+    scheduleAgain = true;
+    return;
+  }
+  scheduling = true;
+  try {
+    do {
+      scheduleAgain = false;
+      while (running.size < getJobConfig().concurrency) {
+        const job = await claimNextJob(new Date(), { leaseOwner: WORKER_ID, leaseExpiresAt: leaseUntil() });
+        if (!job) break;
+        runJob(job);
+      }
+    } while (scheduleAgain);
+  } catch (error) {
+    log.error('Job Scheduling Error', { error });
+  } finally {
+    scheduling = false;
+  }
+};
+
+/*
+enqueueJob:
+owner = { userId } or { guestKey }, job = { type, fileId, payload, expiresAt }
+stores the job as queued and wakes the workers, returns the job
+*/
+export const enqueueJob = async (owner, { type, fileId = null, payload = {}, expiresAt }) => {
+  if (!handlers.has(type)) throw new Error(`No handler for ${type} jobs`);
+  const created = await createJob({ ...owner, type, fileId, payload, expiresAt });
+  if (!created.success) throw new Error(created.error);
+  setImmediate(schedule); // once the caller has the job, so it sees every update
+  return created.job;
+};
+
+// GetJobStatus: the owner's job, throws 404 when there is no such job
+export const getJobStatus = async (owner, jobId) => {
+  const job = await getJob(owner, jobId);
+  if (!job) throw serviceError('Job not found', 404, { code: 'NOT_FOUND' });
+  return job;
+};
+
+// ListRecentJobs: the owner's jobs, newest first
+export const listRecentJobs = async (owner, { limit = 20 } = {}) => {
+  const jobs = await listJobs(owner, { limit });
+  if (!Array.isArray(jobs)) throw new Error(jobs.error);
+  return jobs;
+};
+
+// CancelJob: stops a queued or running job of the owner, 409 JOB_FINISHED once it has ended
+export const cancelJob = async (owner, jobId) => {
+  const job = await getJobStatus(owner, jobId);
+  if (isFinishedJob(job)) throw serviceError(`The job is already ${job.status}`, 409, { code: 'JOB_FINISHED' });
+  const result = await saveJob(job.id, { status: 'cancelled', finishedAt: new Date() }, { fromStatuses: ['queued', 'running'] });
+  if (!result.success) throw serviceError('The job ended before it could be cancelled', 409, { code: 'JOB_FINISHED' });
+  running.get(job.id)?.abort();
+  if (job.status === 'queued') await handlers.get(job.type)?.onCancelled?.(result.job);
+  return result.job;
+};
+
+/*
+retryJob:
+queues a failed or cancelled job of the owner again (409 JOB_NOT_RETRYABLE otherwise),
+beforeRetry(job) runs first and may throw to stop (the quota in server.js)
+*/
+export const retryJob = async (owner, jobId, { beforeRetry } = {}) => {
+  const job = await getJobStatus(owner, jobId);
+  if (!RETRYABLE_STATUSES.includes(job.status)) {
+    throw serviceError(`Only failed or cancelled jobs can be retried, the job is ${job.status}`, 409, { code: 'JOB_NOT_RETRYABLE' });
+  }
+  if (beforeRetry) await beforeRetry(job);
+  const result = await saveJob(job.id, {
+    status: 'queued',
+    progressDone: 0,
+    error: null,
+    startedAt: null,
+    finishedAt: null,
+  }, { fromStatuses: RETRYABLE_STATUSES });
+  if (!result.success) throw serviceError('The job was retried already', 409, { code: 'JOB_NOT_RETRYABLE' });
+  setImmediate(schedule);
+  return result.job;
+};
+
+// RequeueExpiredJobs: puts the running jobs whose lease expired back in the queue
+const requeueExpiredJobs = async () => {
+  const result = await requeueInterruptedJobs(new Date());
+  if (result.success && result.count > 0) log.info('Requeued interrupted jobs', { jobs: result.count });
+  return result;
+};
+
+/*
+Heartbeat: renews the leases of the jobs this process runs or could not save the end of, saves those ends again,
+then requeues the jobs of stopped processes
+*/
+const heartbeat = async () => {
+  try {
+    if (running.size > 0 || unsavedEndings.size > 0) await renewJobLeases(WORKER_ID, leaseUntil());
+    await Promise.all([...unsavedEndings].map(([jobId, fields]) => finishJob(jobId, fields)));
+    const result = await requeueExpiredJobs();
+    if (result.success && result.count > 0) schedule();
+  } catch (error) {
+    log.error('Job Heartbeat Error', { error });
+  }
+};
+
+/*
+startJobWorkers:
+puts the jobs interrupted by the last shutdown (their lease expired) back in the queue, starts the workers and
+the heartbeat and removes expired jobs every PURGE_INTERVAL_MS, the timers do not keep the process alive
+*/
+export const startJobWorkers = () => {
+  if (workersStarted) return;
+  workersStarted = true;
+  requeueExpiredJobs()
+    .catch(error => log.error('Requeue Jobs Error', { error }))
+    .finally(schedule);
+
+  const { pollIntervalMs, leaseMs } = getJobConfig();
+  setInterval(schedule, pollIntervalMs).unref();
+  setInterval(heartbeat, Math.floor(leaseMs / 3)).unref();
+  const purge = () => purgeExpiredJobs(new Date())
+    .then((result) => {
+      if (result.success && result.count > 0) log.info('Removed expired jobs', { jobs: result.count });
+    })
+    .catch(error => log.error('Job Cleanup Error', { error }));
+  setInterval(purge, PURGE_INTERVAL_MS).unref();
+};
@@ -0,0 +1,46 @@
+/*
+Server Logger:
+structured logs, one JSON object per line: stdout for debug and info, stderr for warn and error.
+{ "time": "2026-01-31T12:00:00.000Z", "level": "info", "msg": "Request completed", "requestId": "...", ...fields }
+
+LOG_LEVEL = debug | info (default) | warn | error | silent
+Every entry passes through redact() (redact.js, the same rules as the client logger),
+so passwords, tokens, secrets and keys never reach the log, whatever field they are in.
+Errors are logged with their stack: logger.error('Login Error', { error }).
+
+Request correlation: server.js runs every request inside runWithRequestContext({ requestId }),
+each entry written while the request is handled (routes, database, providers) carries its requestId
+without passing it around (AsyncLocalStorage).
+*/
+
+import { AsyncLocalStorage } from 'async_hooks';
+import { redact } from './redact.js';
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40, silent: 100 };
+
+const requestContext = new AsyncLocalStorage();
+
+export const runWithRequestContext = (context, callback) => requestContext.run(context, callback);
+
+export const getRequestId = () => requestContext.getStore()?.requestId;
+
+// read on every entry, .env is loaded by database.js after this module
+const minimumLevel = () => LEVELS[(process.env.LOG_LEVEL || 'info').toLowerCase()] ?? LEVELS.info;
+
+const write = (level, msg, fields) => {
+  if (LEVELS[level] < minimumLevel()) return;
+  const entry = redact({ time: new Date(), level, msg, requestId: getRequestId(), ...fields }, { includeStack: true });
+  const stream = LEVELS[level] >= LEVELS.warn ? process.stderr : process.stdout;
+  stream.write(`${JSON.stringify(entry)}\n`);
+};
+
+// CreateLogger: bindings are added to every entry, e.g. createLogger({ component: 'database' })
+export const createLogger = (bindings = {}) => ({
+  debug: (msg, fields) => write('debug', msg, { ...bindings, ...fields }),
+  info: (msg, fields) => write('info', msg, { ...bindings, ...fields }),
+  warn: (msg, fields) => write('warn', msg, { ...bindings, ...fields }),
+  error: (msg, fields) => write('error', msg, { ...bindings, ...fields }),
+  child: (childBindings) => createLogger({ ...bindings, ...childBindings }),
+});
+
+export const logger = createLogger();
@@ -0,0 +1,21 @@
+/*
+Console Transport:
+logs every message (recipient, subject and the plain text body) instead of sending it.
+The default in development, the links in account emails can be copied from the server log.
+Written with console.log on purpose: the structured logger (logger.js) would redact the tokens of those links.
+*/
+
+import crypto from 'crypto';
+
+const consoleTransport = {
+  name: 'console',
+
+  isConfigured: () => true,
+
+  send: async (message) => {
+    console.log(`📧 Mail to ${message.to}: ${message.subject}\n${message.text}`);
+    return { messageId: `<${crypto.randomUUID()}@console>` };
+  },
+};
+
+export default consoleTransport;
@@ -0,0 +1,35 @@
+/*
+File Transport:
+writes every message as an .eml file (open it with any mail client) instead of sending it,
+for local testing of the account emails without a mail server.
+
+Environment (.env):
+MAIL_OUTBOX_DIR = folder the messages are written to (default ./mail-outbox)
+*/
+
+import fs from 'fs/promises';
+import path from 'path';
+import nodemailer from 'nodemailer';
+import { logger } from '../logger.js';
+
+const streamTransporter = nodemailer.createTransport({ streamTransport: true, buffer: true, newline: 'unix' });
+
+const getOutboxDir = () => path.resolve(process.env.MAIL_OUTBOX_DIR || './mail-outbox');
+
+const fileTransport = {
+  name: 'file',
+
+  isConfigured: () => true,
+
+  send: async (message) => {
+    const info = await streamTransporter.sendMail(message);
+    const outboxDir = getOutboxDir();
+    await fs.mkdir(outboxDir, { recursive: true });
+    const fileName = `${Date.now()}-${String(message.to).replace(/[^\w.@-]/g, '_')}.eml`;
+    await fs.writeFile(path.join(outboxDir, fileName), info.message);
+    logger.info('Mail written to the outbox', { to: message.to, file: path.join(outboxDir, fileName) });
+    return { messageId: info.messageId };
+  },
+};
+
+export default fileTransport;
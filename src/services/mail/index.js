@@ -0,0 +1,37 @@
+/*
+Mailer:
+sends the account emails (password reset links) through a pluggable transport.
+every transport implements the same interface:
+  name
+  isConfigured() -> boolean (has the settings it needs)
+  send({ from, to, subject, text, html }) -> { messageId }
+
+MAIL_TRANSPORT picks the transport: smtp, file or console (default).
+MAIL_FROM is the sender address (default "TranslationHub <no-reply@translationhub.local>").
+*/
+
+import smtpTransport from './smtpTransport.js';
+import fileTransport from './fileTransport.js';
+import consoleTransport from './consoleTransport.js';
+
+const transports = new Map(
+  [smtpTransport, fileTransport, consoleTransport].map(transport => [transport.name, transport])
+);
+
+const getTransport = () => {
+  const name = (process.env.MAIL_TRANSPORT || 'console').toLowerCase();
+  const transport = transports.get(name);
+  if (!transport) throw new Error(`Unknown mail transport: ${name}`);
+  if (!transport.isConfigured()) throw new Error(`Mail transport is not configured: ${name}`);
+  return transport;
+};
+
+/*
+sendMail:
+to = recipient address, text = plain text body, html = optional HTML body
+throws when the transport is unknown, not configured or fails to send
+*/
+export const sendMail = async ({ to, subject, text, html }) => {
+  const from = process.env.MAIL_FROM || 'TranslationHub <no-reply@translationhub.local>';
+  return getTransport().send({ from, to, subject, text, html });
+};
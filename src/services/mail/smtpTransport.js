@@ -0,0 +1,38 @@
+/*
+SMTP Transport:
+sends mail through any SMTP server with nodemailer.
+
+Environment (.env):
+SMTP_HOST, SMTP_PORT (default 587) = the mail server
+SMTP_SECURE = true for implicit TLS (usually port 465), otherwise STARTTLS is used when offered
+SMTP_USER, SMTP_PASS = optional credentials
+*/
+
+import nodemailer from 'nodemailer';
+
+let transporter = null;
+
+const getTransporter = () => {
+  if (!transporter) {
+    transporter = nodemailer.createTransport({
+      host: process.env.SMTP_HOST,
+      port: parseInt(process.env.SMTP_PORT, 10) || 587,
+      secure: process.env.SMTP_SECURE === 'true',
+      auth: process.env.SMTP_USER ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS } : undefined,
+    });
+  }
+  return transporter;
+};
+
+const smtpTransport = {
+  name: 'smtp',
+
+  isConfigured: () => Boolean(process.env.SMTP_HOST),
+
+  send: async (message) => {
+    const info = await getTransporter().sendMail(message);
+    return { messageId: info.messageId };
+  },
+};
+
+export default smtpTransport;
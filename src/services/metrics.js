@@ -0,0 +1,70 @@
+/*
+Metrics Overview:
+Prometheus metrics of the backend, served at GET /metrics (text exposition format) for scraping.
+
+http_request_duration_seconds{method, route, status} = latency of every request, route as written in the
+  OpenAPI document (/api/translations/{translationId}), "unmatched" for paths outside it
+translations_total{provider, source_lang, target_lang, mode} = translations served,
+  mode = text (/api/translate) or file (documents of /api/files), source_lang = the detected language when the caller sent auto
+translation_cache_lookups_total{provider, result} = cache lookups, result = hit or miss,
+  hit rate = rate(translation_cache_lookups_total{result="hit"}) / rate(translation_cache_lookups_total)
+translation_provider_errors_total{provider, operation, status} = failed provider calls by HTTP status
+  (409 conflict and 429 rate limit of the provider, 502 when it cannot be reached)
+plus the default Node.js process metrics (memory, CPU, event loop lag) prefixed with translationhub_.
+Metrics are kept in memory, they start over when the server restarts.
+*/
+
+import client from 'prom-client';
+
+const registry = new client.Registry();
+client.collectDefaultMetrics({ register: registry, prefix: 'translationhub_' });
+
+const requestDuration = new client.Histogram({
+  name: 'http_request_duration_seconds',
+  help: 'Duration of HTTP requests in seconds',
+  labelNames: ['method', 'route', 'status'],
+  buckets: [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10],
+  registers: [registry],
+});
+
+const translationsTotal = new client.Counter({
+  name: 'translations_total',
+  help: 'Translations served, per language pair and mode',
+  labelNames: ['provider', 'source_lang', 'target_lang', 'mode'],
+  registers: [registry],
+});
+
+const cacheLookupsTotal = new client.Counter({
+  name: 'translation_cache_lookups_total',
+  help: 'Translation cache lookups, result = hit or miss',
+  labelNames: ['provider', 'result'],
+  registers: [registry],
+});
+
+const providerErrorsTotal = new client.Counter({
+  name: 'translation_provider_errors_total',
+  help: 'Failed translation provider calls by HTTP status',
+  labelNames: ['provider', 'operation', 'status'],
+  registers: [registry],
+});
+
+export const METRICS_CONTENT_TYPE = registry.contentType;
+
+export const renderMetrics = () => registry.metrics();
+
+// route = OpenAPI path of the request, unknown paths share one label so they cannot grow the series
+export const observeRequest = ({ method, route, status, durationSeconds }) => {
+  requestDuration.observe({ method, route: route || 'unmatched', status: String(status) }, durationSeconds);
+};
+
+export const countTranslation = ({ provider, sourceLang, targetLang, mode = 'text' }) => {
+  translationsTotal.inc({ provider, source_lang: sourceLang || 'auto', target_lang: targetLang, mode });
+};
+
+export const countCacheLookup = (provider, hit) => {
+  cacheLookupsTotal.inc({ provider, result: hit ? 'hit' : 'miss' });
+};
+
+export const countProviderError = (provider, operation, error) => {
+  providerErrorsTotal.inc({ provider, operation, status: String(error.status || 500) });
+};
@@ -0,0 +1,82 @@
+/*
+Migrate Command:
+npm run migrate status          lists every migration and whether it is applied, pending, changed or missing
+npm run migrate up [version]    applies the pending migrations (up to version)
+npm run migrate down [steps]    rolls back the last applied migration (or the last steps migrations)
+
+runs the migrations of DB_DRIVER (migrations/mssql, sqlite or postgres) with the DB_* settings of .env,
+the mock database (USE_MOCK_DB=true) needs no migrations.
+*/
+
+import { DB_DRIVER, getPool } from './database.js';
+import { createMssqlClient } from './storage/mssqlClient.js';
+import { loadMigrations, getMigrationStatus, migrateUp, migrateDown } from './migrations/index.js';
+
+const USAGE = 'Usage: npm run migrate <status | up [version] | down [steps]>';
+
+const parseCount = (value, label) => {
+  if (value === undefined) return undefined;
+  const count = Number(value);
+  if (!Number.isInteger(count) || count < 1) throw new Error(`${label} must be a positive whole number, got "${value}"`);
+  return count;
+};
+
+const printStatus = (status) => {
+  if (status.length === 0) {
+    console.log('No migrations found');
+    return;
+  }
+  status.forEach(({ version, name, state, appliedAt }) => {
+    const applied = appliedAt ? `  (applied ${new Date(appliedAt).toISOString()})` : '';
+    console.log(`${String(version).padStart(4, '0')}  ${state.padEnd(8)} ${name}${applied}`);
+  });
+};
+
+const run = async ([command, argument]) => {
+  if (!['status', 'up', 'down'].includes(command)) {
+    console.log(USAGE);
+    return command ? 1 : 0;
+  }
+  if (DB_DRIVER === 'mock') {
+    console.error('❌ The mock database needs no migrations, unset USE_MOCK_DB to migrate a SQL database');
+    return 1;
+  }
+
+  const migrations = loadMigrations(DB_DRIVER);
+  const client = DB_DRIVER === 'mssql' ? createMssqlClient(await getPool()) : await getPool();
+  console.log(`Migrating the ${DB_DRIVER} database`);
+
+  try {
+    return await runCommand(client, migrations, command, argument);
+  } finally {
+    await client.close();
+  }
+};
+
+const runCommand = async (client, migrations, command, argument) => {
+  if (command === 'status') {
+    printStatus(await getMigrationStatus(client, migrations));
+  } else if (command === 'up') {
+    const applied = await migrateUp(client, {
+      to: parseCount(argument, 'version'),
+      migrations,
+      onApplied: migration => console.log(`✅ Applied ${migration.fileName}`),
+    });
+    console.log(applied.length > 0 ? `${applied.length} migration(s) applied` : 'The database is up to date');
+  } else {
+    const reverted = await migrateDown(client, {
+      steps: parseCount(argument, 'steps'),
+      migrations,
+      onReverted: migration => console.log(`↩️ Rolled back ${migration.fileName}`),
+    });
+    console.log(reverted.length > 0 ? `${reverted.length} migration(s) rolled back` : 'No applied migrations to roll back');
+  }
+  return 0;
+};
+
+run(process.argv.slice(2))
+  .catch((error) => {
+    console.error('❌ Migration Error:', error.message);
+    return 1;
+  })
+  .then(exitCode => process.exit(exitCode));
@@ -0,0 +1,204 @@
+/*
+Schema Migrations:
+the schema of every SQL driver is built by the numbered scripts of its folder (mssql/, sqlite/, postgres/),
+applied in order and recorded in the SchemaMigrations table (version, name, checksum, applied_at, duration_ms).
+the folders keep the same versions, a schema change adds NNNN_name.sql to each of them.
+
+every script is NNNN_name.sql with two sections:
+  -- migrate:up     statements that apply the change
+  -- migrate:down   statements that undo it
+batches inside a section are separated by GO lines (SQL Server, CREATE PROCEDURE must start its own batch).
+a migration runs in one exclusive transaction of the driver's client (storage/index.js),
+either all of it is applied or nothing, and two migrate runs never apply the same version twice.
+
+the checksum (SHA-256 of the script) is stored when a migration is applied, an applied script that
+was edited afterwards is reported as changed and blocks up/down, add a new migration instead.
+*/
+
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import { fileURLToPath } from 'url';
+
+const MIGRATIONS_DIR = path.dirname(fileURLToPath(import.meta.url));
+const MIGRATION_FILE = /^(\d{4})_([\w-]+)\.sql$/;
+
+const MIGRATIONS_TABLE = {
+  mssql: `
+    IF OBJECT_ID('dbo.SchemaMigrations', 'U') IS NULL
+    CREATE TABLE dbo.SchemaMigrations (
+      version INT NOT NULL CONSTRAINT PK_SchemaMigrations PRIMARY KEY,
+      name NVARCHAR(200) NOT NULL,
+      checksum CHAR(64) NOT NULL,
+      applied_at DATETIME NOT NULL,
+      duration_ms INT NOT NULL
+    );
+  `,
+  sqlite: `
+    CREATE TABLE IF NOT EXISTS SchemaMigrations (
+      version INTEGER NOT NULL PRIMARY KEY,
+      name TEXT NOT NULL,
+      checksum TEXT NOT NULL,
+      applied_at TEXT NOT NULL,
+      duration_ms INTEGER NOT NULL
+    );
+  `,
+  postgres: `
+    CREATE TABLE IF NOT EXISTS SchemaMigrations (
+      version INTEGER NOT NULL PRIMARY KEY,
+      name VARCHAR(200) NOT NULL,
+      checksum CHAR(64) NOT NULL,
+      applied_at TIMESTAMPTZ NOT NULL,
+      duration_ms INTEGER NOT NULL
+    );
+  `,
+};
+
+// CRLF checkouts hash like LF ones
+const checksumOf = (text) => crypto.createHash('sha256').update(text.replace(/\r\n/g, '\n')).digest('hex');
+
+const splitBatches = (section) => section
+  .split(/^\s*GO\s*;?\s*$/im)
+  .map(batch => batch.trim())
+  .filter(Boolean);
+
+const parseMigration = (fileName, text) => {
+  const upMarker = text.search(/^--\s*migrate:up\s*$/m);
+  const downMarker = text.search(/^--\s*migrate:down\s*$/m);
+  if (upMarker === -1 || downMarker === -1 || downMarker < upMarker) {
+    throw new Error(`${fileName} needs a "-- migrate:up" section followed by a "-- migrate:down" section`);
+  }
+  const [, version, name] = fileName.match(MIGRATION_FILE);
+  return {
+    version: Number(version),
+    name,
+    fileName,
+    checksum: checksumOf(text),
+    up: splitBatches(text.slice(upMarker, downMarker).replace(/^--\s*migrate:up\s*$/m, '')),
+    down: splitBatches(text.slice(downMarker).replace(/^--\s*migrate:down\s*$/m, '')),
+  };
+};
+
+/*
+LoadMigrations:
+the scripts of the driver's folder sorted by version, throws on a duplicate version
+*/
+export const loadMigrations = (driver, dir = path.join(MIGRATIONS_DIR, driver)) => {
+  const migrations = fs.readdirSync(dir)
+    .filter(fileName => MIGRATION_FILE.test(fileName))
+    .sort()
+    .map(fileName => parseMigration(fileName, fs.readFileSync(path.join(dir, fileName), 'utf8')));
+  migrations.forEach((migration, index) => {
+    if (index > 0 && migrations[index - 1].version === migration.version) {
+      throw new Error(`Two migrations share version ${migration.version}: ${migrations[index - 1].fileName}, ${migration.fileName}`);
+    }
+  });
+  return migrations;
+};
+
+const ensureMigrationsTable = async (client) => {
+  await client.exec(MIGRATIONS_TABLE[client.driver]);
+};
+
+const getAppliedMigrations = async (client) => {
+  const result = await client.query('SELECT version, name, checksum, applied_at FROM SchemaMigrations ORDER BY version');
+  return result.rows;
+};
+
+/*
+GetMigrationStatus:
+one entry per known version, state = applied | pending | changed (applied script edited since) | missing (applied, script gone)
+*/
+export const getMigrationStatus = async (client, migrations = loadMigrations(client.driver)) => {
+  await ensureMigrationsTable(client);
+  const applied = new Map((await getAppliedMigrations(client)).map(row => [row.version, row]));
+  const entries = migrations.map((migration) => {
+    const row = applied.get(migration.version);
+    let state = 'pending';
+    if (row) state = row.checksum.trim() === migration.checksum ? 'applied' : 'changed';
+    return { version: migration.version, name: migration.name, state, appliedAt: row?.applied_at || null };
+  });
+  applied.forEach((row, version) => {
+    if (!migrations.some(migration => migration.version === version)) {
+      entries.push({ version, name: row.name, state: 'missing', appliedAt: row.applied_at });
+    }
+  });
+  return entries.sort((a, b) => a.version - b.version);
+};
+
+const assertUnchanged = (status) => {
+  const drifted = status.filter(entry => entry.state === 'changed' || entry.state === 'missing');
+  if (drifted.length > 0) {
+    throw new Error(
+      `Applied migrations no longer match their scripts: ${drifted.map(entry => `${entry.version} (${entry.state})`).join(', ')}`
+    );
+  }
+};
+
+// runs the batches of one migration and records it, skipped when another run got there first
+const runMigration = async (client, migration, direction) => {
+  try {
+    return await client.transaction(async (tx) => {
+      const recorded = await tx.query('SELECT version FROM SchemaMigrations WHERE version = ?', [migration.version]);
+      if ((direction === 'up') === (recorded.rows.length > 0)) return false;
+
+      const startedAt = Date.now();
+      for (const batch of migration[direction]) {
+        await tx.exec(batch);
+      }
+      if (direction === 'up') {
+        await tx.query(
+          'INSERT INTO SchemaMigrations (version, name, checksum, applied_at, duration_ms) VALUES (?, ?, ?, ?, ?)',
+          [migration.version, migration.name, migration.checksum, new Date(), Date.now() - startedAt]
+        );
+      } else {
+        await tx.query('DELETE FROM SchemaMigrations WHERE version = ?', [migration.version]);
+      }
+      return true;
+    }, { exclusive: true });
+  } catch (error) {
+    throw new Error(`Migration ${migration.fileName} (${direction}) failed: ${error.message}`);
+  }
+};
+
+/*
+MigrateUp:
+applies the pending migrations in order, up to and including `to` (default: all).
+returns the migrations that were applied
+*/
+export const migrateUp = async (client, { to = Infinity, migrations = loadMigrations(client.driver), onApplied } = {}) => {
+  const status = await getMigrationStatus(client, migrations);
+  assertUnchanged(status);
+  const pending = new Set(status.filter(entry => entry.state === 'pending').map(entry => entry.version));
+
+  const applied = [];
+  for (const migration of migrations) {
+    if (!pending.has(migration.version) || migration.version > to) continue;
+    if (await runMigration(client, migration, 'up')) {
+      applied.push(migration);
+      if (onApplied) onApplied(migration);
+    }
+  }
+  return applied;
+};
+
+/*
+MigrateDown:
+rolls back the last `steps` applied migrations (default 1), newest first.
+returns the migrations that were rolled back
+*/
+export const migrateDown = async (client, { steps = 1, migrations = loadMigrations(client.driver), onReverted } = {}) => {
+  const status = await getMigrationStatus(client, migrations);
+  assertUnchanged(status);
+  const appliedVersions = status.filter(entry => entry.state === 'applied').map(entry => entry.version).reverse();
+
+  const reverted = [];
+  for (const version of appliedVersions.slice(0, steps)) {
+    const migration = migrations.find(candidate => candidate.version === version);
+    if (await runMigration(client, migration, 'down')) {
+      reverted.push(migration);
+      if (onReverted) onReverted(migration);
+    }
+  }
+  return reverted;
+};
@@ -0,0 +1,85 @@
+/*
+Users & Sessions:
+the accounts and the signed-in sessions, with the stored procedures database.js calls
+(spRegisterUser, spLoginUser, spValidateSession, spUpdateUserPreferences).
+tables are only created when missing, so databases set up by hand before migrations existed can adopt them.
+*/
+
+-- migrate:up
+IF OBJECT_ID('dbo.Users', 'U') IS NULL
+CREATE TABLE dbo.Users (
+  id UNIQUEIDENTIFIER NOT NULL CONSTRAINT PK_Users PRIMARY KEY DEFAULT NEWID(),
+  email NVARCHAR(255) NOT NULL CONSTRAINT UQ_Users_Email UNIQUE,
+  password_hash NVARCHAR(255) NOT NULL,
+  default_from_lang NVARCHAR(20) NULL,
+  default_to_lang NVARCHAR(20) NULL,
+  created_at DATETIME NOT NULL CONSTRAINT DF_Users_CreatedAt DEFAULT GETUTCDATE()
+);
+GO
+
+IF OBJECT_ID('dbo.Sessions', 'U') IS NULL
+CREATE TABLE dbo.Sessions (
+  session_id UNIQUEIDENTIFIER NOT NULL CONSTRAINT PK_Sessions PRIMARY KEY,
+  user_id UNIQUEIDENTIFIER NOT NULL CONSTRAINT FK_Sessions_Users REFERENCES dbo.Users (id),
+  signed_session_id NVARCHAR(64) NOT NULL,
+  expires_at DATETIME NOT NULL,
+  created_at DATETIME NOT NULL CONSTRAINT DF_Sessions_CreatedAt DEFAULT GETUTCDATE()
+);
+GO
+
+IF NOT EXISTS (SELECT 1 FROM sys.indexes WHERE name = 'IX_Sessions_SignedSessionId')
+CREATE UNIQUE INDEX IX_Sessions_SignedSessionId ON dbo.Sessions (signed_session_id);
+GO
+
+CREATE OR ALTER PROCEDURE dbo.spRegisterUser
+  @Email NVARCHAR(255),
+  @PasswordHash NVARCHAR(255)
+AS
+BEGIN
+  INSERT INTO dbo.Users (id, email, password_hash, created_at)
+  VALUES (NEWID(), @Email, @PasswordHash, GETUTCDATE());
+END;
+GO
+
+CREATE OR ALTER PROCEDURE dbo.spLoginUser
+  @Email NVARCHAR(255)
+AS
+BEGIN
+  SET NOCOUNT ON;
+  SELECT id AS UserId, email, password_hash, default_from_lang, default_to_lang
+  FROM dbo.Users
+  WHERE email = @Email;
+END;
+GO
+
+CREATE OR ALTER PROCEDURE dbo.spValidateSession
+  @SignedSessionId NVARCHAR(64)
+AS
+BEGIN
+  SET NOCOUNT ON;
+  SELECT session_id, user_id, expires_at
+  FROM dbo.Sessions
+  WHERE signed_session_id = @SignedSessionId AND expires_at > GETUTCDATE();
+END;
+GO
+
+-- rowsAffected tells database.js whether the user exists, so NOCOUNT stays off
+CREATE OR ALTER PROCEDURE dbo.spUpdateUserPreferences
+  @UserId UNIQUEIDENTIFIER,
+  @DefaultFromLang NVARCHAR(20),
+  @DefaultToLang NVARCHAR(20)
+AS
+BEGIN
+  UPDATE dbo.Users
+  SET default_from_lang = @DefaultFromLang, default_to_lang = @DefaultToLang
+  WHERE id = @UserId;
+END;
+GO
+
+-- migrate:down
+DROP PROCEDURE IF EXISTS dbo.spUpdateUserPreferences;
+DROP PROCEDURE IF EXISTS dbo.spValidateSession;
+DROP PROCEDURE IF EXISTS dbo.spLoginUser;
+DROP PROCEDURE IF EXISTS dbo.spRegisterUser;
+DROP TABLE IF EXISTS dbo.Sessions;
+DROP TABLE IF EXISTS dbo.Users;
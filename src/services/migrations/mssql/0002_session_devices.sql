@@ -0,0 +1,25 @@
+/*
+Session Devices:
+"remember me" and the device details shown in the user's session list
+(SessionsPanel), plus the index for listing and revoking a user's sessions.
+*/
+
+-- migrate:up
+IF COL_LENGTH('dbo.Sessions', 'remember_me') IS NULL
+ALTER TABLE dbo.Sessions ADD remember_me BIT NOT NULL CONSTRAINT DF_Sessions_RememberMe DEFAULT 0;
+IF COL_LENGTH('dbo.Sessions', 'user_agent') IS NULL
+ALTER TABLE dbo.Sessions ADD user_agent NVARCHAR(256) NULL;
+IF COL_LENGTH('dbo.Sessions', 'ip_address') IS NULL
+ALTER TABLE dbo.Sessions ADD ip_address NVARCHAR(45) NULL;
+IF COL_LENGTH('dbo.Sessions', 'last_seen_at') IS NULL
+ALTER TABLE dbo.Sessions ADD last_seen_at DATETIME NOT NULL CONSTRAINT DF_Sessions_LastSeenAt DEFAULT GETUTCDATE();
+GO
+
+IF NOT EXISTS (SELECT 1 FROM sys.indexes WHERE name = 'IX_Sessions_UserId')
+CREATE INDEX IX_Sessions_UserId ON dbo.Sessions (user_id, expires_at);
+GO
+
+-- migrate:down
+DROP INDEX IF EXISTS IX_Sessions_UserId ON dbo.Sessions;
+ALTER TABLE dbo.Sessions DROP CONSTRAINT IF EXISTS DF_Sessions_RememberMe, DF_Sessions_LastSeenAt;
+ALTER TABLE dbo.Sessions DROP COLUMN IF EXISTS remember_me, user_agent, ip_address, last_seen_at;
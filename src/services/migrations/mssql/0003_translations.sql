@@ -0,0 +1,69 @@
+/*
+Translations:
+one table for every mode (text, voice, file, asl), see saveTranslation in database.js.
+the rows of the old per-mode tables (TextTranslations, VoiceTranslations) are copied over when they exist,
+columns those tables never had (is_favorite, deleted_at, updated_at) get their defaults.
+the old tables are left in place (deleteUserAccount still clears them), rolling back drops Translations only.
+*/
+
+-- migrate:up
+IF OBJECT_ID('dbo.Translations', 'U') IS NULL
+CREATE TABLE dbo.Translations (
+  id UNIQUEIDENTIFIER NOT NULL CONSTRAINT PK_Translations PRIMARY KEY DEFAULT NEWID(),
+  user_id UNIQUEIDENTIFIER NOT NULL CONSTRAINT FK_Translations_Users REFERENCES dbo.Users (id),
+  type NVARCHAR(10) NOT NULL CONSTRAINT CK_Translations_Type CHECK (type IN ('text', 'voice', 'file', 'asl')),
+  from_lang NVARCHAR(20) NOT NULL,
+  to_lang NVARCHAR(20) NOT NULL,
+  original_text NVARCHAR(MAX) NOT NULL,
+  translated_text NVARCHAR(MAX) NOT NULL,
+  source_meta NVARCHAR(MAX) NULL,
+  provider NVARCHAR(50) NULL,
+  is_favorite BIT NOT NULL CONSTRAINT DF_Translations_IsFavorite DEFAULT 0,
+  deleted_at DATETIME NULL,
+  created_at DATETIME NOT NULL CONSTRAINT DF_Translations_CreatedAt DEFAULT GETUTCDATE(),
+  updated_at DATETIME NOT NULL CONSTRAINT DF_Translations_UpdatedAt DEFAULT GETUTCDATE()
+);
+GO
+
+IF NOT EXISTS (SELECT 1 FROM sys.indexes WHERE name = 'IX_Translations_UserId_CreatedAt')
+CREATE INDEX IX_Translations_UserId_CreatedAt ON dbo.Translations (user_id, created_at DESC);
+GO
+
+DECLARE @Legacy TABLE (table_name SYSNAME, type NVARCHAR(10));
+INSERT INTO @Legacy VALUES ('TextTranslations', 'text'), ('VoiceTranslations', 'voice');
+
+DECLARE @TableName SYSNAME, @Type NVARCHAR(10), @Source NVARCHAR(300), @Copy NVARCHAR(MAX);
+DECLARE legacy_tables CURSOR LOCAL FAST_FORWARD FOR SELECT table_name, type FROM @Legacy;
+OPEN legacy_tables;
+FETCH NEXT FROM legacy_tables INTO @TableName, @Type;
+WHILE @@FETCH_STATUS = 0
+BEGIN
+  SET @Source = 'dbo.' + QUOTENAME(@TableName);
+  IF OBJECT_ID(@Source, 'U') IS NOT NULL
+  BEGIN
+    SET @Copy = N'
+      INSERT INTO dbo.Translations (id, user_id, type, from_lang, to_lang, original_text, translated_text,
+                                    source_meta, provider, is_favorite, deleted_at, created_at, updated_at)
+      SELECT NEWID(), legacy.user_id, @Type, legacy.from_lang, legacy.to_lang, legacy.original_text, legacy.translated_text,
+             NULL, NULL, '
+      + CASE WHEN COL_LENGTH(@Source, 'is_favorite') IS NULL THEN N'0' ELSE N'ISNULL(legacy.is_favorite, 0)' END + N', '
+      + CASE WHEN COL_LENGTH(@Source, 'deleted_at') IS NULL THEN N'NULL' ELSE N'legacy.deleted_at' END + N', '
+      + CASE WHEN COL_LENGTH(@Source, 'created_at') IS NULL THEN N'GETUTCDATE()' ELSE N'ISNULL(legacy.created_at, GETUTCDATE())' END + N', '
+      + CASE
+          WHEN COL_LENGTH(@Source, 'updated_at') IS NOT NULL THEN N'COALESCE(legacy.updated_at, legacy.created_at, GETUTCDATE())'
+          WHEN COL_LENGTH(@Source, 'created_at') IS NOT NULL THEN N'ISNULL(legacy.created_at, GETUTCDATE())'
+          ELSE N'GETUTCDATE()'
+        END + N'
+      FROM ' + @Source + N' AS legacy
+      WHERE legacy.user_id IN (SELECT id FROM dbo.Users)
+        AND legacy.original_text IS NOT NULL AND legacy.translated_text IS NOT NULL';
+    EXEC sp_executesql @Copy, N'@Type NVARCHAR(10)', @Type = @Type;
+  END;
+  FETCH NEXT FROM legacy_tables INTO @TableName, @Type;
+END;
+CLOSE legacy_tables;
+DEALLOCATE legacy_tables;
+GO
+
+-- migrate:down
+DROP TABLE IF EXISTS dbo.Translations;
@@ -0,0 +1,71 @@
+/*
+Translation Cache, Glossary & Translation Memory:
+TranslationCache = exact-match cache shared by all users (translationCache.js), pruned by expiry and last hit
+Glossary = the users' terminology entries (glossary.js)
+TranslationMemory = units imported from TMX, XLIFF and CSV files (translationMemory.js), unique per user and unit hash
+*/
+
+-- migrate:up
+IF OBJECT_ID('dbo.TranslationCache', 'U') IS NULL
+CREATE TABLE dbo.TranslationCache (
+  cache_key NVARCHAR(64) NOT NULL CONSTRAINT PK_TranslationCache PRIMARY KEY,
+  provider NVARCHAR(50) NOT NULL,
+  from_lang NVARCHAR(20) NOT NULL,
+  to_lang NVARCHAR(20) NOT NULL,
+  source_text NVARCHAR(MAX) NOT NULL,
+  translated_text NVARCHAR(MAX) NOT NULL,
+  detected_source_lang NVARCHAR(20) NULL,
+  created_at DATETIME NOT NULL,
+  expires_at DATETIME NOT NULL,
+  hit_count INT NOT NULL CONSTRAINT DF_TranslationCache_HitCount DEFAULT 0,
+  last_hit_at DATETIME NOT NULL
+);
+GO
+
+IF NOT EXISTS (SELECT 1 FROM sys.indexes WHERE name = 'IX_TranslationCache_ExpiresAt')
+CREATE INDEX IX_TranslationCache_ExpiresAt ON dbo.TranslationCache (expires_at);
+IF NOT EXISTS (SELECT 1 FROM sys.indexes WHERE name = 'IX_TranslationCache_LastHitAt')
+CREATE INDEX IX_TranslationCache_LastHitAt ON dbo.TranslationCache (last_hit_at DESC);
+GO
+
+IF OBJECT_ID('dbo.Glossary', 'U') IS NULL
+CREATE TABLE dbo.Glossary (
+  id UNIQUEIDENTIFIER NOT NULL CONSTRAINT PK_Glossary PRIMARY KEY DEFAULT NEWID(),
+  user_id UNIQUEIDENTIFIER NOT NULL CONSTRAINT FK_Glossary_Users REFERENCES dbo.Users (id),
+  source_term NVARCHAR(200) NOT NULL,
+  target_term NVARCHAR(200) NOT NULL,
+  from_lang NVARCHAR(20) NOT NULL,
+  to_lang NVARCHAR(20) NOT NULL,
+  case_sensitive BIT NOT NULL CONSTRAINT DF_Glossary_CaseSensitive DEFAULT 0,
+  created_at DATETIME NOT NULL CONSTRAINT DF_Glossary_CreatedAt DEFAULT GETUTCDATE(),
+  updated_at DATETIME NOT NULL CONSTRAINT DF_Glossary_UpdatedAt DEFAULT GETUTCDATE()
+);
+GO
+
+IF NOT EXISTS (SELECT 1 FROM sys.indexes WHERE name = 'IX_Glossary_UserId_Langs')
+CREATE INDEX IX_Glossary_UserId_Langs ON dbo.Glossary (user_id, from_lang, to_lang);
+GO
+
+IF OBJECT_ID('dbo.TranslationMemory', 'U') IS NULL
+CREATE TABLE dbo.TranslationMemory (
+  id UNIQUEIDENTIFIER NOT NULL CONSTRAINT PK_TranslationMemory PRIMARY KEY DEFAULT NEWID(),
+  user_id UNIQUEIDENTIFIER NOT NULL CONSTRAINT FK_TranslationMemory_Users REFERENCES dbo.Users (id),
+  unit_hash CHAR(64) NOT NULL,
+  source_lang NVARCHAR(35) NOT NULL,
+  target_lang NVARCHAR(35) NOT NULL,
+  source_text NVARCHAR(MAX) NOT NULL,
+  target_text NVARCHAR(MAX) NOT NULL,
+  origin NVARCHAR(260) NULL,
+  created_at DATETIME NOT NULL CONSTRAINT DF_TranslationMemory_CreatedAt DEFAULT GETUTCDATE(),
+  CONSTRAINT UQ_TranslationMemory_UserId_UnitHash UNIQUE (user_id, unit_hash)
+);
+GO
+
+IF NOT EXISTS (SELECT 1 FROM sys.indexes WHERE name = 'IX_TranslationMemory_UserId_Langs')
+CREATE INDEX IX_TranslationMemory_UserId_Langs ON dbo.TranslationMemory (user_id, source_lang, target_lang);
+GO
+
+-- migrate:down
+DROP TABLE IF EXISTS dbo.TranslationMemory;
+DROP TABLE IF EXISTS dbo.Glossary;
+DROP TABLE IF EXISTS dbo.TranslationCache;
@@ -0,0 +1,33 @@
+/*
+Account Security:
+PasswordResetTokens = single-use reset tokens, only their SHA-256 is stored (passwordReset.js)
+Users.email_verified_at = set once the verification link is opened (emailVerification.js),
+accounts that existed before verification was introduced are backfilled as verified
+Users.pending_email = the new address of an email change until its link is opened
+*/
+
+-- migrate:up
+IF OBJECT_ID('dbo.PasswordResetTokens', 'U') IS NULL
+CREATE TABLE dbo.PasswordResetTokens (
+  id UNIQUEIDENTIFIER NOT NULL CONSTRAINT PK_PasswordResetTokens PRIMARY KEY DEFAULT NEWID(),
+  user_id UNIQUEIDENTIFIER NOT NULL CONSTRAINT FK_PasswordResetTokens_Users REFERENCES dbo.Users (id),
+  token_hash NVARCHAR(64) NOT NULL CONSTRAINT UQ_PasswordResetTokens_TokenHash UNIQUE,
+  expires_at DATETIME NOT NULL,
+  used_at DATETIME NULL,
+  created_at DATETIME NOT NULL CONSTRAINT DF_PasswordResetTokens_CreatedAt DEFAULT GETUTCDATE()
+);
+GO
+
+IF COL_LENGTH('dbo.Users', 'email_verified_at') IS NULL
+BEGIN
+  ALTER TABLE dbo.Users ADD email_verified_at DATETIME NULL;
+  -- the new column is not visible to this batch yet, the backfill runs as its own statement
+  EXEC sp_executesql N'UPDATE dbo.Users SET email_verified_at = GETUTCDATE() WHERE email_verified_at IS NULL';
+END;
+IF COL_LENGTH('dbo.Users', 'pending_email') IS NULL
+ALTER TABLE dbo.Users ADD pending_email NVARCHAR(255) NULL;
+GO
+
+-- migrate:down
+ALTER TABLE dbo.Users DROP COLUMN IF EXISTS email_verified_at, pending_email;
+DROP TABLE IF EXISTS dbo.PasswordResetTokens;
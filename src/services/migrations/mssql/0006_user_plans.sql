@@ -0,0 +1,13 @@
+/*
+User Plans:
+Users.[plan] picks the quota plan of the account (quota.js), every account starts on free.
+*/
+
+-- migrate:up
+IF COL_LENGTH('dbo.Users', 'plan') IS NULL
+ALTER TABLE dbo.Users ADD [plan] NVARCHAR(20) NOT NULL CONSTRAINT DF_Users_Plan DEFAULT 'free';
+GO
+
+-- migrate:down
+ALTER TABLE dbo.Users DROP CONSTRAINT IF EXISTS DF_Users_Plan;
+ALTER TABLE dbo.Users DROP COLUMN IF EXISTS [plan];
@@ -0,0 +1,40 @@
+/*
+Translated Files:
+TranslatedFiles = documents uploaded to POST /api/files (documentTranslation.js), owned by a user (user_id)
+or by a guest device (guest_key = SHA-256 of the device token). The uploaded and translated files themselves
+are kept on disk (FILE_STORAGE_DIR) and removed together with the row once expires_at has passed.
+*/
+
+-- migrate:up
+IF OBJECT_ID('dbo.TranslatedFiles', 'U') IS NULL
+CREATE TABLE dbo.TranslatedFiles (
+  id UNIQUEIDENTIFIER NOT NULL CONSTRAINT PK_TranslatedFiles PRIMARY KEY DEFAULT NEWID(),
+  user_id UNIQUEIDENTIFIER NULL CONSTRAINT FK_TranslatedFiles_Users REFERENCES dbo.Users (id),
+  guest_key CHAR(64) NULL,
+  original_name NVARCHAR(260) NOT NULL,
+  mime_type NVARCHAR(100) NOT NULL,
+  format NVARCHAR(10) NOT NULL,
+  size_bytes BIGINT NOT NULL,
+  status NVARCHAR(20) NOT NULL CONSTRAINT DF_TranslatedFiles_Status DEFAULT 'processing',
+  from_lang NVARCHAR(20) NULL,
+  to_lang NVARCHAR(20) NOT NULL,
+  provider NVARCHAR(50) NULL,
+  page_count INT NULL,
+  character_count INT NULL,
+  output_name NVARCHAR(260) NULL,
+  output_mime NVARCHAR(100) NULL,
+  error NVARCHAR(500) NULL,
+  created_at DATETIME NOT NULL CONSTRAINT DF_TranslatedFiles_CreatedAt DEFAULT GETUTCDATE(),
+  completed_at DATETIME NULL,
+  expires_at DATETIME NOT NULL
+);
+GO
+
+IF NOT EXISTS (SELECT 1 FROM sys.indexes WHERE name = 'IX_TranslatedFiles_UserId_CreatedAt')
+CREATE INDEX IX_TranslatedFiles_UserId_CreatedAt ON dbo.TranslatedFiles (user_id, created_at DESC);
+IF NOT EXISTS (SELECT 1 FROM sys.indexes WHERE name = 'IX_TranslatedFiles_ExpiresAt')
+CREATE INDEX IX_TranslatedFiles_ExpiresAt ON dbo.TranslatedFiles (expires_at);
+GO
+
+-- migrate:down
+DROP TABLE IF EXISTS dbo.TranslatedFiles;
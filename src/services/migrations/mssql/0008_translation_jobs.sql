@@ -0,0 +1,42 @@
+/*
+Translation Jobs:
+TranslationJobs = the background jobs of jobQueue.js (a document translation of POST /api/files), owned like
+TranslatedFiles by a user (user_id) or a guest device (guest_key). The queue lives in this table, so queued jobs
+and jobs that were running when the server stopped are picked up again after a restart.
+file_id = the translated file of a file job, payload = the input of the job as JSON.
+*/
+
+-- migrate:up
+IF OBJECT_ID('dbo.TranslationJobs', 'U') IS NULL
+CREATE TABLE dbo.TranslationJobs (
+  id UNIQUEIDENTIFIER NOT NULL CONSTRAINT PK_TranslationJobs PRIMARY KEY DEFAULT NEWID(),
+  type NVARCHAR(30) NOT NULL,
+  user_id UNIQUEIDENTIFIER NULL CONSTRAINT FK_TranslationJobs_Users REFERENCES dbo.Users (id),
+  guest_key CHAR(64) NULL,
+  file_id UNIQUEIDENTIFIER NULL,
+  payload NVARCHAR(MAX) NULL,
+  status NVARCHAR(20) NOT NULL CONSTRAINT DF_TranslationJobs_Status DEFAULT 'queued',
+  progress_done INT NOT NULL CONSTRAINT DF_TranslationJobs_ProgressDone DEFAULT 0,
+  progress_total INT NULL,
+  attempts INT NOT NULL CONSTRAINT DF_TranslationJobs_Attempts DEFAULT 0,
+  error NVARCHAR(500) NULL,
+  created_at DATETIME NOT NULL CONSTRAINT DF_TranslationJobs_CreatedAt DEFAULT GETUTCDATE(),
+  started_at DATETIME NULL,
+  finished_at DATETIME NULL,
+  updated_at DATETIME NOT NULL CONSTRAINT DF_TranslationJobs_UpdatedAt DEFAULT GETUTCDATE(),
+  expires_at DATETIME NOT NULL
+);
+GO
+
+IF NOT EXISTS (SELECT 1 FROM sys.indexes WHERE name = 'IX_TranslationJobs_Status_CreatedAt')
+CREATE INDEX IX_TranslationJobs_Status_CreatedAt ON dbo.TranslationJobs (status, created_at);
+IF NOT EXISTS (SELECT 1 FROM sys.indexes WHERE name = 'IX_TranslationJobs_UserId_CreatedAt')
+CREATE INDEX IX_TranslationJobs_UserId_CreatedAt ON dbo.TranslationJobs (user_id, created_at DESC);
+IF NOT EXISTS (SELECT 1 FROM sys.indexes WHERE name = 'IX_TranslationJobs_FileId')
+CREATE INDEX IX_TranslationJobs_FileId ON dbo.TranslationJobs (file_id);
+IF NOT EXISTS (SELECT 1 FROM sys.indexes WHERE name = 'IX_TranslationJobs_ExpiresAt')
+CREATE INDEX IX_TranslationJobs_ExpiresAt ON dbo.TranslationJobs (expires_at);
+GO
+
+-- migrate:down
+DROP TABLE IF EXISTS dbo.TranslationJobs;
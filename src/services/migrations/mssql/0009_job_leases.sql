@@ -0,0 +1,19 @@
+/*
+Job Leases:
+a running job is leased by the worker that claimed it (lease_owner = the worker id of jobQueue.js) until
+lease_expires_at, the worker renews the lease while it runs the job (heartbeat). Only jobs whose lease
+expired, their worker stopped or hangs, are put back in the queue, so several server processes can share the queue.
+*/
+
+-- migrate:up
+IF COL_LENGTH('dbo.TranslationJobs', 'lease_owner') IS NULL
+ALTER TABLE dbo.TranslationJobs ADD lease_owner NVARCHAR(100) NULL, lease_expires_at DATETIME NULL;
+GO
+
+IF NOT EXISTS (SELECT 1 FROM sys.indexes WHERE name = 'IX_TranslationJobs_Status_LeaseExpiresAt')
+CREATE INDEX IX_TranslationJobs_Status_LeaseExpiresAt ON dbo.TranslationJobs (status, lease_expires_at);
+GO
+
+-- migrate:down
+DROP INDEX IF EXISTS IX_TranslationJobs_Status_LeaseExpiresAt ON dbo.TranslationJobs;
+ALTER TABLE dbo.TranslationJobs DROP COLUMN IF EXISTS lease_owner, lease_expires_at;
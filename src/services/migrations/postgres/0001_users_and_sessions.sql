@@ -0,0 +1,28 @@
+/*
+Users & Sessions (PostgreSQL):
+unquoted names, so Users is stored as users like every other table.
+*/
+
+-- migrate:up
+CREATE TABLE Users (
+  id UUID NOT NULL PRIMARY KEY,
+  email VARCHAR(255) NOT NULL CONSTRAINT UQ_Users_Email UNIQUE,
+  password_hash VARCHAR(255) NOT NULL,
+  default_from_lang VARCHAR(20) NULL,
+  default_to_lang VARCHAR(20) NULL,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE TABLE Sessions (
+  session_id UUID NOT NULL PRIMARY KEY,
+  user_id UUID NOT NULL REFERENCES Users (id),
+  signed_session_id VARCHAR(64) NOT NULL,
+  expires_at TIMESTAMPTZ NOT NULL,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE UNIQUE INDEX IX_Sessions_SignedSessionId ON Sessions (signed_session_id);
+
+-- migrate:down
+DROP TABLE Sessions;
+DROP TABLE Users;
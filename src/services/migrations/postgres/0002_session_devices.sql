@@ -0,0 +1,21 @@
+/*
+Session Devices (PostgreSQL):
+"remember me" and the device details shown in the user's session list (SessionsPanel).
+*/
+
+-- migrate:up
+ALTER TABLE Sessions
+  ADD COLUMN remember_me BOOLEAN NOT NULL DEFAULT FALSE,
+  ADD COLUMN user_agent VARCHAR(256) NULL,
+  ADD COLUMN ip_address VARCHAR(45) NULL,
+  ADD COLUMN last_seen_at TIMESTAMPTZ NOT NULL DEFAULT NOW();
+
+CREATE INDEX IX_Sessions_UserId ON Sessions (user_id, expires_at);
+
+-- migrate:down
+DROP INDEX IX_Sessions_UserId;
+ALTER TABLE Sessions
+  DROP COLUMN last_seen_at,
+  DROP COLUMN ip_address,
+  DROP COLUMN user_agent,
+  DROP COLUMN remember_me;
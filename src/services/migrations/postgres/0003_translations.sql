@@ -0,0 +1,26 @@
+/*
+Translations (PostgreSQL):
+one table for every mode (text, voice, file, asl), source_meta is JSON text (parsed by toTranslationDto).
+*/
+
+-- migrate:up
+CREATE TABLE Translations (
+  id UUID NOT NULL PRIMARY KEY,
+  user_id UUID NOT NULL REFERENCES Users (id),
+  type VARCHAR(10) NOT NULL CONSTRAINT CK_Translations_Type CHECK (type IN ('text', 'voice', 'file', 'asl')),
+  from_lang VARCHAR(20) NOT NULL,
+  to_lang VARCHAR(20) NOT NULL,
+  original_text TEXT NOT NULL,
+  translated_text TEXT NOT NULL,
+  source_meta TEXT NULL,
+  provider VARCHAR(50) NULL,
+  is_favorite BOOLEAN NOT NULL DEFAULT FALSE,
+  deleted_at TIMESTAMPTZ NULL,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IX_Translations_UserId_CreatedAt ON Translations (user_id, created_at DESC);
+
+-- migrate:down
+DROP TABLE Translations;
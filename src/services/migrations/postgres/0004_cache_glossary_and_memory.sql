@@ -0,0 +1,56 @@
+/*
+Translation Cache, Glossary & Translation Memory (PostgreSQL):
+same tables as migrations/mssql/0004_cache_glossary_and_memory.sql
+*/
+
+-- migrate:up
+CREATE TABLE TranslationCache (
+  cache_key VARCHAR(64) NOT NULL PRIMARY KEY,
+  provider VARCHAR(50) NOT NULL,
+  from_lang VARCHAR(20) NOT NULL,
+  to_lang VARCHAR(20) NOT NULL,
+  source_text TEXT NOT NULL,
+  translated_text TEXT NOT NULL,
+  detected_source_lang VARCHAR(20) NULL,
+  created_at TIMESTAMPTZ NOT NULL,
+  expires_at TIMESTAMPTZ NOT NULL,
+  hit_count INTEGER NOT NULL DEFAULT 0,
+  last_hit_at TIMESTAMPTZ NOT NULL
+);
+
+CREATE INDEX IX_TranslationCache_ExpiresAt ON TranslationCache (expires_at);
+CREATE INDEX IX_TranslationCache_LastHitAt ON TranslationCache (last_hit_at DESC);
+
+CREATE TABLE Glossary (
+  id UUID NOT NULL PRIMARY KEY,
+  user_id UUID NOT NULL REFERENCES Users (id),
+  source_term VARCHAR(200) NOT NULL,
+  target_term VARCHAR(200) NOT NULL,
+  from_lang VARCHAR(20) NOT NULL,
+  to_lang VARCHAR(20) NOT NULL,
+  case_sensitive BOOLEAN NOT NULL DEFAULT FALSE,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IX_Glossary_UserId_Langs ON Glossary (user_id, from_lang, to_lang);
+
+CREATE TABLE TranslationMemory (
+  id UUID NOT NULL PRIMARY KEY,
+  user_id UUID NOT NULL REFERENCES Users (id),
+  unit_hash CHAR(64) NOT NULL,
+  source_lang VARCHAR(35) NOT NULL,
+  target_lang VARCHAR(35) NOT NULL,
+  source_text TEXT NOT NULL,
+  target_text TEXT NOT NULL,
+  origin VARCHAR(260) NULL,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  CONSTRAINT UQ_TranslationMemory_UserId_UnitHash UNIQUE (user_id, unit_hash)
+);
+
+CREATE INDEX IX_TranslationMemory_UserId_Langs ON TranslationMemory (user_id, source_lang, target_lang);
+
+-- migrate:down
+DROP TABLE TranslationMemory;
+DROP TABLE Glossary;
+DROP TABLE TranslationCache;
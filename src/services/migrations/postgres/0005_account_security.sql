@@ -0,0 +1,26 @@
+/*
+Account Security (PostgreSQL):
+password reset tokens (SHA-256 only), email verification and pending email changes,
+existing accounts are backfilled as verified like on SQL Server.
+*/
+
+-- migrate:up
+CREATE TABLE PasswordResetTokens (
+  id UUID NOT NULL PRIMARY KEY,
+  user_id UUID NOT NULL REFERENCES Users (id),
+  token_hash VARCHAR(64) NOT NULL CONSTRAINT UQ_PasswordResetTokens_TokenHash UNIQUE,
+  expires_at TIMESTAMPTZ NOT NULL,
+  used_at TIMESTAMPTZ NULL,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+ALTER TABLE Users
+  ADD COLUMN email_verified_at TIMESTAMPTZ NULL,
+  ADD COLUMN pending_email VARCHAR(255) NULL;
+UPDATE Users SET email_verified_at = NOW();
+
+-- migrate:down
+ALTER TABLE Users
+  DROP COLUMN pending_email,
+  DROP COLUMN email_verified_at;
+DROP TABLE PasswordResetTokens;
@@ -0,0 +1,10 @@
+/*
+User Plans (PostgreSQL):
+Users.plan picks the quota plan of the account (quota.js), every account starts on free.
+*/
+
+-- migrate:up
+ALTER TABLE Users ADD COLUMN plan VARCHAR(20) NOT NULL DEFAULT 'free';
+
+-- migrate:down
+ALTER TABLE Users DROP COLUMN plan;
@@ -0,0 +1,33 @@
+/*
+Translated Files (PostgreSQL):
+same table as migrations/mssql/0007_translated_files.sql
+*/
+
+-- migrate:up
+CREATE TABLE TranslatedFiles (
+  id UUID NOT NULL PRIMARY KEY,
+  user_id UUID NULL REFERENCES Users (id),
+  guest_key CHAR(64) NULL,
+  original_name VARCHAR(260) NOT NULL,
+  mime_type VARCHAR(100) NOT NULL,
+  format VARCHAR(10) NOT NULL,
+  size_bytes BIGINT NOT NULL,
+  status VARCHAR(20) NOT NULL DEFAULT 'processing',
+  from_lang VARCHAR(20) NULL,
+  to_lang VARCHAR(20) NOT NULL,
+  provider VARCHAR(50) NULL,
+  page_count INTEGER NULL,
+  character_count INTEGER NULL,
+  output_name VARCHAR(260) NULL,
+  output_mime VARCHAR(100) NULL,
+  error VARCHAR(500) NULL,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  completed_at TIMESTAMPTZ NULL,
+  expires_at TIMESTAMPTZ NOT NULL
+);
+
+CREATE INDEX IX_TranslatedFiles_UserId_CreatedAt ON TranslatedFiles (user_id, created_at DESC);
+CREATE INDEX IX_TranslatedFiles_ExpiresAt ON TranslatedFiles (expires_at);
+
+-- migrate:down
+DROP TABLE TranslatedFiles;
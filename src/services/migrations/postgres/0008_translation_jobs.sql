@@ -0,0 +1,32 @@
+/*
+Translation Jobs (PostgreSQL):
+same table as migrations/mssql/0008_translation_jobs.sql
+*/
+
+-- migrate:up
+CREATE TABLE TranslationJobs (
+  id UUID NOT NULL PRIMARY KEY,
+  type VARCHAR(30) NOT NULL,
+  user_id UUID NULL REFERENCES Users (id),
+  guest_key CHAR(64) NULL,
+  file_id UUID NULL,
+  payload TEXT NULL,
+  status VARCHAR(20) NOT NULL DEFAULT 'queued',
+  progress_done INTEGER NOT NULL DEFAULT 0,
+  progress_total INTEGER NULL,
+  attempts INTEGER NOT NULL DEFAULT 0,
+  error VARCHAR(500) NULL,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  started_at TIMESTAMPTZ NULL,
+  finished_at TIMESTAMPTZ NULL,
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  expires_at TIMESTAMPTZ NOT NULL
+);
+
+CREATE INDEX IX_TranslationJobs_Status_CreatedAt ON TranslationJobs (status, created_at);
+CREATE INDEX IX_TranslationJobs_UserId_CreatedAt ON TranslationJobs (user_id, created_at DESC);
+CREATE INDEX IX_TranslationJobs_FileId ON TranslationJobs (file_id);
+CREATE INDEX IX_TranslationJobs_ExpiresAt ON TranslationJobs (expires_at);
+
+-- migrate:down
+DROP TABLE TranslationJobs;
@@ -0,0 +1,15 @@
+/*
+Job Leases (PostgreSQL):
+same columns as migrations/mssql/0009_job_leases.sql
+*/
+
+-- migrate:up
+ALTER TABLE TranslationJobs ADD COLUMN lease_owner VARCHAR(100) NULL;
+ALTER TABLE TranslationJobs ADD COLUMN lease_expires_at TIMESTAMPTZ NULL;
+
+CREATE INDEX IX_TranslationJobs_Status_LeaseExpiresAt ON TranslationJobs (status, lease_expires_at);
+
+-- migrate:down
+DROP INDEX IX_TranslationJobs_Status_LeaseExpiresAt;
+ALTER TABLE TranslationJobs DROP COLUMN lease_expires_at;
+ALTER TABLE TranslationJobs DROP COLUMN lease_owner;
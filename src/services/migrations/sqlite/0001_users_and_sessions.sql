@@ -0,0 +1,28 @@
+/*
+Users & Sessions (SQLite):
+ids are UUID text, booleans 0/1, times ISO-8601 text (UTC), see storage/sqliteClient.js.
+*/
+
+-- migrate:up
+CREATE TABLE Users (
+  id TEXT NOT NULL PRIMARY KEY,
+  email TEXT NOT NULL UNIQUE,
+  password_hash TEXT NOT NULL,
+  default_from_lang TEXT NULL,
+  default_to_lang TEXT NULL,
+  created_at TEXT NOT NULL
+);
+
+CREATE TABLE Sessions (
+  session_id TEXT NOT NULL PRIMARY KEY,
+  user_id TEXT NOT NULL REFERENCES Users (id),
+  signed_session_id TEXT NOT NULL,
+  expires_at TEXT NOT NULL,
+  created_at TEXT NOT NULL
+);
+
+CREATE UNIQUE INDEX IX_Sessions_SignedSessionId ON Sessions (signed_session_id);
+
+-- migrate:down
+DROP TABLE Sessions;
+DROP TABLE Users;
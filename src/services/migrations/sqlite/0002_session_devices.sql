@@ -0,0 +1,19 @@
+/*
+Session Devices (SQLite):
+"remember me" and the device details shown in the user's session list (SessionsPanel).
+*/
+
+-- migrate:up
+ALTER TABLE Sessions ADD COLUMN remember_me INTEGER NOT NULL DEFAULT 0;
+ALTER TABLE Sessions ADD COLUMN user_agent TEXT NULL;
+ALTER TABLE Sessions ADD COLUMN ip_address TEXT NULL;
+ALTER TABLE Sessions ADD COLUMN last_seen_at TEXT NULL;
+
+CREATE INDEX IX_Sessions_UserId ON Sessions (user_id, expires_at);
+
+-- migrate:down
+DROP INDEX IX_Sessions_UserId;
+ALTER TABLE Sessions DROP COLUMN last_seen_at;
+ALTER TABLE Sessions DROP COLUMN ip_address;
+ALTER TABLE Sessions DROP COLUMN user_agent;
+ALTER TABLE Sessions DROP COLUMN remember_me;
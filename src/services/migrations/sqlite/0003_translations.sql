@@ -0,0 +1,26 @@
+/*
+Translations (SQLite):
+one table for every mode (text, voice, file, asl), source_meta is JSON text.
+*/
+
+-- migrate:up
+CREATE TABLE Translations (
+  id TEXT NOT NULL PRIMARY KEY,
+  user_id TEXT NOT NULL REFERENCES Users (id),
+  type TEXT NOT NULL CHECK (type IN ('text', 'voice', 'file', 'asl')),
+  from_lang TEXT NOT NULL,
+  to_lang TEXT NOT NULL,
+  original_text TEXT NOT NULL,
+  translated_text TEXT NOT NULL,
+  source_meta TEXT NULL,
+  provider TEXT NULL,
+  is_favorite INTEGER NOT NULL DEFAULT 0,
+  deleted_at TEXT NULL,
+  created_at TEXT NOT NULL,
+  updated_at TEXT NOT NULL
+);
+
+CREATE INDEX IX_Translations_UserId_CreatedAt ON Translations (user_id, created_at DESC);
+
+-- migrate:down
+DROP TABLE Translations;
@@ -0,0 +1,56 @@
+/*
+Translation Cache, Glossary & Translation Memory (SQLite):
+same tables as migrations/mssql/0004_cache_glossary_and_memory.sql
+*/
+
+-- migrate:up
+CREATE TABLE TranslationCache (
+  cache_key TEXT NOT NULL PRIMARY KEY,
+  provider TEXT NOT NULL,
+  from_lang TEXT NOT NULL,
+  to_lang TEXT NOT NULL,
+  source_text TEXT NOT NULL,
+  translated_text TEXT NOT NULL,
+  detected_source_lang TEXT NULL,
+  created_at TEXT NOT NULL,
+  expires_at TEXT NOT NULL,
+  hit_count INTEGER NOT NULL DEFAULT 0,
+  last_hit_at TEXT NOT NULL
+);
+
+CREATE INDEX IX_TranslationCache_ExpiresAt ON TranslationCache (expires_at);
+CREATE INDEX IX_TranslationCache_LastHitAt ON TranslationCache (last_hit_at DESC);
+
+CREATE TABLE Glossary (
+  id TEXT NOT NULL PRIMARY KEY,
+  user_id TEXT NOT NULL REFERENCES Users (id),
+  source_term TEXT NOT NULL,
+  target_term TEXT NOT NULL,
+  from_lang TEXT NOT NULL,
+  to_lang TEXT NOT NULL,
+  case_sensitive INTEGER NOT NULL DEFAULT 0,
+  created_at TEXT NOT NULL,
+  updated_at TEXT NOT NULL
+);
+
+CREATE INDEX IX_Glossary_UserId_Langs ON Glossary (user_id, from_lang, to_lang);
+
+CREATE TABLE TranslationMemory (
+  id TEXT NOT NULL PRIMARY KEY,
+  user_id TEXT NOT NULL REFERENCES Users (id),
+  unit_hash TEXT NOT NULL,
+  source_lang TEXT NOT NULL,
+  target_lang TEXT NOT NULL,
+  source_text TEXT NOT NULL,
+  target_text TEXT NOT NULL,
+  origin TEXT NULL,
+  created_at TEXT NOT NULL,
+  UNIQUE (user_id, unit_hash)
+);
+
+CREATE INDEX IX_TranslationMemory_UserId_Langs ON TranslationMemory (user_id, source_lang, target_lang);
+
+-- migrate:down
+DROP TABLE TranslationMemory;
+DROP TABLE Glossary;
+DROP TABLE TranslationCache;
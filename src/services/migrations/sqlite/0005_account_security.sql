@@ -0,0 +1,24 @@
+/*
+Account Security (SQLite):
+password reset tokens (SHA-256 only), email verification and pending email changes,
+existing accounts are backfilled as verified like on SQL Server.
+*/
+
+-- migrate:up
+CREATE TABLE PasswordResetTokens (
+  id TEXT NOT NULL PRIMARY KEY,
+  user_id TEXT NOT NULL REFERENCES Users (id),
+  token_hash TEXT NOT NULL UNIQUE,
+  expires_at TEXT NOT NULL,
+  used_at TEXT NULL,
+  created_at TEXT NOT NULL
+);
+
+ALTER TABLE Users ADD COLUMN email_verified_at TEXT NULL;
+ALTER TABLE Users ADD COLUMN pending_email TEXT NULL;
+UPDATE Users SET email_verified_at = strftime('%Y-%m-%dT%H:%M:%fZ', 'now');
+
+-- migrate:down
+ALTER TABLE Users DROP COLUMN pending_email;
+ALTER TABLE Users DROP COLUMN email_verified_at;
+DROP TABLE PasswordResetTokens;
@@ -0,0 +1,10 @@
+/*
+User Plans (SQLite):
+Users.plan picks the quota plan of the account (quota.js), every account starts on free.
+*/
+
+-- migrate:up
+ALTER TABLE Users ADD COLUMN plan TEXT NOT NULL DEFAULT 'free';
+
+-- migrate:down
+ALTER TABLE Users DROP COLUMN plan;
@@ -0,0 +1,33 @@
+/*
+Translated Files (SQLite):
+same table as migrations/mssql/0007_translated_files.sql
+*/
+
+-- migrate:up
+CREATE TABLE TranslatedFiles (
+  id TEXT NOT NULL PRIMARY KEY,
+  user_id TEXT NULL REFERENCES Users (id),
+  guest_key TEXT NULL,
+  original_name TEXT NOT NULL,
+  mime_type TEXT NOT NULL,
+  format TEXT NOT NULL,
+  size_bytes INTEGER NOT NULL,
+  status TEXT NOT NULL DEFAULT 'processing',
+  from_lang TEXT NULL,
+  to_lang TEXT NOT NULL,
+  provider TEXT NULL,
+  page_count INTEGER NULL,
+  character_count INTEGER NULL,
+  output_name TEXT NULL,
+  output_mime TEXT NULL,
+  error TEXT NULL,
+  created_at TEXT NOT NULL,
+  completed_at TEXT NULL,
+  expires_at TEXT NOT NULL
+);
+
+CREATE INDEX IX_TranslatedFiles_UserId_CreatedAt ON TranslatedFiles (user_id, created_at DESC);
+CREATE INDEX IX_TranslatedFiles_ExpiresAt ON TranslatedFiles (expires_at);
+
+-- migrate:down
+DROP TABLE TranslatedFiles;
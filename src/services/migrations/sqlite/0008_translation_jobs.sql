@@ -0,0 +1,32 @@
+/*
+Translation Jobs (SQLite):
+same table as migrations/mssql/0008_translation_jobs.sql
+*/
+
+-- migrate:up
+CREATE TABLE TranslationJobs (
+  id TEXT NOT NULL PRIMARY KEY,
+  type TEXT NOT NULL,
+  user_id TEXT NULL REFERENCES Users (id),
+  guest_key TEXT NULL,
+  file_id TEXT NULL,
+  payload TEXT NULL,
+  status TEXT NOT NULL DEFAULT 'queued',
+  progress_done INTEGER NOT NULL DEFAULT 0,
+  progress_total INTEGER NULL,
+  attempts INTEGER NOT NULL DEFAULT 0,
+  error TEXT NULL,
+  created_at TEXT NOT NULL,
+  started_at TEXT NULL,
+  finished_at TEXT NULL,
+  updated_at TEXT NOT NULL,
+  expires_at TEXT NOT NULL
+);
+
+CREATE INDEX IX_TranslationJobs_Status_CreatedAt ON TranslationJobs (status, created_at);
+CREATE INDEX IX_TranslationJobs_UserId_CreatedAt ON TranslationJobs (user_id, created_at DESC);
+CREATE INDEX IX_TranslationJobs_FileId ON TranslationJobs (file_id);
+CREATE INDEX IX_TranslationJobs_ExpiresAt ON TranslationJobs (expires_at);
+
+-- migrate:down
+DROP TABLE TranslationJobs;
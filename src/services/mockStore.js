@@ -0,0 +1,121 @@
+/*
+Mock Store Overview:
+keeps the tables of the mock database (USE_MOCK_DB=true) in one local JSON file,
+so users, sessions, preferences, history, glossaries... survive a server restart and the app runs without SQL Server.
+
+MOCK_DB_FILE sets the file (default mock-db.json in the project root), MOCK_DB_FILE=:memory: keeps everything
+in memory only (the old behaviour). Tables are Maps, adding or removing entries saves the file,
+in-place changes of an entry are saved with persist(), or with touch() when they are not worth a write of their own
+(counters updated by reads), those wait for the next save. Saves are batched (SAVE_DELAY_MS) and written
+atomically (temporary file + rename), pending changes are written when the process exits or is stopped
+(SIGINT, SIGTERM), which ends Node without an exit event.
+*/
+
+import fs from 'fs';
+import path from 'path';
+import { logger } from './logger.js';
+
+const SAVE_DELAY_MS = 100;
+const STORE_VERSION = 1;
+
+// createdAt, expires_at... are stored as ISO strings, read back as Dates
+const isDateKey = (key) => /(At|_at)$/.test(key);
+const reviveDates = (key, value) =>
+  (typeof value === 'string' && isDateKey(key) && !Number.isNaN(Date.parse(value)) ? new Date(value) : value);
+
+// a Map that reports every added or removed entry
+class PersistentMap extends Map {
+  constructor(entries, onChange) {
+    super(entries);
+    this.onChange = onChange;
+  }
+
+  set(key, value) {
+    super.set(key, value);
+    if (this.onChange) this.onChange();
+    return this;
+  }
+
+  delete(key) {
+    const deleted = super.delete(key);
+    if (deleted && this.onChange) this.onChange();
+    return deleted;
+  }
+
+  clear() {
+    super.clear();
+    if (this.onChange) this.onChange();
+  }
+}
+
+const readStoreFile = (filePath) => {
+  if (!fs.existsSync(filePath)) return {};
+  try {
+    const stored = JSON.parse(fs.readFileSync(filePath, 'utf8'), reviveDates);
+    return stored.version === STORE_VERSION ? stored.tables || {} : {};
+  } catch (error) {
+    logger.error('Mock database file could not be read, starting empty', { file: filePath, error });
+    return {};
+  }
+};
+
+/*
+CreateMockStore:
+filePath = the JSON file, null keeps the store in memory
+returns { table(name), persist(), touch(), flush() }, table() gives the same Map for the same name
+*/
+export const createMockStore = (filePath) => {
+  const storedTables = filePath ? readStoreFile(filePath) : {};
+  const tables = new Map();
+  let saveTimer = null;
+  let touched = false; // changes of touch() that no save has written yet
+
+  const flush = () => {
+    if (saveTimer) clearTimeout(saveTimer);
+    saveTimer = null;
+    touched = false;
+    if (!filePath) return;
+    const snapshot = { version: STORE_VERSION, savedAt: new Date(), tables: {} };
+    tables.forEach((table, name) => {
+      snapshot.tables[name] = Array.from(table.entries());
+    });
+    try {
+      fs.mkdirSync(path.dirname(filePath), { recursive: true });
+      const tempPath = `${filePath}.tmp`;
+      fs.writeFileSync(tempPath, JSON.stringify(snapshot));
+      fs.renameSync(tempPath, filePath);
+    } catch (error) {
+      logger.error('Mock database save error', { file: filePath, error });
+    }
+  };
+
+  const persist = () => {
+    if (!filePath || saveTimer) return;
+    saveTimer = setTimeout(flush, SAVE_DELAY_MS);
+    saveTimer.unref();
+  };
+
+  const touch = () => {
+    touched = true;
+  };
+
+  const table = (name) => {
+    if (!tables.has(name)) tables.set(name, new PersistentMap(storedTables[name] || [], persist));
+    return tables.get(name);
+  };
+
+  if (filePath) {
+    process.on('exit', () => {
+      if (saveTimer || touched) flush();
+    });
+    // once: the signal is sent again after the save, so Node stops the process as it would have
+    ['SIGINT', 'SIGTERM'].forEach((signal) => {
+      process.once(signal, () => {
+        if (saveTimer || touched) flush();
+        process.kill(process.pid, signal);
+      });
+    });
+  }
+
+  return { table, persist, touch, flush };
+};
@@ -0,0 +1,1200 @@
+/*
+OpenAPI Specification Overview:
+OPENAPI_DOCUMENT describes every endpoint of server.js (OpenAPI 3.0), it is served at GET /api/docs
+so the front end and scripts can generate clients from it.
+The same document drives the validation of every request (apiValidation.js): path, query, header
+parameters and JSON bodies are checked against the schemas below before a route runs,
+so the routes only keep the checks a schema cannot express.
+
+Conventions:
+every error answers with the ErrorResponse envelope { success: false, error, code?, details? }
+texts to translate or detect are limited to MAX_TRANSLATE_LENGTH characters, history records to MAX_RECORD_LENGTH,
+the whole JSON body by API_BODY_LIMIT (server.js)
+x-message on a schema replaces the generated validation message with a readable one
+(a whole message, or { keyword: text } appended to the field name)
+*/
+
+import { TRANSLATION_TYPES, FILE_STATUSES, JOB_STATUSES } from './dataContract.js';
+import { EMAIL_PATTERN, PASSWORD_PATTERN, PASSWORD_RULES } from './validation.js';
+
+export const MAX_TRANSLATE_LENGTH = 5000; // characters per /api/translate and /api/detect text, within the request limits of every provider
+export const MAX_RECORD_LENGTH = 100000; // characters per history text, a translated document is saved as one record
+
+const schemaRef = (name) => ({ $ref: `#/components/schemas/${name}` });
+const json = (schema) => ({ 'application/json': { schema } });
+const jsonBody = (schema) => ({ required: true, content: json(schema) });
+const response = (description, schema) => ({ description, content: json(schema) });
+const pathParam = (name, schema, description) => ({ name, in: 'path', required: true, schema, description });
+const queryParam = (name, schema, description) => ({ name, in: 'query', schema, description });
+const messageWith = (properties) => ({ allOf: [schemaRef('Message'), { type: 'object', properties }] }); // siblings of $ref are ignored in OpenAPI 3.0
+
+const ERROR_DESCRIPTIONS = {
+  400: 'Invalid request (code VALIDATION_ERROR lists the problems in details)',
+  401: 'Missing, invalid or expired session',
+  403: 'Forbidden',
+  404: 'Not found',
+  409: 'Conflict',
+  410: 'Gone',
+  413: 'Request body or file too large',
+  415: 'Unsupported file type (code UNSUPPORTED_FILE_TYPE)',
+  422: 'The file cannot be processed',
+  429: 'Quota or rate limit exceeded, see Retry-After',
+  500: 'Server error',
+  502: 'The translation provider failed (code PROVIDER_AUTH_FAILED when it refused the API key of the server)',
+  503: 'Not available, a required server setting is missing',
+};
+const errorResponses = (...statuses) =>
+  Object.fromEntries(statuses.map(status => [status, response(ERROR_DESCRIPTIONS[status], schemaRef('ErrorResponse'))]));
+
+// operation: every operation answers errors with the envelope, listed statuses are the expected ones
+const operation = ({ errors = [], responses, ...rest }) => ({
+  ...rest,
+  responses: { ...responses, ...errorResponses(...errors), default: response('Error', schemaRef('ErrorResponse')) },
+});
+
+const USER = [{ bearerAuth: [] }];
+const OPTIONAL_USER = [{}, { bearerAuth: [] }];
+const ADMIN = [{ adminKey: [] }];
+
+const UUID = { type: 'string', format: 'uuid' };
+const TRUE_FALSE = { type: 'string', enum: ['true', 'false'] };
+const TIMESTAMP = { type: 'string', format: 'date-time' };
+const DAY_OR_TIMESTAMP = { type: 'string', pattern: '^\\d{4}-\\d{2}-\\d{2}(T[0-9:.]+(Z|[+-]\\d{2}:\\d{2})?)?$', 'x-message': 'Dates must be ISO dates (YYYY-MM-DD or a full timestamp)' };
+// text with at least one character that is not whitespace
+const nonBlankText = (maxLength) => ({ type: 'string', pattern: '\\S', maxLength, 'x-message': { pattern: 'must not be blank' } });
+
+const deviceTokenHeader = {
+  name: 'X-Device-Token',
+  in: 'header',
+  schema: { type: 'string', maxLength: 200 },
+  description: 'Anonymous device token of guests, their quota is counted per device and IP',
+};
+const userIdQuery = queryParam('userId', UUID, 'Optional, must be your own user id');
+
+const historyParameters = [
+  userIdQuery,
+  queryParam('page', { type: 'integer', minimum: 1 }, 'Page number (offset paging), default 1'),
+  queryParam('pageSize', { type: 'integer', minimum: 1, maximum: 100 }, 'Items per page, default 20'),
+  queryParam('cursor', { type: 'string', maxLength: 500 }, 'nextCursor of the previous page (keyset paging)'),
+  queryParam('search', { type: 'string', maxLength: 200 }, 'Free text over original and translated text'),
+  queryParam('fromLang', schemaRef('LanguageCode')),
+  queryParam('toLang', schemaRef('LanguageCode')),
+  queryParam('dateFrom', DAY_OR_TIMESTAMP, 'Created on or after'),
+  queryParam('dateTo', DAY_OR_TIMESTAMP, 'Created before, a plain date includes that whole day'),
+  queryParam('type', { type: 'string', enum: [...TRANSLATION_TYPES, 'all'] }, 'Omit or all for every type'),
+  queryParam('favorite', TRUE_FALSE, 'true = favorites only'),
+  queryParam('trash', TRUE_FALSE, 'true = only items in the trash, hidden otherwise'),
+];
+
+const schemas = {
+  ErrorResponse: {
+    type: 'object',
+    required: ['success', 'error'],
+    properties: {
+      success: { type: 'boolean', enum: [false] },
+      error: { type: 'string', description: 'Readable message, safe to show to the user' },
+      code: { type: 'string', description: 'Machine readable reason, e.g. VALIDATION_ERROR, EMAIL_TAKEN, RATE_LIMITED' },
+      details: {
+        type: 'array',
+        description: 'Every problem found in the request (VALIDATION_ERROR)',
+        items: {
+          type: 'object',
+          required: ['in', 'field', 'message'],
+          properties: {
+            in: { type: 'string', enum: ['path', 'query', 'header', 'body'] },
+            field: { type: 'string' },
+            message: { type: 'string' },
+          },
+        },
+      },
+      retryAfter: { type: 'integer', description: 'Seconds to wait (429)' },
+      quota: schemaRef('Quota'),
+      requestId: { type: 'string', description: 'Id of the request in the server logs (SERVER_ERROR), also sent as X-Request-Id' },
+    },
+  },
+  Message: {
+    type: 'object',
+    required: ['success'],
+    properties: { success: { type: 'boolean' }, message: { type: 'string' } },
+  },
+  Email: { type: 'string', maxLength: 254, pattern: EMAIL_PATTERN.source, 'x-message': 'Invalid email format' },
+  Password: {
+    type: 'string',
+    maxLength: 128,
+    pattern: PASSWORD_PATTERN.source,
+    'x-message': PASSWORD_RULES,
+  },
+  CurrentPassword: { type: 'string', minLength: 1, maxLength: 1024 },
+  Token: { type: 'string', minLength: 1, maxLength: 2048 },
+  LanguageCode: { type: 'string', minLength: 1, maxLength: 20, pattern: '^[A-Za-z0-9_-]+$', example: 'en' },
+  ProviderName: { type: 'string', maxLength: 50, example: 'google' },
+  TranslationType: { type: 'string', enum: TRANSLATION_TYPES },
+  LoginUser: {
+    type: 'object',
+    required: ['id', 'email', 'session_id', 'signed_session_id', 'expires_at'],
+    properties: {
+      id: UUID,
+      email: { type: 'string' },
+      session_id: UUID,
+      signed_session_id: { type: 'string', description: 'Send as Authorization: Bearer <signed_session_id>' },
+      expires_at: TIMESTAMP,
+      remember_me: { type: 'boolean' },
+      default_from_lang: { type: 'string' },
+      default_to_lang: { type: 'string' },
+    },
+  },
+  CurrentSession: {
+    type: 'object',
+    required: ['id', 'expires_at'],
+    properties: { id: UUID, expires_at: TIMESTAMP, remember_me: { type: 'boolean' } },
+  },
+  Session: {
+    type: 'object',
+    required: ['id', 'remember_me', 'created_at', 'expires_at'],
+    properties: {
+      id: UUID,
+      user_agent: { type: 'string', nullable: true },
+      ip_address: { type: 'string', nullable: true },
+      remember_me: { type: 'boolean' },
+      created_at: TIMESTAMP,
+      last_seen_at: { ...TIMESTAMP, nullable: true },
+      expires_at: TIMESTAMP,
+      current: { type: 'boolean', description: 'The session making the request' },
+    },
+  },
+  Preferences: {
+    type: 'object',
+    required: ['default_from_lang', 'default_to_lang'],
+    properties: { default_from_lang: { type: 'string' }, default_to_lang: { type: 'string' } },
+  },
+  Quota: {
+    type: 'object',
+    required: ['plan', 'limits', 'remaining', 'resetsAt'],
+    properties: {
+      plan: { type: 'string', example: 'free' },
+      limits: schemaRef('QuotaLimits'),
+      remaining: schemaRef('QuotaLimits'),
+      resetsAt: TIMESTAMP,
+    },
+  },
+  QuotaLimits: {
+    type: 'object',
+    properties: {
+      requestsPerMinute: { type: 'integer' },
+      charactersPerDay: { type: 'integer' },
+      filesPerDay: { type: 'integer' },
+    },
+  },
+  Language: {
+    type: 'object',
+    required: ['code', 'name'],
+    properties: {
+      code: { type: 'string' },
+      name: { type: 'string' },
+      source: { type: 'boolean' },
+      targets: { type: 'array', items: { type: 'string' } },
+    },
+  },
+  Provider: {
+    type: 'object',
+    required: ['name', 'label', 'default'],
+    properties: { name: { type: 'string' }, label: { type: 'string' }, default: { type: 'boolean' } },
+  },
+  MemorySuggestion: {
+    type: 'object',
+    required: ['sourceText', 'targetText', 'score'],
+    properties: {
+      sourceText: { type: 'string' },
+      targetText: { type: 'string' },
+      sourceLang: { type: 'string' },
+      targetLang: { type: 'string' },
+      score: { type: 'number', minimum: 0, maximum: 1 },
+      origin: { type: 'string', nullable: true },
+    },
+  },
+  TranslateRequest: {
+    type: 'object',
+    required: ['text', 'targetLang'],
+    properties: {
+      text: { type: 'string', minLength: 1, maxLength: MAX_TRANSLATE_LENGTH },
+      targetLang: schemaRef('LanguageCode'),
+      sourceLang: { allOf: [schemaRef('LanguageCode')], description: 'auto (default) detects the source language' },
+      provider: { allOf: [schemaRef('ProviderName')], description: 'Deployment default when empty' },
+      userId: { ...UUID, nullable: true, description: 'Optional, must be your own user id' },
+    },
+  },
+  TranslateResponse: {
+    type: 'object',
+    required: ['success', 'translatedText', 'provider', 'cached'],
+    properties: {
+      success: { type: 'boolean' },
+      translatedText: { type: 'string' },
+      detectedSourceLanguage: { type: 'string', nullable: true },
+      provider: { type: 'string' },
+      cached: { type: 'boolean' },
+      appliedGlossaryTerms: { type: 'array', items: {} },
+      memorySuggestions: { type: 'array', items: schemaRef('MemorySuggestion') },
+      quota: schemaRef('Quota'),
+    },
+  },
+  TranslationInput: {
+    type: 'object',
+    required: ['type', 'fromLang', 'toLang', 'originalText', 'translatedText'],
+    properties: {
+      type: schemaRef('TranslationType'),
+      fromLang: schemaRef('LanguageCode'),
+      toLang: schemaRef('LanguageCode'),
+      originalText: nonBlankText(MAX_RECORD_LENGTH),
+      translatedText: nonBlankText(MAX_RECORD_LENGTH),
+      sourceMeta: {
+        type: 'object',
+        nullable: true,
+        description: 'Mode specific details (fileName, fileSize, pageCount, audioDuration, frameCount...), at most 4 KB as JSON',
+      },
+      provider: { type: 'string', maxLength: 50, nullable: true },
+      userId: UUID,
+    },
+  },
+  TranslationUpdate: {
+    type: 'object',
+    required: ['originalText', 'translatedText'],
+    properties: {
+      fromLang: schemaRef('LanguageCode'),
+      toLang: schemaRef('LanguageCode'),
+      originalText: nonBlankText(MAX_RECORD_LENGTH),
+      translatedText: nonBlankText(MAX_RECORD_LENGTH),
+      userId: UUID,
+    },
+  },
+  Translation: {
+    type: 'object',
+    required: ['id', 'type', 'from_lang', 'to_lang', 'original_text', 'translated_text', 'is_favorite', 'created_at'],
+    properties: {
+      id: UUID,
+      type: schemaRef('TranslationType'),
+      from_lang: { type: 'string' },
+      to_lang: { type: 'string' },
+      original_text: { type: 'string' },
+      translated_text: { type: 'string' },
+      source_meta: { type: 'object', nullable: true },
+      provider: { type: 'string', nullable: true },
+      is_favorite: { type: 'boolean' },
+      deleted_at: { ...TIMESTAMP, nullable: true },
+      created_at: TIMESTAMP,
+      updated_at: TIMESTAMP,
+    },
+  },
+  TranslationPage: {
+    type: 'object',
+    required: ['success', 'items', 'total', 'pageSize', 'hasMore'],
+    properties: {
+      success: { type: 'boolean' },
+      items: { type: 'array', items: schemaRef('Translation') },
+      total: { type: 'integer' },
+      page: { type: 'integer', nullable: true, description: 'null when paging by cursor' },
+      pageSize: { type: 'integer' },
+      hasMore: { type: 'boolean' },
+      nextCursor: { type: 'string', nullable: true },
+    },
+  },
+  GlossaryEntryInput: {
+    type: 'object',
+    required: ['sourceTerm', 'targetTerm', 'fromLang', 'toLang'],
+    properties: {
+      sourceTerm: nonBlankText(200),
+      targetTerm: nonBlankText(200),
+      fromLang: schemaRef('LanguageCode'),
+      toLang: schemaRef('LanguageCode'),
+      caseSensitive: { type: 'boolean' },
+      userId: UUID,
+    },
+  },
+  GlossaryEntry: {
+    type: 'object',
+    required: ['id', 'source_term', 'target_term', 'from_lang', 'to_lang', 'case_sensitive'],
+    properties: {
+      id: UUID,
+      user_id: UUID,
+      source_term: { type: 'string' },
+      target_term: { type: 'string' },
+      from_lang: { type: 'string' },
+      to_lang: { type: 'string' },
+      case_sensitive: { type: 'boolean' },
+      created_at: TIMESTAMP,
+      updated_at: TIMESTAMP,
+    },
+  },
+  TranslatedFile: {
+    type: 'object',
+    required: ['id', 'original_name', 'format', 'size_bytes', 'status', 'to_lang', 'created_at', 'expires_at'],
+    properties: {
+      id: UUID,
+      user_id: { ...UUID, nullable: true, description: 'null for files of guests' },
+      original_name: { type: 'string' },
+      mime_type: { type: 'string' },
+      format: { type: 'string', enum: ['pdf', 'docx', 'txt'] },
+      size_bytes: { type: 'integer' },
+      status: { type: 'string', enum: FILE_STATUSES },
+      from_lang: { type: 'string', nullable: true, description: 'The detected language when none was given' },
+      to_lang: { type: 'string' },
+      provider: { type: 'string', nullable: true },
+      page_count: { type: 'integer', nullable: true, description: 'PDFs only' },
+      character_count: { type: 'integer', nullable: true },
+      output_name: { type: 'string', nullable: true, description: 'File name of the download' },
+      output_mime: { type: 'string', nullable: true },
+      error: { type: 'string', nullable: true, description: 'Why a failed translation failed' },
+      created_at: TIMESTAMP,
+      completed_at: { ...TIMESTAMP, nullable: true },
+      expires_at: { ...TIMESTAMP, description: 'The file and its record are deleted afterwards' },
+    },
+  },
+  Job: {
+    type: 'object',
+    required: ['id', 'type', 'status', 'progress', 'progress_done', 'attempts', 'created_at', 'updated_at', 'expires_at'],
+    properties: {
+      id: UUID,
+      type: { type: 'string', enum: ['file'], description: 'file = a document translation of POST /api/files' },
+      user_id: { ...UUID, nullable: true, description: 'null for jobs of guests' },
+      file_id: { ...UUID, nullable: true, description: 'The translated file of a file job' },
+      payload: {
+        type: 'object',
+        description: 'The input of the job, for file jobs originalName, outputName, format, targetLang, sourceLang, provider and characters',
+      },
+      status: { type: 'string', enum: JOB_STATUSES },
+      progress: { type: 'integer', minimum: 0, maximum: 100, description: 'Percent done, 100 once completed' },
+      progress_done: { type: 'integer', description: 'Pieces done (chunks of the document)' },
+      progress_total: { type: 'integer', nullable: true, description: 'Pieces in total, null until the job has started' },
+      attempts: { type: 'integer', description: 'How often a worker started the job' },
+      error: { type: 'string', nullable: true, description: 'Why a failed job failed' },
+      created_at: TIMESTAMP,
+      started_at: { ...TIMESTAMP, nullable: true },
+      finished_at: { ...TIMESTAMP, nullable: true },
+      updated_at: TIMESTAMP,
+      expires_at: { ...TIMESTAMP, description: 'The job is deleted afterwards, together with its file' },
+      lease_owner: { type: 'string', nullable: true, description: 'Id of the worker that runs (or last ran) the job' },
+      lease_expires_at: { ...TIMESTAMP, nullable: true, description: 'The job is queued again when its worker has not renewed the lease by then' },
+    },
+  },
+  JobResult: {
+    type: 'object',
+    required: ['success', 'job'],
+    properties: { success: { type: 'boolean' }, job: schemaRef('Job'), quota: schemaRef('Quota') },
+  },
+  ImportReport: {
+    type: 'object',
+    required: ['fileName', 'format', 'totalUnits', 'imported', 'duplicates', 'skipped'],
+    properties: {
+      fileName: { type: 'string' },
+      format: { type: 'string', enum: ['tmx', 'xliff', 'csv'] },
+      totalUnits: { type: 'integer' },
+      imported: { type: 'integer' },
+      duplicates: { type: 'integer' },
+      skipped: { type: 'integer' },
+      languagePairs: { type: 'object', additionalProperties: { type: 'integer' }, example: { 'en→de': 120 } },
+      issues: {
+        type: 'array',
+        items: { type: 'object', properties: { ref: { type: 'string' }, reason: { type: 'string' } } },
+      },
+    },
+  },
+  HealthCheck: {
+    type: 'object',
+    required: ['status'],
+    description: 'Why a check failed is only logged by the server',
+    properties: {
+      status: { type: 'string', enum: ['ok', 'error'] },
+    },
+  },
+  HealthReport: {
+    type: 'object',
+    required: ['success', 'status', 'checks'],
+    properties: {
+      success: { type: 'boolean' },
+      status: { type: 'string', enum: ['ok', 'degraded', 'ready', 'unavailable'] },
+      error: { type: 'string' },
+      code: { type: 'string', enum: ['NOT_READY'] },
+      checks: {
+        type: 'object',
+        required: ['database', 'provider'],
+        properties: { database: schemaRef('HealthCheck'), provider: schemaRef('HealthCheck') },
+      },
+    },
+  },
+};
+
+const paths = {
+  // operations (outside /api, for probes and scrapers)
+  '/healthz': {
+    get: operation({
+      tags: ['Operations'],
+      summary: 'Liveness, 200 while the server answers, status degraded when a dependency check fails',
+      responses: { 200: response('Health report', schemaRef('HealthReport')) },
+    }),
+  },
+  '/readyz': {
+    get: operation({
+      tags: ['Operations'],
+      summary: 'Readiness, the database and the default translation provider answer',
+      responses: {
+        200: response('Ready', schemaRef('HealthReport')),
+        503: response('Not ready (code NOT_READY), checks tells which dependency failed', schemaRef('HealthReport')),
+      },
+    }),
+  },
+  '/metrics': {
+    get: operation({
+      tags: ['Operations'],
+      summary: 'Prometheus metrics: request latency per route, translations, cache lookups, provider errors',
+      responses: { 200: { description: 'Prometheus text exposition format', content: { 'text/plain': { schema: { type: 'string' } } } } },
+    }),
+  },
+
+  '/api/docs': {
+    get: operation({
+      tags: ['Docs'],
+      summary: 'This OpenAPI document',
+      responses: { 200: response('OpenAPI 3.0 document', { type: 'object' }) },
+    }),
+  },
+
+  // users & sessions
+  '/api/register': {
+    post: operation({
+      tags: ['Auth'],
+      summary: 'Create an account, a verification link is emailed',
+      requestBody: jsonBody({
+        type: 'object',
+        required: ['email', 'password'],
+        properties: { email: schemaRef('Email'), password: schemaRef('Password') },
+      }),
+      responses: {
+        200: response('Registered, the email must be verified before signing in', messageWith({ verificationRequired: { type: 'boolean' } })),
+      },
+      errors: [400],
+    }),
+  },
+  '/api/login': {
+    post: operation({
+      tags: ['Auth'],
+      summary: 'Sign in, rememberMe gives a long-lived session',
+      requestBody: jsonBody({
+        type: 'object',
+        required: ['email', 'password'],
+        properties: {
+          email: { type: 'string', minLength: 1, maxLength: 254 },
+          password: schemaRef('CurrentPassword'),
+          rememberMe: { type: 'boolean' },
+        },
+      }),
+      responses: {
+        200: response('Signed in', {
+          type: 'object',
+          required: ['success', 'user'],
+          properties: { success: { type: 'boolean' }, user: schemaRef('LoginUser') },
+        }),
+      },
+      errors: [400, 401, 403],
+    }),
+  },
+  '/api/logout': {
+    post: operation({
+      tags: ['Auth'],
+      summary: 'Sign out this session',
+      security: USER,
+      responses: { 200: response('Signed out', schemaRef('Message')) },
+      errors: [401],
+    }),
+  },
+  '/api/password/forgot': {
+    post: operation({
+      tags: ['Auth'],
+      summary: 'Email a password reset link (same answer whether the account exists or not)',
+      requestBody: jsonBody({ type: 'object', required: ['email'], properties: { email: schemaRef('Email') } }),
+      responses: { 200: response('Reset link sent if the account exists', schemaRef('Message')) },
+      errors: [400, 429],
+    }),
+  },
+  '/api/password/reset': {
+    post: operation({
+      tags: ['Auth'],
+      summary: 'Set a new password with the token of the reset link, signs out every session',
+      requestBody: jsonBody({
+        type: 'object',
+        required: ['token', 'password'],
+        properties: { token: schemaRef('Token'), password: schemaRef('Password') },
+      }),
+      responses: { 200: response('Password updated', schemaRef('Message')) },
+      errors: [400],
+    }),
+  },
+  '/api/email/verify': {
+    post: operation({
+      tags: ['Auth'],
+      summary: 'Verify an email address (or confirm an email change) with the token of the emailed link',
+      requestBody: jsonBody({ type: 'object', required: ['token'], properties: { token: schemaRef('Token') } }),
+      responses: {
+        200: response('Verified', messageWith({ email: { type: 'string' }, emailChanged: { type: 'boolean' } })),
+      },
+      errors: [400, 503],
+    }),
+  },
+  '/api/email/verification/resend': {
+    post: operation({
+      tags: ['Auth'],
+      summary: 'Email a new verification link',
+      requestBody: jsonBody({ type: 'object', required: ['email'], properties: { email: schemaRef('Email') } }),
+      responses: { 200: response('Sent if the account still needs verification', schemaRef('Message')) },
+      errors: [400, 429, 503],
+    }),
+  },
+  '/api/sessions/current': {
+    get: operation({
+      tags: ['Sessions'],
+      summary: 'Check this session without renewing it',
+      security: USER,
+      responses: {
+        200: response('The session', {
+          type: 'object',
+          required: ['success', 'session'],
+          properties: { success: { type: 'boolean' }, session: schemaRef('CurrentSession') },
+        }),
+      },
+      errors: [401],
+    }),
+  },
+  '/api/sessions': {
+    get: operation({
+      tags: ['Sessions'],
+      summary: 'Active sessions (devices) of the user',
+      security: USER,
+      responses: {
+        200: response('Sessions, current marks this one', {
+          type: 'object',
+          required: ['success', 'sessions'],
+          properties: { success: { type: 'boolean' }, sessions: { type: 'array', items: schemaRef('Session') } },
+        }),
+      },
+      errors: [401],
+    }),
+    delete: operation({
+      tags: ['Sessions'],
+      summary: 'Sign out everywhere',
+      security: USER,
+      parameters: [queryParam('keepCurrent', TRUE_FALSE, 'true signs out every other device only')],
+      responses: {
+        200: response('Sessions revoked', {
+          type: 'object',
+          required: ['success'],
+          properties: { success: { type: 'boolean' }, revoked: { type: 'integer' } },
+        }),
+      },
+      errors: [401],
+    }),
+  },
+  '/api/sessions/{sessionId}': {
+    delete: operation({
+      tags: ['Sessions'],
+      summary: 'Revoke one session',
+      security: USER,
+      parameters: [pathParam('sessionId', UUID)],
+      responses: { 200: response('Session revoked', schemaRef('Message')) },
+      errors: [400, 401, 404],
+    }),
+  },
+
+  // account settings
+  '/api/account/password': {
+    put: operation({
+      tags: ['Account'],
+      summary: 'Change the password, signs out every other device',
+      security: USER,
+      requestBody: jsonBody({
+        type: 'object',
+        required: ['currentPassword', 'newPassword'],
+        properties: { currentPassword: schemaRef('CurrentPassword'), newPassword: schemaRef('Password') },
+      }),
+      responses: { 200: response('Password changed', schemaRef('Message')) },
+      errors: [400, 401, 403],
+    }),
+  },
+  '/api/account/email': {
+    put: operation({
+      tags: ['Account'],
+      summary: 'Change the email, a confirmation link is sent to the new address',
+      security: USER,
+      requestBody: jsonBody({
+        type: 'object',
+        required: ['newEmail', 'currentPassword'],
+        properties: { newEmail: schemaRef('Email'), currentPassword: schemaRef('CurrentPassword') },
+      }),
+      responses: { 200: response('Confirmation link sent', schemaRef('Message')) },
+      errors: [400, 401, 403, 409, 429, 503],
+    }),
+  },
+  '/api/account/export': {
+    get: operation({
+      tags: ['Account'],
+      summary: 'Download everything stored for the user as one JSON file',
+      security: USER,
+      responses: {
+        200: response('Account data (attachment)', {
+          type: 'object',
+          properties: {
+            exportedAt: TIMESTAMP,
+            account: { type: 'object' },
+            preferences: schemaRef('Preferences'),
+            translations: { type: 'array', items: schemaRef('Translation') },
+            glossary: { type: 'array', items: schemaRef('GlossaryEntry') },
+            translationMemory: { type: 'array', items: { type: 'object' } },
+            files: { type: 'array', items: schemaRef('TranslatedFile') },
+            jobs: { type: 'array', items: schemaRef('Job') },
+            sessions: { type: 'array', items: schemaRef('Session') },
+          },
+        }),
+      },
+      errors: [401],
+    }),
+  },
+  '/api/account': {
+    delete: operation({
+      tags: ['Account'],
+      summary: 'Delete the account and all its data',
+      security: USER,
+      requestBody: jsonBody({ type: 'object', required: ['password'], properties: { password: schemaRef('CurrentPassword') } }),
+      responses: { 200: response('Account deleted', schemaRef('Message')) },
+      errors: [400, 401, 403],
+    }),
+  },
+
+  // translation proxy & quotas
+  '/api/quota': {
+    get: operation({
+      tags: ['Translate'],
+      summary: 'Plan, limits and what is left today (guests and users)',
+      security: OPTIONAL_USER,
+      parameters: [deviceTokenHeader],
+      responses: {
+        200: response('Quota', {
+          type: 'object',
+          required: ['success', 'quota'],
+          properties: { success: { type: 'boolean' }, quota: schemaRef('Quota') },
+        }),
+      },
+    }),
+  },
+  '/api/translate': {
+    post: operation({
+      tags: ['Translate'],
+      summary: 'Translate text, signed-in users get their glossary and translation memory applied',
+      security: OPTIONAL_USER,
+      parameters: [deviceTokenHeader],
+      requestBody: jsonBody(schemaRef('TranslateRequest')),
+      responses: { 200: response('Translation', schemaRef('TranslateResponse')) },
+      errors: [400, 403, 413, 429, 502],
+    }),
+  },
+  '/api/detect': {
+    post: operation({
+      tags: ['Translate'],
+      summary: 'Detect the language of a text',
+      security: OPTIONAL_USER,
+      parameters: [deviceTokenHeader],
+      requestBody: jsonBody({
+        type: 'object',
+        required: ['text'],
+        properties: { text: { type: 'string', minLength: 1, maxLength: MAX_TRANSLATE_LENGTH }, provider: schemaRef('ProviderName') },
+      }),
+      responses: {
+        200: response('Language code', {
+          type: 'object',
+          required: ['success', 'language'],
+          properties: { success: { type: 'boolean' }, language: { type: 'string' } },
+        }),
+      },
+      errors: [400, 413, 429, 502],
+    }),
+  },
+  '/api/languages': {
+    get: operation({
+      tags: ['Translate'],
+      summary: 'Languages of a provider and the pairs it supports',
+      parameters: [
+        queryParam('target', schemaRef('LanguageCode'), 'Language of the names, default en'),
+        queryParam('provider', schemaRef('ProviderName')),
+      ],
+      responses: {
+        200: response('Languages', {
+          type: 'object',
+          required: ['success', 'languages'],
+          properties: { success: { type: 'boolean' }, languages: { type: 'array', items: schemaRef('Language') } },
+        }),
+      },
+      errors: [400, 502],
+    }),
+  },
+  '/api/providers': {
+    get: operation({
+      tags: ['Translate'],
+      summary: 'Configured translation providers',
+      responses: {
+        200: response('Providers', {
+          type: 'object',
+          required: ['success', 'providers'],
+          properties: { success: { type: 'boolean' }, providers: { type: 'array', items: schemaRef('Provider') } },
+        }),
+      },
+    }),
+  },
+
+  // document translation
+  '/api/files': {
+    post: operation({
+      tags: ['Files'],
+      summary: 'Upload a PDF, DOCX or TXT document and queue its translation on the server',
+      description: 'The text is extracted right away, the translation runs as a background job: follow it with '
+        + 'GET /api/jobs/{jobId} or its events. Counts one file and the characters of the document against the quota, '
+        + 'given back when the job fails or is cancelled. Guests need X-Device-Token, their files and jobs are only '
+        + 'reachable with the same token.',
+      security: OPTIONAL_USER,
+      parameters: [deviceTokenHeader],
+      requestBody: {
+        required: true,
+        content: {
+          'multipart/form-data': {
+            schema: {
+              type: 'object',
+              required: ['file', 'targetLang'],
+              properties: {
+                file: { type: 'string', format: 'binary', description: 'PDF, DOCX or TXT, at most FILE_UPLOAD_MAX_BYTES (10 MB)' },
+                targetLang: schemaRef('LanguageCode'),
+                sourceLang: { allOf: [schemaRef('LanguageCode')], description: 'auto (default) detects the source language' },
+                provider: { allOf: [schemaRef('ProviderName')], description: 'Deployment default when empty' },
+                userId: { ...UUID, description: 'Optional, must be your own user id' },
+              },
+            },
+          },
+        },
+      },
+      responses: {
+        202: response('Translation queued', {
+          type: 'object',
+          required: ['success', 'file', 'job'],
+          properties: {
+            success: { type: 'boolean' },
+            file: schemaRef('TranslatedFile'),
+            job: schemaRef('Job'),
+            quota: schemaRef('Quota'),
+          },
+        }),
+      },
+      errors: [400, 403, 413, 415, 422, 429],
+    }),
+    get: operation({
+      tags: ['Files'],
+      summary: 'Your uploaded files, newest first (kept for FILE_RETENTION_HOURS)',
+      security: USER,
+      parameters: [userIdQuery],
+      responses: {
+        200: response('Files', {
+          type: 'object',
+          required: ['success', 'files'],
+          properties: { success: { type: 'boolean' }, files: { type: 'array', items: schemaRef('TranslatedFile') } },
+        }),
+      },
+      errors: [401, 403],
+    }),
+  },
+  '/api/files/{fileId}': {
+    get: operation({
+      tags: ['Files'],
+      summary: 'Status and details of one of your files',
+      security: OPTIONAL_USER,
+      parameters: [pathParam('fileId', UUID), deviceTokenHeader],
+      responses: {
+        200: response('File', {
+          type: 'object',
+          required: ['success', 'file'],
+          properties: { success: { type: 'boolean' }, file: schemaRef('TranslatedFile') },
+        }),
+      },
+      errors: [400, 404],
+    }),
+    delete: operation({
+      tags: ['Files'],
+      summary: 'Delete one of your files and its translation',
+      security: OPTIONAL_USER,
+      parameters: [pathParam('fileId', UUID), deviceTokenHeader],
+      responses: { 200: response('File deleted', schemaRef('Message')) },
+      errors: [400, 404],
+    }),
+  },
+  '/api/files/{fileId}/download': {
+    get: operation({
+      tags: ['Files'],
+      summary: 'Download the translated file (.docx for DOCX documents, .txt otherwise)',
+      security: OPTIONAL_USER,
+      parameters: [pathParam('fileId', UUID), deviceTokenHeader],
+      responses: {
+        200: {
+          description: 'The translated file (attachment)',
+          content: {
+            'application/vnd.openxmlformats-officedocument.wordprocessingml.document': { schema: { type: 'string', format: 'binary' } },
+            'text/plain': { schema: { type: 'string' } },
+          },
+        },
+      },
+      errors: [400, 404, 409, 410],
+    }),
+  },
+  '/api/files/{fileId}/content': {
+    get: operation({
+      tags: ['Files'],
+      summary: 'The extracted and the translated text of a completed translation',
+      security: OPTIONAL_USER,
+      parameters: [pathParam('fileId', UUID), deviceTokenHeader],
+      responses: {
+        200: response('Texts', {
+          type: 'object',
+          required: ['success', 'file', 'originalText', 'translatedText'],
+          properties: {
+            success: { type: 'boolean' },
+            file: schemaRef('TranslatedFile'),
+            originalText: { type: 'string', description: 'The extracted text' },
+            translatedText: { type: 'string' },
+            appliedGlossaryTerms: { type: 'array', items: {} },
+          },
+        }),
+      },
+      errors: [400, 404, 409, 410],
+    }),
+  },
+
+  // background jobs
+  '/api/jobs': {
+    get: operation({
+      tags: ['Jobs'],
+      summary: 'Your recent jobs, newest first (the device\'s jobs for guests)',
+      security: OPTIONAL_USER,
+      parameters: [deviceTokenHeader],
+      responses: {
+        200: response('Jobs', {
+          type: 'object',
+          required: ['success', 'jobs'],
+          properties: { success: { type: 'boolean' }, jobs: { type: 'array', items: schemaRef('Job') } },
+        }),
+      },
+    }),
+  },
+  '/api/jobs/{jobId}': {
+    get: operation({
+      tags: ['Jobs'],
+      summary: 'Status and progress of one of your jobs (for polling)',
+      security: OPTIONAL_USER,
+      parameters: [pathParam('jobId', UUID), deviceTokenHeader],
+      responses: { 200: response('Job', schemaRef('JobResult')) },
+      errors: [400, 404],
+    }),
+  },
+  '/api/jobs/{jobId}/events': {
+    get: operation({
+      tags: ['Jobs'],
+      summary: 'Follow a job as Server-Sent Events',
+      description: 'Sends a "job" event with the Job as JSON data right away and on every change, '
+        + 'comment lines keep the connection open, the stream ends once the job is completed, failed or cancelled.',
+      security: OPTIONAL_USER,
+      parameters: [pathParam('jobId', UUID), deviceTokenHeader],
+      responses: {
+        200: {
+          description: 'Event stream of the job',
+          content: { 'text/event-stream': { schema: { type: 'string' } } },
+        },
+      },
+      errors: [400, 404],
+    }),
+  },
+  '/api/jobs/{jobId}/cancel': {
+    post: operation({
+      tags: ['Jobs'],
+      summary: 'Cancel a queued or running job, its quota is given back',
+      security: OPTIONAL_USER,
+      parameters: [pathParam('jobId', UUID), deviceTokenHeader],
+      responses: { 200: response('Cancelled job', schemaRef('JobResult')) },
+      errors: [400, 404, 409],
+    }),
+  },
+  '/api/jobs/{jobId}/retry': {
+    post: operation({
+      tags: ['Jobs'],
+      summary: 'Queue a failed or cancelled job again',
+      description: 'Counts the file and its characters against the quota again.',
+      security: OPTIONAL_USER,
+      parameters: [pathParam('jobId', UUID), deviceTokenHeader],
+      responses: { 200: response('Queued job', schemaRef('JobResult')) },
+      errors: [400, 404, 409, 429],
+    }),
+  },
+
+  '/api/admin/translation-cache': {
+    delete: operation({
+      tags: ['Admin'],
+      summary: 'Purge cached translations',
+      security: ADMIN,
+      parameters: [
+        queryParam('provider', schemaRef('ProviderName')),
+        queryParam('fromLang', schemaRef('LanguageCode')),
+        queryParam('toLang', schemaRef('LanguageCode')),
+        queryParam('expiredOnly', TRUE_FALSE),
+      ],
+      responses: {
+        200: response('Purged', {
+          type: 'object',
+          required: ['success', 'deleted'],
+          properties: { success: { type: 'boolean' }, deleted: { type: 'integer' } },
+        }),
+      },
+      errors: [403],
+    }),
+  },
+
+  // translation memory & glossary
+  '/api/translation-memory/import': {
+    post: operation({
+      tags: ['Translation memory'],
+      summary: 'Import a TMX, XLIFF or CSV file into the translation memory',
+      security: USER,
+      requestBody: {
+        required: true,
+        content: {
+          'multipart/form-data': {
+            schema: {
+              type: 'object',
+              required: ['file'],
+              properties: {
+                file: { type: 'string', format: 'binary', description: 'At most 20 MB' },
+                sourceLang: schemaRef('LanguageCode'),
+                targetLang: schemaRef('LanguageCode'),
+                userId: UUID,
+              },
+            },
+          },
+        },
+      },
+      responses: {
+        200: response('Import report', {
+          type: 'object',
+          required: ['success', 'report'],
+          properties: { success: { type: 'boolean' }, report: schemaRef('ImportReport') },
+        }),
+      },
+      errors: [400, 401, 403, 413],
+    }),
+  },
+  '/api/translation-memory/{userId}': {
+    get: operation({
+      tags: ['Translation memory'],
+      summary: 'Translation memory units per language pair',
+      security: USER,
+      parameters: [pathParam('userId', UUID, 'Your own user id')],
+      responses: {
+        200: response('Summary', {
+          type: 'object',
+          required: ['success', 'total', 'pairs'],
+          properties: {
+            success: { type: 'boolean' },
+            total: { type: 'integer' },
+            pairs: {
+              type: 'array',
+              items: {
+                type: 'object',
+                properties: { source_lang: { type: 'string' }, target_lang: { type: 'string' }, units: { type: 'integer' } },
+              },
+            },
+          },
+        }),
+      },
+      errors: [401, 403],
+    }),
+  },
+  '/api/glossary': {
+    post: operation({
+      tags: ['Glossary'],
+      summary: 'Add a glossary entry',
+      security: USER,
+      requestBody: jsonBody(schemaRef('GlossaryEntryInput')),
+      responses: { 201: response('Created', { type: 'object', properties: { success: { type: 'boolean' }, entry: schemaRef('GlossaryEntry') } }) },
+      errors: [400, 401, 403],
+    }),
+  },
+  // one path for both ids: GET takes the user id, PUT and DELETE a glossary entry id
+  '/api/glossary/{id}': {
+    get: operation({
+      tags: ['Glossary'],
+      summary: 'Glossary entries of the user',
+      security: USER,
+      parameters: [
+        pathParam('id', UUID, 'Your own user id'),
+        queryParam('fromLang', schemaRef('LanguageCode')),
+        queryParam('toLang', schemaRef('LanguageCode')),
+      ],
+      responses: {
+        200: response('Entries', {
+          type: 'object',
+          required: ['success', 'entries'],
+          properties: { success: { type: 'boolean' }, entries: { type: 'array', items: schemaRef('GlossaryEntry') } },
+        }),
+      },
+      errors: [401, 403],
+    }),
+    put: operation({
+      tags: ['Glossary'],
+      summary: 'Edit a glossary entry',
+      security: USER,
+      parameters: [pathParam('id', UUID, 'Glossary entry id')],
+      requestBody: jsonBody(schemaRef('GlossaryEntryInput')),
+      responses: { 200: response('Updated', { type: 'object', properties: { success: { type: 'boolean' }, entry: schemaRef('GlossaryEntry') } }) },
+      errors: [400, 401, 403, 404],
+    }),
+    delete: operation({
+      tags: ['Glossary'],
+      summary: 'Delete a glossary entry',
+      security: USER,
+      parameters: [pathParam('id', UUID, 'Glossary entry id')],
+      responses: { 200: response('Deleted', schemaRef('Message')) },
+      errors: [400, 401, 403, 404],
+    }),
+  },
+
+  // translation records & preferences
+  '/api/translations': {
+    post: operation({
+      tags: ['Translations'],
+      summary: 'Save a translation to the history',
+      security: USER,
+      requestBody: jsonBody(schemaRef('TranslationInput')),
+      responses: {
+        201: response('Saved', messageWith({ translation: schemaRef('Translation') })),
+      },
+      errors: [400, 401, 403],
+    }),
+    get: operation({
+      tags: ['Translations'],
+      summary: 'Search the translation history, page or cursor paging',
+      security: USER,
+      parameters: historyParameters,
+      responses: { 200: response('One page of the history', schemaRef('TranslationPage')) },
+      errors: [400, 401, 403],
+    }),
+  },
+  '/api/translations/export': {
+    get: operation({
+      tags: ['Translations'],
+      summary: 'Download the (filtered) history as CSV, JSON, TMX or XLIFF',
+      security: USER,
+      parameters: [
+        ...historyParameters,
+        queryParam('format', { type: 'string', enum: ['csv', 'json', 'tmx', 'xliff'] }, 'Default json, xliff needs fromLang and toLang'),
+      ],
+      responses: {
+        200: {
+          description: 'The history file (attachment)',
+          content: Object.fromEntries(
+            ['text/csv', 'application/json', 'application/x-tmx+xml', 'application/xliff+xml']
+              .map(mimeType => [mimeType, { schema: { type: 'string', format: 'binary' } }])
+          ),
+        },
+      },
+      errors: [400, 401, 403],
+    }),
+  },
+  '/api/translations/{translationId}': {
+    put: operation({
+      tags: ['Translations'],
+      summary: 'Edit a translation',
+      security: USER,
+      parameters: [pathParam('translationId', UUID)],
+      requestBody: jsonBody(schemaRef('TranslationUpdate')),
+      responses: { 200: response('Updated', schemaRef('Message')) },
+      errors: [400, 401, 403, 404],
+    }),
+    patch: operation({
+      tags: ['Translations'],
+      summary: 'Favorite / unfavorite and/or restore a translation from the trash',
+      security: USER,
+      parameters: [pathParam('translationId', UUID)],
+      requestBody: jsonBody({
+        type: 'object',
+        properties: { favorite: { type: 'boolean' }, restore: { type: 'boolean' }, userId: UUID },
+        anyOf: [
+          { required: ['favorite'] },
+          { required: ['restore'], properties: { restore: { type: 'boolean', enum: [true] } } },
+        ],
+        'x-message': 'Either favorite (boolean) or restore: true is required',
+      }),
+      responses: { 200: response('Updated', schemaRef('Message')) },
+      errors: [400, 401, 403, 404],
+    }),
+    delete: operation({
+      tags: ['Translations'],
+      summary: 'Move a translation to the trash, permanent=true deletes one already in the trash',
+      security: USER,
+      parameters: [pathParam('translationId', UUID), queryParam('permanent', TRUE_FALSE)],
+      responses: { 200: response('Deleted', schemaRef('Message')) },
+      errors: [400, 401, 403, 404],
+    }),
+  },
+  '/api/user/preferences': {
+    post: operation({
+      tags: ['Preferences'],
+      summary: 'Set the default language pair',
+      security: USER,
+      requestBody: jsonBody({
+        type: 'object',
+        required: ['default_from_lang', 'default_to_lang'],
+        properties: {
+          default_from_lang: schemaRef('LanguageCode'),
+          default_to_lang: schemaRef('LanguageCode'),
+          userId: UUID,
+        },
+      }),
+      responses: {
+        200: response('Updated', messageWith({ user: schemaRef('Preferences') })),
+      },
+      errors: [400, 401, 403],
+    }),
+  },
+  '/api/user/preferences/{userId}': {
+    get: operation({
+      tags: ['Preferences'],
+      summary: 'The default language pair',
+      security: USER,
+      parameters: [pathParam('userId', UUID, 'Your own user id')],
+      responses: {
+        200: response('Preferences', {
+          type: 'object',
+          required: ['success', 'preferences'],
+          properties: { success: { type: 'boolean' }, preferences: schemaRef('Preferences') },
+        }),
+      },
+      errors: [401, 403],
+    }),
+  },
+};
+
+export const OPENAPI_DOCUMENT = {
+  openapi: '3.0.3',
+  info: {
+    title: 'TranslationHub API',
+    version: '1.0.0',
+    description: 'Backend of TranslationHub (src/services/server.js). Errors always answer with ErrorResponse.',
+  },
+  tags: ['Auth', 'Sessions', 'Account', 'Translate', 'Files', 'Jobs', 'Translation memory', 'Glossary', 'Translations', 'Preferences', 'Admin', 'Docs', 'Operations']
+    .map(name => ({ name })),
+  paths,
+  components: {
+    schemas,
+    securitySchemes: {
+      bearerAuth: { type: 'http', scheme: 'bearer', description: 'signed_session_id returned by /api/login' },
+      adminKey: { type: 'apiKey', in: 'header', name: 'X-Admin-Key', description: 'ADMIN_API_KEY of the server' },
+    },
+  },
+};
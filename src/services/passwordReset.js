@@ -0,0 +1,92 @@
+/*
+Password Reset Overview:
+POST /api/password/forgot emails a one-time reset link (requestPasswordReset),
+POST /api/password/reset sets the new password with the token from that link (resetPassword).
+
+Tokens are 32 random bytes, only their SHA-256 hash is stored through database.js.
+They expire after PASSWORD_RESET_EXPIRATION seconds (default 1 hour) and work once,
+requesting a new link replaces the previous one. A reset signs the user out on every device.
+The link opens APP_URL/reset-password (APP_URL defaults to the Vite dev server, http://localhost:5173).
+Requests are rate limited per email and client IP (emailRateLimit.js), and the link is issued and mailed
+after the request has been answered, so known and unknown emails take the same time.
+*/
+
+import crypto from 'crypto';
+import {
+  getUserByEmail,
+  updateUserPassword,
+  createPasswordResetToken,
+  consumePasswordResetToken,
+  revokeAllSessions,
+} from './database.js';
+import { sendMail } from './mail/index.js';
+import { logger } from './logger.js';
+import { getAppUrl, readInt, serviceError } from './serviceHelpers.js';
+import { createEmailRateLimit } from './emailRateLimit.js';
+
+const getResetLifetimeSeconds = () => readInt(process.env.PASSWORD_RESET_EXPIRATION, 60 * 60);
+
+const limitResetEmails = createEmailRateLimit({ label: 'password reset emails' });
+
+const hashResetToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+const resetEmail = (link, minutes) => ({
+  subject: 'Reset your TranslationHub password',
+  text: [
+    'Someone (hopefully you) asked to reset the password of your TranslationHub account.',
+    '',
+    `Open this link to choose a new password. It works once and expires in ${minutes} minutes:`,
+    link,
+    '',
+    'If you did not ask for this, you can ignore this email, your password stays the same.',
+  ].join('\n'),
+  html: [
+    '<p>Someone (hopefully you) asked to reset the password of your TranslationHub account.</p>',
+    `<p><a href="${link}">Choose a new password</a>. The link works once and expires in ${minutes} minutes.</p>`,
+    '<p>If you did not ask for this, you can ignore this email, your password stays the same.</p>',
+  ].join('\n'),
+});
+
+// IssueResetLink: stores a new token and mails the link when an account uses that email
+const issueResetLink = async (email) => {
+  const user = await getUserByEmail(email);
+  if (!user) return;
+
+  const token = crypto.randomBytes(32).toString('base64url');
+  const lifetime = getResetLifetimeSeconds();
+  const stored = await createPasswordResetToken(user.id, hashResetToken(token), new Date(Date.now() + lifetime * 1000));
+  if (!stored.success) throw new Error(stored.error || 'Failed to create the reset link');
+
+  const link = `${getAppUrl()}/reset-password?token=${encodeURIComponent(token)}`;
+  await sendMail({ to: user.email, ...resetEmail(link, Math.round(lifetime / 60)) });
+};
+
+/*
+requestPasswordReset:
+checks the rate limit, then issues the token and emails the link in the background (failures are logged).
+resolves the same way, and as fast, whether or not the account exists, so the endpoint does not reveal
+which emails are registered. throws (status 429, retryAfter in seconds) when the rate limit is reached.
+returns the background delivery, which never rejects (the server does not wait for it)
+*/
+export const requestPasswordReset = async (email, { ipAddress = null } = {}) => {
+  limitResetEmails(email, ipAddress);
+  const delivery = issueResetLink(email).catch((error) => {
+    logger.error('Password Reset Mail Error', { error });
+  });
+  return { delivery };
+};
+
+/*
+resetPassword:
+token = the token from the emailed link, newPassword = already checked against the password rules
+throws (status 400) when the token is unknown, used or expired
+*/
+export const resetPassword = async (token, newPassword) => {
+  const consumed = await consumePasswordResetToken(hashResetToken(String(token)));
+  if (!consumed.success) throw serviceError('This reset link is invalid or has expired, please request a new one');
+
+  const updated = await updateUserPassword(consumed.userId, newPassword);
+  if (!updated.success) throw serviceError('Failed to update the password', 500);
+  await revokeAllSessions(consumed.userId);
+  return { success: true, message: 'Password updated, please sign in with your new password' };
+};
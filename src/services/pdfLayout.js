@@ -0,0 +1,239 @@
+/*
+PDF Layout Overview:
+rebuilds the reading text of PDF pages from the positioned text items of pdfjs-dist (documentTranslation.js).
+readPdfPage    = the items of one page as line fragments: runs of items on one baseline without a wide gap,
+                 in page coordinates (top-down, 1 unit = 1 pt), words separated where the items leave a gap
+layoutPdfPages = the text of every page:
+  1. headers and footers are removed, the top and bottom lines of a page count as one when their text
+     (numbers aside, so page numbers match) is found at the same place on at least 40% of the pages
+  2. reading order by recursive cuts along the white space of the page: a vertical gap through the whole
+     region splits it into columns (read left to right), otherwise the widest horizontal gap splits it
+     into top and bottom, so a title above two columns is read before both columns
+  3. lines of a column are joined into paragraphs, a paragraph ends at a larger line spacing, a change of
+     font size, a short line that ends a sentence or is followed by an indented line, or before a list item
+  4. words hyphenated at the end of a line are joined again ("trans-" + "lation" = "translation")
+paragraphs are separated by a blank line, the pages are joined by documentTranslation.js (PAGE_BREAK).
+Tables are read column by column when their columns are far apart, scanned pages have no text items.
+*/
+
+const MARGIN_SHARE = 0.15; // top and bottom share of the page where headers and footers are looked for
+const MARGIN_LINES = 2; // lines at the top and bottom of a page that can be a header or footer
+const REPEATED_SHARE = 0.4; // share of the pages a header or footer is found on
+const MIN_COLUMN_SHARE = 0.2; // narrowest column, share of the width of the region it is cut from
+const LIST_ITEM = /^([•▪◦●‣∙·*–-]|\(?\d{1,3}[.)]|\(?[a-z][.)])\s/u;
+
+const median = (values) => {
+  if (!values.length) return null;
+  const sorted = [...values].sort((a, b) => a - b);
+  return sorted[Math.floor(sorted.length / 2)];
+};
+
+// pdf.js matrices [a, b, c, d, e, f], the same product as Util.transform
+const multiply = ([a1, b1, c1, d1, e1, f1], [a2, b2, c2, d2, e2, f2]) => [
+  a1 * a2 + c1 * b2,
+  b1 * a2 + d1 * b2,
+  a1 * c2 + c1 * d2,
+  b1 * c2 + d1 * d2,
+  a1 * e2 + c1 * f2 + e1,
+  b1 * e2 + d1 * f2 + f1,
+];
+
+const sameLine = (a, b) => Math.abs(a.baseline - b.baseline) <= Math.max(a.fontSize, b.fontSize) * 0.5;
+
+// GroupLines: items or fragments -> lines top to bottom, each sorted left to right
+const groupLines = (boxes) => {
+  const lines = [];
+  [...boxes].sort((a, b) => a.baseline - b.baseline || a.x0 - b.x0).forEach((box) => {
+    const line = lines[lines.length - 1];
+    if (line && sameLine(line[0], box)) line.push(box);
+    else lines.push([box]);
+  });
+  return lines.map(line => line.sort((a, b) => a.x0 - b.x0));
+};
+
+const toFragment = (items) => ({
+  text: items.reduce((text, item, index) => {
+    const previous = items[index - 1];
+    const gap = previous ? item.x0 - previous.x1 : 0;
+    const space = previous && gap > item.fontSize * 0.15 && !/\s$/.test(text) && !/^\s/.test(item.text);
+    return `${text}${space ? ' ' : ''}${item.text}`;
+  }, '').replace(/\s+/g, ' ').trim(),
+  x0: items[0].x0,
+  x1: Math.max(...items.map(item => item.x1)),
+  baseline: items[0].baseline,
+  fontSize: Math.max(...items.map(item => item.fontSize)),
+});
+
+/*
+readPdfPage:
+returns { width, height, fragments } of a pdf.js page, fragments = [{ text, x0, x1, baseline, fontSize }].
+Items of a line further apart than the font size (a column gap) start a new fragment.
+*/
+export const readPdfPage = async (page) => {
+  const viewport = page.getViewport({ scale: 1 });
+  const { items } = await page.getTextContent();
+  const boxes = items
+    .filter(item => item.str)
+    .map((item) => {
+      const [a, b, c, d, x, y] = multiply(viewport.transform, item.transform);
+      const fontSize = Math.hypot(c, d) || Math.hypot(a, b) || 1;
+      const width = item.width || item.str.length * fontSize * 0.5;
+      // control characters of fonts without a text mapping, and soft hyphens that only matter at a line end
+      const text = item.str.replace(/\u00AD$/, '-').replace(/[\u0000-\u001F\u00AD]/g, '');
+      return { text, x0: x, x1: x + width, baseline: y, fontSize };
+    })
+    .filter(box => box.text.trim());
+
+  const fragments = [];
+  groupLines(boxes).forEach((line) => {
+    let run = [];
+    line.forEach((box) => {
+      const previous = run[run.length - 1];
+      if (previous && box.x0 - previous.x1 > Math.max(previous.fontSize, box.fontSize)) {
+        fragments.push(toFragment(run));
+        run = [];
+      }
+      run.push(box);
+    });
+    if (run.length) fragments.push(toFragment(run));
+  });
+  return { width: viewport.width, height: viewport.height, fragments: fragments.filter(fragment => fragment.text) };
+};
+
+// HeaderKey: the text of a line with its numbers (page numbers, dates) and roman page numbers left out
+const headerKey = (line) => {
+  const text = line.map(fragment => fragment.text).join(' ').toLowerCase().replace(/\s+/g, ' ').trim();
+  return /^[ivxlc]+$/.test(text) ? '#' : text.replace(/\d+/g, '#');
+};
+
+// MarginLines: the lines of a page that can be a header or footer, as { key, fragments }
+const marginLines = ({ height, fragments }) => {
+  const lines = groupLines(fragments);
+  const top = lines.slice(0, MARGIN_LINES).filter(line => line[0].baseline <= height * MARGIN_SHARE);
+  const bottom = lines.slice(-MARGIN_LINES).filter(line => line[0].baseline >= height * (1 - MARGIN_SHARE));
+  return [...new Set([...top, ...bottom])].map(line => ({
+    key: `${line[0].baseline <= height / 2 ? 'top' : 'bottom'}:${headerKey(line)}`,
+    fragments: line,
+  }));
+};
+
+// RemoveHeadersAndFooters: pages without the margin lines repeated on REPEATED_SHARE of the pages
+const removeHeadersAndFooters = (pages) => {
+  if (pages.length < 2) return pages;
+  const candidates = pages.map(marginLines);
+  const pageCounts = new Map();
+  candidates.forEach((lines) => {
+    new Set(lines.map(line => line.key)).forEach(key => pageCounts.set(key, (pageCounts.get(key) || 0) + 1));
+  });
+  const minPages = Math.max(2, Math.ceil(pages.length * REPEATED_SHARE));
+  return pages.map((page, index) => {
+    const removed = new Set(candidates[index]
+      .filter(line => pageCounts.get(line.key) >= minPages)
+      .flatMap(line => line.fragments));
+    return { ...page, fragments: page.fragments.filter(fragment => !removed.has(fragment)) };
+  });
+};
+
+// Gaps: the empty stretches between the spans [start, end] of the boxes, as { start, end, size }
+const findGaps = (spans) => {
+  const gaps = [];
+  const sorted = [...spans].sort((a, b) => a[0] - b[0]);
+  let reach = sorted[0][1];
+  sorted.slice(1).forEach(([start, end]) => {
+    if (start > reach) gaps.push({ start: reach, end: start, size: start - reach });
+    reach = Math.max(reach, end);
+  });
+  return gaps;
+};
+
+// ColumnCut: the widest vertical gap through the whole region that leaves two columns wide enough
+const findColumnCut = (fragments, fontSize) => {
+  if (groupLines(fragments).length < 2) return null;
+  const left = Math.min(...fragments.map(fragment => fragment.x0));
+  const right = Math.max(...fragments.map(fragment => fragment.x1));
+  const minWidth = (right - left) * MIN_COLUMN_SHARE;
+  return findGaps(fragments.map(fragment => [fragment.x0, fragment.x1]))
+    .filter(gap => gap.size >= fontSize && gap.start - left >= minWidth && right - gap.end >= minWidth)
+    .reduce((widest, gap) => (!widest || gap.size > widest.size ? gap : widest), null);
+};
+
+// RowCut: the widest horizontal gap (the topmost of equal ones), a fragment spans from its x-height to its baseline
+const findRowCut = fragments => findGaps(fragments.map(fragment => [fragment.baseline - fragment.fontSize * 0.6, fragment.baseline]))
+  .reduce((widest, gap) => (!widest || gap.size > widest.size + 0.01 ? gap : widest), null);
+
+/*
+readingOrder:
+the lines of a region in reading order as [{ text, x0, x1, baseline, fontSize, column }],
+column = the region a line belongs to after the column cuts, lines of different columns never share a paragraph
+*/
+const readingOrder = (fragments, fontSize, column = 0, columns = { next: 1 }) => {
+  const columnCut = findColumnCut(fragments, fontSize);
+  if (columnCut) {
+    const split = columnCut.start + columnCut.size / 2;
+    return [
+      ...readingOrder(fragments.filter(fragment => fragment.x1 <= split), fontSize, columns.next++, columns),
+      ...readingOrder(fragments.filter(fragment => fragment.x0 >= split), fontSize, columns.next++, columns),
+    ];
+  }
+  const rowCut = findRowCut(fragments);
+  if (rowCut) {
+    return [
+      ...readingOrder(fragments.filter(fragment => fragment.baseline <= rowCut.start), fontSize, column, columns),
+      ...readingOrder(fragments.filter(fragment => fragment.baseline > rowCut.start), fontSize, column, columns),
+    ];
+  }
+  return groupLines(fragments).map(line => ({ ...toFragment(line), column }));
+};
+
+// JoinLine: appends a line to its paragraph, rejoining a word hyphenated at the end of the previous line
+const joinLine = (paragraph, text) => {
+  if (/\p{L}-$/u.test(paragraph) && /^\p{Ll}/u.test(text)) return paragraph.slice(0, -1) + text;
+  if (/\S[-–/]$/u.test(paragraph)) return paragraph + text; // ranges and compounds ("760-" + "764")
+  return `${paragraph} ${text}`;
+};
+
+const toParagraphs = (lines) => {
+  const spacings = lines.slice(1)
+    .map((line, index) => ({ line, previous: lines[index] }))
+    .filter(({ line, previous }) => line.column === previous.column)
+    .map(({ line, previous }) => (line.baseline - previous.baseline) / Math.max(line.fontSize, previous.fontSize))
+    .filter(spacing => spacing > 0);
+  const lineSpacing = median(spacings) || 1.2; // in font sizes, so headings get their own
+
+  const bounds = new Map(); // column -> { left, right }
+  lines.forEach((line) => {
+    const bound = bounds.get(line.column) || { left: line.x0, right: line.x1 };
+    bounds.set(line.column, { left: Math.min(bound.left, line.x0), right: Math.max(bound.right, line.x1) });
+  });
+
+  const startsParagraph = (previous, line) => {
+    if (line.column !== previous.column) return true;
+    const fontSize = Math.max(previous.fontSize, line.fontSize);
+    const spacing = line.baseline - previous.baseline;
+    if (spacing <= 0 || spacing > fontSize * Math.max(lineSpacing * 1.3, 1.1)) return true;
+    if (Math.abs(previous.fontSize - line.fontSize) > fontSize * 0.15) return true;
+    if (LIST_ITEM.test(line.text)) return true;
+    const { left, right } = bounds.get(line.column);
+    const short = previous.x1 < right - (right - left) * 0.15;
+    const indented = line.x0 - previous.x0 >= fontSize;
+    return short && (/[.!?:;)"'”’]$/.test(previous.text) || indented);
+  };
+
+  const paragraphs = [];
+  lines.forEach((line, index) => {
+    if (index === 0 || startsParagraph(lines[index - 1], line)) paragraphs.push(line.text);
+    else paragraphs[paragraphs.length - 1] = joinLine(paragraphs[paragraphs.length - 1], line.text);
+  });
+  return paragraphs;
+};
+
+/*
+layoutPdfPages:
+pages = [{ width, height, fragments }] of readPdfPage, returns the text of every page (an empty string for
+a page without text), paragraphs in reading order separated by a blank line
+*/
+export const layoutPdfPages = pages => removeHeadersAndFooters(pages).map(({ fragments }) => {
+  if (!fragments.length) return '';
+  const fontSize = median(fragments.map(fragment => fragment.fontSize));
+  return toParagraphs(readingOrder(fragments, fontSize)).join('\n\n');
+});
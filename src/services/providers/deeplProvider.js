@@ -0,0 +1,104 @@
+/*
+DeepL Provider:
+translate / detect / listLanguages against the DeepL v2 REST API.
+DeepL separates source and target languages (e.g. 'en' is a source, 'en-GB'/'en-US' are targets),
+so listLanguages reports which targets each source supports.
+
+Environment (.env):
+DEEPL_API_KEY = provider key (keys ending in ':fx' use the free API host)
+DEEPL_API_URL = optional base URL override for a local stand-in provider
+*/
+
+import axios from 'axios';
+import { toProviderError } from './providerError.js';
+
+const getApiKey = () => process.env.DEEPL_API_KEY;
+const getApiUrl = () => {
+  if (process.env.DEEPL_API_URL) return process.env.DEEPL_API_URL.replace(/\/+$/, '');
+  return getApiKey()?.endsWith(':fx') ? 'https://api-free.deepl.com/v2' : 'https://api.deepl.com/v2';
+};
+const getHeaders = () => ({ Authorization: `DeepL-Auth-Key ${getApiKey()}` });
+
+// DeepL no longer accepts the bare 'EN'/'PT' targets, map them to a regional default
+const TARGET_ALIASES = { en: 'EN-US', pt: 'PT-PT' };
+
+// 'EN-GB' -> 'en-GB', 'DE' -> 'de' (our app uses lowercase base codes like Google)
+const fromDeepLCode = (code) => {
+  const [base, region] = code.split('-');
+  return region ? `${base.toLowerCase()}-${region.toUpperCase()}` : base.toLowerCase();
+};
+const toDeepLTarget = (code) => TARGET_ALIASES[code.toLowerCase()] || code.toUpperCase();
+const toDeepLSource = (code) => code.split('-')[0].toUpperCase(); // DeepL sources have no region
+
+const deeplProvider = {
+  name: 'deepl',
+  label: 'DeepL',
+
+  isConfigured: () => Boolean(getApiKey() || process.env.DEEPL_API_URL),
+
+  translate: async (text, targetLang, sourceLang = 'auto') => {
+    const params = new URLSearchParams({ text, target_lang: toDeepLTarget(targetLang) });
+    if (sourceLang && sourceLang !== 'auto') params.append('source_lang', toDeepLSource(sourceLang));
+
+    try {
+      const response = await axios.post(`${getApiUrl()}/translate`, params, { headers: getHeaders() });
+      const translation = response.data?.translations?.[0];
+      if (!translation) throw new Error('Invalid response from translation provider');
+      return {
+        translatedText: translation.text,
+        detectedSourceLanguage: translation.detected_source_language
+          ? fromDeepLCode(translation.detected_source_language)
+          : sourceLang,
+      };
+    } catch (error) {
+      throw toProviderError(error, 'deepl');
+    }
+  },
+
+  /*
+  DeepL has no detection endpoint:
+  translates a short excerpt to English and reads back detected_source_language
+  */
+  detect: async (text) => {
+    const { detectedSourceLanguage } = await deeplProvider.translate(text.slice(0, 200), 'en');
+    return detectedSourceLanguage;
+  },
+
+  // language names are always in English, DeepL has no display language option
+  listLanguages: async () => {
+    try {
+      const [sourceResponse, targetResponse] = await Promise.all([
+        axios.get(`${getApiUrl()}/languages`, { params: { type: 'source' }, headers: getHeaders() }),
+        axios.get(`${getApiUrl()}/languages`, { params: { type: 'target' }, headers: getHeaders() }),
+      ]);
+
+      const targetLanguages = targetResponse.data.map(lang => ({ code: fromDeepLCode(lang.language), name: lang.name }));
+      const targetCodes = targetLanguages.map(lang => lang.code);
+      // bare 'en'/'pt' stay selectable as targets through TARGET_ALIASES
+      Object.entries(TARGET_ALIASES).forEach(([alias, deeplCode]) => {
+        if (targetCodes.includes(fromDeepLCode(deeplCode)) && !targetCodes.includes(alias)) targetCodes.push(alias);
+      });
+
+      const languages = new Map();
+      sourceResponse.data.forEach(lang => {
+        const code = fromDeepLCode(lang.language);
+        languages.set(code, {
+          code,
+          name: lang.name,
+          source: true,
+          targets: targetCodes.filter(target => target.split('-')[0] !== code),
+        });
+      });
+      targetLanguages.forEach(lang => {
+        if (!languages.has(lang.code)) {
+          languages.set(lang.code, { code: lang.code, name: lang.name, source: false, targets: [] });
+        }
+      });
+      return Array.from(languages.values());
+    } catch (error) {
+      throw toProviderError(error, 'deepl');
+    }
+  },
+};
+
+export default deeplProvider;
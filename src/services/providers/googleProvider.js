@@ -0,0 +1,78 @@
+/*
+Google Translate v2 Provider:
+translate / detect / listLanguages against the Google Cloud Translation v2 REST API.
+Google translates between any pair of its supported languages.
+
+Environment (.env):
+GOOGLE_TRANSLATE_API_KEY = provider key
+GOOGLE_TRANSLATE_API_URL (or TRANSLATE_API_URL) = optional base URL override for a local stand-in provider
+*/
+
+import axios from 'axios';
+import { toProviderError } from './providerError.js';
+
+const DEFAULT_API_URL = 'https://translation.googleapis.com/language/translate/v2';
+
+// Read lazily so the values loaded by dotenv in database.js/server.js are always picked up
+const getApiUrl = () => (process.env.GOOGLE_TRANSLATE_API_URL || process.env.TRANSLATE_API_URL || DEFAULT_API_URL).replace(/\/+$/, '');
+const getApiKey = () => process.env.GOOGLE_TRANSLATE_API_KEY;
+
+const googleProvider = {
+  name: 'google',
+  label: 'Google Translate',
+
+  // configured when a key is set, or when pointed at a stand-in provider that needs none
+  isConfigured: () => Boolean(getApiKey() || process.env.GOOGLE_TRANSLATE_API_URL || process.env.TRANSLATE_API_URL),
+
+  // omits source when it is 'auto' or empty to enable auto-detection
+  translate: async (text, targetLang, sourceLang = 'auto') => {
+    const params = { q: text, target: targetLang, format: 'text', key: getApiKey() };
+    if (sourceLang && sourceLang !== 'auto') params.source = sourceLang;
+
+    try {
+      const response = await axios.post(getApiUrl(), null, { params });
+      const translation = response.data?.data?.translations?.[0];
+      if (!translation) throw new Error('Invalid response from translation provider');
+      return {
+        translatedText: translation.translatedText,
+        detectedSourceLanguage: translation.detectedSourceLanguage || sourceLang,
+      };
+    } catch (error) {
+      throw toProviderError(error, 'google');
+    }
+  },
+
+  detect: async (text) => {
+    try {
+      const response = await axios.post(`${getApiUrl()}/detect`, null, {
+        params: { q: text, key: getApiKey() },
+      });
+      const detection = response.data?.data?.detections?.[0]?.[0];
+      if (!detection) throw new Error('Invalid response from translation provider');
+      return detection.language;
+    } catch (error) {
+      throw toProviderError(error, 'google');
+    }
+  },
+
+  // every supported language can be both source and target of any pair
+  listLanguages: async (displayLang = 'en') => {
+    try {
+      const response = await axios.get(`${getApiUrl()}/languages`, {
+        params: { target: displayLang, key: getApiKey() },
+      });
+      const languages = response.data.data.languages;
+      const codes = languages.map(lang => lang.language);
+      return languages.map(lang => ({
+        code: lang.language,
+        name: lang.name,
+        source: true,
+        targets: codes.filter(code => code !== lang.language),
+      }));
+    } catch (error) {
+      throw toProviderError(error, 'google');
+    }
+  },
+};
+
+export default googleProvider;
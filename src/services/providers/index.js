@@ -0,0 +1,51 @@
+/*
+Translation Provider Registry:
+every adapter implements the same interface:
+  name, label
+  isConfigured() -> boolean (has the keys/URLs it needs)
+  translate(text, targetLang, sourceLang = 'auto') -> { translatedText, detectedSourceLanguage }
+  detect(text) -> language code
+  listLanguages(displayLang = 'en') -> [{ code, name, source, targets }]
+    source = the language can be translated from
+    targets = codes it can be translated into (used by LanguageSearch to show valid pairs only)
+
+The deployment default comes from TRANSLATION_PROVIDER (google if unset),
+a request can pick any other configured provider by name.
+*/
+
+import googleProvider from './googleProvider.js';
+import deeplProvider from './deeplProvider.js';
+import libreTranslateProvider from './libreTranslateProvider.js';
+import mockProvider from './mockProvider.js';
+import { providerError } from './providerError.js';
+
+const providers = new Map(
+  [googleProvider, deeplProvider, libreTranslateProvider, mockProvider].map(provider => [provider.name, provider])
+);
+
+export const getDefaultProviderName = () => (process.env.TRANSLATION_PROVIDER || 'google').toLowerCase();
+
+/*
+getProvider:
+resolves a provider by name, falling back to the deployment default
+unknown or unconfigured providers are rejected with 400 so a request can't silently switch provider
+*/
+export const getProvider = (name) => {
+  const providerName = (name || getDefaultProviderName()).toLowerCase();
+  const provider = providers.get(providerName);
+  if (!provider) {
+    throw providerError(`Unknown translation provider: ${providerName}`);
+  }
+  if (!provider.isConfigured()) {
+    throw providerError(`Translation provider is not configured: ${providerName}`, name ? 400 : 503);
+  }
+  return provider;
+};
+
+// Lists the providers usable on this deployment (for /api/providers)
+export const listProviders = () => {
+  const defaultName = getDefaultProviderName();
+  return Array.from(providers.values())
+    .filter(provider => provider.isConfigured())
+    .map(provider => ({ name: provider.name, label: provider.label, default: provider.name === defaultName }));
+};
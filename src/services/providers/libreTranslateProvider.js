@@ -0,0 +1,69 @@
+/*
+LibreTranslate Provider:
+translate / detect / listLanguages against a self-hosted LibreTranslate instance.
+LibreTranslate's /languages already reports the targets of every language.
+
+Environment (.env):
+LIBRETRANSLATE_URL = base URL of the instance (e.g. http://localhost:5002)
+LIBRETRANSLATE_API_KEY = optional, only if the instance requires keys
+*/
+
+import axios from 'axios';
+import { toProviderError } from './providerError.js';
+
+const getApiUrl = () => (process.env.LIBRETRANSLATE_URL || '').replace(/\/+$/, '');
+const withKey = (body) => (process.env.LIBRETRANSLATE_API_KEY ? { ...body, api_key: process.env.LIBRETRANSLATE_API_KEY } : body);
+
+const libreTranslateProvider = {
+  name: 'libretranslate',
+  label: 'LibreTranslate',
+
+  isConfigured: () => Boolean(process.env.LIBRETRANSLATE_URL),
+
+  translate: async (text, targetLang, sourceLang = 'auto') => {
+    try {
+      const response = await axios.post(`${getApiUrl()}/translate`, withKey({
+        q: text,
+        source: sourceLang || 'auto',
+        target: targetLang,
+        format: 'text',
+      }));
+      if (typeof response.data?.translatedText !== 'string') throw new Error('Invalid response from translation provider');
+      return {
+        translatedText: response.data.translatedText,
+        detectedSourceLanguage: response.data.detectedLanguage?.language || sourceLang,
+      };
+    } catch (error) {
+      throw toProviderError(error, 'libretranslate');
+    }
+  },
+
+  // /detect returns candidates sorted by confidence, the first one wins
+  detect: async (text) => {
+    try {
+      const response = await axios.post(`${getApiUrl()}/detect`, withKey({ q: text }));
+      const detection = response.data?.[0];
+      if (!detection) throw new Error('Invalid response from translation provider');
+      return detection.language;
+    } catch (error) {
+      throw toProviderError(error, 'libretranslate');
+    }
+  },
+
+  // names are in English, LibreTranslate has no display language option
+  listLanguages: async () => {
+    try {
+      const response = await axios.get(`${getApiUrl()}/languages`);
+      return response.data.map(lang => ({
+        code: lang.code,
+        name: lang.name,
+        source: true,
+        targets: (lang.targets || []).filter(code => code !== lang.code),
+      }));
+    } catch (error) {
+      throw toProviderError(error, 'libretranslate');
+    }
+  },
+};
+
+export default libreTranslateProvider;
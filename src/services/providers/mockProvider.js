@@ -0,0 +1,53 @@
+/*
+Mock Provider:
+simulates translation/detection with delays, mainly for development without any API keys.
+Always available, selected with TRANSLATION_PROVIDER=mock (or per request with provider: 'mock').
+*/
+
+import { logger } from '../logger.js';
+
+const log = logger.child({ component: 'provider', provider: 'mock' });
+
+const mockLanguages = [
+  { code: 'en', name: 'English' },
+  { code: 'es', name: 'Spanish' },
+  { code: 'fr', name: 'French' },
+  { code: 'de', name: 'German' }
+];
+
+const delay = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+const mockProvider = {
+  name: 'mock',
+  label: 'Mock (development)',
+
+  isConfigured: () => true,
+
+  translate: async (text, targetLang, sourceLang = 'auto') => {
+    log.debug('Mock translation');
+    await delay(1000);
+    return {
+      translatedText: `[Mock Translation] ${text} (to ${targetLang})`,
+      detectedSourceLanguage: sourceLang && sourceLang !== 'auto' ? sourceLang : 'en',
+    };
+  },
+
+  // always returns 'en' after 0.5 second delay
+  detect: async () => {
+    log.debug('Mock language detection');
+    await delay(500);
+    return 'en';
+  },
+
+  listLanguages: async () => {
+    log.debug('Mock language list');
+    await delay(300);
+    return mockLanguages.map(lang => ({
+      ...lang,
+      source: true,
+      targets: mockLanguages.map(other => other.code).filter(code => code !== lang.code),
+    }));
+  },
+};
+
+export default mockProvider;
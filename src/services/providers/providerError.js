@@ -0,0 +1,35 @@
+/*
+Provider Error Mapping:
+wraps axios errors in a plain Error carrying the provider HTTP status,
+so server.js can forward 409/429 responses to the client unchanged.
+network failures and malformed responses are reported as 502 Bad Gateway.
+a 401/403 of the provider means the server's API key is missing or wrong, not the user's session,
+so it is logged and answered as 502 PROVIDER_AUTH_FAILED (clients sign out on 401).
+*/
+import { logger } from '../logger.js';
+
+const AUTH_STATUSES = [401, 403];
+
+export const toProviderError = (error, providerName) => {
+  if (error.status && !error.isAxiosError) return error;
+  const status = error.response?.status || 502;
+  const data = error.response?.data;
+  const message = data?.error?.message || data?.message || (typeof data?.error === 'string' ? data.error : null) || error.message;
+  if (AUTH_STATUSES.includes(status)) {
+    logger.error('Translation Provider Authentication Error', { provider: providerName, status, message });
+    const authError = new Error(`Translation provider error (${providerName}): the provider refused the server's credentials`);
+    authError.status = 502;
+    authError.code = 'PROVIDER_AUTH_FAILED';
+    return authError;
+  }
+  const providerError = new Error(`Translation provider error (${providerName}): ${message}`);
+  providerError.status = status;
+  return providerError;
+};
+
+// Used when a provider cannot serve a request at all (unsupported language, missing configuration)
+export const providerError = (message, status = 400) => {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+};
@@ -0,0 +1,198 @@
+/*
+Quotas & Rate Limiting Overview:
+translation requests (POST /api/translate, POST /api/detect, POST /api/files) are counted against the caller's plan,
+signed-in users by their user id, guests by their anonymous device token (X-Device-Token header) and IP address.
+Each plan limits:
+requestsPerMinute = requests within the last minute (sliding window)
+charactersPerDay = characters sent for translation, resets at midnight UTC
+filesPerDay = documents uploaded to /api/files for translation, resets at midnight UTC
+
+Guests use the guest plan, users the plan stored on their account (Users.plan, free by default).
+Guests are limited per device and per IP (GUEST_IP_FACTOR times the guest plan, several guests can share an IP),
+so clearing the browser storage (a new device token) does not reset the quota.
+QUOTA_PLANS (JSON in .env) overrides the limits, e.g. {"guest":{"charactersPerDay":2000},"pro":{"filesPerDay":1000}}.
+Over a limit requests are refused (status 429, retryAfter in seconds). Usage is kept in memory,
+it starts over when the server restarts.
+*/
+
+import { logger } from './logger.js';
+import { serviceError } from './serviceHelpers.js';
+
+const DEFAULT_PLANS = {
+  guest: { requestsPerMinute: 10, charactersPerDay: 5000, filesPerDay: 10 },
+  free: { requestsPerMinute: 30, charactersPerDay: 50000, filesPerDay: 50 },
+  pro: { requestsPerMinute: 120, charactersPerDay: 1000000, filesPerDay: 1000 },
+};
+const DEFAULT_USER_PLAN = 'free';
+const GUEST_IP_FACTOR = 3; // an IP gets 3 times the guest plan
+const MINUTE_MS = 60 * 1000;
+const SWEEP_INTERVAL_MS = 10 * 60 * 1000; // drops usage of past days every 10 minutes
+
+const quotaError = (message, retryAfter, code, quota) => serviceError(message, 429, { retryAfter, code, quota });
+
+let plans = null;
+
+// the plans with the QUOTA_PLANS overrides applied, read once
+export const getPlans = () => {
+  if (plans) return plans;
+  let overrides = {};
+  try {
+    overrides = process.env.QUOTA_PLANS ? JSON.parse(process.env.QUOTA_PLANS) : {};
+  } catch (error) {
+    logger.error('QUOTA_PLANS is not valid JSON, using the default plans', { error });
+  }
+  plans = Object.fromEntries(
+    [...new Set([...Object.keys(DEFAULT_PLANS), ...Object.keys(overrides)])]
+      .map(name => [name, { ...DEFAULT_PLANS.free, ...DEFAULT_PLANS[name], ...overrides[name] }])
+  );
+  return plans;
+};
+
+/*
+Usage (in memory):
+key = user:<id> | device:<token> | ip:<address>
+{ day, characters, files, requests: [timestamps of the last minute] }
+*/
+const usageByKey = new Map();
+let lastSweep = 0;
+
+const utcDay = (now) => new Date(now).toISOString().slice(0, 10);
+const nextMidnight = (now) => {
+  const midnight = new Date(now);
+  midnight.setUTCHours(24, 0, 0, 0);
+  return midnight;
+};
+const secondsUntilMidnight = (now) => Math.ceil((nextMidnight(now).getTime() - now) / 1000);
+
+const sweepUsage = (now) => {
+  if (now - lastSweep < SWEEP_INTERVAL_MS) return;
+  lastSweep = now;
+  const today = utcDay(now);
+  usageByKey.forEach((usage, key) => {
+    if (usage.day !== today && usage.requests.every(time => now - time >= MINUTE_MS)) usageByKey.delete(key);
+  });
+};
+
+const getUsage = (key, now) => {
+  const today = utcDay(now);
+  let usage = usageByKey.get(key);
+  if (!usage) {
+    usage = { day: today, characters: 0, files: 0, requests: [] };
+    usageByKey.set(key, usage);
+  }
+  if (usage.day !== today) Object.assign(usage, { day: today, characters: 0, files: 0 });
+  usage.requests = usage.requests.filter(time => now - time < MINUTE_MS);
+  return usage;
+};
+
+// device tokens are random ids generated by the client, anything else is ignored
+export const isDeviceToken = (token) => typeof token === 'string' && /^[A-Za-z0-9-]{16,64}$/.test(token);
+
+/*
+Quota Subjects:
+caller = { userId, plan, deviceToken, ipAddress }
+users are counted once (their plan), guests per device and per IP
+*/
+const getSubjects = ({ userId, plan, deviceToken, ipAddress }) => {
+  const allPlans = getPlans();
+  if (userId) {
+    const planName = allPlans[plan] ? plan : DEFAULT_USER_PLAN;
+    return { planName, subjects: [{ key: `user:${userId}`, limits: allPlans[planName] }] };
+  }
+  const guest = allPlans.guest;
+  const subjects = [];
+  if (isDeviceToken(deviceToken)) subjects.push({ key: `device:${deviceToken}`, limits: guest });
+  subjects.push({
+    key: `ip:${ipAddress || 'unknown'}`,
+    limits: {
+      requestsPerMinute: guest.requestsPerMinute * GUEST_IP_FACTOR,
+      charactersPerDay: guest.charactersPerDay * GUEST_IP_FACTOR,
+      filesPerDay: guest.filesPerDay * GUEST_IP_FACTOR,
+    },
+  });
+  return { planName: 'guest', subjects };
+};
+
+// what the caller has left, the lowest of their subjects (device or IP for guests)
+const summarize = (planName, subjects, now) => {
+  const remaining = subjects.map(({ key, limits }) => {
+    const usage = getUsage(key, now);
+    return {
+      requestsPerMinute: Math.max(0, limits.requestsPerMinute - usage.requests.length),
+      charactersPerDay: Math.max(0, limits.charactersPerDay - usage.characters),
+      filesPerDay: Math.max(0, limits.filesPerDay - usage.files),
+    };
+  });
+  const lowest = (field) => Math.min(...remaining.map(entry => entry[field]));
+  return {
+    plan: planName,
+    limits: { ...getPlans()[planName] },
+    remaining: {
+      requestsPerMinute: lowest('requestsPerMinute'),
+      charactersPerDay: lowest('charactersPerDay'),
+      filesPerDay: lowest('filesPerDay'),
+    },
+    resetsAt: nextMidnight(now).toISOString(),
+  };
+};
+
+// GetQuotaStatus: the caller's plan, limits and remaining quota (GET /api/quota)
+export const getQuotaStatus = (caller) => {
+  const now = Date.now();
+  const { planName, subjects } = getSubjects(caller);
+  return summarize(planName, subjects, now);
+};
+
+/*
+ConsumeQuota:
+counts one request plus usage = { characters, files } for the caller, all or nothing.
+requests: 0 charges usage found out later in a request that was already counted (the text of an uploaded file).
+returns the quota left afterwards, throws (status 429, retryAfter, code, quota) when a limit would be exceeded:
+RATE_LIMITED (too many requests this minute), CHARACTER_QUOTA_EXCEEDED or FILE_QUOTA_EXCEEDED (daily)
+*/
+export const consumeQuota = (caller, { characters = 0, files = 0, requests = 1 } = {}) => {
+  const now = Date.now();
+  sweepUsage(now);
+  const { planName, subjects } = getSubjects(caller);
+
+  subjects.forEach(({ key, limits }) => {
+    const usage = getUsage(key, now);
+    if (requests > 0 && usage.requests.length >= limits.requestsPerMinute) {
+      const retryAfter = Math.max(1, Math.ceil((MINUTE_MS - (now - usage.requests[0])) / 1000));
+      throw quotaError(`Too many requests, try again in ${retryAfter} seconds`, retryAfter, 'RATE_LIMITED', summarize(planName, subjects, now));
+    }
+    if (characters > 0 && usage.characters + characters > limits.charactersPerDay) {
+      const left = Math.max(0, limits.charactersPerDay - usage.characters);
+      throw quotaError(
+        `Daily character quota reached (${left} of ${limits.charactersPerDay} characters left), it resets at midnight UTC`,
+        secondsUntilMidnight(now), 'CHARACTER_QUOTA_EXCEEDED', summarize(planName, subjects, now),
+      );
+    }
+    if (files > 0 && usage.files + files > limits.filesPerDay) {
+      throw quotaError(
+        `Daily file quota reached (${limits.filesPerDay} files), it resets at midnight UTC`,
+        secondsUntilMidnight(now), 'FILE_QUOTA_EXCEEDED', summarize(planName, subjects, now),
+      );
+    }
+  });
+
+  subjects.forEach(({ key }) => {
+    const usage = getUsage(key, now);
+    if (requests > 0) usage.requests.push(now);
+    usage.characters += characters;
+    usage.files += files;
+  });
+  return summarize(planName, subjects, now);
+};
+
+// RefundQuota: gives back the characters and files of a request that failed (the request itself still counts)
+export const refundQuota = (caller, { characters = 0, files = 0 } = {}) => {
+  const now = Date.now();
+  const { planName, subjects } = getSubjects(caller);
+  subjects.forEach(({ key }) => {
+    const usage = getUsage(key, now);
+    usage.characters = Math.max(0, usage.characters - characters);
+    usage.files = Math.max(0, usage.files - files);
+  });
+  return summarize(planName, subjects, now);
+};
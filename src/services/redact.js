@@ -0,0 +1,57 @@
+/*
+Redaction Rules (shared by the server logger, logger.js, and the client logger, clientLogger.js):
+redact(value) returns a copy that is safe to log, the value itself is never changed.
+- values of sensitive keys are replaced at any depth: passwords, secrets, tokens, authorization headers,
+  cookies, API keys, session ids (SENSITIVE_KEY)
+- inside strings: bearer / basic credentials, token, key, password and secret query parameters,
+  the password of connection URLs, JSON Web Tokens and long hex strings (signed session ids, HMACs)
+- errors become { name, message, code, status } (+ stack with includeStack), so request configs
+  and headers that libraries attach to their errors are left out
+No imports: this module runs in Node and in the browser.
+*/
+
+export const REDACTED = '[REDACTED]';
+
+const SENSITIVE_KEY = /passw(or)?d|^pwd$|secret|token|authorization|cookie|api[-_]?key|session[-_]?id|credential|private[-_]?key/i;
+
+const SENSITIVE_TEXT = [
+  [/\b(Bearer|Basic)\s+[A-Za-z0-9._~+/=-]+/gi, `$1 ${REDACTED}`],
+  [/([?&](?:token|key|api_key|apikey|password|secret|signature)=)[^&\s#"']+/gi, `$1${REDACTED}`],
+  [/(\b[a-z][a-z0-9+.-]*:\/\/[^:/?#\s@]+:)[^@\s/]+@/gi, `$1${REDACTED}@`],
+  [/\beyJ[A-Za-z0-9_-]+\.[A-Za-z0-9_-]+\.[A-Za-z0-9_-]*/g, REDACTED],
+  [/\b[a-f0-9]{64,}\b/gi, REDACTED],
+];
+
+const MAX_DEPTH = 8;
+
+export const redactText = (text) =>
+  SENSITIVE_TEXT.reduce((result, [pattern, replacement]) => result.replace(pattern, replacement), text);
+
+const serializeError = (error, includeStack) => ({
+  name: error.name,
+  message: error.message,
+  code: error.code,
+  status: error.status ?? error.response?.status,
+  stack: includeStack ? error.stack : undefined,
+});
+
+const redactValue = (value, options, seen, depth) => {
+  if (typeof value === 'string') return redactText(value);
+  if (value === null || typeof value !== 'object') return value;
+  if (value instanceof Date) return value.toISOString();
+  if (seen.has(value)) return '[Circular]';
+  if (depth >= MAX_DEPTH) return '[Truncated]';
+  seen.add(value);
+
+  const source = value instanceof Error ? serializeError(value, options.includeStack) : value;
+  const copy = Array.isArray(source)
+    ? source.map(item => redactValue(item, options, seen, depth + 1))
+    : Object.fromEntries(Object.entries(source)
+      .filter(([, item]) => item !== undefined)
+      .map(([key, item]) => [key, SENSITIVE_KEY.test(key) ? REDACTED : redactValue(item, options, seen, depth + 1)]));
+  seen.delete(value);
+  return copy;
+};
+
+// Redact: options.includeStack keeps the stack of errors (server logs)
+export const redact = (value, options = {}) => redactValue(value, options, new Set(), 0);
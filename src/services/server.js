@@ -3,12 +3,23 @@ Server.js Overview:
 This Node.js Express server acts as the backend for the Translation Hub application.
 It provides REST API endpoints for:
 
-🟢 User Authentication (Register, Login, Logout).
-🔒 Session Validation (validateSession middleware for security).
-📜 Text & Voice Translation Management (Saving & Fetching History).
+🟢 User Authentication (Register, Login with "remember me", Logout).
+🔑 Session Lifecycle (sliding expiry, active devices, revoke one or sign out everywhere).
+✉️ Password Reset (emailed single-use links) & Email Verification (signed expiring links).
+👤 Account Settings (change password or email, export all data, delete the account).
+🔒 Session Validation & Resource Ownership (authenticate resolves req.user, users only reach their own data).
+📜 Translation Records for every mode (text, voice, file, ASL): Saving, Paginated/Searchable History, Edit, Favorite, Trash & Restore.
 ⚙️ User Preferences Management (Languages, Settings).
-🗂 File Uploads Handling (Not actively used but included for compatibility).
+🌐 Translation Proxy (Translate, Detect, Languages) - provider keys stay server-side.
+🚦 Quotas & Rate Limiting (per plan, users by account, guests by device token + IP, 429 + Retry-After).
+🧠 Translation Cache (exact-match memory, admin purge).
+📘 User Glossaries (CRUD + enforced terminology during translation).
+📄 Document Translation (/api/files): PDF, DOCX and TXT uploads translated on the server, downloads, per-user file lists.
+⏳ Background Jobs (/api/jobs): queued translations with progress over Server-Sent Events or polling, cancel & retry.
 🌍 CORS Support (Allows cross-origin requests).
+📖 OpenAPI Specification (/api/docs) that validates every request, with one error envelope for every failure.
+🪵 Structured Logging (JSON lines, a request id per call, secrets redacted).
+🩺 Health & Readiness Probes (/healthz, /readyz) and Prometheus Metrics (/metrics).
 */
 
 
@@ -16,78 +27,218 @@ It provides REST API endpoints for:
 Express App Initialization:
 Express is used for creating the API.
 CORS is enabled to allow frontend requests.
-JSON body parsing (express.json()) ensures structured request handling.
+JSON body parsing (express.json()) ensures structured request handling, bodies are limited to
+API_BODY_LIMIT (default 1mb, larger requests get 413).
+Every request is validated against the OpenAPI document (openapi.js) before its route runs, see apiValidation.js.
+API_VALIDATE_RESPONSES=true also checks the responses and logs mismatches (default outside production).
 */
 
 import express from 'express';
 import cors from 'cors';
 import dotenv from 'dotenv';
 import multer from 'multer';
+import crypto from 'crypto';
+import fs from 'fs/promises';
 import {
     registerUser,
     loginUser,
     logoutUser,
-    saveTextTranslation,
-    getTextTranslationHistory,
-    saveVoiceTranslation,
-    getVoiceTranslationHistory,
-    validateSession,
+    saveTranslation,
+    searchTranslationHistory,
+    updateTranslation,
+    setTranslationFavorite,
+    deleteTranslation,
+    restoreTranslation,
+    getSessionUser,
+    listSessions,
+    revokeSession,
+    revokeAllSessions,
+    updateUserPassword,
+    verifyUserPassword,
+    requestEmailChange,
+    exportUserData,
+    deleteUserAccount,
     updateUserPreferences,
     getUserPreferences,
+    purgeTranslationCache,
+    getGlossaryEntries,
+    getTranslationMemoryStats,
+    createGlossaryEntry,
+    updateGlossaryEntry,
+    deleteGlossaryEntry,
+    listFileRecords,
+    getFileRecord,
 } from './database.js';
+import { translate, detect, listLanguages } from './translationProxy.js';
+import { listProviders } from './providers/index.js';
+import { EXPORT_FORMATS, createExportWriter, toExportRecord, exportFileName } from './translationExport.js';
+import { importTranslationMemory, suggestTranslations } from './translationMemory.js';
+import { decodeImportFile } from './translationImport.js';
+import { requestPasswordReset, resetPassword } from './passwordReset.js';
+import { sendVerificationEmail, sendEmailChangeConfirmation, verifyEmail, checkEmailVerificationConfig } from './emailVerification.js';
+import { consumeQuota, refundQuota, getQuotaStatus, isDeviceToken } from './quota.js';
+import {
+    DOCUMENT_JOB_TYPE,
+    getFileConfig,
+    guestFileKey,
+    queueDocumentTranslation,
+    runDocumentTranslation,
+    cancelDocumentTranslation,
+    openTranslatedFile,
+    readTranslatedText,
+    deleteDocument,
+    startFileCleanup,
+} from './documentTranslation.js';
+import {
+    registerJobHandler,
+    onJobFinished,
+    subscribeToJob,
+    isFinishedJob,
+    getJobStatus,
+    listRecentJobs,
+    cancelJob,
+    retryJob,
+    startJobWorkers,
+} from './jobQueue.js';
+import { OPENAPI_DOCUMENT } from './openapi.js';
+import { installRequestValidation, apiNotFound, apiErrorHandler, errorEnvelope } from './apiValidation.js';
+import { logger, runWithRequestContext, getRequestId } from './logger.js';
+import { runHealthChecks } from './health.js';
+import { METRICS_CONTENT_TYPE, renderMetrics, observeRequest, countTranslation } from './metrics.js';
 
 dotenv.config();
 
-// Add debug log to confirm server startup with GET endpoint
-console.log('Server starting with GET /api/user/preferences/:userId endpoint defined');
+const log = logger.child({ component: 'server' });
 
 const app = express();
-app.use(express.json());
-app.use(cors());
 
 /*
-Input Validation Functions
-validateEmail ensures the email format is correct.
-validatePassword enforces strong password rules:
-minimum 8 characters.
-at least 1 uppercase letter.
-at least 1 special character.
+Reverse Proxy (TRUST_PROXY)
+Behind a proxy every request comes from the proxy's address, so req.ip (the guest quotas, session devices)
+would be the same for every guest. TRUST_PROXY makes Express read the client address from X-Forwarded-For:
+true (trust every proxy), the number of proxies in front of the server (e.g. 1), or addresses and subnets
+('loopback', '10.0.0.0/8, 127.0.0.1'). Unset, the header is ignored, a client could otherwise forge it.
 */
-
-// Validation functions for email and password
-const validateEmail = (email) => {
-    const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
-    return emailRegex.test(email);
+const parseTrustProxy = (value) => {
+    if (value === 'true' || value === 'false') return value === 'true';
+    return /^\d+$/.test(value) ? Number(value) : value;
 };
+if (process.env.TRUST_PROXY) app.set('trust proxy', parseTrustProxy(process.env.TRUST_PROXY.trim()));
 
-const validatePassword = (password) => {
-    const passwordRegex = /^(?=.*[A-Z])(?=.*[!@#$%^&*])(?=.{8,})/;
-    return passwordRegex.test(password);
-};
+/*
+Request Correlation (logger.js)
+Every request gets an id: the caller's X-Request-Id when it is a plain token (a proxy or the client set one),
+a new UUID otherwise. It is returned in the X-Request-Id header and added to every log entry written
+while the request is handled, one "Request completed" entry (status, duration, user) closes it.
+The duration is also recorded per route in the http_request_duration_seconds metric (metrics.js).
+*/
+const REQUEST_ID_PATTERN = /^[\w.:-]{1,128}$/;
+
+app.use((req, res, next) => {
+    const incoming = req.get('X-Request-Id');
+    const requestId = incoming && REQUEST_ID_PATTERN.test(incoming) ? incoming : crypto.randomUUID();
+    const startedAt = process.hrtime.bigint();
+    res.set('X-Request-Id', requestId);
+    res.on('finish', () => {
+        const durationMs = Number(process.hrtime.bigint() - startedAt) / 1e6;
+        const level = res.statusCode >= 500 ? 'error' : res.statusCode >= 400 ? 'warn' : 'info';
+        log[level]('Request completed', {
+            requestId,
+            method: req.method,
+            route: req.apiOperation?.path,
+            path: req.path,
+            status: res.statusCode,
+            durationMs: Math.round(durationMs * 10) / 10,
+            userId: req.user?.id,
+        });
+        observeRequest({ method: req.method, route: req.apiOperation?.path, status: res.statusCode, durationSeconds: durationMs / 1000 });
+    });
+    runWithRequestContext({ requestId }, next);
+});
+
+app.use(express.json({ limit: process.env.API_BODY_LIMIT || '1mb' }));
+app.use(cors({ exposedHeaders: ['Retry-After', 'X-Request-Id'] }));
+
+/*
+Request Validation (openapi.js, apiValidation.js)
+The OpenAPI document lists every endpoint below with its parameters, body and responses.
+installRequestValidation checks each request against it first, invalid ones get 400 VALIDATION_ERROR.
+Email format, password rules (8+ characters, 1 uppercase letter, 1 special character),
+required fields and text sizes live in the schemas, routes keep only the checks a schema cannot express.
+*/
+installRequestValidation(app, OPENAPI_DOCUMENT, {
+    validateResponses: (process.env.API_VALIDATE_RESPONSES ?? String(process.env.NODE_ENV !== 'production')) === 'true',
+});
+
+// ✅ OpenAPI Document API (generate clients from it)
+app.get('/api/docs', (req, res) => {
+    res.status(200).json(OPENAPI_DOCUMENT);
+});
+
+/*
+Health, Readiness & Metrics (health.js, metrics.js)
+/healthz = liveness, 200 while the process answers, status 'degraded' when a dependency check fails
+(a database outage should not get the process restarted).
+/readyz = readiness, 503 NOT_READY until the database and the default translation provider answer,
+so a load balancer only sends traffic to instances that can translate.
+/metrics = Prometheus metrics (request latency per route, translations, cache hits, provider errors).
+*/
+app.get('/healthz', async (req, res) => {
+    const { ok, checks } = await runHealthChecks();
+    res.status(200).json({ success: true, status: ok ? 'ok' : 'degraded', checks });
+});
+
+app.get('/readyz', async (req, res) => {
+    const { ok, checks } = await runHealthChecks();
+    if (!ok) {
+        const failed = Object.keys(checks).filter(name => checks[name].status !== 'ok');
+        return res.status(503).json({ success: false, error: `Not ready: ${failed.join(', ')} unavailable`, code: 'NOT_READY', status: 'unavailable', checks });
+    }
+    res.status(200).json({ success: true, status: 'ready', checks });
+});
+
+app.get('/metrics', async (req, res) => {
+    res.set('Content-Type', METRICS_CONTENT_TYPE);
+    res.status(200).send(await renderMetrics());
+});
 
 /*
 File Uploads (Multer)
 Multer is configured for handling file uploads.
-Uploads are stored in the /uploads directory.
-Static serving is enabled for uploaded files.
-Not currently used but retained for future compatibility.
+upload = translation memory imports, stored in the /uploads directory and removed once they are read,
+files over TM_IMPORT_MAX_BYTES are refused while uploading (413).
+documentUpload = documents for /api/files, received under a random name in FILE_STORAGE_DIR/incoming,
+files over FILE_UPLOAD_MAX_BYTES are refused while uploading (413).
+Uploads are never served as static files, translated documents are downloaded through their owner's routes.
 */
+const TM_IMPORT_MAX_BYTES = 20 * 1024 * 1024;
+
 const storage = multer.diskStorage({
     destination: './uploads/',
     filename: (req, file, cb) => {
         cb(null, `${Date.now()}-${file.originalname}`);
     },
 });
-const upload = multer({ storage });
+const upload = multer({ storage, limits: { fileSize: TM_IMPORT_MAX_BYTES } });
 
-app.use('/uploads', express.static('uploads'));
+const documentUpload = multer({
+    dest: getFileConfig().incomingDir,
+    limits: { fileSize: getFileConfig().maxBytes, files: 1 },
+});
 
 /*
 Authentication Middleware (authenticate)
 Extracts signedSessionId from Authorization header.
-Validates session using validateSession from database.js.
-If invalid, returns 401 Unauthorized.
+Resolves the session to its user with getSessionUser from database.js (req.user = { id, email, plan },
+req.authSession = { id, expires_at, remember_me }) and slides the session's expiry.
+If invalid or expired, returns 401 Unauthorized, 500 SERVER_ERROR when the session cannot be looked up
+(Express 4 does not catch rejected promises, the request would never get an answer).
 */
+const sessionLookupFailed = (res, error) => {
+    log.error('Session Lookup Error', { error });
+    return res.status(500).json(errorEnvelope('Server error checking the session', 'SERVER_ERROR', { requestId: getRequestId() }));
+};
+
 const authenticate = async (req, res, next) => {
     const authHeader = req.headers.authorization;
     if (!authHeader || !authHeader.startsWith('Bearer ')) {
@@ -95,56 +246,166 @@ const authenticate = async (req, res, next) => {
     }
 
     const signedSessionId = authHeader.split(' ')[1];
-    const isValid = await validateSession(null, signedSessionId); // Pass null for sessionId, validate with signedSessionId
-    if (!isValid) {
+    let sessionUser;
+    try {
+        sessionUser = await getSessionUser(signedSessionId);
+    } catch (error) {
+        return sessionLookupFailed(res, error);
+    }
+    if (!sessionUser) {
         return res.status(401).json({ success: false, error: 'Unauthorized: Invalid or expired session' });
     }
 
+    const { session, ...user } = sessionUser;
     req.signedSessionId = signedSessionId;
+    req.user = user;
+    req.authSession = session;
     next();
-}; // Checks for a valid Bearer token and session. Essential for securing all protected routes after ensuring `validateSession` in `database.js` is correctly implemented.
+}; // Checks for a valid Bearer token and session. Routes act on req.user, never on a userId taken from the request.
 
 
 /*
-User Authentication Endpoints
-Register User (/api/register)
-Validates input (email & password).
-Calls registerUser from database.js to store new user.
-Returns success or error message.
+Optional Authentication Middleware (optionalAuthenticate)
+For routes open to guests: when a valid Bearer token is sent, marks the request
+as authenticated (req.signedSessionId, req.user), otherwise continues as a guest.
 */
-app.post('/api/register', async (req, res) => {
-    const { email, password } = req.body;
+const optionalAuthenticate = async (req, res, next) => {
+    const authHeader = req.headers.authorization;
+    if (authHeader && authHeader.startsWith('Bearer ')) {
+        const signedSessionId = authHeader.split(' ')[1];
+        const sessionUser = await getSessionUser(signedSessionId).catch(() => null);
+        if (sessionUser) {
+            const { session, ...user } = sessionUser;
+            req.signedSessionId = signedSessionId;
+            req.user = user;
+            req.authSession = session;
+        }
+    }
+    next();
+};
 
-    // Validate email and password
-    if (!email || !password) {
-        return res.status(400).json({ success: false, error: 'Email and password are required' });
+/*
+Ownership Middleware (authorizeUser)
+User-scoped routes act on req.user. A userId sent in the URL, body or query is optional,
+but when present it must be the signed-in user's own id, otherwise 403 Forbidden.
+ids are compared case-insensitively (MSSQL returns uniqueidentifiers in upper case).
+*/
+const isOwnUserId = (req, userId) =>
+    userId === undefined || userId === null || userId === '' || String(userId).toLowerCase() === String(req.user.id).toLowerCase();
+
+const forbidden = (res) => res.status(403).json({ success: false, error: 'Forbidden: you can only access your own data' });
+
+const authorizeUser = (req, res, next) => {
+    const userId = req.params.userId ?? req.body?.userId ?? req.query.userId;
+    if (!isOwnUserId(req, userId)) {
+        return forbidden(res);
     }
+    next();
+};
 
-    if (!validateEmail(email)) {
-        return res.status(400).json({ success: false, error: 'Invalid email format' });
+/*
+Admin Middleware (authenticateAdmin)
+Admin-only routes require the X-Admin-Key header to match ADMIN_API_KEY from .env.
+If ADMIN_API_KEY is not set, admin routes are disabled (403).
+Compares in constant time to avoid leaking the key through timing.
+*/
+const authenticateAdmin = (req, res, next) => {
+    const adminKey = process.env.ADMIN_API_KEY;
+    const providedKey = req.headers['x-admin-key'];
+    if (!adminKey || !providedKey) {
+        return res.status(403).json({ success: false, error: 'Forbidden: Admin access required' });
     }
+    const expected = Buffer.from(adminKey);
+    const provided = Buffer.from(String(providedKey));
+    if (expected.length !== provided.length || !crypto.timingSafeEqual(expected, provided)) {
+        return res.status(403).json({ success: false, error: 'Forbidden: Admin access required' });
+    }
+    next();
+};
+
+/*
+Quota Middleware (enforceQuota)
+Counts the request against the caller's plan (quota.js): signed-in users by their account,
+guests by the X-Device-Token header and their IP. Translations also count the characters of `text`,
+uploads to /api/files one file. Over a limit, returns 429 with Retry-After and the remaining quota.
+Runs after (optional) authentication so req.user is known. req.quota = what is left afterwards.
+*/
+const quotaCaller = (req) => ({
+    userId: req.user?.id,
+    plan: req.user?.plan,
+    deviceToken: req.get('x-device-token'),
+    ipAddress: req.ip,
+});
 
-    if (!validatePassword(password)) {
-        return res.status(400).json({ success: false, error: 'Password must be at least 8 characters long, contain at least one uppercase letter, and one special character' });
+const enforceQuota = (usageOf = () => ({})) => (req, res, next) => {
+    try {
+        req.quotaUsage = usageOf(req);
+        req.quota = consumeQuota(quotaCaller(req), req.quotaUsage);
+        next();
+    } catch (error) {
+        if (error.retryAfter) {
+            res.set('Retry-After', String(error.retryAfter));
+        }
+        res.status(error.status || 500).json({
+            success: false,
+            error: error.status ? error.message : 'Server error checking quota',
+            code: error.code,
+            retryAfter: error.retryAfter,
+            quota: error.quota,
+        });
     }
+};
+
+// characters to translate, files are counted by /api/files
+const translationUsage = (req) => ({
+    characters: typeof req.body?.text === 'string' ? req.body.text.length : 0,
+});
 
+/*
+User Authentication Endpoints
+Register User (/api/register)
+Email and password are validated by the schema (openapi.js).
+Calls registerUser from database.js to store new user.
+The account starts unverified, a verification link is emailed (emailVerification.js).
+Returns success (verificationRequired: true) or error message.
+*/
+app.post('/api/register', async (req, res) => {
+    const { email, password } = req.body;
     try {
         const result = await registerUser(email, password);
-        res.status(result.success ? 200 : 400).json(result);
+        if (!result.success) {
+            return res.status(400).json(result);
+        }
+        await sendVerificationEmail(email, { ipAddress: req.ip }).catch(error => log.error('Verification Email Error', { error }));
+        res.status(200).json({
+            success: true,
+            message: 'Registration successful, check your inbox to verify your email address',
+            verificationRequired: true,
+        });
     } catch (error) {
         res.status(500).json({ success: false, error: 'Server error during registration' });
     }
-}); // Validates email and password with regex before calling `registerUser`. Critical for security—update regex if password rules change.
+}); // Password rules are the Password schema of openapi.js. Critical for security—update it if the rules change.
 
 /*
 Login User (/api/login)
 Checks credentials via loginUser.
 Returns session_id for future authentication.
+rememberMe: true gives a long-lived session (SESSION_REMEMBER_EXPIRATION) the client keeps across browser restarts.
+Unverified accounts are refused with 403 and code EMAIL_NOT_VERIFIED.
+The user agent and IP address are stored so the user can recognize the device in their session list.
 */
 app.post('/api/login', async (req, res) => {
-    const { email, password } = req.body;
+    const { email, password, rememberMe } = req.body;
     try {
-        const result = await loginUser(email, password);
+        const result = await loginUser(email, password, {
+            rememberMe: rememberMe === true,
+            userAgent: req.get('user-agent') || null,
+            ipAddress: req.ip || null,
+        });
+        if (result.code === 'EMAIL_NOT_VERIFIED') {
+            return res.status(403).json(result);
+        }
         res.status(result.success ? 200 : 401).json(result);
     } catch (error) {
         res.status(500).json({ success: false, error: 'Server error during login' });
@@ -166,58 +427,807 @@ app.post('/api/logout', authenticate, async (req, res) => {
     }
 });
 
-// ✅ Save Text Translation API
-app.post('/api/translation/text', authenticate, async (req, res) => {
-    const { userId, fromLang, toLang, originalText, translatedText } = req.body;
+/*
+Password Reset Endpoints
+Forgot Password (/api/password/forgot) emails a single-use reset link through passwordReset.js.
+Always answers with the same message, so it cannot be used to find out which emails have an account.
+Rate limited per email and IP (429 + Retry-After).
+Reset Password (/api/password/reset) checks the new password against the Password schema (same rules as registration)
+and sets it with the token from the link, every session of the user is signed out.
+*/
+
+// ✅ Forgot Password API
+app.post('/api/password/forgot', async (req, res) => {
+    const { email } = req.body;
     try {
-        const result = await saveTextTranslation(userId, fromLang, toLang, originalText, translatedText);
-        res.status(result.success ? 200 : 400).json(result);
+        await requestPasswordReset(email, { ipAddress: req.ip });
+        res.status(200).json({ success: true, message: 'If an account exists for that email, a reset link has been sent' });
     } catch (error) {
-        res.status(500).json({ success: false, error: 'Server error saving text translation' });
+        if (error.retryAfter) {
+            res.set('Retry-After', String(error.retryAfter));
+        }
+        res.status(error.status || 500).json({ success: false, error: error.status ? error.message : 'Server error requesting password reset' });
     }
 });
 
-// ✅ Get Text Translation History API
-app.get('/api/translation/text/:userId', authenticate, async (req, res) => {
-    const { userId } = req.params;
+// ✅ Reset Password API
+app.post('/api/password/reset', async (req, res) => {
+    const { token, password } = req.body;
     try {
-        const result = await getTextTranslationHistory(userId);
+        const result = await resetPassword(token, password);
         res.status(200).json(result);
     } catch (error) {
-        res.status(500).json({ success: false, error: 'Server error fetching text translation history' });
+        res.status(error.status || 500).json({ success: false, error: error.status ? error.message : 'Server error resetting password' });
     }
 });
 
-// ✅ Save Voice Translation API (STT-based, text only)
-app.post('/api/translation/voice', authenticate, async (req, res) => {
-    const { userId, fromLang, toLang, originalText, translatedText } = req.body;
+/*
+Email Verification Endpoints
+Verify Email (/api/email/verify) activates the account with the token from the emailed link.
+Resend Verification (/api/email/verification/resend) emails a new link, always with the same answer
+so it does not reveal which emails are registered. Rate limited per email and IP (429 + Retry-After).
+*/
+
+// ✅ Verify Email API
+app.post('/api/email/verify', async (req, res) => {
+    const { token } = req.body;
     try {
-        const result = await saveVoiceTranslation(userId, fromLang, toLang, originalText, translatedText);
-        res.status(result.success ? 200 : 400).json(result);
+        const result = await verifyEmail(token);
+        res.status(200).json(result);
     } catch (error) {
-        res.status(500).json({ success: false, error: 'Server error saving voice translation' });
+        res.status(error.status || 500).json({ success: false, error: error.status ? error.message : 'Server error verifying email' });
     }
 });
 
-// ✅ Get Voice Translation History API
-app.get('/api/translation/voice/:userId', authenticate, async (req, res) => {
-    const { userId } = req.params;
+// ✅ Resend Verification Email API
+app.post('/api/email/verification/resend', async (req, res) => {
+    const { email } = req.body;
     try {
-        const result = await getVoiceTranslationHistory(userId);
-        res.status(200).json(result);
+        await sendVerificationEmail(email, { ipAddress: req.ip });
+        res.status(200).json({ success: true, message: 'If that account still needs verification, a new link has been sent' });
     } catch (error) {
-        res.status(500).json({ success: false, error: 'Server error fetching voice translation history' });
+        if (error.retryAfter) {
+            res.set('Retry-After', String(error.retryAfter));
+        }
+        res.status(error.status || 500).json({ success: false, error: error.status ? error.message : 'Server error sending verification email' });
     }
 });
 
-// ✅ Update User Preferences API
-app.post('/api/user/preferences', authenticate, async (req, res) => {
-    const { userId, default_from_lang, default_to_lang } = req.body;
-    if (!userId || !default_from_lang || !default_to_lang) {
-      return res.status(400).json({ success: false, error: 'All fields are required: userId, default_from_lang, default_to_lang' });
+/*
+Session Endpoints
+Sessions slide: every authenticated request moves the expiry forward, so only idle sessions expire.
+GET /api/sessions/current lets the client check its session (and when it expires) without renewing it.
+GET /api/sessions lists the user's active sessions (devices), `current` marks the one making the request.
+DELETE /api/sessions/:sessionId revokes one session, DELETE /api/sessions signs out everywhere
+(?keepCurrent=true signs out every other device only).
+*/
+
+// ✅ Current Session API
+app.get('/api/sessions/current', async (req, res) => {
+    const authHeader = req.headers.authorization;
+    if (!authHeader || !authHeader.startsWith('Bearer ')) {
+        return res.status(401).json({ success: false, error: 'Unauthorized: No token provided' });
+    }
+    let sessionUser;
+    try {
+        sessionUser = await getSessionUser(authHeader.split(' ')[1], { renew: false });
+    } catch (error) {
+        return sessionLookupFailed(res, error);
+    }
+    if (!sessionUser) {
+        return res.status(401).json({ success: false, error: 'Unauthorized: Invalid or expired session' });
+    }
+    res.status(200).json({ success: true, session: sessionUser.session });
+});
+
+// ✅ List Sessions API
+app.get('/api/sessions', authenticate, async (req, res) => {
+    try {
+        const result = await listSessions(req.user.id);
+        if (!result.success) return res.status(500).json(result);
+        const currentId = String(req.authSession.id).toLowerCase();
+        const sessions = result.sessions.map(session => ({ ...session, current: String(session.id).toLowerCase() === currentId }));
+        res.status(200).json({ success: true, sessions });
+    } catch (error) {
+        res.status(500).json({ success: false, error: 'Server error fetching sessions' });
+    }
+});
+
+// ✅ Revoke Session API
+app.delete('/api/sessions/:sessionId', authenticate, async (req, res) => {
+    const { sessionId } = req.params;
+    try {
+        const result = await revokeSession(req.user.id, sessionId);
+        res.status(result.success ? 200 : 404).json(result);
+    } catch (error) {
+        res.status(500).json({ success: false, error: 'Server error revoking session' });
+    }
+});
+
+// ✅ Sign Out Everywhere API
+app.delete('/api/sessions', authenticate, async (req, res) => {
+    try {
+        const exceptSessionId = req.query.keepCurrent === 'true' ? req.authSession.id : null;
+        const result = await revokeAllSessions(req.user.id, { exceptSessionId });
+        res.status(result.success ? 200 : 500).json(result);
+    } catch (error) {
+        res.status(500).json({ success: false, error: 'Server error revoking sessions' });
+    }
+});
+
+/*
+Account Settings Endpoints
+Changing the password, the email or deleting the account asks for the current password again (403 when wrong).
+PUT /api/account/password keeps this session and signs out every other device.
+PUT /api/account/email emails a confirmation link to the new address, the email changes once it is opened.
+GET /api/account/export downloads everything stored for the user as one JSON file.
+DELETE /api/account removes the account and all its data for good.
+*/
+
+// ✅ Change Password API
+app.put('/api/account/password', authenticate, async (req, res) => {
+    const { currentPassword, newPassword } = req.body;
+    try {
+        if (!(await verifyUserPassword(req.user.id, currentPassword))) {
+            return res.status(403).json({ success: false, error: 'Current password is incorrect' });
+        }
+        const updated = await updateUserPassword(req.user.id, newPassword);
+        if (!updated.success) return res.status(500).json(updated);
+        await revokeAllSessions(req.user.id, { exceptSessionId: req.authSession.id });
+        res.status(200).json({ success: true, message: 'Password changed, your other devices have been signed out' });
+    } catch (error) {
+        res.status(500).json({ success: false, error: 'Server error changing password' });
+    }
+});
+
+// ✅ Change Email API
+app.put('/api/account/email', authenticate, async (req, res) => {
+    const { newEmail, currentPassword } = req.body;
+    if (newEmail === req.user.email) {
+        return res.status(400).json({ success: false, error: 'That is already your email' });
+    }
+    try {
+        if (!(await verifyUserPassword(req.user.id, currentPassword))) {
+            return res.status(403).json({ success: false, error: 'Current password is incorrect' });
+        }
+        const pending = await requestEmailChange(req.user.id, newEmail);
+        if (!pending.success) {
+            return res.status(pending.code === 'EMAIL_TAKEN' ? 409 : 500).json(pending);
+        }
+        await sendEmailChangeConfirmation(req.user.id, newEmail, { ipAddress: req.ip });
+        res.status(200).json({ success: true, message: `Check ${newEmail} for a link to confirm the change` });
+    } catch (error) {
+        if (error.retryAfter) {
+            res.set('Retry-After', String(error.retryAfter));
+        }
+        res.status(error.status || 500).json({ success: false, error: error.status ? error.message : 'Server error changing email' });
     }
+});
+
+// ✅ Export Account Data API
+app.get('/api/account/export', authenticate, async (req, res) => {
+    try {
+        const result = await exportUserData(req.user.id);
+        if (!result.success) return res.status(500).json(result);
+        const exportedAt = new Date();
+        res.setHeader('Content-Type', 'application/json; charset=utf-8');
+        res.setHeader('Content-Disposition', `attachment; filename="translationhub-data-${exportedAt.toISOString().slice(0, 10)}.json"`);
+        res.status(200).send(JSON.stringify({ exportedAt: exportedAt.toISOString(), ...result.data }, null, 2));
+    } catch (error) {
+        res.status(500).json({ success: false, error: 'Server error exporting account data' });
+    }
+});
+
+// ✅ Delete Account API
+app.delete('/api/account', authenticate, async (req, res) => {
+    const { password } = req.body;
+    try {
+        if (!(await verifyUserPassword(req.user.id, password))) {
+            return res.status(403).json({ success: false, error: 'Current password is incorrect' });
+        }
+        const result = await deleteUserAccount(req.user.id);
+        res.status(result.success ? 200 : 500).json(result);
+    } catch (error) {
+        res.status(500).json({ success: false, error: 'Server error deleting account' });
+    }
+});
+
+/*
+Translation Proxy Endpoints
+Public routes (guests and signed-in users) that forward requests to the
+translation provider through translationProxy.js, so the provider API key
+never reaches the browser.
+An optional `provider` (body or query) picks a configured provider per request,
+otherwise the deployment default (TRANSLATION_PROVIDER) is used.
+Provider errors keep their HTTP status (e.g. 409, 429) so the client can react to them.
+Translations are answered from the translation cache when possible, `cached` tells which.
+Signed-in users get their glossary enforced, `appliedGlossaryTerms` lists the terms used.
+Translate and Detect count against the caller's quota (enforceQuota), responses of Translate include
+the remaining `quota`, GET /api/quota returns it without using any.
+*/
+
+// ✅ Quota API (plan, limits and what is left today)
+app.get('/api/quota', optionalAuthenticate, (req, res) => {
+    res.status(200).json({ success: true, quota: getQuotaStatus(quotaCaller(req)) });
+});
+
+// ✅ Translate Text API
+app.post('/api/translate', optionalAuthenticate, enforceQuota(translationUsage), async (req, res) => {
+    const { text, targetLang, sourceLang, provider } = req.body;
+    if (req.user && !isOwnUserId(req, req.body.userId)) {
+        refundQuota(quotaCaller(req), req.quotaUsage);
+        return forbidden(res);
+    }
+    const userId = req.user?.id;
+    try {
+        let glossaryEntries = [];
+        if (userId) {
+            const entries = await getGlossaryEntries(userId, { toLang: targetLang });
+            glossaryEntries = Array.isArray(entries) ? entries : [];
+        }
+        const result = await translate(text, targetLang, sourceLang || 'auto', provider, glossaryEntries);
+        const resolvedSourceLang = sourceLang && sourceLang !== 'auto' ? sourceLang : result.detectedSourceLanguage;
+        countTranslation({ provider: result.provider, sourceLang: resolvedSourceLang, targetLang, mode: 'text' });
+        let memorySuggestions = [];
+        if (userId) {
+            memorySuggestions = await suggestTranslations(userId, text, resolvedSourceLang, targetLang).catch((error) => {
+                log.error('Translation Memory Lookup Error', { error });
+                return [];
+            });
+        }
+        res.status(200).json({ success: true, ...result, memorySuggestions, quota: req.quota });
+    } catch (error) {
+        const quota = refundQuota(quotaCaller(req), req.quotaUsage);
+        res.status(error.status || 500).json({ success: false, error: error.message, code: error.code, quota });
+    }
+});
+
+// ✅ Detect Language API
+app.post('/api/detect', optionalAuthenticate, enforceQuota(), async (req, res) => {
+    const { text, provider } = req.body;
+    try {
+        const language = await detect(text, provider);
+        res.status(200).json({ success: true, language });
+    } catch (error) {
+        res.status(error.status || 500).json({ success: false, error: error.message, code: error.code });
+    }
+});
+
+// ✅ Supported Languages API
+app.get('/api/languages', async (req, res) => {
+    const { target = 'en', provider } = req.query;
     try {
-        const result = await updateUserPreferences(userId, default_from_lang, default_to_lang);
+        const languages = await listLanguages(target, provider);
+        res.status(200).json({ success: true, languages });
+    } catch (error) {
+        res.status(error.status || 500).json({ success: false, error: error.message, code: error.code });
+    }
+});
+
+// ✅ Available Translation Providers API
+app.get('/api/providers', (req, res) => {
+    res.status(200).json({ success: true, providers: listProviders() });
+});
+
+/*
+Document Translation Endpoints (/api/files)
+POST takes a multipart upload: file (PDF, DOCX or TXT), targetLang, optional sourceLang, provider and userId.
+documentTranslation.js checks the file and extracts its text on the server, then queues a job that translates it
+in the background (jobQueue.js): the answer is 202 with the job, followed through the /api/jobs endpoints below.
+The translated file is kept for FILE_RETENTION_HOURS, GET /api/files/{fileId}/download sends it.
+The upload counts one file against the quota before it is received, its characters once the text is known,
+both are given back when the upload is refused or its job fails or is cancelled.
+Files belong to the signed-in user, or to the guest's device (X-Device-Token is required for guests),
+anyone else gets 404. Signed-in users list their files with GET /api/files.
+*/
+
+// the owner of a file or job request: { userId } or { guestKey }, null for guests without a device token
+const fileOwner = (req) => {
+    if (req.user) return { userId: req.user.id };
+    const deviceToken = req.get('x-device-token');
+    return isDeviceToken(deviceToken) ? { guestKey: guestFileKey(deviceToken) } : null;
+};
+
+// receives the document, the file counted by enforceQuota is given back when multer refuses it
+const receiveDocument = (req, res, next) => {
+    documentUpload.single('file')(req, res, (error) => {
+        if (error) refundQuota(quotaCaller(req), req.quotaUsage);
+        next(error);
+    });
+};
+
+// the quota charged for each queued job (job id -> { caller, usage }), given back unless the job completes.
+// Kept in memory like the quota usage itself (quota.js), both start over when the server restarts.
+const jobCharges = new Map();
+
+registerJobHandler(DOCUMENT_JOB_TYPE, runDocumentTranslation, { onCancelled: cancelDocumentTranslation });
+
+onJobFinished((job) => {
+    const charge = jobCharges.get(job.id);
+    if (!charge) return;
+    jobCharges.delete(job.id);
+    if (job.status !== 'completed') refundQuota(charge.caller, charge.usage);
+});
+
+// ✅ Translate File API (queues the translation, 202 with its job)
+app.post('/api/files', optionalAuthenticate, enforceQuota(() => ({ files: 1 })), receiveDocument, async (req, res) => {
+    const { userId, targetLang, sourceLang, provider } = req.body;
+    const caller = quotaCaller(req);
+    let charged = req.quotaUsage;
+    try {
+        if (req.user && !isOwnUserId(req, userId)) { // checked here, the body is only parsed by multer
+            refundQuota(caller, charged);
+            return forbidden(res);
+        }
+        const owner = fileOwner(req);
+        if (!owner) {
+            const quota = refundQuota(caller, charged);
+            return res.status(400).json({ success: false, error: 'Guests need an X-Device-Token header to translate files', code: 'DEVICE_TOKEN_REQUIRED', quota });
+        }
+        if (!req.file || !targetLang) {
+            const quota = refundQuota(caller, charged);
+            return res.status(400).json({ success: false, error: 'A PDF, DOCX or TXT file and targetLang are required', quota });
+        }
+
+        const { file, job } = await queueDocumentTranslation(owner, req.file, {
+            targetLang,
+            sourceLang: sourceLang || 'auto',
+            provider,
+            beforeTranslate: ({ characters }) => {
+                req.quota = consumeQuota(caller, { characters, requests: 0 });
+                charged = { ...charged, characters };
+            },
+        });
+        jobCharges.set(job.id, { caller, usage: charged });
+        res.status(202).json({ success: true, file, job, quota: req.quota });
+    } catch (error) {
+        const quota = refundQuota(caller, charged);
+        if (!error.status) log.error('File Translation Error', { error });
+        if (error.retryAfter) res.set('Retry-After', String(error.retryAfter));
+        res.status(error.status || 500).json({
+            success: false,
+            error: error.status ? error.message : 'Server error translating file',
+            code: error.code,
+            retryAfter: error.retryAfter,
+            quota,
+        });
+    } finally {
+        if (req.file) await fs.unlink(req.file.path).catch(() => {}); // already moved unless it was refused
+    }
+});
+
+// ✅ List Files API (signed-in users, newest first)
+app.get('/api/files', authenticate, authorizeUser, async (req, res) => {
+    try {
+        const files = await listFileRecords(req.user.id);
+        if (!Array.isArray(files)) {
+            return res.status(500).json({ success: false, error: 'Server error fetching files' });
+        }
+        res.status(200).json({ success: true, files });
+    } catch (error) {
+        res.status(500).json({ success: false, error: 'Server error fetching files' });
+    }
+});
+
+// ✅ File Details API
+app.get('/api/files/:fileId', optionalAuthenticate, async (req, res) => {
+    try {
+        const owner = fileOwner(req);
+        const file = owner ? await getFileRecord(owner, req.params.fileId) : null;
+        if (!file) {
+            return res.status(404).json({ success: false, error: 'File not found' });
+        }
+        res.status(200).json({ success: true, file });
+    } catch (error) {
+        res.status(500).json({ success: false, error: 'Server error fetching file' });
+    }
+});
+
+// ✅ Download Translated File API
+app.get('/api/files/:fileId/download', optionalAuthenticate, async (req, res) => {
+    try {
+        const owner = fileOwner(req);
+        if (!owner) {
+            return res.status(404).json({ success: false, error: 'File not found' });
+        }
+        const { file, filePath } = await openTranslatedFile(owner, req.params.fileId);
+        res.download(filePath, file.output_name, { headers: { 'Content-Type': file.output_mime } });
+    } catch (error) {
+        res.status(error.status || 500).json({ success: false, error: error.status ? error.message : 'Server error downloading file', code: error.code });
+    }
+});
+
+// ✅ Translated Text API (original and translated text of a completed translation, for the history)
+app.get('/api/files/:fileId/content', optionalAuthenticate, async (req, res) => {
+    try {
+        const owner = fileOwner(req);
+        if (!owner) {
+            return res.status(404).json({ success: false, error: 'File not found' });
+        }
+        const content = await readTranslatedText(owner, req.params.fileId);
+        res.status(200).json({ success: true, ...content });
+    } catch (error) {
+        res.status(error.status || 500).json({ success: false, error: error.status ? error.message : 'Server error fetching file', code: error.code });
+    }
+});
+
+// ✅ Delete File API
+app.delete('/api/files/:fileId', optionalAuthenticate, async (req, res) => {
+    try {
+        const owner = fileOwner(req);
+        const result = owner ? await deleteDocument(owner, req.params.fileId) : { success: false, error: 'File not found' };
+        res.status(result.success ? 200 : 404).json(result);
+    } catch (error) {
+        res.status(500).json({ success: false, error: 'Server error deleting file' });
+    }
+});
+
+/*
+Background Job Endpoints (/api/jobs)
+the jobs of the caller (user or guest device, like the files), newest first with GET /api/jobs.
+GET /api/jobs/{jobId} answers the current state for polling, GET /api/jobs/{jobId}/events streams it as
+Server-Sent Events: one "job" event now and on every change, the stream ends once the job has finished.
+Cancel stops a queued or running job, retry queues a failed or cancelled job again and charges its quota again.
+*/
+
+const JOB_EVENTS_HEARTBEAT_MS = 15000; // keeps proxies from closing an idle stream
+
+const sendJobError = (res, error, message) => {
+    if (error.retryAfter) res.set('Retry-After', String(error.retryAfter));
+    res.status(error.status || 500).json({
+        success: false,
+        error: error.status ? error.message : message,
+        code: error.code,
+        retryAfter: error.retryAfter,
+        quota: error.quota,
+    });
+};
+
+// ✅ List Jobs API
+app.get('/api/jobs', optionalAuthenticate, async (req, res) => {
+    try {
+        const owner = fileOwner(req);
+        const jobs = owner ? await listRecentJobs(owner) : [];
+        res.status(200).json({ success: true, jobs });
+    } catch (error) {
+        log.error('List Jobs Error', { error });
+        res.status(500).json({ success: false, error: 'Server error fetching jobs' });
+    }
+});
+
+// ✅ Job Status API
+app.get('/api/jobs/:jobId', optionalAuthenticate, async (req, res) => {
+    try {
+        const owner = fileOwner(req);
+        if (!owner) {
+            return res.status(404).json({ success: false, error: 'Job not found' });
+        }
+        const job = await getJobStatus(owner, req.params.jobId);
+        res.status(200).json({ success: true, job });
+    } catch (error) {
+        sendJobError(res, error, 'Server error fetching job');
+    }
+});
+
+// ✅ Job Progress Events API (text/event-stream)
+app.get('/api/jobs/:jobId/events', optionalAuthenticate, async (req, res) => {
+    let job;
+    try {
+        const owner = fileOwner(req);
+        if (!owner) {
+            return res.status(404).json({ success: false, error: 'Job not found' });
+        }
+        job = await getJobStatus(owner, req.params.jobId);
+    } catch (error) {
+        return sendJobError(res, error, 'Server error fetching job');
+    }
+
+    res.set({ 'Content-Type': 'text/event-stream', 'Cache-Control': 'no-cache', Connection: 'keep-alive', 'X-Accel-Buffering': 'no' });
+    res.flushHeaders();
+    const send = (update) => res.write(`event: job\ndata: ${JSON.stringify(update)}\n\n`);
+    send(job);
+    if (isFinishedJob(job)) return res.end();
+
+    const heartbeat = setInterval(() => res.write(': keep-alive\n\n'), JOB_EVENTS_HEARTBEAT_MS);
+    let unsubscribe = () => {};
+    const close = () => {
+        clearInterval(heartbeat);
+        unsubscribe();
+        res.end();
+    };
+    unsubscribe = subscribeToJob(job.id, (update) => {
+        send(update);
+        if (isFinishedJob(update)) close();
+    });
+    req.on('close', close);
+});
+
+// ✅ Cancel Job API
+app.post('/api/jobs/:jobId/cancel', optionalAuthenticate, async (req, res) => {
+    try {
+        const owner = fileOwner(req);
+        if (!owner) {
+            return res.status(404).json({ success: false, error: 'Job not found' });
+        }
+        const job = await cancelJob(owner, req.params.jobId);
+        res.status(200).json({ success: true, job });
+    } catch (error) {
+        sendJobError(res, error, 'Server error cancelling job');
+    }
+});
+
+// ✅ Retry Job API (charges the file and its characters again)
+app.post('/api/jobs/:jobId/retry', optionalAuthenticate, async (req, res) => {
+    const caller = quotaCaller(req);
+    let charged = null;
+    try {
+        const owner = fileOwner(req);
+        if (!owner) {
+            return res.status(404).json({ success: false, error: 'Job not found' });
+        }
+        const job = await retryJob(owner, req.params.jobId, {
+            beforeRetry: (failed) => {
+                const next = { files: 1, characters: failed.payload.characters || 0 };
+                req.quota = consumeQuota(caller, next);
+                charged = next;
+            },
+        });
+        jobCharges.set(job.id, { caller, usage: charged });
+        res.status(200).json({ success: true, job, quota: req.quota });
+    } catch (error) {
+        if (charged) refundQuota(caller, charged);
+        sendJobError(res, error, 'Server error retrying job');
+    }
+});
+
+/*
+Translation Cache Admin (/api/admin/translation-cache)
+Purges cached translations, optionally filtered by provider, fromLang, toLang,
+or only the expired entries (expiredOnly=true). Returns the number of deleted entries.
+*/
+app.delete('/api/admin/translation-cache', authenticateAdmin, async (req, res) => {
+    const { provider, fromLang, toLang, expiredOnly } = req.query;
+    try {
+        const result = await purgeTranslationCache({ provider, fromLang, toLang, expiredOnly: expiredOnly === 'true' });
+        res.status(result.success ? 200 : 500).json(result);
+    } catch (error) {
+        res.status(500).json({ success: false, error: 'Server error purging translation cache' });
+    }
+});
+
+/*
+Translation Memory Endpoints (/api/translation-memory)
+POST /import takes a multipart upload: file (TMX, XLIFF or CSV),
+optional sourceLang / targetLang for files that do not declare their languages.
+responds with the import report, see importTranslationMemory in translationMemory.js.
+imported units come back as memorySuggestions from /api/translate
+*/
+app.post('/api/translation-memory/import', authenticate, upload.single('file'), async (req, res) => {
+    const { userId, sourceLang, targetLang } = req.body;
+    try {
+        if (!isOwnUserId(req, userId)) { // checked here, the body is only parsed by multer
+            return forbidden(res);
+        }
+        if (!req.file) {
+            return res.status(400).json({ success: false, error: 'A TMX, XLIFF or CSV file is required' });
+        }
+        const content = decodeImportFile(await fs.readFile(req.file.path));
+        const report = await importTranslationMemory(req.user.id, {
+            fileName: req.file.originalname,
+            content,
+            defaultSourceLang: sourceLang,
+            defaultTargetLang: targetLang,
+        });
+        res.status(200).json({ success: true, report });
+    } catch (error) {
+        log.error('Translation Memory Import Error', { error });
+        res.status(error.status || 500).json({ success: false, error: error.status ? error.message : 'Server error importing translation memory' });
+    } finally {
+        if (req.file) await fs.unlink(req.file.path).catch(() => {});
+    }
+});
+
+// ✅ Translation Memory Summary API (units per language pair)
+app.get('/api/translation-memory/:userId', authenticate, authorizeUser, async (req, res) => {
+    try {
+        const result = await getTranslationMemoryStats(req.user.id);
+        res.status(result.success ? 200 : 500).json(result);
+    } catch (error) {
+        res.status(500).json({ success: false, error: 'Server error fetching translation memory' });
+    }
+});
+
+/*
+Glossary Endpoints (/api/glossary)
+CRUD for a user's terminology entries: sourceTerm, targetTerm, fromLang, toLang, caseSensitive.
+Entries are enforced by /api/translate for the matching language pair.
+Terms are required and at most 200 characters long (GlossaryEntryInput schema).
+*/
+
+// ✅ Get Glossary API (optional fromLang/toLang filters)
+app.get('/api/glossary/:userId', authenticate, authorizeUser, async (req, res) => {
+    const { fromLang, toLang } = req.query;
+    try {
+        const entries = await getGlossaryEntries(req.user.id, { fromLang, toLang });
+        if (!Array.isArray(entries)) return res.status(500).json(entries);
+        res.status(200).json({ success: true, entries });
+    } catch (error) {
+        res.status(500).json({ success: false, error: 'Server error fetching glossary' });
+    }
+});
+
+// ✅ Create Glossary Entry API
+app.post('/api/glossary', authenticate, authorizeUser, async (req, res) => {
+    const { sourceTerm, targetTerm, fromLang, toLang, caseSensitive } = req.body;
+    try {
+        const result = await createGlossaryEntry(req.user.id, { sourceTerm: sourceTerm.trim(), targetTerm: targetTerm.trim(), fromLang, toLang, caseSensitive });
+        res.status(result.success ? 201 : 400).json(result);
+    } catch (error) {
+        res.status(500).json({ success: false, error: 'Server error creating glossary entry' });
+    }
+});
+
+// ✅ Update Glossary Entry API
+app.put('/api/glossary/:entryId', authenticate, authorizeUser, async (req, res) => {
+    const { entryId } = req.params;
+    const { sourceTerm, targetTerm, fromLang, toLang, caseSensitive } = req.body;
+    try {
+        const result = await updateGlossaryEntry(req.user.id, entryId, { sourceTerm: sourceTerm.trim(), targetTerm: targetTerm.trim(), fromLang, toLang, caseSensitive });
+        res.status(result.success ? 200 : 404).json(result);
+    } catch (error) {
+        res.status(500).json({ success: false, error: 'Server error updating glossary entry' });
+    }
+});
+
+// ✅ Delete Glossary Entry API
+app.delete('/api/glossary/:entryId', authenticate, authorizeUser, async (req, res) => {
+    const { entryId } = req.params;
+    try {
+        const result = await deleteGlossaryEntry(req.user.id, entryId);
+        res.status(result.success ? 200 : 404).json(result);
+    } catch (error) {
+        res.status(500).json({ success: false, error: 'Server error deleting glossary entry' });
+    }
+});
+
+/*
+Translations Resource (/api/translations)
+One record model for every mode: type = text | voice | file | asl,
+sourceMeta = mode specific details (fileName, fileSize, pageCount, audioDuration, frameCount...),
+provider = translation provider that produced the result.
+POST saves, GET lists the history, PUT edits, PATCH favorites/restores, DELETE trashes.
+The fields are validated by the TranslationInput / TranslationUpdate schemas, the size of sourceMeta here.
+*/
+const SOURCE_META_MAX_LENGTH = 4096; // characters of sourceMeta as JSON
+
+// ✅ Save Translation API
+app.post('/api/translations', authenticate, authorizeUser, async (req, res) => {
+    const { type, fromLang, toLang, originalText, translatedText, sourceMeta, provider } = req.body;
+    if (sourceMeta && JSON.stringify(sourceMeta).length > SOURCE_META_MAX_LENGTH) {
+        return res.status(400).json({ success: false, error: 'sourceMeta is too large', code: 'VALIDATION_ERROR' });
+    }
+    try {
+        const result = await saveTranslation(req.user.id, { type, fromLang, toLang, originalText, translatedText, sourceMeta, provider });
+        res.status(result.success ? 201 : 400).json(result);
+    } catch (error) {
+        res.status(500).json({ success: false, error: `Server error saving ${type} translation` });
+    }
+});
+
+/*
+Translation History Query Parameters:
+all optional (the history is always the signed-in user's, a userId must be their own):
+page + pageSize (default 20, max 100) or cursor (nextCursor of the previous page),
+search (free text over original and translated text), fromLang, toLang,
+dateFrom / dateTo (ISO dates, dateTo includes that day), type (text | voice | file | asl, omit or 'all' for every type),
+favorite=true (favorites only), trash=true (soft-deleted items only, hidden otherwise).
+Responses: { success, items, total, page, pageSize, hasMore, nextCursor }
+*/
+const historyFilters = (query) => {
+    const { page, pageSize, cursor, search, fromLang, toLang, dateFrom, dateTo, type, favorite, trash } = query;
+    return { page, pageSize, cursor, search, fromLang, toLang, dateFrom, dateTo, type, favorite, trash };
+};
+
+// ✅ Get Translation History API
+app.get('/api/translations', authenticate, authorizeUser, async (req, res) => {
+    try {
+        const result = await searchTranslationHistory(req.user.id, historyFilters(req.query));
+        res.status(result.success ? 200 : 500).json(result);
+    } catch (error) {
+        res.status(500).json({ success: false, error: 'Server error fetching translation history' });
+    }
+});
+
+/*
+Export Translation History (/api/translations/export)
+same query as the history (filters) plus format = csv | json | tmx | xliff (default json),
+xliff needs fromLang and toLang since an XLIFF 2.0 document holds a single language pair.
+the history is read page by page and streamed as a file download
+*/
+const EXPORT_PAGE_SIZE = 100;
+
+app.get('/api/translations/export', authenticate, authorizeUser, async (req, res) => {
+    const { format = 'json', fromLang, toLang } = req.query;
+    const userId = req.user.id;
+    let writer;
+    try {
+        writer = createExportWriter(format, { srcLang: fromLang, trgLang: toLang });
+    } catch (error) {
+        return res.status(400).json({ success: false, error: error.message });
+    }
+
+    const filters = { ...historyFilters(req.query), page: undefined, pageSize: EXPORT_PAGE_SIZE };
+    try {
+        let page = await searchTranslationHistory(userId, filters);
+        if (!page.success) {
+            return res.status(500).json(page);
+        }
+        res.setHeader('Content-Type', EXPORT_FORMATS[format].mimeType);
+        res.setHeader('Content-Disposition', `attachment; filename="${exportFileName(format)}"`);
+        res.write(writer.begin());
+        for (;;) {
+            page.items.forEach(item => res.write(writer.record(toExportRecord(item))));
+            if (!page.hasMore) break;
+            page = await searchTranslationHistory(userId, { ...filters, cursor: page.nextCursor });
+            if (!page.success) throw new Error(page.error);
+        }
+        res.end(writer.end());
+    } catch (error) {
+        log.error('Export Error', { error });
+        if (!res.headersSent) {
+            return res.status(500).json({ success: false, error: 'Server error exporting translation history' });
+        }
+        res.destroy(error); // the download is cut short instead of ending as a valid but incomplete file
+    }
+});
+
+// ✅ Edit Translation API
+app.put('/api/translations/:translationId', authenticate, authorizeUser, async (req, res) => {
+    const { translationId } = req.params;
+    const { fromLang, toLang, originalText, translatedText } = req.body;
+    try {
+        const result = await updateTranslation(req.user.id, translationId, { fromLang, toLang, originalText, translatedText });
+        res.status(result.success ? 200 : 404).json(result);
+    } catch (error) {
+        res.status(500).json({ success: false, error: 'Server error updating translation' });
+    }
+});
+
+// ✅ Favorite / Restore Translation API ({ favorite } and/or { restore: true })
+app.patch('/api/translations/:translationId', authenticate, authorizeUser, async (req, res) => {
+    const { translationId } = req.params;
+    const { favorite, restore } = req.body;
+    const userId = req.user.id;
+    try {
+        let result = { success: true };
+        if (restore === true) {
+            result = await restoreTranslation(userId, translationId);
+        }
+        if (result.success && typeof favorite === 'boolean') {
+            result = await setTranslationFavorite(userId, translationId, favorite);
+        }
+        res.status(result.success ? 200 : 404).json(result);
+    } catch (error) {
+        res.status(500).json({ success: false, error: 'Server error updating translation' });
+    }
+});
+
+// ✅ Delete Translation API (trash, ?permanent=true removes an item already in the trash for good)
+app.delete('/api/translations/:translationId', authenticate, authorizeUser, async (req, res) => {
+    const { translationId } = req.params;
+    try {
+        const result = await deleteTranslation(req.user.id, translationId, { permanent: req.query.permanent === 'true' });
+        res.status(result.success ? 200 : 404).json(result);
+    } catch (error) {
+        res.status(500).json({ success: false, error: 'Server error deleting translation' });
+    }
+});
+
+// ✅ Update User Preferences API
+app.post('/api/user/preferences', authenticate, authorizeUser, async (req, res) => {
+    const { default_from_lang, default_to_lang } = req.body;
+    try {
+        const result = await updateUserPreferences(req.user.id, default_from_lang, default_to_lang);
         res.status(result.success ? 200 : 400).json(result);
     } catch (error) {
         res.status(500).json({ success: false, error: 'Server error updating preferences' });
@@ -225,19 +1235,27 @@ app.post('/api/user/preferences', authenticate, async (req, res) => {
 });
 
 // ✅ Get User Preferences API
-app.get('/api/user/preferences/:userId', authenticate, async (req, res) => {
-    const { userId } = req.params;
+app.get('/api/user/preferences/:userId', authenticate, authorizeUser, async (req, res) => {
     try {
-        const preferences = await getUserPreferences(userId);
+        const preferences = await getUserPreferences(req.user.id);
         res.status(200).json({ success: true, preferences });
     } catch (error) {
         res.status(500).json({ success: false, error: error.message });
     }
 });
 
+// unknown /api routes and errors Express would answer with an HTML page get the error envelope too
+app.use('/api', apiNotFound);
+app.use(apiErrorHandler);
+
 // ✅ Start Server
 const PORT = process.env.PORT || 5000;
-app.listen(PORT, () => console.log(`✅ Server running on port ${PORT}`)); // Starts server on `PORT` (default 5000). Ensure `.env` has `PORT` defined if overriding the default.
+app.listen(PORT, () => {
+    log.info('Server running', { port: Number(PORT) });
+    checkEmailVerificationConfig();
+    startFileCleanup();
+    startJobWorkers();
+}); // Starts server on `PORT` (default 5000). Ensure `.env` has `PORT` defined if overriding the default.
 
 /**
  * 🚀 Translation Hub Backend Server Setup 🚀
@@ -260,6 +1278,9 @@ app.listen(PORT, () => console.log(`✅ Server running on port ${PORT}`)); // St
  * - Make sure you have all dependencies installed: `npm install`
  * - Check the `.env` file to configure the database connection.
  * - If using the mock database, set `USE_MOCK_DB=true` in `.env`
+ * - Pick the translation provider with `TRANSLATION_PROVIDER` (google, deepl, libretranslate, mock)
+ *   and set its keys in `.env` (`GOOGLE_TRANSLATE_API_KEY`, `DEEPL_API_KEY`, `LIBRETRANSLATE_URL`).
+ *   `TRANSLATE_API_URL` points Google at a local stand-in provider.
  * 
  * 🛠 If any issues arise, verify logs in the terminal and ensure Node.js is installed.
  */
\ No newline at end of file
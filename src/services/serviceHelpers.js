@@ -0,0 +1,18 @@
+/*
+Service Helpers:
+the small pieces every backend service shares, so each setting and error shape is defined once.
+readInt      = a whole number setting of .env, the fallback when it is missing or not a number
+getAppUrl    = APP_URL without a trailing slash (defaults to the Vite dev server, http://localhost:5173),
+               the base of the links sent by email (password reset, email verification)
+serviceError = an Error carrying the HTTP status server.js answers with, plus details such as
+               code or retryAfter: serviceError('File not found', 404, { code: 'NOT_FOUND' })
+*/
+
+export const readInt = (value, fallback) => {
+  const parsed = parseInt(value, 10);
+  return Number.isNaN(parsed) ? fallback : parsed;
+};
+
+export const getAppUrl = () => (process.env.APP_URL || 'http://localhost:5173').replace(/\/+$/, '');
+
+export const serviceError = (message, status = 400, details = {}) => Object.assign(new Error(message), { status, ...details });
@@ -18,14 +18,14 @@ Mock mode (VITE_USE_MOCK_API) allows testing without actual API calls.
 Axios is used for HTTP requests.
 */
 import axios from 'axios';
+import { clientLogger } from './clientLogger';
 
 const GOOGLE_SPEECH_API_KEY = import.meta.env.VITE_GOOGLE_SPEECH_API_KEY;
 const isMock = import.meta.env.VITE_USE_MOCK_API === 'true';
 
 export const transcribeAudio = async (audioBlob, language = 'en-US') => {
-  console.log('isMock value:', isMock); // Debug: Confirm mock mode
   if (isMock) {
-    console.warn('⚠️ Using mock speech recognition');
+    clientLogger.debug('Using mock speech recognition');
     await new Promise(resolve => setTimeout(resolve, 1000));
     return "This is a sample transcription of your voice recording.";
   }  // Returns mock text with 1s delay.  for development—update mock for realistic testing
@@ -76,13 +76,12 @@ export const transcribeAudio = async (audioBlob, language = 'en-US') => {
       requestBody,
       { headers: { 'Content-Type': 'application/json' } }
     );
-    console.log('STT API Response:', response.data);
     if (!response.data.results || !response.data.results[0] || !response.data.results[0].alternatives || !response.data.results[0].alternatives[0]) {
       throw new Error('Invalid response structure from STT API');
     }
     return response.data.results[0].alternatives[0].transcript;
   } catch (error) {
-    console.error('STT API Error:', error.response ? error.response.data : error.message);
+    clientLogger.error('STT API Error', { error, details: error.response?.data?.error });
     const errorMessage = error.response?.data?.error?.message || error.message;
     throw new Error(`Failed to transcribe audio via API: ${errorMessage}`);
   }
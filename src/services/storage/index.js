@@ -0,0 +1,40 @@
+/*
+Storage Drivers:
+DB_DRIVER picks the database behind database.js: mssql (default), sqlite or postgres.
+mssql keeps its own implementation in database.js, sqlite and postgres share sqlRepository.js
+over a small client interface every driver implements:
+  driver
+  query(text, params) -> { rows, rowCount }   text uses ? placeholders
+  exec(script) -> runs statements without parameters (schema changes)
+  transaction(callback, { exclusive }) -> callback({ query, exec }), committed when it resolves,
+                                          exclusive = one at a time (the migrations)
+  isUniqueViolation(error) -> boolean
+  close()
+every driver has its own migrations (migrations/<driver>/).
+*/
+
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { createSqliteClient } from './sqliteClient.js';
+import { createPostgresClient } from './postgresClient.js';
+
+export const DB_DRIVERS = ['mssql', 'sqlite', 'postgres'];
+
+const PROJECT_ROOT = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '../../..');
+
+export const getDbDriver = () => {
+  const driver = (process.env.DB_DRIVER || 'mssql').toLowerCase();
+  if (!DB_DRIVERS.includes(driver)) {
+    throw new Error(`Unknown DB_DRIVER "${driver}", use one of: ${DB_DRIVERS.join(', ')}`);
+  }
+  return driver;
+};
+
+// CreateSqlClient: the client of the sqlite or postgres driver (mssql clients wrap the pool, mssqlClient.js)
+export const createSqlClient = (driver) => {
+  if (driver === 'sqlite') {
+    return createSqliteClient({ filePath: path.resolve(PROJECT_ROOT, process.env.SQLITE_FILE || 'translationhub.db') });
+  }
+  if (driver === 'postgres') return createPostgresClient();
+  throw new Error(`No SQL client for DB_DRIVER "${driver}"`);
+};
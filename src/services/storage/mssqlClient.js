@@ -0,0 +1,61 @@
+/*
+SQL Server Client (DB_DRIVER=mssql):
+the client interface over the mssql connection pool of database.js, used by the migrations
+(the MSSQL repository itself talks to the pool directly).
+? placeholders are sent as @p1, @p2... with their types inferred from the values.
+*/
+
+import sql from 'mssql';
+
+const MIGRATIONS_LOCK = 'TranslationHub:SchemaMigrations'; // sp_getapplock resource of the exclusive transactions
+
+const bind = (request, text, params) => {
+  let index = 0;
+  const statement = text.replace(/\?/g, () => `@p${++index}`);
+  params.forEach((value, position) => request.input(`p${position + 1}`, value));
+  return { request, statement };
+};
+
+const queryWith = (newRequest) => async (text, params = []) => {
+  const { request, statement } = bind(newRequest(), text, params);
+  const result = await request.query(statement);
+  return { rows: result.recordset || [], rowCount: result.rowsAffected[0] || 0 };
+};
+
+const execWith = (newRequest) => async (script) => {
+  await newRequest().batch(script); // batch, not sp_executesql, so CREATE PROCEDURE may start it
+};
+
+export const createMssqlClient = (pool) => {
+  const transaction = async (callback, { exclusive = false } = {}) => {
+    const mssqlTransaction = new sql.Transaction(pool);
+    await mssqlTransaction.begin();
+    const newRequest = () => new sql.Request(mssqlTransaction);
+    try {
+      if (exclusive) {
+        await newRequest()
+          .input('Resource', sql.NVarChar(255), MIGRATIONS_LOCK)
+          .query("EXEC sp_getapplock @Resource = @Resource, @LockMode = 'Exclusive', @LockOwner = 'Transaction', @LockTimeout = 60000");
+      }
+      const result = await callback({ query: queryWith(newRequest), exec: execWith(newRequest) });
+      await mssqlTransaction.commit();
+      return result;
+    } catch (error) {
+      try {
+        await mssqlTransaction.rollback();
+      } catch {
+        // XACT_ABORT errors roll the transaction back on the server already
+      }
+      throw error;
+    }
+  };
+
+  return {
+    driver: 'mssql',
+    query: queryWith(() => pool.request()),
+    exec: execWith(() => pool.request()),
+    transaction,
+    isUniqueViolation: (error) => error?.number === 2627 || error?.number === 2601,
+    close: () => pool.close(),
+  };
+};
@@ -0,0 +1,1026 @@
+/*
+SQL Repository (DB_DRIVER=sqlite | postgres):
+the functions of the data access contract (dataContract.js) written once in SQL both databases understand,
+over the client of the driver (storage/index.js). Same tables, columns and result shapes as the MSSQL
+implementation in database.js, the schema comes from migrations/sqlite and migrations/postgres.
+
+portable on purpose:
+times are computed here and passed as parameters (no GETUTCDATE / NOW()),
+optional filters add conditions instead of "@X IS NULL OR ..." (postgres cannot type an unused parameter),
+searches compare LOWER() text, since postgres LIKE is case sensitive unlike SQL Server.
+*/
+
+import crypto from 'crypto';
+import bcrypt from 'bcryptjs';
+import {
+  INVALID_CREDENTIALS,
+  EMAIL_TAKEN,
+  toLoginUserDto,
+  toEmailUserDto,
+  toPreferencesDto,
+  toSessionUserDto,
+  toSessionDto,
+  toTranslationDto,
+  toGlossaryEntryDto,
+  toMemoryUnitDto,
+  toFileDto,
+  FILE_UPDATE_COLUMNS,
+  toJobDto,
+  JOB_UPDATE_COLUMNS,
+  JOB_NOT_FOUND,
+  sessionLifetimeSeconds,
+  encodeHistoryCursor,
+  normalizeHistoryFilters,
+} from '../dataContract.js';
+import { logger } from '../logger.js';
+
+const log = logger.child({ component: 'database' });
+
+const TM_INSERT_BATCH_SIZE = 100; // rows per INSERT, 9 parameters each
+const TM_MAX_LENGTH = 100000;
+
+const secondsFrom = (date, seconds) => new Date(date.getTime() + seconds * 1000);
+
+// WHERE conditions joined with AND, params in the order of their placeholders
+const createFilter = (conditions = [], params = []) => ({
+  conditions,
+  params,
+  add(condition, ...values) {
+    conditions.push(condition);
+    params.push(...values);
+  },
+  sql: () => conditions.join(' AND '),
+});
+
+export const createSqlRepository = (client) => {
+  const { query } = client;
+
+  const getPool = async () => client;
+
+  /*
+  Users & Sessions:
+  passwords are hashed with bcrypt, sessions are signed with SESSION_SECRET (HMAC-SHA256)
+  exactly like the MSSQL implementation, so a user can move between drivers with their data.
+  */
+  const registerUser = async (email, password) => {
+    try {
+      const passwordHash = await bcrypt.hash(password, await bcrypt.genSalt(10));
+      await query(
+        'INSERT INTO Users (id, email, password_hash, created_at) VALUES (?, ?, ?, ?)',
+        [crypto.randomUUID(), email, passwordHash, new Date()]
+      );
+      return { success: true, message: 'Registration successful' };
+    } catch (error) {
+      if (client.isUniqueViolation(error)) return EMAIL_TAKEN;
+      log.error('Register Error', { error });
+      return { success: false, error: error.message };
+    }
+  };
+
+  const loginUser = async (email, password, { rememberMe = false, userAgent = null, ipAddress = null } = {}) => {
+    try {
+      const result = await query(
+        'SELECT id, email, password_hash, email_verified_at, default_from_lang, default_to_lang FROM Users WHERE email = ?',
+        [email]
+      );
+      const user = result.rows[0];
+      if (!user || !(await bcrypt.compare(String(password), user.password_hash))) return INVALID_CREDENTIALS;
+      if (!user.email_verified_at) {
+        return { success: false, error: 'Please verify your email address before signing in', code: 'EMAIL_NOT_VERIFIED' };
+      }
+
+      const sessionId = crypto.randomUUID();
+      const signedSessionId = crypto.createHmac('sha256', process.env.SESSION_SECRET || 'default-secret')
+                                   .update(sessionId)
+                                   .digest('hex');
+      const now = new Date();
+      const expiresAt = secondsFrom(now, sessionLifetimeSeconds(rememberMe));
+      await query('DELETE FROM Sessions WHERE user_id = ? AND expires_at <= ?', [user.id, now]);
+      await query(`
+        INSERT INTO Sessions (session_id, user_id, signed_session_id, expires_at, remember_me, user_agent, ip_address, created_at, last_seen_at)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+      `, [sessionId, user.id, signedSessionId, expiresAt, Boolean(rememberMe), userAgent ? userAgent.slice(0, 256) : null, ipAddress, now, now]);
+
+      return {
+        success: true,
+        user: toLoginUserDto(user, { sessionId, signedSessionId, expiresAt, rememberMe }),
+      };
+    } catch (error) {
+      log.error('Login Error', { error });
+      return { success: false, error: error.message };
+    }
+  };
+
+  const logoutUser = async (signedSessionId) => {
+    try {
+      await query('DELETE FROM Sessions WHERE signed_session_id = ?', [signedSessionId]);
+      return { success: true, message: 'Logged out successfully' };
+    } catch (error) {
+      log.error('Logout Error', { error });
+      return { success: false, error: error.message };
+    }
+  };
+
+  const validateSession = async (sessionId, signedSessionId) => {
+    try {
+      const result = await query(
+        'SELECT session_id FROM Sessions WHERE signed_session_id = ? AND expires_at > ?',
+        [signedSessionId, new Date()]
+      );
+      return result.rows.length > 0;
+    } catch (error) {
+      log.error('Validate Session Error', { error });
+      return false;
+    }
+  };
+
+  // renew (default) slides the session like the MSSQL implementation, renew: false only reads it
+  const getSessionUser = async (signedSessionId, { renew = true } = {}) => {
+    try {
+      const now = new Date();
+      const result = await query(`
+        SELECT u.id, u.email, u.plan, s.session_id, s.expires_at, s.remember_me
+        FROM Sessions s
+        JOIN Users u ON u.id = s.user_id
+        WHERE s.signed_session_id = ? AND s.expires_at > ?
+      `, [signedSessionId, now]);
+      const row = result.rows[0];
+      if (!row) return null;
+      if (renew) {
+        row.expires_at = secondsFrom(now, sessionLifetimeSeconds(Boolean(row.remember_me)));
+        await query('UPDATE Sessions SET last_seen_at = ?, expires_at = ? WHERE session_id = ?', [now, row.expires_at, row.session_id]);
+      }
+      return toSessionUserDto(row);
+    } catch (error) {
+      log.error('Get Session User Error', { error });
+      return null;
+    }
+  };
+
+  const listSessions = async (userId) => {
+    try {
+      const result = await query(`
+        SELECT session_id, user_agent, ip_address, remember_me, created_at, last_seen_at, expires_at
+        FROM Sessions
+        WHERE user_id = ? AND expires_at > ?
+        ORDER BY last_seen_at DESC
+      `, [userId, new Date()]);
+      return { success: true, sessions: result.rows.map(toSessionDto) };
+    } catch (error) {
+      log.error('List Sessions Error', { error });
+      return { success: false, error: error.message };
+    }
+  };
+
+  const revokeSession = async (userId, sessionId) => {
+    try {
+      const result = await query('DELETE FROM Sessions WHERE user_id = ? AND session_id = ?', [userId, sessionId]);
+      if (result.rowCount === 0) return { success: false, error: 'Session not found' };
+      return { success: true, message: 'Session revoked' };
+    } catch (error) {
+      log.error('Revoke Session Error', { error });
+      return { success: false, error: error.message };
+    }
+  };
+
+  const revokeAllSessions = async (userId, { exceptSessionId = null } = {}) => {
+    try {
+      const result = exceptSessionId
+        ? await query('DELETE FROM Sessions WHERE user_id = ? AND session_id <> ?', [userId, exceptSessionId])
+        : await query('DELETE FROM Sessions WHERE user_id = ?', [userId]);
+      return { success: true, revoked: result.rowCount };
+    } catch (error) {
+      log.error('Revoke All Sessions Error', { error });
+      return { success: false, error: error.message };
+    }
+  };
+
+  /*
+  Password Reset & Email Verification:
+  only the SHA-256 of a reset token is stored, a new token replaces the user's previous ones,
+  consuming marks the token used in the statement that checks it (works exactly once).
+  */
+  const getUserByEmail = async (email) => {
+    try {
+      const result = await query('SELECT id, email, email_verified_at FROM Users WHERE email = ?', [email]);
+      const user = result.rows[0];
+      return user ? toEmailUserDto(user) : null;
+    } catch (error) {
+      log.error('Get User By Email Error', { error });
+      return null;
+    }
+  };
+
+  const updateUserPassword = async (userId, newPassword) => {
+    try {
+      const passwordHash = await bcrypt.hash(newPassword, await bcrypt.genSalt(10));
+      const result = await query('UPDATE Users SET password_hash = ? WHERE id = ?', [passwordHash, userId]);
+      if (result.rowCount === 0) return { success: false, error: 'User not found' };
+      return { success: true, message: 'Password updated' };
+    } catch (error) {
+      log.error('Update Password Error', { error });
+      return { success: false, error: error.message };
+    }
+  };
+
+  const createPasswordResetToken = async (userId, tokenHash, expiresAt) => {
+    try {
+      await client.transaction(async (tx) => {
+        await tx.query('DELETE FROM PasswordResetTokens WHERE user_id = ?', [userId]);
+        await tx.query(
+          'INSERT INTO PasswordResetTokens (id, user_id, token_hash, expires_at, created_at) VALUES (?, ?, ?, ?, ?)',
+          [crypto.randomUUID(), userId, tokenHash, expiresAt, new Date()]
+        );
+      });
+      return { success: true };
+    } catch (error) {
+      log.error('Create Password Reset Token Error', { error });
+      return { success: false, error: error.message };
+    }
+  };
+
+  const consumePasswordResetToken = async (tokenHash) => {
+    try {
+      const now = new Date();
+      const result = await query(`
+        UPDATE PasswordResetTokens
+        SET used_at = ?
+        WHERE token_hash = ? AND used_at IS NULL AND expires_at > ?
+        RETURNING user_id
+      `, [now, tokenHash, now]);
+      if (result.rows.length === 0) return { success: false, error: 'Invalid or expired reset token' };
+      return { success: true, userId: result.rows[0].user_id };
+    } catch (error) {
+      log.error('Consume Password Reset Token Error', { error });
+      return { success: false, error: error.message };
+    }
+  };
+
+  const markEmailVerified = async (userId, email) => {
+    try {
+      const result = await query('SELECT email_verified_at FROM Users WHERE id = ? AND email = ?', [userId, email]);
+      const user = result.rows[0];
+      if (!user) return { success: false, error: 'User not found' };
+      if (!user.email_verified_at) {
+        await query(
+          'UPDATE Users SET email_verified_at = ? WHERE id = ? AND email = ? AND email_verified_at IS NULL',
+          [new Date(), userId, email]
+        );
+      }
+      return { success: true, alreadyVerified: Boolean(user.email_verified_at) };
+    } catch (error) {
+      log.error('Mark Email Verified Error', { error });
+      return { success: false, error: error.message };
+    }
+  };
+
+  // Preferences
+  const getUserPreferences = async (userId) => {
+    const result = await query('SELECT default_from_lang, default_to_lang FROM Users WHERE id = ?', [userId]);
+    if (result.rows.length === 0) throw new Error('User not found');
+    return toPreferencesDto(result.rows[0]);
+  };
+
+  const updateUserPreferences = async (userId, defaultFromLang, defaultToLang) => {
+    try {
+      const result = await query(
+        'UPDATE Users SET default_from_lang = ?, default_to_lang = ? WHERE id = ?',
+        [defaultFromLang, defaultToLang, userId]
+      );
+      if (result.rowCount === 0) throw new Error('User not found');
+      return { success: true, message: 'Preferences updated', user: await getUserPreferences(userId) };
+    } catch (error) {
+      log.error('Update User Preferences Error', { error });
+      return { success: false, error: error.message };
+    }
+  };
+
+  /*
+  Translations:
+  one record model for every mode, source_meta is stored as JSON text (parsed by toTranslationDto),
+  deleting moves a translation to the trash (deleted_at), permanent deletion only removes trashed ones.
+  */
+  const saveTranslation = async (userId, { type, fromLang, toLang, originalText, translatedText, sourceMeta = null, provider = null }) => {
+    try {
+      const now = new Date();
+      const result = await query(`
+        INSERT INTO Translations (id, user_id, type, from_lang, to_lang, original_text, translated_text, source_meta,
+                                  provider, is_favorite, deleted_at, created_at, updated_at)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, NULL, ?, ?)
+        RETURNING *
+      `, [
+        crypto.randomUUID(), userId, type, fromLang, toLang, originalText, translatedText,
+        sourceMeta ? JSON.stringify(sourceMeta) : null, provider, false, now, now,
+      ]);
+      return { success: true, message: 'Translation saved', translation: toTranslationDto(result.rows[0]) };
+    } catch (error) {
+      log.error('Save Translation Error', { type, error });
+      return { success: false, error: error.message };
+    }
+  };
+
+  const searchTranslationHistory = async (userId, rawFilters) => {
+    try {
+      const filters = normalizeHistoryFilters(rawFilters);
+      const filter = createFilter(['user_id = ?', filters.trash ? 'deleted_at IS NOT NULL' : 'deleted_at IS NULL'], [userId]);
+      if (filters.favoritesOnly) filter.add('is_favorite = ?', true);
+      if (filters.type) filter.add('type = ?', filters.type);
+      if (filters.search) {
+        // LIKE wildcards in the user's search are matched literally
+        const pattern = `%${filters.search.toLowerCase().replace(/[\\%_]/g, '\\$&')}%`;
+        filter.add("(LOWER(original_text) LIKE ? ESCAPE '\\' OR LOWER(translated_text) LIKE ? ESCAPE '\\')", pattern, pattern);
+      }
+      if (filters.fromLang) filter.add('from_lang = ?', filters.fromLang);
+      if (filters.toLang) filter.add('to_lang = ?', filters.toLang);
+      if (filters.dateFrom) filter.add('created_at >= ?', filters.dateFrom);
+      if (filters.dateTo) filter.add('created_at < ?', filters.dateTo);
+
+      const countResult = await query(`SELECT CAST(COUNT(*) AS INTEGER) AS total FROM Translations WHERE ${filter.sql()}`, filter.params);
+
+      const page = createFilter([...filter.conditions], [...filter.params]);
+      if (filters.cursor) {
+        page.add('(created_at < ? OR (created_at = ? AND CAST(id AS TEXT) < ?))', filters.cursor.createdAt, filters.cursor.createdAt, filters.cursor.id);
+      }
+      const pageResult = await query(`
+        SELECT id, type, from_lang, to_lang, original_text, translated_text, source_meta, provider,
+               is_favorite, deleted_at, created_at, updated_at
+        FROM Translations
+        WHERE ${page.sql()}
+        ORDER BY created_at DESC, CAST(id AS TEXT) DESC
+        LIMIT ? OFFSET ?
+      `, [
+        ...page.params,
+        filters.pageSize + 1, // one extra row tells if there is a next page
+        filters.cursor ? 0 : (filters.page - 1) * filters.pageSize,
+      ]);
+
+      const hasMore = pageResult.rows.length > filters.pageSize;
+      const items = pageResult.rows.slice(0, filters.pageSize).map(toTranslationDto);
+      return {
+        success: true,
+        items,
+        total: countResult.rows[0].total,
+        page: filters.cursor ? null : filters.page,
+        pageSize: filters.pageSize,
+        hasMore,
+        nextCursor: hasMore ? encodeHistoryCursor(items[items.length - 1]) : null,
+      };
+    } catch (error) {
+      log.error('Search Translation History Error', { error });
+      return { success: false, error: error.message };
+    }
+  };
+
+  const updateTranslation = async (userId, translationId, { fromLang, toLang, originalText, translatedText }) => {
+    try {
+      const result = await query(`
+        UPDATE Translations
+        SET original_text = ?, translated_text = ?,
+            from_lang = COALESCE(?, from_lang), to_lang = COALESCE(?, to_lang),
+            updated_at = ?
+        WHERE id = ? AND user_id = ? AND deleted_at IS NULL
+      `, [originalText, translatedText, fromLang || null, toLang || null, new Date(), translationId, userId]);
+      if (result.rowCount === 0) return { success: false, error: 'Translation not found' };
+      return { success: true, message: 'Translation updated' };
+    } catch (error) {
+      log.error('Update Translation Error', { error });
+      return { success: false, error: error.message };
+    }
+  };
+
+  const setTranslationFavorite = async (userId, translationId, favorite) => {
+    try {
+      const result = await query(
+        'UPDATE Translations SET is_favorite = ? WHERE id = ? AND user_id = ? AND deleted_at IS NULL',
+        [Boolean(favorite), translationId, userId]
+      );
+      if (result.rowCount === 0) return { success: false, error: 'Translation not found' };
+      return { success: true, message: favorite ? 'Added to favorites' : 'Removed from favorites' };
+    } catch (error) {
+      log.error('Set Translation Favorite Error', { error });
+      return { success: false, error: error.message };
+    }
+  };
+
+  const deleteTranslation = async (userId, translationId, { permanent = false } = {}) => {
+    try {
+      const result = permanent
+        ? await query('DELETE FROM Translations WHERE id = ? AND user_id = ? AND deleted_at IS NOT NULL', [translationId, userId])
+        : await query(
+          'UPDATE Translations SET deleted_at = ? WHERE id = ? AND user_id = ? AND deleted_at IS NULL',
+          [new Date(), translationId, userId]
+        );
+      if (result.rowCount === 0) return { success: false, error: 'Translation not found' };
+      return { success: true, message: permanent ? 'Translation permanently deleted' : 'Translation moved to trash' };
+    } catch (error) {
+      log.error('Delete Translation Error', { error });
+      return { success: false, error: error.message };
+    }
+  };
+
+  const restoreTranslation = async (userId, translationId) => {
+    try {
+      const result = await query(
+        'UPDATE Translations SET deleted_at = NULL WHERE id = ? AND user_id = ? AND deleted_at IS NOT NULL',
+        [translationId, userId]
+      );
+      if (result.rowCount === 0) return { success: false, error: 'Translation not found in trash' };
+      return { success: true, message: 'Translation restored' };
+    } catch (error) {
+      log.error('Restore Translation Error', { error });
+      return { success: false, error: error.message };
+    }
+  };
+
+  /*
+  Translation Cache:
+  a lookup only returns unexpired rows and bumps their hit counters,
+  saving upserts the entry, then drops expired rows and the least recently hit rows beyond maxEntries.
+  */
+  const getCachedTranslation = async (cacheKey) => {
+    try {
+      const now = new Date();
+      const result = await query(`
+        UPDATE TranslationCache
+        SET hit_count = hit_count + 1, last_hit_at = ?
+        WHERE cache_key = ? AND expires_at > ?
+        RETURNING translated_text, detected_source_lang
+      `, [now, cacheKey, now]);
+      return result.rows[0] || null;
+    } catch (error) {
+      log.error('Get Cached Translation Error', { error });
+      return null; // a cache failure must never break translation
+    }
+  };
+
+  const saveCachedTranslation = async (entry, ttlSeconds, maxEntries) => {
+    try {
+      const now = new Date();
+      const expiresAt = secondsFrom(now, ttlSeconds);
+      await query(`
+        INSERT INTO TranslationCache (cache_key, provider, from_lang, to_lang, source_text, translated_text, detected_source_lang,
+                                      created_at, expires_at, hit_count, last_hit_at)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, 0, ?)
+        ON CONFLICT (cache_key) DO UPDATE
+        SET translated_text = excluded.translated_text, detected_source_lang = excluded.detected_source_lang,
+            created_at = excluded.created_at, expires_at = excluded.expires_at
+      `, [
+        entry.cacheKey, entry.provider, entry.fromLang, entry.toLang, entry.sourceText, entry.translatedText,
+        entry.detectedSourceLang || null, now, expiresAt, now,
+      ]);
+
+      await query('DELETE FROM TranslationCache WHERE expires_at <= ?', [now]);
+      await query(`
+        DELETE FROM TranslationCache
+        WHERE cache_key IN (
+          SELECT cache_key FROM (
+            SELECT cache_key, ROW_NUMBER() OVER (ORDER BY last_hit_at DESC) AS rn FROM TranslationCache
+          ) AS ranked
+          WHERE rn > ?
+        )
+      `, [maxEntries]);
+      return { success: true };
+    } catch (error) {
+      log.error('Save Cached Translation Error', { error });
+      return { success: false, error: error.message };
+    }
+  };
+
+  const purgeTranslationCache = async ({ provider, fromLang, toLang, expiredOnly } = {}) => {
+    try {
+      const filter = createFilter();
+      if (provider) filter.add('provider = ?', provider);
+      if (fromLang) filter.add('from_lang = ?', fromLang);
+      if (toLang) filter.add('to_lang = ?', toLang);
+      if (expiredOnly) filter.add('expires_at <= ?', new Date());
+      const result = await query(
+        `DELETE FROM TranslationCache${filter.conditions.length > 0 ? ` WHERE ${filter.sql()}` : ''}`,
+        filter.params
+      );
+      return { success: true, deleted: result.rowCount };
+    } catch (error) {
+      log.error('Purge Translation Cache Error', { error });
+      return { success: false, error: error.message };
+    }
+  };
+
+  // Glossaries, every statement is scoped by user_id
+  const getGlossaryEntries = async (userId, { fromLang, toLang } = {}) => {
+    try {
+      const filter = createFilter(['user_id = ?'], [userId]);
+      if (fromLang) filter.add('from_lang = ?', fromLang);
+      if (toLang) filter.add('to_lang = ?', toLang);
+      const result = await query(`
+        SELECT id, user_id, source_term, target_term, from_lang, to_lang, case_sensitive, created_at, updated_at
+        FROM Glossary
+        WHERE ${filter.sql()}
+        ORDER BY source_term
+      `, filter.params);
+      return result.rows.map(toGlossaryEntryDto);
+    } catch (error) {
+      log.error('Get Glossary Entries Error', { error });
+      return { success: false, error: error.message };
+    }
+  };
+
+  const createGlossaryEntry = async (userId, { sourceTerm, targetTerm, fromLang, toLang, caseSensitive }) => {
+    try {
+      const now = new Date();
+      const result = await query(`
+        INSERT INTO Glossary (id, user_id, source_term, target_term, from_lang, to_lang, case_sensitive, created_at, updated_at)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+        RETURNING *
+      `, [crypto.randomUUID(), userId, sourceTerm, targetTerm, fromLang, toLang, Boolean(caseSensitive), now, now]);
+      return { success: true, entry: toGlossaryEntryDto(result.rows[0]) };
+    } catch (error) {
+      log.error('Create Glossary Entry Error', { error });
+      return { success: false, error: error.message };
+    }
+  };
+
+  const updateGlossaryEntry = async (userId, entryId, { sourceTerm, targetTerm, fromLang, toLang, caseSensitive }) => {
+    try {
+      const result = await query(`
+        UPDATE Glossary
+        SET source_term = ?, target_term = ?, from_lang = ?, to_lang = ?, case_sensitive = ?, updated_at = ?
+        WHERE id = ? AND user_id = ?
+        RETURNING *
+      `, [sourceTerm, targetTerm, fromLang, toLang, Boolean(caseSensitive), new Date(), entryId, userId]);
+      if (result.rows.length === 0) return { success: false, error: 'Glossary entry not found' };
+      return { success: true, entry: toGlossaryEntryDto(result.rows[0]) };
+    } catch (error) {
+      log.error('Update Glossary Entry Error', { error });
+      return { success: false, error: error.message };
+    }
+  };
+
+  const deleteGlossaryEntry = async (userId, entryId) => {
+    try {
+      const result = await query('DELETE FROM Glossary WHERE id = ? AND user_id = ?', [entryId, userId]);
+      if (result.rowCount === 0) return { success: false, error: 'Glossary entry not found' };
+      return { success: true, message: 'Glossary entry deleted' };
+    } catch (error) {
+      log.error('Delete Glossary Entry Error', { error });
+      return { success: false, error: error.message };
+    }
+  };
+
+  /*
+  Translation Memory:
+  unique on (user_id, unit_hash), units the user already has are skipped (ON CONFLICT DO NOTHING),
+  inserted in batches inside one transaction.
+  */
+  const addTranslationMemoryUnits = async (userId, units) => {
+    try {
+      const inserted = await client.transaction(async (tx) => {
+        let count = 0;
+        for (let start = 0; start < units.length; start += TM_INSERT_BATCH_SIZE) {
+          const batch = units.slice(start, start + TM_INSERT_BATCH_SIZE);
+          const now = new Date();
+          const result = await tx.query(`
+            INSERT INTO TranslationMemory (id, user_id, unit_hash, source_lang, target_lang, source_text, target_text, origin, created_at)
+            VALUES ${batch.map(() => '(?, ?, ?, ?, ?, ?, ?, ?, ?)').join(', ')}
+            ON CONFLICT (user_id, unit_hash) DO NOTHING
+          `, batch.flatMap(unit => [
+            crypto.randomUUID(), userId, unit.unitHash, unit.sourceLang, unit.targetLang,
+            unit.sourceText, unit.targetText, unit.origin || null, now,
+          ]));
+          count += result.rowCount;
+        }
+        return count;
+      });
+      return { success: true, inserted, duplicates: units.length - inserted };
+    } catch (error) {
+      log.error('Add Translation Memory Units Error', { error });
+      return { success: false, error: error.message };
+    }
+  };
+
+  const findTranslationMemoryUnits = async (userId, { sourceLang, targetLang, minLength = 0, maxLength = TM_MAX_LENGTH, limit = 500 }) => {
+    try {
+      const result = await query(`
+        SELECT id, source_lang, target_lang, source_text, target_text, origin, created_at
+        FROM TranslationMemory
+        WHERE user_id = ?
+          AND (source_lang = ? OR source_lang LIKE ?)
+          AND (target_lang = ? OR target_lang LIKE ?)
+          AND LENGTH(source_text) BETWEEN ? AND ?
+        ORDER BY created_at DESC
+        LIMIT ?
+      `, [
+        userId, sourceLang, `${sourceLang}-%`, targetLang, `${targetLang}-%`,
+        minLength, Number.isFinite(maxLength) ? maxLength : TM_MAX_LENGTH, limit,
+      ]);
+      return result.rows.map(toMemoryUnitDto);
+    } catch (error) {
+      log.error('Find Translation Memory Units Error', { error });
+      return [];
+    }
+  };
+
+  const getTranslationMemoryStats = async (userId) => {
+    try {
+      const result = await query(`
+        SELECT source_lang, target_lang, CAST(COUNT(*) AS INTEGER) AS units
+        FROM TranslationMemory
+        WHERE user_id = ?
+        GROUP BY source_lang, target_lang
+        ORDER BY units DESC
+      `, [userId]);
+      const pairs = result.rows;
+      return { success: true, total: pairs.reduce((sum, pair) => sum + pair.units, 0), pairs };
+    } catch (error) {
+      log.error('Get Translation Memory Stats Error', { error });
+      return { success: false, error: error.message };
+    }
+  };
+
+  /*
+  Translated Files:
+  scoped by the owner, user_id for users and guest_key for guests (never both),
+  purging returns the ids of the expired rows so their stored files can be removed too.
+  */
+  const ownerFilter = ({ userId = null, guestKey = null }) => (userId
+    ? createFilter(['user_id = ?'], [userId])
+    : createFilter(['user_id IS NULL', 'guest_key = ?'], [guestKey || '']));
+
+  const createFileRecord = async ({ userId = null, guestKey = null, originalName, mimeType, format, sizeBytes, toLang, expiresAt }) => {
+    try {
+      const result = await query(`
+        INSERT INTO TranslatedFiles (id, user_id, guest_key, original_name, mime_type, format, size_bytes, status, to_lang, created_at, expires_at)
+        VALUES (?, ?, ?, ?, ?, ?, ?, 'processing', ?, ?, ?)
+        RETURNING *
+      `, [
+        crypto.randomUUID(), userId, userId ? null : guestKey, originalName, mimeType, format, sizeBytes,
+        toLang, new Date(), expiresAt,
+      ]);
+      return { success: true, file: toFileDto(result.rows[0]) };
+    } catch (error) {
+      log.error('Create File Record Error', { error });
+      return { success: false, error: error.message };
+    }
+  };
+
+  const updateFileRecord = async (fileId, fields) => {
+    try {
+      const changes = Object.entries(FILE_UPDATE_COLUMNS).filter(([field]) => fields[field] !== undefined);
+      if (changes.length === 0) return { success: false, error: 'Nothing to update' };
+      const result = await query(`
+        UPDATE TranslatedFiles SET ${changes.map(([, column]) => `${column} = ?`).join(', ')}
+        WHERE id = ?
+        RETURNING *
+      `, [...changes.map(([field]) => fields[field]), fileId]);
+      if (result.rows.length === 0) return { success: false, error: 'File not found' };
+      return { success: true, file: toFileDto(result.rows[0]) };
+    } catch (error) {
+      log.error('Update File Record Error', { error });
+      return { success: false, error: error.message };
+    }
+  };
+
+  const getFileRecord = async (owner, fileId) => {
+    try {
+      const filter = ownerFilter(owner);
+      filter.add('id = ?', fileId);
+      const result = await query(`SELECT * FROM TranslatedFiles WHERE ${filter.sql()}`, filter.params);
+      return result.rows[0] ? toFileDto(result.rows[0]) : null;
+    } catch (error) {
+      log.error('Get File Record Error', { error });
+      return null;
+    }
+  };
+
+  const listFileRecords = async (userId, { limit = 50 } = {}) => {
+    try {
+      const result = await query(`
+        SELECT * FROM TranslatedFiles
+        WHERE user_id = ?
+        ORDER BY created_at DESC
+        LIMIT ?
+      `, [userId, limit]);
+      return result.rows.map(toFileDto);
+    } catch (error) {
+      log.error('List File Records Error', { error });
+      return { success: false, error: error.message };
+    }
+  };
+
+  const deleteFileRecord = async (owner, fileId) => {
+    try {
+      const deleted = await client.transaction(async (tx) => {
+        const jobs = ownerFilter(owner);
+        jobs.add('file_id = ?', fileId);
+        await tx.query(`DELETE FROM TranslationJobs WHERE ${jobs.sql()}`, jobs.params);
+        const filter = ownerFilter(owner);
+        filter.add('id = ?', fileId);
+        const result = await tx.query(`DELETE FROM TranslatedFiles WHERE ${filter.sql()}`, filter.params);
+        return result.rowCount;
+      });
+      if (deleted === 0) return { success: false, error: 'File not found' };
+      return { success: true, message: 'File deleted' };
+    } catch (error) {
+      log.error('Delete File Record Error', { error });
+      return { success: false, error: error.message };
+    }
+  };
+
+  const purgeExpiredFileRecords = async (now = new Date()) => {
+    try {
+      const result = await query('DELETE FROM TranslatedFiles WHERE expires_at <= ? RETURNING id', [now]);
+      return { success: true, fileIds: result.rows.map(row => row.id) };
+    } catch (error) {
+      log.error('Purge File Records Error', { error });
+      return { success: false, error: error.message };
+    }
+  };
+
+  /*
+  Translation Jobs:
+  the queue of jobQueue.js, owned like the translated files (ownerFilter). updateJob only touches a job in one
+  of fromStatuses (and leased by leaseOwner when given), claimNextJob moves the oldest queued job to running in
+  one statement, the status condition keeps two workers from both claiming it.
+  */
+  const createJob = async ({ userId = null, guestKey = null, type, fileId = null, payload = {}, expiresAt }) => {
+    try {
+      const now = new Date();
+      const result = await query(`
+        INSERT INTO TranslationJobs (id, type, user_id, guest_key, file_id, payload, status, created_at, updated_at, expires_at)
+        VALUES (?, ?, ?, ?, ?, ?, 'queued', ?, ?, ?)
+        RETURNING *
+      `, [
+        crypto.randomUUID(), type, userId, userId ? null : guestKey, fileId, JSON.stringify(payload),
+        now, now, expiresAt,
+      ]);
+      return { success: true, job: toJobDto(result.rows[0]) };
+    } catch (error) {
+      log.error('Create Job Error', { error });
+      return { success: false, error: error.message };
+    }
+  };
+
+  const updateJob = async (jobId, fields, { fromStatuses = null, leaseOwner = null } = {}) => {
+    try {
+      const changes = Object.entries(JOB_UPDATE_COLUMNS).filter(([field]) => fields[field] !== undefined);
+      const filter = createFilter(['id = ?'], [jobId]);
+      if (fromStatuses) filter.add(`status IN (${fromStatuses.map(() => '?').join(', ')})`, ...fromStatuses);
+      if (leaseOwner) filter.add('lease_owner = ?', leaseOwner);
+      const result = await query(`
+        UPDATE TranslationJobs SET ${[...changes.map(([, column]) => `${column} = ?`), 'updated_at = ?'].join(', ')}
+        WHERE ${filter.sql()}
+        RETURNING *
+      `, [...changes.map(([field]) => fields[field]), new Date(), ...filter.params]);
+      if (result.rows.length === 0) return JOB_NOT_FOUND;
+      return { success: true, job: toJobDto(result.rows[0]) };
+    } catch (error) {
+      log.error('Update Job Error', { error });
+      return { success: false, error: error.message };
+    }
+  };
+
+  const getJob = async (owner, jobId) => {
+    try {
+      const filter = ownerFilter(owner);
+      filter.add('id = ?', jobId);
+      const result = await query(`SELECT * FROM TranslationJobs WHERE ${filter.sql()}`, filter.params);
+      return result.rows[0] ? toJobDto(result.rows[0]) : null;
+    } catch (error) {
+      log.error('Get Job Error', { error });
+      return null;
+    }
+  };
+
+  const listJobs = async (owner, { limit = 20 } = {}) => {
+    try {
+      const filter = ownerFilter(owner);
+      const result = await query(`
+        SELECT * FROM TranslationJobs
+        WHERE ${filter.sql()}
+        ORDER BY created_at DESC
+        LIMIT ?
+      `, [...filter.params, limit]);
+      return result.rows.map(toJobDto);
+    } catch (error) {
+      log.error('List Jobs Error', { error });
+      return { success: false, error: error.message };
+    }
+  };
+
+  const claimNextJob = async (now = new Date(), { leaseOwner = null, leaseExpiresAt = null } = {}) => {
+    try {
+      const result = await query(`
+        UPDATE TranslationJobs SET status = 'running', attempts = attempts + 1, started_at = ?, updated_at = ?,
+                                   lease_owner = ?, lease_expires_at = ?
+        WHERE status = 'queued' AND id = (
+          SELECT id FROM TranslationJobs WHERE status = 'queued' ORDER BY created_at LIMIT 1
+        )
+        RETURNING *
+      `, [now, now, leaseOwner, leaseExpiresAt]);
+      return result.rows[0] ? toJobDto(result.rows[0]) : null;
+    } catch (error) {
+      log.error('Claim Job Error', { error });
+      return null;
+    }
+  };
+
+  const renewJobLeases = async (leaseOwner, leaseExpiresAt) => {
+    try {
+      const result = await query(
+        "UPDATE TranslationJobs SET lease_expires_at = ? WHERE status = 'running' AND lease_owner = ?",
+        [leaseExpiresAt, leaseOwner]
+      );
+      return { success: true, count: result.rowCount };
+    } catch (error) {
+      log.error('Renew Job Leases Error', { error });
+      return { success: false, error: error.message };
+    }
+  };
+
+  const requeueInterruptedJobs = async (now = new Date()) => {
+    try {
+      const result = await query(`
+        UPDATE TranslationJobs SET status = 'queued', updated_at = ?, lease_owner = NULL, lease_expires_at = NULL
+        WHERE status = 'running' AND (lease_expires_at IS NULL OR lease_expires_at <= ?)
+      `, [new Date(), now]);
+      return { success: true, count: result.rowCount };
+    } catch (error) {
+      log.error('Requeue Jobs Error', { error });
+      return { success: false, error: error.message };
+    }
+  };
+
+  const purgeExpiredJobs = async (now = new Date()) => {
+    try {
+      const result = await query('DELETE FROM TranslationJobs WHERE expires_at <= ?', [now]);
+      return { success: true, count: result.rowCount };
+    } catch (error) {
+      log.error('Purge Jobs Error', { error });
+      return { success: false, error: error.message };
+    }
+  };
+
+  /*
+  Account Settings:
+  a changed email waits in pending_email until its link is opened,
+  deleting an account removes all of the user's rows in one transaction.
+  */
+  const verifyUserPassword = async (userId, password) => {
+    try {
+      const result = await query('SELECT password_hash FROM Users WHERE id = ?', [userId]);
+      const user = result.rows[0];
+      return Boolean(user) && await bcrypt.compare(String(password), user.password_hash);
+    } catch (error) {
+      log.error('Verify Password Error', { error });
+      return false;
+    }
+  };
+
+  const requestEmailChange = async (userId, newEmail) => {
+    try {
+      const result = await query(`
+        UPDATE Users SET pending_email = ?
+        WHERE id = ? AND NOT EXISTS (SELECT 1 FROM Users WHERE email = ?)
+      `, [newEmail, userId, newEmail]);
+      if (result.rowCount === 0) return { success: false, error: 'That email is already in use', code: 'EMAIL_TAKEN' };
+      return { success: true };
+    } catch (error) {
+      log.error('Request Email Change Error', { error });
+      return { success: false, error: error.message };
+    }
+  };
+
+  const confirmEmailChange = async (userId, newEmail) => {
+    try {
+      const result = await query(`
+        UPDATE Users
+        SET email = pending_email, pending_email = NULL, email_verified_at = ?
+        WHERE id = ? AND pending_email = ?
+          AND NOT EXISTS (SELECT 1 FROM Users WHERE email = ?)
+      `, [new Date(), userId, newEmail, newEmail]);
+      if (result.rowCount === 0) return { success: false, error: 'No pending change to that email, or it is already in use' };
+      return { success: true };
+    } catch (error) {
+      log.error('Confirm Email Change Error', { error });
+      return { success: false, error: error.message };
+    }
+  };
+
+  const exportUserData = async (userId) => {
+    try {
+      const now = new Date();
+      const users = await query(
+        'SELECT id, email, email_verified_at, plan, default_from_lang, default_to_lang FROM Users WHERE id = ?',
+        [userId]
+      );
+      const user = users.rows[0];
+      if (!user) return { success: false, error: 'User not found' };
+      const [translations, glossary, translationMemory, files, jobs, sessions] = await Promise.all([
+        query(`
+          SELECT id, type, from_lang, to_lang, original_text, translated_text, source_meta, provider,
+                 is_favorite, deleted_at, created_at, updated_at
+          FROM Translations WHERE user_id = ? ORDER BY created_at DESC
+        `, [userId]),
+        query(`
+          SELECT id, user_id, source_term, target_term, from_lang, to_lang, case_sensitive, created_at, updated_at
+          FROM Glossary WHERE user_id = ? ORDER BY source_term
+        `, [userId]),
+        query(`
+          SELECT id, source_lang, target_lang, source_text, target_text, origin, created_at
+          FROM TranslationMemory WHERE user_id = ? ORDER BY created_at
+        `, [userId]),
+        query('SELECT * FROM TranslatedFiles WHERE user_id = ? ORDER BY created_at DESC', [userId]),
+        query('SELECT * FROM TranslationJobs WHERE user_id = ? ORDER BY created_at DESC', [userId]),
+        query(`
+          SELECT session_id, user_agent, ip_address, remember_me, created_at, last_seen_at, expires_at
+          FROM Sessions WHERE user_id = ? AND expires_at > ? ORDER BY last_seen_at DESC
+        `, [userId, now]),
+      ]);
+      return {
+        success: true,
+        data: {
+          account: { id: user.id, email: user.email, email_verified_at: user.email_verified_at, plan: user.plan || 'free' },
+          preferences: toPreferencesDto(user),
+          translations: translations.rows.map(toTranslationDto),
+          glossary: glossary.rows.map(toGlossaryEntryDto),
+          translationMemory: translationMemory.rows.map(toMemoryUnitDto),
+          files: files.rows.map(toFileDto),
+          jobs: jobs.rows.map(toJobDto),
+          sessions: sessions.rows.map(toSessionDto),
+        },
+      };
+    } catch (error) {
+      log.error('Export User Data Error', { error });
+      return { success: false, error: error.message };
+    }
+  };
+
+  const deleteUserAccount = async (userId) => {
+    try {
+      const deleted = await client.transaction(async (tx) => {
+        for (const table of ['Translations', 'Glossary', 'TranslationMemory', 'TranslatedFiles', 'TranslationJobs', 'PasswordResetTokens', 'Sessions']) {
+          await tx.query(`DELETE FROM ${table} WHERE user_id = ?`, [userId]);
+        }
+        const result = await tx.query('DELETE FROM Users WHERE id = ?', [userId]);
+        return result.rowCount;
+      });
+      if (deleted === 0) return { success: false, error: 'User not found' };
+      return { success: true, message: 'Account deleted' };
+    } catch (error) {
+      log.error('Delete Account Error', { error });
+      return { success: false, error: error.message };
+    }
+  };
+
+  return {
+    getPool,
+    registerUser,
+    loginUser,
+    logoutUser,
+    validateSession,
+    getSessionUser,
+    listSessions,
+    revokeSession,
+    revokeAllSessions,
+    getUserByEmail,
+    updateUserPassword,
+    createPasswordResetToken,
+    consumePasswordResetToken,
+    markEmailVerified,
+    updateUserPreferences,
+    getUserPreferences,
+    saveTranslation,
+    searchTranslationHistory,
+    updateTranslation,
+    setTranslationFavorite,
+    deleteTranslation,
+    restoreTranslation,
+    getCachedTranslation,
+    saveCachedTranslation,
+    purgeTranslationCache,
+    getGlossaryEntries,
+    createGlossaryEntry,
+    updateGlossaryEntry,
+    deleteGlossaryEntry,
+    addTranslationMemoryUnits,
+    findTranslationMemoryUnits,
+    getTranslationMemoryStats,
+    createFileRecord,
+    updateFileRecord,
+    getFileRecord,
+    listFileRecords,
+    deleteFileRecord,
+    purgeExpiredFileRecords,
+    createJob,
+    updateJob,
+    getJob,
+    listJobs,
+    claimNextJob,
+    renewJobLeases,
+    requeueInterruptedJobs,
+    purgeExpiredJobs,
+    verifyUserPassword,
+    requestEmailChange,
+    confirmEmailChange,
+    exportUserData,
+    deleteUserAccount,
+  };
+};
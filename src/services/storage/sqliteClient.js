@@ -0,0 +1,83 @@
+/*
+SQLite Client (DB_DRIVER=sqlite):
+one local database file, no server needed (Linux laptops, CI).
+
+Environment (.env):
+SQLITE_FILE = the database file (default translationhub.db in the project root)
+
+booleans are stored as 0/1 and dates as ISO strings, columns ending in _at are read back as Dates.
+better-sqlite3 is synchronous, a transaction runs on the one connection, so its callback
+must only await this client (no other I/O) or other requests would run inside it.
+*/
+
+import fs from 'fs';
+import path from 'path';
+import Database from 'better-sqlite3';
+import { logger } from '../logger.js';
+
+const toSqliteValue = (value) => {
+  if (value instanceof Date) return value.toISOString();
+  if (typeof value === 'boolean') return value ? 1 : 0;
+  return value === undefined ? null : value;
+};
+
+const fromSqliteRow = (row) => {
+  Object.keys(row).forEach((key) => {
+    if (key.endsWith('_at') && typeof row[key] === 'string') row[key] = new Date(row[key]);
+  });
+  return row;
+};
+
+export const createSqliteClient = ({ filePath }) => {
+  let db = null;
+
+  const open = () => {
+    if (db) return db;
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    db = new Database(filePath);
+    db.pragma('journal_mode = WAL');
+    db.pragma('foreign_keys = ON');
+    db.pragma('busy_timeout = 5000');
+    logger.info('Opened the SQLite database', { file: filePath });
+    return db;
+  };
+
+  const query = async (text, params = []) => {
+    const statement = open().prepare(text);
+    const values = params.map(toSqliteValue);
+    if (statement.reader) {
+      const rows = statement.all(values).map(fromSqliteRow);
+      return { rows, rowCount: rows.length };
+    }
+    return { rows: [], rowCount: statement.run(values).changes };
+  };
+
+  const exec = async (script) => {
+    open().exec(script);
+  };
+
+  // BEGIN IMMEDIATE takes the write lock up front, exclusive transactions need nothing more
+  const transaction = async (callback) => {
+    open().exec('BEGIN IMMEDIATE');
+    try {
+      const result = await callback({ query, exec });
+      db.exec('COMMIT');
+      return result;
+    } catch (error) {
+      if (db.inTransaction) db.exec('ROLLBACK');
+      throw error;
+    }
+  };
+
+  return {
+    driver: 'sqlite',
+    query,
+    exec,
+    transaction,
+    isUniqueViolation: (error) => /^SQLITE_CONSTRAINT_(UNIQUE|PRIMARYKEY)$/.test(error?.code || ''),
+    close: async () => {
+      if (db) db.close();
+      db = null;
+    },
+  };
+};
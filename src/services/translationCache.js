@@ -0,0 +1,71 @@
+/*
+Translation Cache Overview:
+exact-match translation memory in front of the paid providers.
+Entries are keyed by normalized source text + source language + target language + provider
+and stored through database.js (TranslationCache table, or an in-memory Map in mock mode).
+
+Environment (.env):
+TRANSLATION_CACHE_TTL = seconds an entry stays valid (default 30 days, 0 disables the cache)
+TRANSLATION_CACHE_MAX_ENTRIES = max stored entries, least recently hit are evicted (default 10000)
+TRANSLATION_CACHE_MAX_TEXT_LENGTH = longer texts are never cached (default 5000 characters)
+*/
+
+import crypto from 'crypto';
+import { getCachedTranslation, saveCachedTranslation } from './database.js';
+import { countCacheLookup } from './metrics.js';
+import { readInt } from './serviceHelpers.js';
+
+export const getCacheConfig = () => ({
+  ttlSeconds: readInt(process.env.TRANSLATION_CACHE_TTL, 30 * 24 * 60 * 60),
+  maxEntries: readInt(process.env.TRANSLATION_CACHE_MAX_ENTRIES, 10000),
+  maxTextLength: readInt(process.env.TRANSLATION_CACHE_MAX_TEXT_LENGTH, 5000),
+});
+
+/*
+Normalizing Source Text:
+unicode NFC, trimmed, runs of spaces and tabs collapsed to a single space, line endings as \n.
+line, paragraph and page breaks (\f) are kept, the translation keeps them.
+case is kept, 'Apple' and 'apple' can translate differently.
+*/
+export const normalizeSourceText = (text) => text.normalize('NFC').trim().replace(/\r\n?/g, '\n').replace(/[ \t]+/g, ' ');
+
+// part of every key, raised when the normalization changes so older entries are no longer hit (they expire)
+const KEY_VERSION = '2';
+
+export const buildCacheKey = (provider, fromLang, toLang, text) =>
+  crypto.createHash('sha256')
+    .update([KEY_VERSION, provider, (fromLang || 'auto').toLowerCase(), toLang.toLowerCase(), normalizeSourceText(text)].join('\u0000'))
+    .digest('hex');
+
+const isCacheable = (text, config) => config.ttlSeconds > 0 && config.maxEntries > 0 && text.length <= config.maxTextLength;
+
+/*
+lookupTranslation:
+returns { translatedText, detectedSourceLanguage } when an unexpired entry exists, otherwise null
+texts that are never cached are not counted as lookups (translation_cache_lookups_total, metrics.js)
+*/
+export const lookupTranslation = async (provider, fromLang, toLang, text) => {
+  const config = getCacheConfig();
+  if (!isCacheable(text, config)) return null;
+
+  const entry = await getCachedTranslation(buildCacheKey(provider, fromLang, toLang, text));
+  countCacheLookup(provider, Boolean(entry));
+  if (!entry) return null;
+  return { translatedText: entry.translated_text, detectedSourceLanguage: entry.detected_source_lang };
+};
+
+// storeTranslation: saves a fresh provider result, failures are logged by database.js and ignored here
+export const storeTranslation = async (provider, fromLang, toLang, text, result) => {
+  const config = getCacheConfig();
+  if (!isCacheable(text, config)) return;
+
+  await saveCachedTranslation({
+    cacheKey: buildCacheKey(provider, fromLang, toLang, text),
+    provider,
+    fromLang: fromLang || 'auto',
+    toLang,
+    sourceText: normalizeSourceText(text),
+    translatedText: result.translatedText,
+    detectedSourceLang: result.detectedSourceLanguage || null,
+  }, config.ttlSeconds, config.maxEntries);
+};
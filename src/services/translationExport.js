@@ -0,0 +1,182 @@
+/*
+Translation Export Overview:
+turns saved translations into files CAT tools can import: CSV, JSON, TMX 1.4 and XLIFF 2.0.
+Shared by the server (GET /api/translations/export streams the signed-in user's history)
+and the browser (guest history is exported straight from localStorage).
+
+Writers are incremental (begin, record, end) so the server can stream page by page,
+exportTranslations builds a whole file at once for the client.
+Language codes are written as BCP 47 tags, timestamps as UTC.
+*/
+
+export const EXPORT_FORMATS = {
+  csv: { extension: 'csv', mimeType: 'text/csv; charset=utf-8' },
+  json: { extension: 'json', mimeType: 'application/json; charset=utf-8' },
+  tmx: { extension: 'tmx', mimeType: 'application/x-tmx+xml; charset=utf-8' },
+  xliff: { extension: 'xlf', mimeType: 'application/xliff+xml; charset=utf-8' },
+};
+
+// deprecated codes some providers still return, mapped to their current BCP 47 subtag
+const LEGACY_LANGUAGE_CODES = { iw: 'he', jw: 'jv', in: 'id', ji: 'yi', mo: 'ro' };
+
+/*
+toBcp47:
+normalizes our stored language codes ('zh-cn', 'en_US', 'iw') to BCP 47 ('zh-CN', 'en-US', 'he'),
+language lowercase, script title case, region uppercase. 'auto' or empty becomes 'und' (undetermined)
+*/
+export const toBcp47 = (code) => {
+  if (!code || code === 'auto') return 'und';
+  const [language, ...subtags] = String(code).trim().split(/[-_]/);
+  const primary = language.toLowerCase();
+  return [
+    LEGACY_LANGUAGE_CODES[primary] || primary,
+    ...subtags.map(subtag => {
+      if (/^[a-z]{4}$/i.test(subtag)) return subtag[0].toUpperCase() + subtag.slice(1).toLowerCase();
+      if (/^([a-z]{2}|\d{3})$/i.test(subtag)) return subtag.toUpperCase();
+      return subtag.toLowerCase();
+    }),
+  ].join('-');
+};
+
+/*
+toExportRecord:
+accepts a server row (snake_case) or a guest localStorage entry (camelCase),
+returns { id, type, fromLang, toLang, originalText, translatedText, provider, favorite, createdAt }
+*/
+export const toExportRecord = (t) => {
+  const createdAt = new Date(t.created_at ?? t.createdAt ?? t.timestamp);
+  return {
+    id: String(t.id),
+    type: t.type || 'text',
+    fromLang: toBcp47(t.from_lang ?? t.fromLang),
+    toLang: toBcp47(t.to_lang ?? t.toLang),
+    originalText: t.original_text ?? t.originalText,
+    translatedText: t.translated_text ?? t.translatedText,
+    provider: t.provider || null,
+    favorite: Boolean(t.is_favorite ?? t.favorite),
+    createdAt: Number.isNaN(createdAt.getTime()) ? null : createdAt.toISOString(),
+  };
+};
+
+// XML text/attribute escaping, characters XML 1.0 does not allow are dropped
+const escapeXml = (value) => String(value ?? '')
+  .replace(/[^\u0009\u000A\u000D\u0020-\uD7FF\uE000-\uFFFD\u{10000}-\u{10FFFF}]/gu, '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+// TMX dates use the compact ISO 8601 form, e.g. 20250131T142500Z
+const toTmxDate = (iso) => (iso ? iso.replace(/[-:]/g, '').replace(/\.\d+/, '') : null);
+
+/*
+CSV (RFC 4180):
+quoted fields, CRLF line breaks, BOM so spreadsheet apps read UTF-8.
+cells starting with = + - @ are prefixed with ' so they are never run as formulas
+*/
+const CSV_COLUMNS = ['id', 'type', 'created_at', 'source_lang', 'target_lang', 'source_text', 'target_text', 'provider', 'favorite'];
+
+const csvCell = (value) => {
+  let text = value === null || value === undefined ? '' : String(value);
+  if (/^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+  return `"${text.replace(/"/g, '""')}"`;
+};
+
+const csvWriter = () => ({
+  begin: () => `\uFEFF${CSV_COLUMNS.join(',')}\r\n`,
+  record: (r) => `${[r.id, r.type, r.createdAt, r.fromLang, r.toLang, r.originalText, r.translatedText, r.provider, r.favorite]
+    .map(csvCell).join(',')}\r\n`,
+  end: () => '',
+});
+
+const jsonWriter = ({ exportedAt }) => {
+  let count = 0;
+  return {
+    begin: () => `{"exportedAt":${JSON.stringify(exportedAt)},"translations":[`,
+    record: (r) => `${count++ > 0 ? ',' : ''}\n${JSON.stringify(r)}`,
+    end: () => '\n]}\n',
+  };
+};
+
+/*
+TMX 1.4:
+one <tu> per translation with a <tuv> per language, srclang="*all*" unless the export is filtered
+to one source language, the translation type and provider are kept as x- props
+*/
+const tmxWriter = ({ srcLang, exportedAt }) => ({
+  begin: () => [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<tmx version="1.4">',
+    `  <header creationtool="TranslationHub" creationtoolversion="1.0" segtype="sentence" o-tmf="TranslationHub" adminlang="en" srclang="${srcLang ? escapeXml(toBcp47(srcLang)) : '*all*'}" datatype="plaintext" creationdate="${toTmxDate(exportedAt)}"/>`,
+    '  <body>',
+    '',
+  ].join('\n'),
+  record: (r) => [
+    `    <tu tuid="${escapeXml(r.id)}"${r.createdAt ? ` creationdate="${toTmxDate(r.createdAt)}"` : ''}>`,
+    `      <prop type="x-type">${escapeXml(r.type)}</prop>`,
+    ...(r.provider ? [`      <prop type="x-provider">${escapeXml(r.provider)}</prop>`] : []),
+    `      <tuv xml:lang="${escapeXml(r.fromLang)}"><seg>${escapeXml(r.originalText)}</seg></tuv>`,
+    `      <tuv xml:lang="${escapeXml(r.toLang)}"><seg>${escapeXml(r.translatedText)}</seg></tuv>`,
+    '    </tu>',
+    '',
+  ].join('\n'),
+  end: () => '  </body>\n</tmx>\n',
+});
+
+/*
+XLIFF 2.0:
+a document holds exactly one language pair (srcLang / trgLang on the root),
+so the export must be filtered to a source and a target language
+*/
+const xliffWriter = ({ srcLang, trgLang, exportedAt }) => {
+  if (!srcLang || !trgLang) {
+    throw new Error('XLIFF 2.0 holds a single language pair, filter by source and target language to export it');
+  }
+  let count = 0;
+  return {
+    begin: () => [
+      '<?xml version="1.0" encoding="UTF-8"?>',
+      `<xliff xmlns="urn:oasis:names:tc:xliff:document:2.0" version="2.0" srcLang="${escapeXml(toBcp47(srcLang))}" trgLang="${escapeXml(toBcp47(trgLang))}">`,
+      `  <file id="translationhub-${toTmxDate(exportedAt)}">`,
+      '',
+    ].join('\n'),
+    record: (r) => [
+      `    <unit id="u${++count}" name="${escapeXml(r.id)}">`,
+      '      <notes>',
+      `        <note category="type">${escapeXml(r.type)}</note>`,
+      ...(r.createdAt ? [`        <note category="created">${r.createdAt}</note>`] : []),
+      ...(r.provider ? [`        <note category="provider">${escapeXml(r.provider)}</note>`] : []),
+      '      </notes>',
+      '      <segment state="translated">',
+      `        <source>${escapeXml(r.originalText)}</source>`,
+      `        <target>${escapeXml(r.translatedText)}</target>`,
+      '      </segment>',
+      '    </unit>',
+      '',
+    ].join('\n'),
+    end: () => '  </file>\n</xliff>\n',
+  };
+};
+
+const WRITERS = { csv: csvWriter, json: jsonWriter, tmx: tmxWriter, xliff: xliffWriter };
+
+/*
+createExportWriter:
+format = csv | json | tmx | xliff, options = { srcLang, trgLang } (the language filters of the export)
+returns { begin(), record(exportRecord), end() }, each returning a chunk of the file
+throws when the format is unknown or its requirements are not met
+*/
+export const createExportWriter = (format, { srcLang = null, trgLang = null } = {}) => {
+  const writer = WRITERS[format];
+  if (!writer) throw new Error(`format must be one of: ${Object.keys(WRITERS).join(', ')}`);
+  return writer({ srcLang, trgLang, exportedAt: new Date().toISOString() });
+};
+
+// exportTranslations: whole file at once, for exports built in the browser
+export const exportTranslations = (translations, format, options) => {
+  const writer = createExportWriter(format, options);
+  return writer.begin() + translations.map(t => writer.record(toExportRecord(t))).join('') + writer.end();
+};
+
+// exportFileName: translations-2025-01-31.tmx
+export const exportFileName = (format) => `translations-${new Date().toISOString().slice(0, 10)}.${EXPORT_FORMATS[format].extension}`;
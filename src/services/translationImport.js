@@ -0,0 +1,259 @@
+/*
+Translation Import Overview:
+reads bilingual files from other CAT tools into plain units:
+{ sourceLang, targetLang, sourceText, targetText, ref }
+ref points back into the file (tu / unit id or CSV line) for the import report.
+
+Supported formats:
+TMX 1.1 - 1.4 (every <tuv> next to the source language becomes one unit),
+XLIFF 1.2 and 2.0 (units without a target are reported, not imported),
+CSV with a header row: source_text, target_text and optionally source_lang, target_lang
+(the columns written by translationExport.js, so our own exports import back unchanged).
+Inline markup (placeholders, formatting codes) is dropped, only the text is kept.
+*/
+
+export const IMPORT_FORMATS = ['tmx', 'xliff', 'csv'];
+
+/*
+detectImportFormat:
+by extension first (.tmx, .xlf/.xliff, .csv), falls back to sniffing the root element
+returns null when the file is not a supported format
+*/
+export const detectImportFormat = (fileName = '', content = '') => {
+  const extension = fileName.split('.').pop().toLowerCase();
+  if (extension === 'tmx') return 'tmx';
+  if (['xlf', 'xliff', 'xlif'].includes(extension)) return 'xliff';
+  if (extension === 'csv') return 'csv';
+  const head = content.slice(0, 2000);
+  if (/<tmx[\s>]/.test(head)) return 'tmx';
+  if (/<xliff[\s>]/.test(head)) return 'xliff';
+  return null;
+};
+
+/*
+decodeImportFile:
+file bytes to text, TMX files from older tools are often UTF-16 (detected by their byte order mark),
+everything else is read as UTF-8
+*/
+export const decodeImportFile = (buffer) => {
+  if (buffer[0] === 0xff && buffer[1] === 0xfe) return buffer.subarray(2).toString('utf16le');
+  if (buffer[0] === 0xfe && buffer[1] === 0xff) return Buffer.from(buffer.subarray(2)).swap16().toString('utf16le');
+  return buffer.toString('utf8');
+};
+
+// ==================== XML HELPERS ====================
+
+const decodeEntities = (text) => text
+  .replace(/&#x([0-9a-f]+);/gi, (match, hex) => safeCodePoint(parseInt(hex, 16), match))
+  .replace(/&#(\d+);/g, (match, dec) => safeCodePoint(parseInt(dec, 10), match))
+  .replace(/&lt;/g, '<')
+  .replace(/&gt;/g, '>')
+  .replace(/&quot;/g, '"')
+  .replace(/&apos;/g, "'")
+  .replace(/&amp;/g, '&');
+
+const safeCodePoint = (codePoint, fallback) => {
+  try {
+    return String.fromCodePoint(codePoint);
+  } catch {
+    return fallback;
+  }
+};
+
+const parseAttributes = (source = '') => {
+  const attributes = {};
+  for (const [, name, doubleQuoted, singleQuoted] of source.matchAll(/([\w:.-]+)\s*=\s*(?:"([^"]*)"|'([^']*)')/g)) {
+    attributes[name] = decodeEntities(doubleQuoted ?? singleQuoted);
+  }
+  return attributes;
+};
+
+// every <tag ...>...</tag> element inside xml (not nested in itself, self-closing tags skipped), as { attributes, inner }
+const findElements = (xml, tag) => Array.from(
+  xml.matchAll(new RegExp(`<${tag}(\\s[^>]*)?(?<!/)>([\\s\\S]*?)</${tag}>`, 'g')),
+  ([, attributes, inner]) => ({ attributes: parseAttributes(attributes), inner }),
+);
+
+// inline elements whose content is native code (not translatable text) and is dropped with them
+const NATIVE_CODE_ELEMENTS = ['bpt', 'ept', 'it', 'ph', 'ut', 'sub'];
+
+/*
+Reading Segment Text:
+unwraps CDATA, drops native code elements and empty placeholders (<x/>, <ph/>, <sc/>, <ec/>),
+keeps the text of wrapping elements (<g>, <pc>, <mrk>, <hi>), decodes entities and collapses whitespace
+*/
+const segmentText = (inner = '') => {
+  let text = inner.replace(/<!--[\s\S]*?-->/g, '');
+  const cdata = [];
+  text = text.replace(/<!\[CDATA\[([\s\S]*?)\]\]>/g, (match, content) => {
+    cdata.push(content);
+    return `\u0000${cdata.length - 1}\u0000`;
+  });
+  NATIVE_CODE_ELEMENTS.forEach(tag => {
+    text = text.replace(new RegExp(`<${tag}(\\s[^>]*)?(?<!/)>[\\s\\S]*?</${tag}>`, 'g'), '');
+  });
+  text = decodeEntities(text.replace(/<[^>]+>/g, ''));
+  return text
+    .replace(/\u0000(\d+)\u0000/g, (match, index) => cdata[index])
+    .replace(/\s+/g, ' ')
+    .trim();
+};
+
+// TMX 1.4 uses xml:lang, TMX 1.1 / 1.2 used lang
+const tuvLanguage = (attributes) => attributes['xml:lang'] || attributes.lang || null;
+
+// ==================== TMX ====================
+
+/*
+parseTmx:
+the source is the <tuv> in the header srclang (or the tu srclang),
+with srclang="*all*" the first <tuv> of each <tu> is the source
+*/
+const parseTmx = (content) => {
+  const header = content.match(/<header(\s[^>]*)?\/?>/);
+  const headerSourceLang = parseAttributes(header?.[1]).srclang;
+  const units = [];
+  findElements(content, 'tu').forEach(({ attributes, inner }, index) => {
+    const ref = attributes.tuid ? `tu ${attributes.tuid}` : `tu #${index + 1}`;
+    const variants = findElements(inner, 'tuv').map(tuv => ({
+      lang: tuvLanguage(tuv.attributes),
+      text: segmentText(findElements(tuv.inner, 'seg')[0]?.inner),
+    }));
+    const sourceLang = attributes.srclang && attributes.srclang !== '*all*' ? attributes.srclang : headerSourceLang;
+    const sourceIndex = sourceLang && sourceLang !== '*all*'
+      ? variants.findIndex(variant => variant.lang?.toLowerCase() === sourceLang.toLowerCase())
+      : 0;
+    const source = variants[sourceIndex];
+    if (!source || variants.length < 2) {
+      units.push({ ref, sourceLang: source?.lang || sourceLang || null, targetLang: null, sourceText: source?.text || '', targetText: '' });
+      return;
+    }
+    variants.forEach((variant, variantIndex) => {
+      if (variantIndex === sourceIndex) return;
+      units.push({ ref, sourceLang: source.lang, targetLang: variant.lang, sourceText: source.text, targetText: variant.text });
+    });
+  });
+  return units;
+};
+
+// ==================== XLIFF ====================
+
+/*
+parseXliff:
+2.0 declares srcLang / trgLang on <xliff> and keeps text in <unit><segment>,
+1.2 declares source-language / target-language per <file> and keeps text in <trans-unit>
+*/
+const parseXliff = (content) => {
+  const root = parseAttributes(content.match(/<xliff(\s[^>]*)?>/)?.[1]);
+  const units = [];
+
+  if (String(root.version).startsWith('2')) {
+    findElements(content, 'unit').forEach(({ attributes, inner }, index) => {
+      const segments = findElements(inner, 'segment');
+      units.push({
+        ref: `unit ${attributes.id || `#${index + 1}`}`,
+        sourceLang: root.srcLang || null,
+        targetLang: root.trgLang || null,
+        sourceText: segments.map(segment => segmentText(findElements(segment.inner, 'source')[0]?.inner)).join(' ').trim(),
+        targetText: segments.map(segment => segmentText(findElements(segment.inner, 'target')[0]?.inner)).join(' ').trim(),
+      });
+    });
+    return units;
+  }
+
+  findElements(content, 'file').forEach(file => {
+    findElements(file.inner, 'trans-unit').forEach(({ attributes, inner }, index) => {
+      const target = findElements(inner, 'target')[0];
+      units.push({
+        ref: `trans-unit ${attributes.id || `#${index + 1}`}`,
+        sourceLang: file.attributes['source-language'] || null,
+        targetLang: target?.attributes['xml:lang'] || file.attributes['target-language'] || null,
+        sourceText: segmentText(findElements(inner, 'source')[0]?.inner),
+        targetText: segmentText(target?.inner),
+      });
+    });
+  });
+  return units;
+};
+
+// ==================== CSV ====================
+
+// RFC 4180 rows: quoted fields may hold commas, quotes ("") and line breaks
+const parseCsvRows = (content) => {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+  for (let i = 0; i < content.length; i += 1) {
+    const char = content[i];
+    if (quoted) {
+      if (char === '"' && content[i + 1] === '"') {
+        field += '"';
+        i += 1;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && content[i + 1] === '\n') i += 1;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+  if (field || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+  return rows.filter(cells => cells.some(cell => cell.trim() !== ''));
+};
+
+// undoes the ' our CSV export puts in front of cells that look like formulas
+const csvValue = (cell = '') => (/^'[=+\-@\t\r]/.test(cell) ? cell.slice(1) : cell).trim();
+
+/*
+parseCsv:
+header names are matched case-insensitively, source / target are accepted for source_text / target_text
+*/
+const parseCsv = (content) => {
+  const [header = [], ...rows] = parseCsvRows(content);
+  const columns = header.map(name => name.trim().toLowerCase());
+  const column = (...names) => columns.findIndex(name => names.includes(name));
+  const sourceText = column('source_text', 'source');
+  const targetText = column('target_text', 'target');
+  const sourceLang = column('source_lang', 'source_language');
+  const targetLang = column('target_lang', 'target_language');
+  if (sourceText === -1 || targetText === -1) {
+    throw new Error('CSV header must name the source_text and target_text columns');
+  }
+  return rows.map((cells, index) => ({
+    ref: `line ${index + 2}`,
+    sourceLang: sourceLang === -1 ? null : csvValue(cells[sourceLang]) || null,
+    targetLang: targetLang === -1 ? null : csvValue(cells[targetLang]) || null,
+    sourceText: csvValue(cells[sourceText]).replace(/\s+/g, ' '),
+    targetText: csvValue(cells[targetText]).replace(/\s+/g, ' '),
+  }));
+};
+
+const PARSERS = { tmx: parseTmx, xliff: parseXliff, csv: parseCsv };
+
+/*
+parseImportFile:
+content = file text (UTF-8, a leading BOM is ignored), format = tmx | xliff | csv
+returns the raw units, languages and texts are validated by the caller
+throws when the file cannot be read as that format
+*/
+export const parseImportFile = (content, format) => {
+  const parser = PARSERS[format];
+  if (!parser) throw new Error(`format must be one of: ${IMPORT_FORMATS.join(', ')}`);
+  return parser(content.replace(/^\uFEFF/, ''));
+};
@@ -0,0 +1,188 @@
+/*
+Translation Memory Overview:
+the user's own approved translations, imported from TMX, XLIFF and CSV files
+(POST /api/translation-memory/import) and stored through database.js (TranslationMemory table).
+
+Importing validates every unit (BCP 47 language codes, non-empty texts, length limit),
+de-duplicates by language pair + normalized source and target text (in the file and against
+what the user already has) and returns a report of what was imported, skipped and why.
+
+While translating, /api/translate asks suggestTranslations for exact and fuzzy matches
+so the user can reuse a translation they already approved.
+*/
+
+import crypto from 'crypto';
+import { addTranslationMemoryUnits, findTranslationMemoryUnits } from './database.js';
+import { detectImportFormat, parseImportFile } from './translationImport.js';
+import { toBcp47 } from './translationExport.js';
+import { normalizeSourceText } from './translationCache.js';
+import { serviceError } from './serviceHelpers.js';
+
+const MAX_IMPORT_UNITS = 50000; // units per file
+const MAX_UNIT_TEXT_LENGTH = 5000; // characters per source / target text
+const MAX_REPORTED_ISSUES = 100; // skipped units listed in the report, the count is always complete
+const MAX_FUZZY_TEXT_LENGTH = 300; // longer texts only get exact matches
+const MIN_FUZZY_SCORE = 0.7;
+
+/*
+normalizeLanguageCode:
+canonical BCP 47 tag ('EN_us' -> 'en-US') or null when the code is missing or not a valid tag
+*/
+export const normalizeLanguageCode = (code) => {
+  const tag = toBcp47(code);
+  if (tag === 'und') return null;
+  try {
+    return Intl.getCanonicalLocales(tag)[0];
+  } catch {
+    return null;
+  }
+};
+
+const unitHash = (sourceLang, targetLang, sourceText, targetText) =>
+  crypto.createHash('sha256')
+    .update([sourceLang, targetLang, normalizeSourceText(sourceText), normalizeSourceText(targetText)].join('\u0000'))
+    .digest('hex');
+
+// returns the reason a unit cannot be imported, null when it is fine
+const validateUnit = (unit, sourceLang, targetLang) => {
+  if (!unit.sourceLang && !sourceLang) return 'missing source language';
+  if (!sourceLang) return `invalid source language code "${unit.sourceLang}"`;
+  if (!unit.targetLang && !targetLang) return 'missing target language';
+  if (!targetLang) return `invalid target language code "${unit.targetLang}"`;
+  if (sourceLang === targetLang) return 'source and target language are the same';
+  if (!unit.sourceText) return 'empty source text';
+  if (!unit.targetText) return 'empty target text';
+  if (unit.sourceText.length > MAX_UNIT_TEXT_LENGTH || unit.targetText.length > MAX_UNIT_TEXT_LENGTH) {
+    return `text longer than ${MAX_UNIT_TEXT_LENGTH} characters`;
+  }
+  return null;
+};
+
+/*
+importTranslationMemory:
+fileName / content = the uploaded file, defaultSourceLang / defaultTargetLang fill in
+languages the file does not declare (CSV without language columns, XLIFF 1.2 without target-language)
+returns the import report:
+{ fileName, format, totalUnits, imported, duplicates, skipped, languagePairs: { 'en→de': n }, issues: [{ ref, reason }] }
+(languagePairs counts the valid units of the file, issues lists the first skipped units)
+throws (status 400) when the file is not a supported format or cannot be parsed
+*/
+export const importTranslationMemory = async (userId, { fileName, content, defaultSourceLang, defaultTargetLang }) => {
+  const format = detectImportFormat(fileName, content);
+  if (!format) throw serviceError('Unsupported file, upload a TMX, XLIFF or CSV file');
+
+  let units;
+  try {
+    units = parseImportFile(content, format);
+  } catch (error) {
+    throw serviceError(`Could not read the ${format.toUpperCase()} file: ${error.message}`);
+  }
+  if (units.length > MAX_IMPORT_UNITS) {
+    throw serviceError(`The file holds ${units.length} units, the limit is ${MAX_IMPORT_UNITS} per import`);
+  }
+
+  const report = {
+    fileName,
+    format,
+    totalUnits: units.length,
+    imported: 0,
+    duplicates: 0,
+    skipped: 0,
+    languagePairs: {},
+    issues: [],
+  };
+  const seen = new Set();
+  const accepted = [];
+
+  units.forEach(unit => {
+    const sourceLang = normalizeLanguageCode(unit.sourceLang || defaultSourceLang);
+    const targetLang = normalizeLanguageCode(unit.targetLang || defaultTargetLang);
+    const reason = validateUnit(unit, sourceLang, targetLang);
+    if (reason) {
+      report.skipped += 1;
+      if (report.issues.length < MAX_REPORTED_ISSUES) report.issues.push({ ref: unit.ref, reason });
+      return;
+    }
+    const hash = unitHash(sourceLang, targetLang, unit.sourceText, unit.targetText);
+    if (seen.has(hash)) {
+      report.duplicates += 1;
+      return;
+    }
+    seen.add(hash);
+    accepted.push({ unitHash: hash, sourceLang, targetLang, sourceText: unit.sourceText, targetText: unit.targetText, origin: fileName });
+  });
+
+  if (accepted.length > 0) {
+    const result = await addTranslationMemoryUnits(userId, accepted);
+    if (!result.success) throw serviceError('Failed to store the imported units', 500);
+    report.imported = result.inserted;
+    report.duplicates += result.duplicates;
+  }
+  accepted.forEach(unit => {
+    const pair = `${unit.sourceLang}→${unit.targetLang}`;
+    report.languagePairs[pair] = (report.languagePairs[pair] || 0) + 1;
+  });
+  return report;
+};
+
+// Levenshtein similarity between 0 (different) and 1 (identical)
+const similarity = (a, b) => {
+  if (a === b) return 1;
+  if (!a.length || !b.length) return 0;
+  let previous = Array.from({ length: b.length + 1 }, (value, index) => index);
+  for (let i = 1; i <= a.length; i += 1) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j += 1) {
+      current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1));
+    }
+    previous = current;
+  }
+  return 1 - previous[b.length] / Math.max(a.length, b.length);
+};
+
+// 'en' matches units stored as 'en' and 'en-US', 'en-US' matches 'en-US' and 'en'
+const languageMatches = (stored, requested) =>
+  stored === requested || stored.startsWith(`${requested}-`) || requested.startsWith(`${stored}-`);
+
+/*
+suggestTranslations:
+exact and fuzzy (>= 70% similar) translation memory matches for text in the given pair,
+best first, at most `limit`. returns [] when the source language is unknown ('auto')
+returns [{ sourceText, targetText, sourceLang, targetLang, score, origin }]
+*/
+export const suggestTranslations = async (userId, text, sourceLang, targetLang, limit = 3) => {
+  const source = normalizeLanguageCode(sourceLang);
+  const target = normalizeLanguageCode(targetLang);
+  const normalizedText = normalizeSourceText(text || '').toLowerCase();
+  if (!userId || !source || !target || !normalizedText) return [];
+
+  const minScore = normalizedText.length > MAX_FUZZY_TEXT_LENGTH ? 1 : MIN_FUZZY_SCORE;
+  const candidates = await findTranslationMemoryUnits(userId, {
+    sourceLang: source.split('-')[0],
+    targetLang: target.split('-')[0],
+    minLength: Math.floor(normalizedText.length * minScore),
+    maxLength: Math.ceil(normalizedText.length / minScore) + 10, // stored texts may carry extra whitespace
+  });
+
+  const suggestions = new Map(); // one suggestion per target text, the best scoring one
+  candidates
+    .filter(unit => languageMatches(unit.source_lang, source) && languageMatches(unit.target_lang, target))
+    .forEach(unit => {
+      const candidateText = normalizeSourceText(unit.source_text).toLowerCase();
+      const score = minScore === 1
+        ? Number(candidateText === normalizedText)
+        : similarity(normalizedText, candidateText);
+      const existing = suggestions.get(unit.target_text);
+      if (score >= minScore && (!existing || existing.score < score)) {
+        suggestions.set(unit.target_text, {
+          sourceText: unit.source_text,
+          targetText: unit.target_text,
+          sourceLang: unit.source_lang,
+          targetLang: unit.target_lang,
+          score: Math.round(score * 100) / 100,
+          origin: unit.origin,
+        });
+      }
+    });
+  return Array.from(suggestions.values()).sort((a, b) => b.score - a.score).slice(0, limit);
+};
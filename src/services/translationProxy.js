@@ -0,0 +1,78 @@
+/*
+Translation Proxy Overview:
+Server-side bridge between our /api/translate, /api/detect and /api/languages routes
+and the translation providers registered in ./providers (Google, DeepL, LibreTranslate, mock).
+Keeps the provider API keys on the server so they are never shipped to the browser.
+
+Environment (.env):
+TRANSLATION_PROVIDER = deployment default provider (google, deepl, libretranslate, mock)
+each provider reads its own keys/URLs, see the adapter files in ./providers
+*/
+
+import { getProvider } from './providers/index.js';
+import { lookupTranslation, storeTranslation } from './translationCache.js';
+import { selectGlossaryEntries, protectTerms, restoreTerms } from './glossary.js';
+import { countProviderError } from './metrics.js';
+
+// callProvider: runs one provider operation, failures are counted by status (metrics.js) and rethrown
+const callProvider = async (provider, operation, ...args) => {
+  try {
+    return await provider[operation](...args);
+  } catch (error) {
+    countProviderError(provider.name, operation, error);
+    throw error;
+  }
+};
+
+/*
+translate:
+protects the glossary terms (user glossary entries, optional) with placeholders,
+answers from the translation cache when possible, otherwise sends the text to the
+selected provider (deployment default when providerName is empty) and caches the result,
+then restores the glossary terms.
+with an 'auto' source and glossary entries for the target language, the language is detected first,
+so only the entries of the detected source language are applied
+returns { translatedText, detectedSourceLanguage, provider, cached, appliedGlossaryTerms }
+*/
+export const translate = async (text, targetLang, sourceLang = 'auto', providerName, glossaryEntries = []) => {
+  const provider = getProvider(providerName);
+  let glossaryLang = sourceLang;
+  if (sourceLang === 'auto' && glossaryEntries.some(entry => entry.to_lang === targetLang)) {
+    glossaryLang = await callProvider(provider, 'detect', text);
+  }
+  const { protectedText, placeholders } = protectTerms(text, selectGlossaryEntries(glossaryEntries, glossaryLang, targetLang));
+
+  let result = await lookupTranslation(provider.name, sourceLang, targetLang, protectedText);
+  const cached = Boolean(result);
+  if (!cached) {
+    result = await callProvider(provider, 'translate', protectedText, targetLang, sourceLang);
+    await storeTranslation(provider.name, sourceLang, targetLang, protectedText, result);
+  }
+
+  const { text: translatedText, appliedTerms } = restoreTerms(result.translatedText, placeholders);
+  return {
+    ...result,
+    translatedText,
+    provider: provider.name,
+    cached,
+    appliedGlossaryTerms: appliedTerms,
+  };
+};
+
+/*
+detect:
+returns the detected language code of the text (for example 'en' for english)
+*/
+export const detect = async (text, providerName) => {
+  const provider = getProvider(providerName);
+  return callProvider(provider, 'detect', text);
+};
+
+/*
+listLanguages:
+returns an array of {code, name, source, targets} objects, so the client can offer valid pairs only
+*/
+export const listLanguages = async (displayLang = 'en', providerName) => {
+  const provider = getProvider(providerName);
+  return callProvider(provider, 'listLanguages', displayLang);
+};
@@ -1,114 +1,266 @@
 /**
  * Translation Service
  *
- * Automatically switches between DEVELOPMENT (mock) and PRODUCTION (API).
+ * All calls go through our backend (/api/translate, /api/detect, /api/languages, /api/files, /api/jobs),
+ * the provider API keys live only in the server's .env.
  *
- * Requires API Keys (in .env):
- * - VITE_GOOGLE_TRANSLATE_API_KEY
- * - VITE_USE_MOCK_API (set to false to use real API calls)
+ * Requests count against the caller's quota (characters & files per day, requests per minute),
+ * guests are identified by an anonymous device token kept in localStorage (X-Device-Token header).
+ * Over the quota the backend answers 429, error.response.data has the message, retryAfter and quota.
+ *
+ * The backend picks the provider (Google, DeepL, LibreTranslate, mock) from TRANSLATION_PROVIDER,
+ * the client can override it per request.
+ *
+ * Client env (in .env):
+ * - VITE_TRANSLATION_PROVIDER (optional, provider to request instead of the backend default)
+ * - VITE_USE_MOCK_API (set to true to request the mock provider, no API keys needed)
  */
 
 
-import axios from 'axios'; // used for making HTTP requests to google API
+import axios from 'axios'; // used for making HTTP requests to our backend
+import { getAuthStorage, loadAuthUser } from './authStorage';
+import { clientLogger } from './clientLogger';
 
-const GOOGLE_TRANSLATE_API_KEY = import.meta.env.VITE_GOOGLE_TRANSLATE_API_KEY;
-const GOOGLE_TRANSLATE_API_URL = 'https://translation.googleapis.com/language/translate/v2'; // base URL for google translate API
+const API_BASE_URL = 'http://localhost:5000/api'; // backend translation proxy
 const IS_DEV = import.meta.env.VITE_USE_MOCK_API === 'true';
 
-// ============= MOCK IMPLEMENTATION =============
-const mockLanguages = [
-  { code: 'en', name: 'English' },
-  { code: 'es', name: 'Spanish' },
-  { code: 'fr', name: 'French' },
-  { code: 'de', name: 'German' }
-];
+// undefined = let the backend use its deployment default
+export const DEFAULT_PROVIDER = IS_DEV ? 'mock' : (import.meta.env.VITE_TRANSLATION_PROVIDER || undefined);
+
+// anonymous id of this browser, created on first use (guest quotas are counted per device and IP)
+const getDeviceToken = () => {
+  let deviceToken = localStorage.getItem('deviceToken');
+  if (!deviceToken) {
+    deviceToken = crypto.randomUUID();
+    localStorage.setItem('deviceToken', deviceToken);
+  }
+  return deviceToken;
+};
+
 /*
-Mock Translation Function:
-Simulates translation/detection with delays, mainly for development
+Auth Header:
+the proxy routes are open to guests, but signed-in users send their session
+so the backend can attribute the request (and the quota) to them
 */
-const mockTranslateText = async (text, targetLang) => {
-  console.warn('⚠️ Using mock translation service'); // warning log to indicate mock data is used
-  await new Promise(resolve => setTimeout(resolve, 1000));
-  return `[Mock Translation] ${text} (to ${targetLang})`;
+const getAuthHeaders = () => {
+  const signedSessionId = getAuthStorage().getItem('signed_session_id');
+  const headers = { 'X-Device-Token': getDeviceToken() };
+  return signedSessionId ? { ...headers, Authorization: `Bearer ${signedSessionId}` } : headers;
 };
 
 /*
-Mock Language Detection (for dev with no api's):
-used to simulate the language of a given text,
-always returns 'en' after 0.5 second delay
+FetchLanguages:
+asks our backend for the provider's supported languages,
+filters the results based on the query string, returns an array of {code, name, source, targets} objs
+(source/targets describe the valid language pairs of the provider)
 */
-const mockDetectLanguage = async () => {
-  console.warn('⚠️ Using mock language detection');
-  await new Promise(resolve => setTimeout(resolve, 500));
-  return 'en';
-};
-// Simulates translation fetching with delays, for development
-const mockFetchLanguages = async (query = '') => {
-  console.warn('⚠️ Using mock language service');
-  await new Promise(resolve => setTimeout(resolve, 300));
-  return mockLanguages.filter(lang =>
+export const fetchLanguages = async (query = '', provider = DEFAULT_PROVIDER) => {
+  const response = await axios.get(`${API_BASE_URL}/languages`, {
+    params: { target: 'en', provider },
+    headers: getAuthHeaders(),
+  });
+
+  return response.data.languages.filter(lang =>
     !query || lang.name.toLowerCase().includes(query.toLowerCase())
   );
 };
 
-// ============= PRODUCTION IMPLEMENTATION =============
+// signed-in user's id, lets the backend enforce the user's glossary
+const getSignedInUserId = () => {
+  return loadAuthUser()?.id;
+};
 
 /*
-Uses Google Translate API with `axios`. Supports auto-detection (`source: auto`)
-filters the results based on the query string, returns an array of {code, name} objs
+TranslateTextDetailed:
+sends a translation request to our backend proxy
+uses auto-detection for source when none is given
+returns the full result { success, translatedText, detectedSourceLanguage, provider, cached, appliedGlossaryTerms, memorySuggestions, quota }
 */
-const fetchLanguagesAPI = async (query = '') => {
-  const response = await axios.get(`${GOOGLE_TRANSLATE_API_URL}/languages`, {
-    params: {
-      key: GOOGLE_TRANSLATE_API_KEY,
-      target: 'en',
-      q: query
-    }
-  });
+export const translateTextDetailed = async (text, targetLang, sourceLang = 'auto', provider = DEFAULT_PROVIDER) => {
+  const response = await axios.post(`${API_BASE_URL}/translate`, {
+    text,
+    targetLang,
+    sourceLang,
+    provider,
+    userId: getSignedInUserId(),
+  }, { headers: getAuthHeaders() });
 
-  return response.data.data.languages.map(lang => ({
-    code: lang.language,
-    name: lang.name
-  }));
+  return response.data;
 };
 
-/*
-TranslateText (API):
-sends a translation request to google API
-uses auto-detection for source
-extracts and returns translated text
-*/
-const translateTextAPI = async (text, targetLang, sourceLang = 'auto') => {
-  const response = await axios.post(`${GOOGLE_TRANSLATE_API_URL}`, null, {
-    params: {
-      q: text,
-      target: targetLang,
-      source: sourceLang,
-      key: GOOGLE_TRANSLATE_API_KEY
-    }
-  });
-
-  return response.data.data.translations[0].translatedText;
+// TranslateText: same as above, extracts and returns only the translated text
+export const translateText = async (text, targetLang, sourceLang = 'auto', provider = DEFAULT_PROVIDER) => {
+  const result = await translateTextDetailed(text, targetLang, sourceLang, provider);
+  return result.translatedText;
 };
 
  /*
- DetectLanguage (API):
- detects the language of the input text using google API
+ DetectLanguage:
+ detects the language of the input text through our backend proxy
  returns the detected language code (for example 'en' for english)
  */
-const detectLanguageAPI = async (text) => {
-  const response = await axios.post(`${GOOGLE_TRANSLATE_API_URL}/detect`, null, {
-    params: {
-      q: text,
-      key: GOOGLE_TRANSLATE_API_KEY
-    }
+export const detectLanguage = async (text, provider = DEFAULT_PROVIDER) => {
+  const response = await axios.post(`${API_BASE_URL}/detect`, { text, provider }, { headers: getAuthHeaders() });
+
+  return response.data.language;
+};
+
+// FetchProviders: lists the providers configured on the backend, [{name, label, default}]
+export const fetchProviders = async () => {
+  const response = await axios.get(`${API_BASE_URL}/providers`);
+  return response.data.providers;
+};
+
+/*
+FetchQuota:
+the caller's plan and remaining quota, does not use any of it
+returns { plan, limits, remaining: { requestsPerMinute, charactersPerDay, filesPerDay }, resetsAt }
+*/
+export const fetchQuota = async () => {
+  const response = await axios.get(`${API_BASE_URL}/quota`, { headers: getAuthHeaders() });
+  return response.data.quota;
+};
+
+/*
+Document Translation (/api/files):
+documents are uploaded to the backend, which extracts their text and translates it in a background job,
+the translated file is kept for a day. Guests reach their files and jobs with the device token, users with their session.
+*/
+
+/*
+TranslateFile:
+uploads a PDF, DOCX or TXT file and queues its translation on the server (follow it with followJob)
+returns { success, file, job, quota },
+file = the record of the upload (id, status, page_count...), job = the translation job (id, status, progress...)
+*/
+export const translateFile = async (file, targetLang, sourceLang = 'auto', provider = DEFAULT_PROVIDER) => {
+  const formData = new FormData();
+  formData.append('file', file);
+  formData.append('targetLang', targetLang);
+  formData.append('sourceLang', sourceLang);
+  if (provider) formData.append('provider', provider);
+  const userId = getSignedInUserId();
+  if (userId) formData.append('userId', userId);
+
+  const response = await axios.post(`${API_BASE_URL}/files`, formData, { headers: getAuthHeaders() });
+  return response.data;
+};
+
+// FetchFiles: the signed-in user's uploaded files, newest first
+export const fetchFiles = async () => {
+  const response = await axios.get(`${API_BASE_URL}/files`, { headers: getAuthHeaders() });
+  return response.data.files;
+};
+
+// DownloadTranslatedFile: fetches the translated file (the download needs the auth headers) and saves it
+export const downloadTranslatedFile = async (file) => {
+  const response = await axios.get(`${API_BASE_URL}/files/${file.id}/download`, {
+    headers: getAuthHeaders(),
+    responseType: 'blob',
   });
+  const url = URL.createObjectURL(response.data);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = file.output_name;
+  link.click();
+  URL.revokeObjectURL(url);
+};
+
+// DeleteFile: removes an uploaded file and its translation from the server
+export const deleteFile = async (fileId) => {
+  const response = await axios.delete(`${API_BASE_URL}/files/${fileId}`, { headers: getAuthHeaders() });
+  return response.data;
+};
+
+// FetchFileContent: the extracted and translated text of a completed file translation { file, originalText, translatedText, appliedGlossaryTerms }
+export const fetchFileContent = async (fileId) => {
+  const response = await axios.get(`${API_BASE_URL}/files/${fileId}/content`, { headers: getAuthHeaders() });
+  return response.data;
+};
+
+/*
+Background Jobs (/api/jobs):
+long translations run as jobs on the backend, job = { id, type, file_id, payload, status, progress (0-100), error... },
+status = queued, running, completed, failed or cancelled.
+*/
+const JOB_POLL_INTERVAL_MS = 2000;
+const FINISHED_JOB_STATUSES = ['completed', 'failed', 'cancelled'];
 
-  return response.data.data.detections[0][0].language;
+export const isFinishedJob = (job) => FINISHED_JOB_STATUSES.includes(job.status);
+
+// FetchJobs: the recent jobs of the user (or of this device for guests), newest first
+export const fetchJobs = async () => {
+  const response = await axios.get(`${API_BASE_URL}/jobs`, { headers: getAuthHeaders() });
+  return response.data.jobs;
+};
+
+export const fetchJob = async (jobId) => {
+  const response = await axios.get(`${API_BASE_URL}/jobs/${jobId}`, { headers: getAuthHeaders() });
+  return response.data.job;
+};
+
+// CancelJob: stops a queued or running job, its quota is given back
+export const cancelJob = async (jobId) => {
+  const response = await axios.post(`${API_BASE_URL}/jobs/${jobId}/cancel`, null, { headers: getAuthHeaders() });
+  return response.data.job;
+};
+
+// RetryJob: queues a failed or cancelled job again (counts against the quota again), returns { job, quota }
+export const retryJob = async (jobId) => {
+  const response = await axios.post(`${API_BASE_URL}/jobs/${jobId}/retry`, null, { headers: getAuthHeaders() });
+  return response.data;
 };
 
-// Auto-Switch Between Mock & Production
-// Switches based on `IS_DEV`, true = mock data / false = google api's
-export const fetchLanguages = IS_DEV ? mockFetchLanguages : fetchLanguagesAPI;
-export const translateText = IS_DEV ? mockTranslateText : translateTextAPI;
-export const detectLanguage = IS_DEV ? mockDetectLanguage : detectLanguageAPI;
\ No newline at end of file
+// ReadJobEvents: reads the Server-Sent Events of a job, onJob(job) for each "job" event, resolves when the stream ends
+const readJobEvents = async (jobId, onJob, signal) => {
+  // fetch instead of EventSource, which cannot send the auth headers
+  const response = await fetch(`${API_BASE_URL}/jobs/${jobId}/events`, { headers: getAuthHeaders(), signal });
+  if (!response.ok || !response.body) throw new Error(`Job events answered ${response.status}`);
+  const reader = response.body.pipeThrough(new TextDecoderStream()).getReader();
+  let buffer = '';
+  for (;;) {
+    const { value, done } = await reader.read();
+    if (done) return;
+    buffer += value;
+    const events = buffer.split('\n\n');
+    buffer = events.pop(); // an incomplete event waits for the rest
+    events.forEach((event) => {
+      const data = event.split('\n').filter(line => line.startsWith('data:')).map(line => line.slice(5).trim()).join('\n');
+      if (data) onJob(JSON.parse(data));
+    });
+  }
+};
+
+/*
+FollowJob:
+calls onUpdate(job) on every change of the job until it is completed, failed or cancelled.
+Changes arrive as Server-Sent Events, when the stream is not available (or ends early) the job is polled
+every JOB_POLL_INTERVAL_MS instead. onError(error) when the job cannot be followed at all (e.g. 404).
+returns stop(), which stops following (the job itself keeps running on the backend)
+*/
+export const followJob = (jobId, { onUpdate, onError } = {}) => {
+  const controller = new AbortController();
+  const update = (job) => {
+    if (controller.signal.aborted) return;
+    onUpdate(job);
+    if (isFinishedJob(job)) controller.abort();
+  };
+  const poll = async () => {
+    while (!controller.signal.aborted) {
+      update(await fetchJob(jobId));
+      await new Promise(resolve => setTimeout(resolve, JOB_POLL_INTERVAL_MS));
+    }
+  };
+
+  readJobEvents(jobId, update, controller.signal)
+    .catch((error) => {
+      if (!controller.signal.aborted) clientLogger.warn('Job events unavailable, polling the job instead', { error });
+    })
+    .then(poll)
+    .catch((error) => {
+      if (controller.signal.aborted) return;
+      controller.abort();
+      if (onError) onError(error);
+    });
+  return () => controller.abort();
+};
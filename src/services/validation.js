@@ -0,0 +1,13 @@
+/*
+Email & Password Rules (shared by the request schemas of the server, openapi.js, and the forms of the client,
+AuthScreen.jsx and AccountSettingsPanel.jsx), so a form refuses exactly what the API would refuse.
+password = 8+ characters, an uppercase letter and a special character
+No imports: this module runs in Node and in the browser.
+*/
+
+export const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+export const PASSWORD_PATTERN = /^(?=.*[A-Z])(?=.*[!@#$%^&*])(?=.{8,})/;
+export const PASSWORD_RULES = 'Password must be at least 8 characters long, contain at least one uppercase letter, and one special character';
+
+export const validateEmail = (email) => EMAIL_PATTERN.test(email);
+export const validatePassword = (password) => PASSWORD_PATTERN.test(password);
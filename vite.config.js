@@ -11,4 +11,9 @@ export default defineConfig({
       '@': '/src',
     },
   },
-});
\ No newline at end of file
+  test: {
+    env: {
+      LOG_LEVEL: 'silent',
+    },
+  },
+});